@@ -0,0 +1,342 @@
+/**
+ * Copyright 2013-2015, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ */
+
+'use strict';
+
+jest.mock('jscodeshift/dist/Runner', () => ({
+  run: jest.fn(() => Promise.resolve({error: 0, ok: 1, nochange: 0, skip: 0})),
+}));
+
+const fs = require('fs');
+const path = require('path');
+const projectConfig = require('../../transforms/utils/config');
+
+const createIO = () => {
+  const io = {stdout: '', stderr: ''};
+  return {
+    io,
+    streams: {
+      stdout: {write: data => { io.stdout += data; }},
+      stderr: {write: data => { io.stderr += data; }},
+    },
+  };
+};
+
+describe('react-codemod cli', () => {
+  let cli;
+  let Runner;
+
+  beforeEach(() => {
+    cli = require('../cli');
+    Runner = require('jscodeshift/dist/Runner');
+  });
+
+  it('describes every transform in the transforms directory', () => {
+    const files = fs.readdirSync(path.join(__dirname, '..', '..', 'transforms'))
+      .filter(file => /\.js$/.test(file))
+      .map(file => file.replace(/\.js$/, ''))
+      .sort();
+
+    expect(Object.keys(cli.TRANSFORMS).sort()).toEqual(files);
+  });
+
+  it('describes every preset in the presets directory', () => {
+    const files = fs.readdirSync(path.join(__dirname, '..', '..', 'transforms', 'presets'))
+      .filter(file => /\.js$/.test(file))
+      .map(file => file.replace(/\.js$/, ''))
+      .sort();
+
+    expect(cli.getPresetNames()).toEqual(files);
+  });
+
+  it('separates runner options from transform options', () => {
+    const args = cli.parseArgs([
+      'class',
+      'src',
+      'lib',
+      '-d',
+      '--extensions=js,jsx',
+      '--flow=true',
+      '--no-display-name',
+      '--mixin-module-name=ReactComponentWithPureRenderMixin',
+      '--printOptions={"quote":"double"}',
+    ]);
+
+    expect(args.transform).toEqual('class');
+    expect(args.paths).toEqual(['src', 'lib']);
+    expect(args.runnerOptions).toEqual({dry: true, extensions: 'js,jsx'});
+    expect(args.transformOptions).toEqual({
+      'flow': 'true',
+      'display-name': false,
+      'mixin-module-name': 'ReactComponentWithPureRenderMixin',
+      'printOptions': '{"quote":"double"}',
+    });
+  });
+
+  it('uses the option schema to tell boolean flags from paths', () => {
+    const schema = cli.getTransformOptions('pure-component');
+
+    const args = cli.parseArgs(['pure-component', '--useArrows', 'src'], schema);
+    expect(args.paths).toEqual(['src']);
+    expect(args.transformOptions).toEqual({useArrows: true});
+
+    expect(cli.parseArgs(['pure-component', 'src', '--useArrows=ture'], schema).transformOptions)
+      .toEqual({useArrows: 'ture'});
+  });
+
+  it('resolves transforms with or without the extension', () => {
+    expect(cli.resolveTransform('pure-component')).toEqual(
+      path.join(__dirname, '..', '..', 'transforms', 'pure-component.js')
+    );
+    expect(cli.resolveTransform('pure-component.js')).toEqual(
+      cli.resolveTransform('pure-component')
+    );
+    expect(cli.resolveTransform('utils/ReactUtils')).toBe(null);
+  });
+
+  it('reads the option schema of every transform', () => {
+    const types = ['array', 'boolean', 'number', 'object', 'string'];
+    cli.getTransformNames().concat(cli.getPresetNames()).forEach(name => {
+      cli.getTransformOptions(name).forEach(option => {
+        expect(typeof option.name).toBe('string');
+        expect(typeof option.description).toBe('string');
+        expect(types).toContain(option.type);
+      });
+    });
+
+    expect(cli.getTransformOptions('pure-component').map(option => option.name))
+      .toEqual(['useArrows', 'destructuring', 'silenceWarnings', 'printOptions']);
+    expect(cli.getTransformOptions('rename-unsafe-lifecycles').map(option => option.name))
+      .toEqual(['printOptions']);
+  });
+
+  it('generates the help of a transform from its option schema', () => {
+    const {io, streams} = createIO();
+    return cli.run(['React-PropTypes-to-prop-types', '--help'], streams).then(code => {
+      expect(code).toBe(0);
+      expect(io.stdout).toContain('Usage: react-codemod React-PropTypes-to-prop-types');
+      expect(io.stdout).toContain(
+        '--module-name         Module to import `PropTypes` from. (string, default: "prop-types")'
+      );
+    });
+  });
+
+  it('lists the available transforms', () => {
+    const {io, streams} = createIO();
+    return cli.run(['--list'], streams).then(code => {
+      expect(code).toBe(0);
+      expect(io.stdout).toContain('create-element-to-jsx');
+      expect(io.stdout).toContain(cli.TRANSFORMS['sort-comp']);
+      expect(io.stdout).toContain(cli.PRESETS['upgrade-to-16.3']);
+      expect(Runner.run).not.toBeCalled();
+    });
+  });
+
+  it('fails on unknown transforms', () => {
+    const {io, streams} = createIO();
+    return cli.run(['no-such-transform', 'src'], streams).then(code => {
+      expect(code).toBe(1);
+      expect(io.stderr).toContain('Unknown transform "no-such-transform"');
+      expect(Runner.run).not.toBeCalled();
+    });
+  });
+
+  it('fails on unknown or mistyped options before running the transform', () => {
+    const {io, streams} = createIO();
+    return cli.run(['pure-component', 'src', '--use-arrows', '--destructuring=yes'], streams)
+      .then(code => {
+        expect(code).toBe(1);
+        expect(io.stderr).toContain(
+          'Unknown option "--use-arrows" for transform "pure-component". Did you mean "--useArrows"?'
+        );
+        expect(io.stderr).toContain('Option "--destructuring" expects true or false, got "yes".');
+        expect(Runner.run).not.toBeCalled();
+      });
+  });
+
+  it('runs jscodeshift with the transform and its options', () => {
+    const {streams} = createIO();
+    return cli.run(['pure-component', '--useArrows', 'src', '--printOptions={"quote":"double"}', '-p'], streams)
+      .then(code => {
+        expect(code).toBe(0);
+        expect(Runner.run).toBeCalledWith(
+          cli.resolveTransform('pure-component'),
+          ['src'],
+          {
+            babel: true,
+            extensions: 'js',
+            verbose: 0,
+            print: true,
+            printOptions: {quote: 'double'},
+            useArrows: true,
+          }
+        );
+      });
+  });
+
+  it('runs presets with the options of all their steps', () => {
+    const {streams} = createIO();
+    return cli.run(['upgrade-to-16', 'src', '--flow', '--mixin-name=PureMixin'], streams)
+      .then(code => {
+        expect(code).toBe(0);
+        expect(Runner.run).toBeCalledWith(
+          path.join(__dirname, '..', '..', 'transforms', 'presets', 'upgrade-to-16.js'),
+          ['src'],
+          {
+            babel: true,
+            extensions: 'js',
+            verbose: 0,
+            flow: true,
+            'mixin-name': 'PureMixin',
+          }
+        );
+      });
+  });
+
+  describe('project config', () => {
+    const os = require('os');
+    let configPath;
+    let configCount = 0;
+
+    // Config files are cached by path, so every test gets its own.
+    const writeConfig = config => {
+      configCount++;
+      configPath = path.join(os.tmpdir(), 'reactcodemodrc-' + process.pid + '-' + configCount + '.json');
+      fs.writeFileSync(configPath, JSON.stringify(config));
+    };
+
+    afterEach(() => {
+      fs.unlinkSync(configPath);
+    });
+
+    it('uses the parser and ignore globs of the config', () => {
+      writeConfig({parser: 'flow', ignore: ['vendor/']});
+      const {streams} = createIO();
+      return cli.run(['sort-comp', 'src', '--config=' + configPath, '--ignore-pattern=*.min.js'], streams)
+        .then(code => {
+          expect(code).toBe(0);
+          expect(Runner.run).toBeCalledWith(
+            cli.resolveTransform('sort-comp'),
+            ['src'],
+            {
+              babel: true,
+              extensions: 'js',
+              verbose: 0,
+              parser: 'flow',
+              ignorePattern: ['vendor/', '*.min.js'],
+              config: configPath,
+            }
+          );
+        });
+    });
+
+    it('lets flags override the config', () => {
+      writeConfig({parser: 'flow'});
+      const {streams} = createIO();
+      return cli.run(['sort-comp', 'src', '--config=' + configPath, '--parser=babylon'], streams)
+        .then(() => {
+          const options = Runner.run.mock.calls[Runner.run.mock.calls.length - 1][2];
+          expect(options.parser).toBe('babylon');
+        });
+    });
+
+    it('checks the defaults it sets against the option schemas', () => {
+      writeConfig({
+        options: {printOptions: {quote: 'double'}, 'module-name': 'prop-types'},
+        transforms: {
+          'class': {'display-name': 'yes'},
+          'pure-render-mixin': {'mixin-nam': 'PureMixin'},
+        },
+      });
+      const {io, streams} = createIO();
+      const callCount = Runner.run.mock.calls.length;
+      return cli.run(['upgrade-to-16', 'src', '--config=' + configPath], streams)
+        .then(code => {
+          expect(code).toBe(1);
+          expect(io.stderr).toBe(
+            configPath + ': Unknown option "--mixin-nam" for transform "pure-render-mixin". ' +
+            'Did you mean "--mixin-name"?\n' +
+            configPath + ': Option "--display-name" expects true or false, got "yes".\n'
+          );
+          expect(Runner.run.mock.calls.length).toBe(callCount);
+        });
+    });
+
+    it('gives transforms its defaults below their options', () => {
+      writeConfig({
+        options: {printOptions: {quote: 'double'}},
+        transforms: {'class': {flow: true, 'display-name': false}},
+      });
+      expect(projectConfig.getOptions(
+        'class',
+        {path: 'src/Foo.js'},
+        {config: configPath, 'display-name': true}
+      )).toEqual({
+        config: configPath,
+        printOptions: {quote: 'double'},
+        flow: true,
+        'display-name': true,
+      });
+    });
+
+    it('coerces the defaults it gives transforms to their option types', () => {
+      writeConfig({
+        transforms: {'class': {flow: 'false', 'display-name': 'false'}},
+      });
+      expect(projectConfig.getOptions(
+        'class',
+        {path: 'src/Foo.js'},
+        {config: configPath}
+      )).toEqual({
+        config: configPath,
+        flow: false,
+        'display-name': false,
+      });
+    });
+  });
+
+  it('writes a report of what the transforms recorded', () => {
+    const {io, streams} = createIO();
+    Runner.run.mockImplementationOnce((transformPath, paths, options) => {
+      fs.appendFileSync(options['diagnostics-file'], JSON.stringify({
+        file: 'src/Foo.js',
+        line: 1,
+        column: 0,
+        component: 'Foo',
+        rule: 'has-methods',
+        severity: 'skip',
+        reason: 'Class has methods other than `render`.',
+      }) + '\n');
+      return Promise.resolve({error: 0, ok: 0, nochange: 1, skip: 0});
+    });
+    return cli.run(['pure-component', 'src', '--report=csv'], streams)
+      .then(code => {
+        expect(code).toBe(0);
+        const options = Runner.run.mock.calls[Runner.run.mock.calls.length - 1][2];
+        expect(options.report).toBeUndefined();
+        expect(fs.existsSync(options['diagnostics-file'])).toBe(false);
+        expect(io.stdout).toBe(
+          'file,line,column,component,rule,severity,reason\n' +
+          'src/Foo.js,1,0,Foo,has-methods,skip,Class has methods other than `render`.\n'
+        );
+      });
+  });
+
+  it('rejects unknown report formats', () => {
+    const {io, streams} = createIO();
+    const callCount = Runner.run.mock.calls.length;
+    return cli.run(['pure-component', 'src', '--report=xml'], streams)
+      .then(code => {
+        expect(code).toBe(1);
+        expect(io.stderr).toContain('Unknown report format "xml"');
+        expect(Runner.run.mock.calls.length).toBe(callCount);
+      });
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Copyright 2013-2015, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ */
+
+'use strict';
+
+jest.mock('inquirer', () => ({prompt: jest.fn()}));
+
+describe('react-codemod interactive mode', () => {
+  let inquirer;
+  let interactive;
+
+  beforeEach(() => {
+    inquirer = require('inquirer');
+    interactive = require('../interactive');
+  });
+
+  it('creates questions from the option schema', () => {
+    const confirm = interactive.createOptionQuestion({
+      name: 'useArrows',
+      type: 'boolean',
+      default: false,
+      description: 'Convert to arrow functions.',
+    });
+    expect(confirm.type).toBe('confirm');
+    expect(confirm.default).toBe(false);
+    expect(confirm.message).toBe('Convert to arrow functions. (useArrows)');
+
+    const input = interactive.createOptionQuestion({
+      name: 'methodsOrder',
+      type: 'array',
+      description: 'Method order.',
+    });
+    expect(input.type).toBe('input');
+    expect(input.filter('render, constructor')).toEqual(['render', 'constructor']);
+    expect(input.filter('')).toBe(undefined);
+
+    expect(interactive.createOptionQuestion({
+      name: 'printOptions',
+      type: 'object',
+      description: 'Printer options.',
+    })).toBe(null);
+  });
+
+  it('asks for the transform, the paths and the transform options', () => {
+    const schema = [
+      {name: 'useArrows', type: 'boolean', default: false, description: 'Arrows.'},
+      {name: 'destructuring', type: 'boolean', default: false, description: 'Destructure.'},
+      {name: 'printOptions', type: 'object', description: 'Printer options.'},
+    ];
+    const getTransformOptions = jest.fn(() => schema);
+
+    inquirer.prompt
+      .mockReturnValueOnce(Promise.resolve({
+        transform: 'pure-component',
+        paths: ['src', 'lib'],
+        extensions: 'js,jsx',
+      }))
+      .mockReturnValueOnce(Promise.resolve({
+        useArrows: true,
+        destructuring: false,
+      }));
+
+    return interactive.prompt({
+      transforms: [{name: 'pure-component', description: 'Pure components.'}],
+      getTransformOptions,
+    }).then(result => {
+      expect(getTransformOptions).toBeCalledWith('pure-component');
+      expect(inquirer.prompt.mock.calls[1][0].map(question => question.name))
+        .toEqual(['useArrows', 'destructuring']);
+      expect(result).toEqual({
+        transform: 'pure-component',
+        paths: ['src', 'lib'],
+        runnerOptions: {extensions: 'js,jsx'},
+        transformOptions: {useArrows: true},
+      });
+    });
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Copyright 2013-2015, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ */
+
+'use strict';
+
+const report = require('../report');
+
+const entries = [
+  {
+    file: 'src/b.js',
+    line: 3,
+    column: 0,
+    component: 'Bar',
+    rule: 'has-methods',
+    severity: 'skip',
+    reason: 'Class has methods other than `render`.',
+  },
+  {
+    file: 'src/a.js',
+    line: 10,
+    column: 2,
+    component: 'Foo',
+    rule: 'inconvertible-mixins',
+    severity: 'skip',
+    reason: 'Skipped because of "inconvertible", mixins | helpers.',
+  },
+  {
+    file: 'src/a.js',
+    line: 1,
+    column: 0,
+    component: null,
+    rule: 'cannot-destructure',
+    severity: 'warning',
+    reason: 'Props cannot be destructured.',
+  },
+];
+
+describe('report', () => {
+  it('formats json with a summary', () => {
+    const result = JSON.parse(report.formatReport(entries, 'json'));
+    expect(result.summary).toEqual({
+      total: 3,
+      bySeverity: {skip: 2, warning: 1},
+      byRule: {'has-methods': 1, 'inconvertible-mixins': 1, 'cannot-destructure': 1},
+    });
+    expect(result.entries.map(entry => entry.file + ':' + entry.line)).toEqual([
+      'src/a.js:1',
+      'src/a.js:10',
+      'src/b.js:3',
+    ]);
+  });
+
+  it('formats csv and quotes cells when needed', () => {
+    expect(report.formatReport(entries, 'csv')).toBe([
+      'file,line,column,component,rule,severity,reason',
+      'src/a.js,1,0,,cannot-destructure,warning,Props cannot be destructured.',
+      'src/a.js,10,2,Foo,inconvertible-mixins,skip,' +
+        '"Skipped because of ""inconvertible"", mixins | helpers."',
+      'src/b.js,3,0,Bar,has-methods,skip,Class has methods other than `render`.',
+      '',
+    ].join('\n'));
+  });
+
+  it('formats markdown tables', () => {
+    const result = report.formatReport(entries, 'markdown');
+    expect(result).toContain('| inconvertible-mixins | 1 |');
+    expect(result).toContain('**Total:** 3');
+    expect(result).toContain(
+      '| src/a.js | 10 | 2 | Foo | inconvertible-mixins | skip | ' +
+      'Skipped because of "inconvertible", mixins \\| helpers. |'
+    );
+  });
+
+  it('says so when nothing was recorded', () => {
+    expect(report.formatReport([], 'markdown')).toContain('Nothing was skipped.');
+    expect(JSON.parse(report.formatReport([], 'json')).summary.total).toBe(0);
+  });
+
+  it('rejects unknown formats', () => {
+    expect(() => report.formatReport(entries, 'xml')).toThrow('Unknown report format "xml"');
+  });
+});
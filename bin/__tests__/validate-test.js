@@ -0,0 +1,76 @@
+/**
+ * Copyright 2013-2015, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ */
+
+'use strict';
+
+const validate = require('../validate');
+
+const schema = [
+  {name: 'flow', type: 'boolean', default: false, description: 'Flow.'},
+  {name: 'module-name', type: 'string', default: 'prop-types', description: 'Module.'},
+  {name: 'cpus', type: 'number', description: 'Number.'},
+  {name: 'methodsOrder', type: 'array', description: 'Order.'},
+  {name: 'printOptions', type: 'object', description: 'Printer options.'},
+];
+
+describe('validateOptions', () => {
+  it('coerces command line values to the declared types', () => {
+    expect(validate.validateOptions('test', schema, {
+      'flow': 'false',
+      'module-name': 123,
+      'cpus': '4',
+      'methodsOrder': 'constructor, render',
+      'printOptions': '{"quote":"double"}',
+    })).toEqual({
+      options: {
+        'flow': false,
+        'module-name': '123',
+        'cpus': 4,
+        'methodsOrder': ['constructor', 'render'],
+        'printOptions': {quote: 'double'},
+      },
+      errors: [],
+    });
+
+    expect(validate.validateOptions('test', schema, {
+      flow: true,
+      methodsOrder: '["constructor","render"]',
+    }).options).toEqual({
+      flow: true,
+      methodsOrder: ['constructor', 'render'],
+    });
+  });
+
+  it('reports mistyped values', () => {
+    expect(validate.validateOptions('test', schema, {
+      'flow': 'yes',
+      'module-name': true,
+      'cpus': 'many',
+      'printOptions': '[]',
+    }).errors).toEqual([
+      'Option "--flow" expects true or false, got "yes".',
+      'Option "--module-name" expects a string value, got true.',
+      'Option "--cpus" expects a number, got "many".',
+      'Option "--printOptions" expects a JSON object, got "[]".',
+    ]);
+  });
+
+  it('reports unknown options and suggests the closest one', () => {
+    expect(validate.validateOptions('test', schema, {
+      'moduleName': 'x',
+      'flwo': true,
+      'unrelated': true,
+    }).errors).toEqual([
+      'Unknown option "--moduleName" for transform "test". Did you mean "--module-name"?',
+      'Unknown option "--flwo" for transform "test". Did you mean "--flow"?',
+      'Unknown option "--unrelated" for transform "test".',
+    ]);
+  });
+});
@@ -0,0 +1,581 @@
+/**
+ * Copyright 2013-2015, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const minimist = require('minimist');
+const projectConfig = require('../transforms/utils/config');
+const report = require('./report');
+const validateOptions = require('./validate').validateOptions;
+
+const TRANSFORMS_DIR = path.join(__dirname, '..', 'transforms');
+const PRESETS_DIR = path.join(TRANSFORMS_DIR, 'presets');
+
+// Keep these in sync with the "Included Scripts" section of the README.
+const TRANSFORMS = {
+  'class':
+    'Transforms `React.createClass` calls into ES2015 classes.',
+  'class-to-hooks':
+    'Converts ES2015 class components with state, lifecycles and instance fields to ' +
+    'function components using hooks.',
+  'create-element-to-jsx':
+    'Converts calls to `React.createElement` into JSX elements.',
+  'create-factory-to-jsx':
+    'Replaces calls to factories made with `React.createFactory` with JSX elements and removes ' +
+    'the factories.',
+  'create-root':
+    'Converts `ReactDOM.render` and `ReactDOM.hydrate` calls to `createRoot` and `hydrateRoot` ' +
+    'from `react-dom/client`.',
+  'error-boundaries':
+    'Renames the experimental `unstable_handleError` lifecycle hook to `componentDidCatch`.',
+  'findDOMNode':
+    'Updates `this.getDOMNode()` or `this.refs.foo.getDOMNode()` calls inside of ' +
+    '`React.createClass` components to `React.findDOMNode(foo)`.',
+  'function-default-props':
+    'Moves `Foo.defaultProps` of function components to default values of their ' +
+    'destructured props.',
+  'legacy-context':
+    'Moves components from legacy context (`childContextTypes`, `contextTypes`) to ' +
+    '`createContext`, matching providers and consumers across files by context key.',
+  'manual-bind-to-arrow':
+    'Converts manual function bindings in a class (e.g., `this.f = this.f.bind(this)`) ' +
+    'to arrow property initializer functions (e.g., `f = () => {}`).',
+  'migrate-react-addons':
+    'Moves code off `React.addons` and the `react-addons-*` packages: `immutability-helper`, ' +
+    '`react-dom/test-utils`, `react-transition-group`, `onChange` handlers and keyed arrays.',
+  'migrate-unsafe-lifecycles':
+    'Migrates `componentWillReceiveProps` to `getDerivedStateFromProps` and `componentWillMount` ' +
+    'to the constructor and `componentDidMount`, adding the "UNSAFE_" prefix where it can\'t.',
+  'proptypes-to-flow':
+    'Generates Flow types from the `propTypes` of ES2015 classes and function components ' +
+    'in files marked `@flow`.',
+  'proptypes-to-typescript':
+    'Generates TypeScript interfaces from the `propTypes` of class and function components ' +
+    'in `.ts` and `.tsx` files.',
+  'pure-component':
+    'Converts ES6 classes that only have a render method, only have safe properties ' +
+    '(statics and props), and do not have refs to Stateless Functional Components.',
+  'pure-render-mixin':
+    'Removes `PureRenderMixin` and inlines `shouldComponentUpdate` so that the ES2015 ' +
+    'class transform can pick up the React component and turn it into an ES2015 class.',
+  'React-DOM-to-react-dom-factories':
+    'Converts calls like `React.DOM.div(...)` to `React.createElement(\'div\', ...)`.',
+  'React-DOM-to-jsx':
+    'Converts calls like `React.DOM.div(...)` and `DOM.div(...)` straight to JSX elements.',
+  'React-PropTypes-to-prop-types':
+    'Replaces `React.PropTypes` references with `prop-types` and adds the appropriate ' +
+    '`import` or `require` statement.',
+  'ReactNative-View-propTypes':
+    'Replaces `View.propTypes` references with `ViewPropTypes` and adds the appropriate ' +
+    '`import` or `require` statement.',
+  'react-to-react-dom':
+    'Updates code for the split of the `react` and `react-dom` packages ' +
+    '(e.g., `React.render` to `ReactDOM.render`).',
+  'remove-forward-ref':
+    'Unwraps `forwardRef` render functions into function components that read `ref` from ' +
+    'their props, as React 19 allows.',
+  'rename-unsafe-lifecycles':
+    'Adds "UNSAFE_" prefix for deprecated lifecycle hooks.',
+  'replace-act-import':
+    'Imports `act` from `react` instead of `react-dom/test-utils` and `react-test-renderer`, ' +
+    'including `TestUtils.act(...)` calls.',
+  'sort-comp':
+    'Reorders React component methods to match the ESLint `react/sort-comp` rule.',
+  'string-refs':
+    'Replaces string refs with `React.createRef()` in ES2015 classes and with callback refs ' +
+    'in `React.createClass` components.',
+  'test-utils-to-testing-library':
+    'Rewrites `react-dom/test-utils` and `react-test-renderer` tests to `render`, `fireEvent` ' +
+    'and `screen` from React Testing Library, with TODO comments where there is no equivalent.',
+  'update-react-imports':
+    'Removes `React` imports that only JSX needed, for the new JSX runtime, and imports ' +
+    'the members of React that are still used by name.',
+};
+
+// Presets chain several transforms in a single parse/print cycle per file.
+// Keep these in sync with the "Presets" section of the README.
+const PRESETS = {
+  'upgrade-to-15':
+    'Runs the transforms needed to upgrade to React 15 (`findDOMNode`, `react-to-react-dom`).',
+  'upgrade-to-16':
+    'Runs `upgrade-to-15` and the transforms needed to upgrade to React 16 ' +
+    '(`pure-render-mixin`, `class`, `React-PropTypes-to-prop-types`, ' +
+    '`React-DOM-to-react-dom-factories`, `error-boundaries`).',
+  'upgrade-to-16.3':
+    'Runs `upgrade-to-16` and `rename-unsafe-lifecycles`.',
+};
+
+// Options understood by the jscodeshift runner itself. Everything else on the
+// command line is checked against the transform's option schema and forwarded
+// to it.
+const RUNNER_OPTIONS = {
+  'dry': {alias: 'd', type: 'boolean', help: 'Dry run (no changes are made to files)'},
+  'print': {alias: 'p', type: 'boolean', help: 'Print output, useful for development'},
+  'cpus': {alias: 'c', type: 'number', help: 'Number of worker processes (all CPUs by default)'},
+  'verbose': {alias: 'v', type: 'number', help: 'Show more information about the transform process (0, 1 or 2)'},
+  'extensions': {type: 'string', help: 'File extensions to transform (default: js)'},
+  'parser': {type: 'string', help: 'Parser to use: babylon, flow, ts or tsx (default: picked per file)'},
+  'ignore-pattern': {type: 'string', help: 'Ignore files that match a provided glob expression'},
+  'ignore-config': {type: 'string', help: 'Ignore files matching patterns from a file (e.g. .gitignore)'},
+  'run-in-band': {type: 'boolean', help: 'Run serially in the current process'},
+  'silent': {alias: 's', type: 'boolean', help: 'No output'},
+};
+
+const CLI_OPTIONS = {
+  'help': {alias: 'h', type: 'boolean', help: 'Show this help'},
+  'list': {alias: 'l', type: 'boolean', help: 'List available transforms'},
+  'interactive': {alias: 'i', type: 'boolean', help: 'Pick the transform and its options interactively'},
+  'report': {type: 'string', help: 'Report skipped code and warnings as json, csv or markdown'},
+  'report-output': {type: 'string', help: 'Write the report to a file instead of stdout'},
+  'config': {type: 'string', help: 'Config file to use instead of looking up .reactcodemodrc'},
+};
+
+const camelCase = name =>
+  name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+
+const getTransformNames = () =>
+  Object.keys(TRANSFORMS).sort(
+    (a, b) => a.toLowerCase() < b.toLowerCase() ? -1 : 1
+  );
+
+const getPresetNames = () => Object.keys(PRESETS).sort();
+
+const describeTransform = name =>
+  TRANSFORMS.hasOwnProperty(name) ? TRANSFORMS[name] : PRESETS[name];
+
+let babelRegistered = false;
+
+// Some transforms are written as ES modules, so they need to be compiled
+// before the CLI can read their option schema.
+const registerBabel = () => {
+  if (babelRegistered) {
+    return;
+  }
+  babelRegistered = true;
+  require('babel-register')({
+    babelrc: false,
+    only: new RegExp('^' + TRANSFORMS_DIR.replace(/[\\^$.*+?()[\]{}|]/g, '\\$&')),
+    presets: [require('babel-preset-es2015')],
+    plugins: [require('babel-plugin-transform-object-rest-spread')],
+  });
+};
+
+const resolveTransform = name => {
+  const transformName = name.replace(/\.js$/, '');
+  let transformPath;
+  if (TRANSFORMS.hasOwnProperty(transformName)) {
+    transformPath = path.join(TRANSFORMS_DIR, transformName + '.js');
+  } else if (PRESETS.hasOwnProperty(transformName)) {
+    transformPath = path.join(PRESETS_DIR, transformName + '.js');
+  } else {
+    return null;
+  }
+  return fs.existsSync(transformPath) ? transformPath : null;
+};
+
+const loadTransform = transformPath => {
+  registerBabel();
+  return require(transformPath);
+};
+
+/**
+ * Returns the option schema a transform exports as `options`:
+ * a list of `{name, type, default, description}` objects.
+ */
+const getTransformOptions = name => {
+  const transformPath = resolveTransform(name);
+  return (transformPath && loadTransform(transformPath).options) || [];
+};
+
+const minimistOptions = schema => {
+  const result = {boolean: [], string: [], alias: {}};
+  [RUNNER_OPTIONS, CLI_OPTIONS].forEach(definitions => {
+    Object.keys(definitions).forEach(name => {
+      const definition = definitions[name];
+      if (definition.type === 'boolean') {
+        result.boolean.push(name);
+      } else if (definition.type === 'string') {
+        result.string.push(name);
+      }
+      if (definition.alias) {
+        result.alias[definition.alias] = name;
+      }
+    });
+  });
+  // Declaring the transform's booleans lets `--useArrows src` treat `src` as
+  // a path, and declaring its strings stops minimist from turning `--x=1`
+  // into a number.
+  schema.forEach(option => {
+    if (option.type === 'boolean') {
+      result.boolean.push(option.name);
+    } else if (option.type === 'string') {
+      result.string.push(option.name);
+    }
+  });
+  return result;
+};
+
+const wasPassed = (argv, name) =>
+  argv.some(arg =>
+    arg === '--' + name ||
+    arg === '--no-' + name ||
+    arg.indexOf('--' + name + '=') === 0
+  );
+
+/**
+ * Finds the transform named on the command line, so that its option schema
+ * can be used to parse the remaining arguments.
+ */
+const findTransformName = argv => {
+  const name = argv.find(arg => arg[0] !== '-' && resolveTransform(arg) !== null);
+  return name ? name.replace(/\.js$/, '') : null;
+};
+
+/**
+ * Splits `argv` into the transform name, the paths to run it on, the options
+ * for the jscodeshift runner and the options forwarded to the transform.
+ * Transform options are left as they were typed; `validateOptions` coerces
+ * them according to the transform's schema.
+ */
+const parseArgs = (argv, schema) => {
+  schema = schema || [];
+  const parserOptions = minimistOptions(schema);
+  const args = minimist(argv, parserOptions);
+  const runnerOptions = {};
+  const transformOptions = {};
+  const booleanOptions = schema
+    .filter(option => option.type === 'boolean')
+    .map(option => option.name);
+
+  Object.keys(args).forEach(key => {
+    // minimist sets both the alias and the full name; only look at the latter
+    if (
+      key === '_' ||
+      parserOptions.alias.hasOwnProperty(key) ||
+      CLI_OPTIONS.hasOwnProperty(key)
+    ) {
+      return;
+    }
+    if (RUNNER_OPTIONS.hasOwnProperty(key)) {
+      if (RUNNER_OPTIONS[key].type !== 'boolean' || args[key]) {
+        runnerOptions[camelCase(key)] = RUNNER_OPTIONS[key].type === 'number' ?
+          Number(args[key]) :
+          args[key];
+      }
+      return;
+    }
+    // minimist defaults every declared boolean to false
+    if (booleanOptions.indexOf(key) !== -1 && !wasPassed(argv, key)) {
+      return;
+    }
+    transformOptions[key] = args[key];
+  });
+
+  // minimist reads `--useArrows=ture` as true; keep what was typed so that the
+  // typo is reported instead.
+  booleanOptions.forEach(name => {
+    argv.forEach(arg => {
+      if (arg.indexOf('--' + name + '=') === 0) {
+        transformOptions[name] = arg.slice(name.length + 3);
+      }
+    });
+  });
+
+  return {
+    transform: args._.length ? String(args._[0]) : null,
+    paths: args._.slice(1).map(String),
+    runnerOptions,
+    transformOptions,
+    help: !!args.help,
+    list: !!args.list,
+    interactive: !!args.interactive,
+    report: args.report || null,
+    reportOutput: args['report-output'] || null,
+    config: args.config || null,
+  };
+};
+
+const FLAG_COLUMN_WIDTH = 26;
+
+const formatFlag = (flag, help) => {
+  const padding = new Array(FLAG_COLUMN_WIDTH + 1).join(' ');
+  if (flag.length >= FLAG_COLUMN_WIDTH - 1) {
+    return '  ' + flag + '\n  ' + padding + help;
+  }
+  return '  ' + (flag + padding).slice(0, FLAG_COLUMN_WIDTH) + help;
+};
+
+const formatOptions = definitions =>
+  Object.keys(definitions).map(name => {
+    const definition = definitions[name];
+    const flag = (definition.alias ? '-' + definition.alias + ', ' : '    ') + '--' + name;
+    return formatFlag(flag, definition.help);
+  }).join('\n');
+
+const formatTransformOptions = transformOptions =>
+  transformOptions.map(option => {
+    const details = [option.type];
+    if (option.default !== undefined) {
+      details.push('default: ' + JSON.stringify(option.default));
+    }
+    return formatFlag(
+      '    --' + option.name,
+      option.description + ' (' + details.join(', ') + ')'
+    );
+  }).join('\n');
+
+const formatTransformList = () =>
+  getTransformNames().map(name => '  ' + name + '\n      ' + TRANSFORMS[name]).join('\n');
+
+const formatPresetList = () =>
+  getPresetNames().map(name => '  ' + name + '\n      ' + PRESETS[name]).join('\n');
+
+const usage = () => [
+  'Usage: react-codemod <transform> <path>... [options]',
+  '       react-codemod --interactive',
+  '',
+  'Runs one of the react-codemod transforms on the given files or directories.',
+  'Any option not listed below is forwarded to the transform, e.g.',
+  '`react-codemod class src --flow=true --pure-component=true`.',
+  'Run `react-codemod <transform> --help` to see the options of a transform.',
+  'A preset can be given instead of a transform to run several transforms in order.',
+  '',
+  'Options:',
+  formatOptions(CLI_OPTIONS),
+  formatOptions(RUNNER_OPTIONS),
+  '',
+  'Transforms:',
+  formatTransformList(),
+  '',
+  'Presets:',
+  formatPresetList(),
+  '',
+].join('\n');
+
+const transformUsage = name => {
+  const transformOptions = getTransformOptions(name);
+  return [
+    'Usage: react-codemod ' + name + ' <path>... [options]',
+    '',
+    describeTransform(name),
+    '',
+    'Transform options:',
+    transformOptions.length ? formatTransformOptions(transformOptions) : '  (none)',
+    '',
+    'Runner options:',
+    formatOptions(RUNNER_OPTIONS),
+    '',
+  ].join('\n');
+};
+
+const unknownTransform = (name, io) => {
+  io.stderr.write(
+    'Unknown transform "' + name + '". Available transforms are:\n' +
+    formatTransformList() + '\n' +
+    'and presets:\n' +
+    formatPresetList() + '\n'
+  );
+  return Promise.resolve(1);
+};
+
+/**
+ * Reads a project config file and checks the defaults it sets for the
+ * transform, or for each step of a preset, against their option schemas.
+ * Shared `options` are only checked by the transforms that understand them.
+ */
+const readProjectConfig = (transformName, configPath) => {
+  let config;
+  try {
+    config = projectConfig.loadConfig(configPath);
+  } catch (e) {
+    return {errors: [e.message]};
+  }
+
+  const errors = [];
+  const steps = loadTransform(resolveTransform(transformName)).steps || [transformName];
+  steps.forEach(step => {
+    const schema = getTransformOptions(step);
+    const defaults = {};
+    Object.keys(config.options || {}).forEach(name => {
+      if (schema.some(option => option.name === name)) {
+        defaults[name] = config.options[name];
+      }
+    });
+    Object.assign(defaults, config.transforms && config.transforms[step]);
+    validateOptions(step, schema, defaults).errors.forEach(error => {
+      errors.push(configPath + ': ' + error);
+    });
+  });
+  if (config.parser !== undefined && typeof config.parser !== 'string') {
+    errors.push(configPath + ': "parser" should be a string.');
+  }
+  if (
+    config.ignore !== undefined &&
+    typeof config.ignore !== 'string' &&
+    !Array.isArray(config.ignore)
+  ) {
+    errors.push(configPath + ': "ignore" should be a glob or a list of globs.');
+  }
+  return {config, errors};
+};
+
+const writeReport = (args, diagnosticsFile, io) => {
+  const output = report.formatReport(report.readEntries(diagnosticsFile), args.report);
+  if (fs.existsSync(diagnosticsFile)) {
+    fs.unlinkSync(diagnosticsFile);
+  }
+  if (args.reportOutput) {
+    fs.writeFileSync(args.reportOutput, output);
+  } else {
+    io.stdout.write(output);
+  }
+};
+
+const runTransform = (args, io) => {
+  const transformPath = resolveTransform(args.transform);
+  if (!transformPath) {
+    return unknownTransform(args.transform, io);
+  }
+  if (args.report && report.FORMATS.indexOf(args.report) === -1) {
+    io.stderr.write(
+      'Unknown report format "' + args.report + '". ' +
+      'Use one of: ' + report.FORMATS.join(', ') + '.\n'
+    );
+    return Promise.resolve(1);
+  }
+
+  // Check the options before any file is touched.
+  const validation = validateOptions(
+    args.transform,
+    getTransformOptions(args.transform),
+    args.transformOptions
+  );
+  if (validation.errors.length) {
+    io.stderr.write(
+      validation.errors.join('\n') + '\n' +
+      'Run `react-codemod ' + args.transform + ' --help` to see the available options.\n'
+    );
+    return Promise.resolve(1);
+  }
+
+  const configPath = args.config ?
+    path.resolve(args.config) :
+    projectConfig.findConfig(process.cwd());
+  let config = {};
+  if (configPath) {
+    const configCheck = readProjectConfig(args.transform.replace(/\.js$/, ''), configPath);
+    if (configCheck.errors.length) {
+      io.stderr.write(configCheck.errors.join('\n') + '\n');
+      return Promise.resolve(1);
+    }
+    config = configCheck.config;
+  }
+
+  const Runner = require('jscodeshift/dist/Runner');
+  const options = Object.assign(
+    {babel: true, extensions: 'js', verbose: 0},
+    config.parser ? {parser: config.parser} : {},
+    validation.options,
+    args.runnerOptions
+  );
+  // Ignore patterns from the config and the command line add up.
+  if (config.ignore) {
+    options.ignorePattern = [].concat(config.ignore, args.runnerOptions.ignorePattern || []);
+  }
+  // Transforms look up the config of each file themselves, unless told which
+  // one to use.
+  if (args.config) {
+    options.config = configPath;
+  }
+
+  // Transforms run in worker processes and append what they skipped to this
+  // file, see transforms/utils/diagnostics.js.
+  let diagnosticsFile = null;
+  if (args.report) {
+    diagnosticsFile = path.join(
+      os.tmpdir(),
+      'react-codemod-' + process.pid + '-' + Date.now() + '.jsonl'
+    );
+    options['diagnostics-file'] = diagnosticsFile;
+  }
+
+  return Promise.resolve(Runner.run(transformPath, args.paths, options))
+    .then(result => {
+      if (diagnosticsFile) {
+        writeReport(args, diagnosticsFile, io);
+      }
+      return result && result.error > 0 ? 1 : 0;
+    });
+};
+
+/**
+ * Runs the CLI and resolves with the process exit code.
+ */
+const run = (argv, io) => {
+  io = io || {stdout: process.stdout, stderr: process.stderr, stdin: process.stdin};
+  const transformName = findTransformName(argv);
+  const args = parseArgs(argv, transformName ? getTransformOptions(transformName) : []);
+
+  if (args.help) {
+    if (!args.transform) {
+      io.stdout.write(usage());
+      return Promise.resolve(0);
+    }
+    if (!resolveTransform(args.transform)) {
+      return unknownTransform(args.transform, io);
+    }
+    io.stdout.write(transformUsage(args.transform.replace(/\.js$/, '')));
+    return Promise.resolve(0);
+  }
+
+  if (args.list) {
+    io.stdout.write(formatTransformList() + '\n\nPresets:\n' + formatPresetList() + '\n');
+    return Promise.resolve(0);
+  }
+
+  if (args.interactive || (!args.transform && io.stdin && io.stdin.isTTY)) {
+    const interactive = require('./interactive');
+    return interactive.prompt({
+      transforms: getTransformNames().concat(getPresetNames())
+        .map(name => ({name, description: describeTransform(name)})),
+      defaultTransform: args.transform && args.transform.replace(/\.js$/, ''),
+      getTransformOptions,
+    }).then(answers => runTransform({
+      transform: answers.transform,
+      paths: answers.paths,
+      runnerOptions: Object.assign({}, args.runnerOptions, answers.runnerOptions),
+      transformOptions: Object.assign({}, args.transformOptions, answers.transformOptions),
+      report: args.report,
+      reportOutput: args.reportOutput,
+      config: args.config,
+    }, io));
+  }
+
+  if (!args.transform || !args.paths.length) {
+    io.stderr.write(usage());
+    return Promise.resolve(1);
+  }
+
+  return runTransform(args, io);
+};
+
+module.exports = {
+  PRESETS,
+  TRANSFORMS,
+  getPresetNames,
+  getTransformNames,
+  getTransformOptions,
+  parseArgs,
+  resolveTransform,
+  run,
+};
@@ -0,0 +1,126 @@
+/**
+ * Copyright 2013-2015, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ */
+
+'use strict';
+
+const inquirer = require('inquirer');
+
+const splitList = (value, separator) =>
+  value
+    .split(separator)
+    .map(item => item.trim())
+    .filter(item => item.length > 0);
+
+// Builds the inquirer question for one entry of a transform's option schema.
+// Options of type `object` (like `printOptions`) are left to the command line.
+const createOptionQuestion = option => {
+  const question = {
+    name: option.name,
+    message: option.description + ' (' + option.name + ')',
+  };
+
+  switch (option.type) {
+    case 'boolean':
+      question.type = 'confirm';
+      question.default = !!option.default;
+      return question;
+    case 'string':
+      question.type = 'input';
+      question.default = option.default;
+      return question;
+    case 'number':
+      question.type = 'input';
+      question.default = option.default;
+      question.validate = value => !isNaN(Number(value)) || 'Please enter a number';
+      question.filter = value => value === '' ? undefined : Number(value);
+      return question;
+    case 'array':
+      question.type = 'input';
+      question.message += ', comma-separated';
+      question.default = option.default && option.default.join(',');
+      question.filter = value => {
+        const list = splitList(value, ',');
+        return list.length ? list : undefined;
+      };
+      return question;
+    default:
+      return null;
+  }
+};
+
+const isDefaultValue = (option, value) =>
+  value === undefined ||
+  value === '' ||
+  JSON.stringify(value) === JSON.stringify(option.default);
+
+/**
+ * Asks which transform to run, on which files and with which options.
+ * Resolves with `{transform, paths, runnerOptions, transformOptions}`, where
+ * `transformOptions` only contains the answers that differ from the defaults.
+ */
+const prompt = config =>
+  inquirer.prompt([
+    {
+      type: 'list',
+      name: 'transform',
+      message: 'Which transform would you like to run?',
+      default: config.defaultTransform,
+      choices: config.transforms.map(transform => ({
+        name: transform.name + ': ' + transform.description,
+        short: transform.name,
+        value: transform.name,
+      })),
+      pageSize: config.transforms.length,
+    },
+    {
+      type: 'input',
+      name: 'paths',
+      message: 'On which files or directories should the transform be run? (space-separated)',
+      default: '.',
+      filter: value => splitList(value, /\s+/),
+      validate: value => value.length > 0 || 'Please enter at least one path',
+    },
+    {
+      type: 'input',
+      name: 'extensions',
+      message: 'Which file extensions should be transformed? (comma-separated)',
+      default: 'js',
+      filter: value => splitList(value.replace(/\./g, ''), ',').join(','),
+    },
+  ]).then(answers => {
+    const transformOptions = config.getTransformOptions(answers.transform);
+    const questions = transformOptions
+      .map(createOptionQuestion)
+      .filter(question => question !== null);
+
+    return inquirer.prompt(questions).then(optionAnswers => {
+      const result = {};
+      transformOptions.forEach(option => {
+        if (
+          optionAnswers.hasOwnProperty(option.name) &&
+          !isDefaultValue(option, optionAnswers[option.name])
+        ) {
+          result[option.name] = optionAnswers[option.name];
+        }
+      });
+
+      return {
+        transform: answers.transform,
+        paths: answers.paths,
+        runnerOptions: {extensions: answers.extensions || 'js'},
+        transformOptions: result,
+      };
+    });
+  });
+
+module.exports = {
+  createOptionQuestion,
+  prompt,
+};
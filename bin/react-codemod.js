@@ -0,0 +1,24 @@
+#!/usr/bin/env node
+/**
+ * Copyright 2013-2015, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ */
+
+'use strict';
+
+require('./cli')
+  .run(process.argv.slice(2))
+  .then(
+    code => {
+      process.exitCode = code;
+    },
+    error => {
+      console.error(error && error.stack || error);
+      process.exitCode = 1;
+    }
+  );
@@ -0,0 +1,122 @@
+/**
+ * Copyright 2013-2015, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ */
+
+'use strict';
+
+const fs = require('fs');
+
+const FORMATS = ['json', 'csv', 'markdown'];
+
+const COLUMNS = ['file', 'line', 'column', 'component', 'rule', 'severity', 'reason'];
+
+/**
+ * Reads the entries that transforms appended to a diagnostics file (see
+ * `transforms/utils/diagnostics.js`). A missing file means nothing was
+ * recorded.
+ */
+const readEntries = diagnosticsFile => {
+  if (!fs.existsSync(diagnosticsFile)) {
+    return [];
+  }
+  return fs.readFileSync(diagnosticsFile, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line));
+};
+
+// Entries are recorded by several workers at once; sort them so that reports
+// are stable.
+const sortEntries = entries =>
+  entries.slice().sort((a, b) =>
+    String(a.file).localeCompare(String(b.file)) ||
+    (a.line || 0) - (b.line || 0) ||
+    (a.column || 0) - (b.column || 0)
+  );
+
+const countBy = (entries, key) => {
+  const counts = {};
+  entries.forEach(entry => {
+    counts[entry[key]] = (counts[entry[key]] || 0) + 1;
+  });
+  return counts;
+};
+
+const summarize = entries => ({
+  total: entries.length,
+  bySeverity: countBy(entries, 'severity'),
+  byRule: countBy(entries, 'rule'),
+});
+
+const formatValue = value => (value === null || value === undefined ? '' : String(value));
+
+const csvCell = value => {
+  const text = formatValue(value);
+  return /[",\n\r]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+};
+
+const markdownCell = value =>
+  formatValue(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+
+const markdownTable = (header, rows) => [
+  '| ' + header.join(' | ') + ' |',
+  '| ' + header.map(() => '---').join(' | ') + ' |',
+].concat(rows.map(row => '| ' + row.map(markdownCell).join(' | ') + ' |'));
+
+const formatJSON = entries =>
+  JSON.stringify({summary: summarize(entries), entries}, null, 2) + '\n';
+
+const formatCSV = entries =>
+  [COLUMNS.join(',')]
+    .concat(entries.map(entry => COLUMNS.map(column => csvCell(entry[column])).join(',')))
+    .join('\n') + '\n';
+
+const formatMarkdown = entries => {
+  const summary = summarize(entries);
+  const lines = ['# react-codemod report', ''];
+  if (!entries.length) {
+    return lines.concat(['Nothing was skipped.', '']).join('\n');
+  }
+  return lines.concat(
+    ['## Summary', ''],
+    markdownTable(
+      ['Rule', 'Count'],
+      Object.keys(summary.byRule).sort().map(rule => [rule, summary.byRule[rule]])
+    ),
+    ['', '**Total:** ' + summary.total, '', '## Entries', ''],
+    markdownTable(
+      ['File', 'Line', 'Column', 'Component', 'Rule', 'Severity', 'Reason'],
+      entries.map(entry => COLUMNS.map(column => entry[column]))
+    ),
+    ['']
+  ).join('\n');
+};
+
+/**
+ * Formats diagnostics entries as `json`, `csv` or `markdown`.
+ */
+const formatReport = (entries, format) => {
+  const sorted = sortEntries(entries);
+  switch (format) {
+    case 'json':
+      return formatJSON(sorted);
+    case 'csv':
+      return formatCSV(sorted);
+    case 'markdown':
+      return formatMarkdown(sorted);
+    default:
+      throw new Error('Unknown report format "' + format + '"');
+  }
+};
+
+module.exports = {
+  FORMATS,
+  formatReport,
+  readEntries,
+};
@@ -0,0 +1,93 @@
+/**
+ * Copyright 2013-2015, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ */
+
+'use strict';
+
+const coerceValue = require('../transforms/utils/options').coerceValue;
+
+const normalizeName = name => name.replace(/[-_]/g, '').toLowerCase();
+
+const editDistance = (a, b) => {
+  let previous = [];
+  for (let j = 0; j <= b.length; j++) {
+    previous.push(j);
+  }
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current.push(Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      ));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Finds the option the user most likely meant, e.g. `usearrows` or
+// `useArrow` for `useArrows`.
+const suggestOption = (name, schema) => {
+  let suggestion = null;
+  let bestDistance = 3;
+  schema.forEach(option => {
+    const distance = editDistance(normalizeName(name), normalizeName(option.name));
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      suggestion = option.name;
+    }
+  });
+  return suggestion;
+};
+
+/**
+ * Checks the options passed to a transform against its option schema.
+ * Returns the coerced options and a list of error messages for unknown or
+ * mistyped options; the options should only be used if there are no errors.
+ */
+const validateOptions = (transformName, schema, options) => {
+  const errors = [];
+  const result = {};
+  const optionsByName = {};
+  schema.forEach(option => {
+    optionsByName[option.name] = option;
+  });
+
+  Object.keys(options).forEach(name => {
+    const option = optionsByName[name];
+    if (!option) {
+      const suggestion = suggestOption(name, schema);
+      errors.push(
+        'Unknown option "--' + name + '" for transform "' + transformName + '".' +
+        (suggestion ? ' Did you mean "--' + suggestion + '"?' : '')
+      );
+      return;
+    }
+
+    const coerced = coerceValue(option, options[name]);
+    if (coerced.error) {
+      errors.push(
+        'Option "--' + name + '" ' + coerced.error +
+        ', got ' + JSON.stringify(options[name]) + '.'
+      );
+      return;
+    }
+    result[name] = coerced.value;
+  });
+
+  return {options: result, errors};
+};
+
+module.exports = {
+  coerceValue,
+  suggestOption,
+  validateOptions,
+};
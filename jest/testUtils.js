@@ -0,0 +1,182 @@
+/**
+ * Copyright 2013-2015, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'transforms', '__testfixtures__');
+const MANIFEST_FILE = 'manifest.json';
+
+/*
+ * Every directory of `transforms/__testfixtures__` lists its test cases in a
+ * manifest:
+ *
+ *   {
+ *     "transform": "class",
+ *     "tests": [
+ *       {"name": "class-flow1", "options": {"flow": true}},
+ *       {"name": "class-typescript", "extension": "tsx"}
+ *     ]
+ *   }
+ *
+ * `name` is the fixture prefix, relative to the directory. A test can name
+ * its own `transform` (relative to `transforms/`); `options` and `extension`
+ * (`js` by default) are optional, as are the fixture settings below.
+ *
+ * Settings can also live next to the fixtures, in `<name>.fixture.json`,
+ * which takes precedence over the manifest:
+ *
+ *   {
+ *     "options": {"flow": true},
+ *     "path": "src/Foo.js",
+ *     "warnings": ["Class \"Foo\" skipped in src/Foo.js"]
+ *   }
+ *
+ * - `options` are passed to the transform;
+ * - `path` is the file path the transform sees, instead of the path of the
+ *   input fixture (the parser is picked from it as well);
+ * - `warnings` are the messages the transform should print with
+ *   `console.warn`, in order; each one only has to be part of the message.
+ *   Warnings are not checked when this is left out.
+ *
+ * An empty output fixture means that the transform should leave the input
+ * alone and return null.
+ */
+
+const SETTINGS_EXTENSION = '.fixture.json';
+
+const escapeRegExp = string => string.replace(/[\\^$.*+?()[\]{}|]/g, '\\$&');
+
+// Runs a transform like the jscodeshift runner does, and returns its output
+// along with what it printed with `console.warn`.
+const runTransform = (module, options, file) => {
+  const transform = module.default || module;
+  // Jest resets the module registry between tests; get a fresh jscodeshift.
+  const jscodeshift = require('jscodeshift');
+  const warnings = [];
+  const warn = console.warn;
+  console.warn = function() {
+    warnings.push(Array.prototype.join.call(arguments, ' '));
+  };
+  try {
+    const output = transform(file, {jscodeshift, stats: () => {}}, options || {});
+    return {output, warnings};
+  } finally {
+    console.warn = warn;
+  }
+};
+
+const readSettings = settingsPath => fs.existsSync(settingsPath) ?
+  JSON.parse(fs.readFileSync(settingsPath, 'utf8')) :
+  {};
+
+/**
+ * Defines the tests of a single fixture: `test.name` is the path of the
+ * fixture prefix relative to `__testfixtures__`, `test.transform` the path of
+ * the transform relative to the parent of `dirName`. See the manifest format
+ * above for the other settings.
+ *
+ * Besides comparing the output of the transform with the output fixture, it
+ * checks that running the transform again on the output leaves it as is.
+ */
+const defineFixtureTest = (dirName, test) => {
+  const extension = test.extension || 'js';
+  const fixtureDir = path.join(dirName, '..', '__testfixtures__');
+  const prefix = path.join(fixtureDir, test.name);
+  const inputPath = prefix + '.input.' + extension;
+  const outputPath = prefix + '.output.' + extension;
+  const sidecar = readSettings(prefix + SETTINGS_EXTENSION);
+  const settings = Object.assign({}, test, sidecar, {
+    options: Object.assign({}, test.options, sidecar.options),
+  });
+  const load = () => require(path.join(dirName, '..', settings.transform));
+  const read = filePath => ({
+    path: settings.path || filePath,
+    source: fs.readFileSync(filePath, 'utf8'),
+  });
+
+  describe(settings.transform, () => {
+    it(`transforms correctly using "${test.name}" data`, () => {
+      const expected = read(outputPath).source;
+      const result = runTransform(load(), settings.options, read(inputPath));
+      if (expected.trim()) {
+        expect((result.output || '').trim()).toEqual(expected.trim());
+      } else {
+        expect(result.output).toBe(null);
+      }
+      if (settings.warnings) {
+        expect(result.warnings).toEqual(settings.warnings.map(
+          warning => jasmine.stringMatching(escapeRegExp(warning))
+        ));
+      }
+    });
+
+    it(`is idempotent using "${test.name}" data`, () => {
+      const file = read(outputPath);
+      if (!file.source.trim()) {
+        // Already covered: the transform left the input alone.
+        return;
+      }
+      const result = runTransform(load(), settings.options, file);
+      expect((result.output || file.source).trim()).toEqual(file.source.trim());
+    });
+  });
+};
+
+/**
+ * Like jscodeshift's `defineTest`, with the checks of `defineFixtureTest`.
+ * Fixtures can have another extension than `js`.
+ */
+const defineTest = (dirName, transformName, options, testFilePrefix, extension) =>
+  defineFixtureTest(dirName, {
+    transform: transformName,
+    name: testFilePrefix || transformName,
+    options,
+    extension,
+  });
+
+const getManifestPath = fixtureDir =>
+  path.join(FIXTURES_DIR, fixtureDir, MANIFEST_FILE);
+
+/**
+ * Reads the manifest of a fixture directory, relative to
+ * `transforms/__testfixtures__`. Returns an empty manifest if there is none.
+ */
+const readManifest = fixtureDir => {
+  const manifestPath = getManifestPath(fixtureDir);
+  return fs.existsSync(manifestPath) ?
+    JSON.parse(fs.readFileSync(manifestPath, 'utf8')) :
+    {tests: []};
+};
+
+/**
+ * Defines a test (see `defineTest`) for every case in the manifest of a
+ * fixture directory.
+ */
+const defineManifestTests = (dirName, fixtureDir) => {
+  const manifest = readManifest(fixtureDir);
+  manifest.tests.forEach(test => defineFixtureTest(dirName, Object.assign({}, test, {
+    transform: test.transform || manifest.transform,
+    name: fixtureDir + '/' + test.name,
+  })));
+};
+
+module.exports = {
+  FIXTURES_DIR,
+  MANIFEST_FILE,
+  SETTINGS_EXTENSION,
+  defineFixtureTest,
+  defineManifestTests,
+  defineTest,
+  getManifestPath,
+  readManifest,
+};
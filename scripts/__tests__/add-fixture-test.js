@@ -0,0 +1,149 @@
+/**
+ * Copyright 2013-2015, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const addFixture = require('../add-fixture');
+
+const createStreams = () => {
+  const streams = {stdout: {data: ''}, stderr: {data: ''}};
+  ['stdout', 'stderr'].forEach(name => {
+    streams[name].write = chunk => {
+      streams[name].data += chunk;
+    };
+  });
+  return streams;
+};
+
+const removeDir = dir => {
+  fs.readdirSync(dir).forEach(name => {
+    const file = path.join(dir, name);
+    if (fs.statSync(file).isDirectory()) {
+      removeDir(file);
+    } else {
+      fs.unlinkSync(file);
+    }
+  });
+  fs.rmdirSync(dir);
+};
+
+describe('add-fixture', () => {
+  const source = [
+    'var React = require(\'react\');',
+    'var Foo = React.createClass({',
+    '  render: function() {',
+    '    return <div />;',
+    '  },',
+    '});',
+    '',
+  ].join('\n');
+
+  let fixturesDir;
+  let count = 0;
+  let warn;
+
+  beforeEach(() => {
+    fixturesDir = path.join(os.tmpdir(), 'add-fixture-' + process.pid + '-' + count++);
+    warn = console.warn;
+    console.warn = jest.fn();
+  });
+
+  afterEach(() => {
+    console.warn = warn;
+    if (fs.existsSync(fixturesDir)) {
+      removeDir(fixturesDir);
+    }
+  });
+
+  const readManifest = dir =>
+    JSON.parse(fs.readFileSync(path.join(fixturesDir, dir, 'manifest.json'), 'utf8'));
+
+  it('writes the fixtures and lists the case with its options', () => {
+    const result = addFixture.addFixture({
+      fixturesDir,
+      transform: 'class',
+      name: 'class-new',
+      source,
+      options: {flow: true},
+    });
+
+    expect(fs.readFileSync(result.inputPath, 'utf8')).toBe(source);
+    expect(fs.readFileSync(result.outputPath, 'utf8')).toBe(result.output);
+    expect(result.output).toContain('class Foo extends React.Component');
+    expect(readManifest('class')).toEqual({
+      transform: 'class',
+      tests: [{name: 'class-new', options: {flow: true}}],
+    });
+  });
+
+  it('records unchanged sources as an empty output', () => {
+    const result = addFixture.addFixture({
+      fixturesDir,
+      transform: 'findDOMNode',
+      name: 'noop',
+      source: 'var a = 1;\n',
+      extension: 'tsx',
+    });
+
+    expect(result.output).toBe(null);
+    expect(path.basename(result.outputPath)).toBe('noop.output.tsx');
+    expect(fs.readFileSync(result.outputPath, 'utf8')).toBe('');
+    expect(readManifest('findDOMNode').tests).toEqual([{name: 'noop', extension: 'tsx'}]);
+  });
+
+  it('names the transform of cases that are not in its directory', () => {
+    addFixture.addFixture({
+      fixturesDir,
+      transform: 'presets/upgrade-to-15',
+      name: 'upgrade',
+      source,
+    });
+
+    expect(readManifest('presets')).toEqual({
+      tests: [{name: 'upgrade', transform: 'presets/upgrade-to-15'}],
+    });
+  });
+
+  it('only replaces an existing case with force', () => {
+    const spec = {fixturesDir, transform: 'class', name: 'class-new', source};
+    addFixture.addFixture(spec);
+
+    expect(() => addFixture.addFixture(spec))
+      .toThrowError('There already is a "class-new" case in class; use --force to replace it.');
+
+    addFixture.addFixture(Object.assign({}, spec, {force: true, options: {flow: true}}));
+    expect(readManifest('class').tests).toEqual([{name: 'class-new', options: {flow: true}}]);
+  });
+
+  it('checks the transform and its options', () => {
+    const streams = createStreams();
+    return addFixture.run(['nope', 'name'], streams)
+      .then(code => {
+        expect(code).toBe(1);
+        expect(streams.stderr.data).toBe('Unknown transform "nope".\n');
+        return addFixture.run(['class', 'name', '--flwo=true'], streams);
+      })
+      .then(code => {
+        expect(code).toBe(1);
+        expect(streams.stderr.data).toContain('Unknown option "--flwo" for transform "class".');
+      });
+  });
+
+  it('shows its usage', () => {
+    const streams = createStreams();
+    return addFixture.run(['--help'], streams).then(code => {
+      expect(code).toBe(0);
+      expect(streams.stdout.data).toContain('Usage: yarn add-fixture <transform> <name>');
+    });
+  });
+});
@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+/**
+ * Copyright 2013-2015, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const minimist = require('minimist');
+const jscodeshift = require('jscodeshift');
+const cli = require('../bin/cli');
+const testUtils = require('../jest/testUtils');
+const validateOptions = require('../bin/validate').validateOptions;
+
+const TRANSFORMS_DIR = path.join(__dirname, '..', 'transforms');
+const EXTENSIONS = ['js', 'jsx', 'ts', 'tsx'];
+
+const usage = () => [
+  'Usage: yarn add-fixture <transform> <name> [<snippet>] [options]',
+  '',
+  'Runs the transform on the snippet (a file, or stdin when omitted), writes',
+  'the snippet and the output as `<name>.input.<ext>` and `<name>.output.<ext>`',
+  'in transforms/__testfixtures__/<dir>/ and adds the case to the manifest of',
+  'that directory. The output is only a candidate: check it before committing.',
+  '',
+  'Options:',
+  '  --dir=<dir>           Fixture directory (default: the transform\'s own)',
+  '  --extension=<ext>     js, jsx, ts or tsx (default: the snippet\'s, or js)',
+  '  --force               Replace an existing case of the same name',
+  '  --help                Show this message',
+  '',
+  'Any other option is passed to the transform, e.g. `--flow=true`.',
+  '',
+].join('\n');
+
+const mkdirp = dir => {
+  if (!fs.existsSync(dir)) {
+    mkdirp(path.dirname(dir));
+    fs.mkdirSync(dir);
+  }
+};
+
+const readManifest = manifestPath => fs.existsSync(manifestPath) ?
+  JSON.parse(fs.readFileSync(manifestPath, 'utf8')) :
+  null;
+
+/**
+ * Writes the fixtures of a new test case and lists it in the manifest of its
+ * directory. `transform` is the path of the transform relative to
+ * `transforms/`, e.g. `class` or `presets/upgrade-to-16`. Returns the paths
+ * that were written and the output of the transform (null if it left the
+ * source unchanged, which is recorded as an empty output fixture).
+ */
+const addFixture = spec => {
+  const fixturesDir = spec.fixturesDir || testUtils.FIXTURES_DIR;
+  const dir = spec.dir ||
+    (path.dirname(spec.transform) !== '.' ? path.dirname(spec.transform) : spec.transform);
+  const extension = spec.extension || 'js';
+  const prefix = path.join(fixturesDir, dir, spec.name);
+  const inputPath = prefix + '.input.' + extension;
+  const outputPath = prefix + '.output.' + extension;
+  const manifestPath = path.join(fixturesDir, dir, testUtils.MANIFEST_FILE);
+
+  const manifest = readManifest(manifestPath) ||
+    (dir === spec.transform ? {transform: spec.transform, tests: []} : {tests: []});
+  const index = manifest.tests.findIndex(test =>
+    test.name === spec.name && (test.extension || 'js') === extension
+  );
+  if (!spec.force && (index !== -1 || fs.existsSync(inputPath) || fs.existsSync(outputPath))) {
+    throw new Error(
+      'There already is a "' + spec.name + '" case in ' + dir + '; use --force to replace it.'
+    );
+  }
+
+  const module = require(path.join(TRANSFORMS_DIR, spec.transform));
+  const transform = module.default || module;
+  const output = transform(
+    {path: inputPath, source: spec.source},
+    {jscodeshift, stats: () => {}},
+    spec.options || {}
+  );
+
+  const test = {name: spec.name};
+  if (manifest.transform !== spec.transform) {
+    test.transform = spec.transform;
+  }
+  if (spec.options && Object.keys(spec.options).length) {
+    test.options = spec.options;
+  }
+  if (extension !== 'js') {
+    test.extension = extension;
+  }
+  if (index === -1) {
+    manifest.tests.push(test);
+  } else {
+    manifest.tests[index] = test;
+  }
+
+  mkdirp(path.dirname(prefix));
+  fs.writeFileSync(inputPath, spec.source);
+  fs.writeFileSync(outputPath, output || '');
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+
+  return {inputPath, outputPath, manifestPath, output: output || null};
+};
+
+const readStream = stream => new Promise((resolve, reject) => {
+  let data = '';
+  stream.setEncoding('utf8');
+  stream.on('data', chunk => {
+    data += chunk;
+  });
+  stream.on('end', () => resolve(data));
+  stream.on('error', reject);
+});
+
+/**
+ * Runs the command and resolves with the process exit code.
+ */
+const run = (argv, io) => {
+  io = io || {stdout: process.stdout, stderr: process.stderr, stdin: process.stdin};
+  const args = minimist(argv, {
+    string: ['dir', 'extension'],
+    boolean: ['force', 'help'],
+  });
+  const transformName = args._.length ? String(args._[0]) : null;
+  const name = args._.length > 1 ? String(args._[1]) : null;
+  const snippetPath = args._.length > 2 ? String(args._[2]) : null;
+
+  if (args.help || !transformName || !name) {
+    (args.help ? io.stdout : io.stderr).write(usage());
+    return Promise.resolve(args.help ? 0 : 1);
+  }
+
+  const transformPath = cli.resolveTransform(transformName);
+  if (!transformPath) {
+    io.stderr.write('Unknown transform "' + transformName + '".\n');
+    return Promise.resolve(1);
+  }
+
+  const snippetExtension = snippetPath && path.extname(snippetPath).slice(1);
+  const extension = args.extension ||
+    (EXTENSIONS.indexOf(snippetExtension) !== -1 ? snippetExtension : 'js');
+  if (EXTENSIONS.indexOf(extension) === -1) {
+    io.stderr.write('Unsupported extension "' + extension + '".\n');
+    return Promise.resolve(1);
+  }
+
+  const transformOptions = {};
+  Object.keys(args).forEach(key => {
+    if (['_', 'dir', 'extension', 'force', 'help'].indexOf(key) === -1) {
+      transformOptions[key] = args[key];
+    }
+  });
+  const validation = validateOptions(
+    transformName,
+    cli.getTransformOptions(transformName),
+    transformOptions
+  );
+  if (validation.errors.length) {
+    io.stderr.write(validation.errors.join('\n') + '\n');
+    return Promise.resolve(1);
+  }
+
+  const source = snippetPath ?
+    Promise.resolve(fs.readFileSync(snippetPath, 'utf8')) :
+    readStream(io.stdin);
+
+  return source.then(snippet => {
+    let result;
+    try {
+      result = addFixture({
+        transform: path.relative(TRANSFORMS_DIR, transformPath).replace(/\.js$/, ''),
+        name,
+        source: snippet,
+        options: validation.options,
+        extension,
+        dir: args.dir,
+        force: args.force,
+      });
+    } catch (e) {
+      io.stderr.write(e.message + '\n');
+      return 1;
+    }
+    io.stdout.write(
+      'Wrote ' + path.relative(process.cwd(), result.inputPath) + '\n' +
+      'Wrote ' + path.relative(process.cwd(), result.outputPath) +
+      (result.output === null ? ' (empty: the transform left the input unchanged)' : '') + '\n' +
+      'Updated ' + path.relative(process.cwd(), result.manifestPath) + '\n'
+    );
+    return 0;
+  });
+};
+
+module.exports = {
+  addFixture,
+  run,
+};
+
+if (require.main === module) {
+  run(process.argv.slice(2)).then(
+    code => {
+      process.exitCode = code;
+    },
+    error => {
+      console.error(error && error.stack || error);
+      process.exitCode = 1;
+    }
+  );
+}
@@ -0,0 +1,298 @@
+/**
+ * Copyright 2013-2015, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ */
+
+'use strict';
+
+const config = require('./utils/config');
+const parser = require('./utils/parser');
+const sharedOptions = require('./utils/options');
+
+const DOM_MODULE_NAME = 'DOM';
+const FACTORIES_MODULE = 'react-dom-factories';
+
+/**
+ * React.DOM.ul({className: 'list'},
+ *   React.DOM.li(null, 'One'),
+ *   DOM.li({key: item.id}, item.name)
+ * );
+ *
+ * -->
+ *
+ * <ul className="list">
+ *   <li>One</li>
+ *   <li key={item.id}>{item.name}</li>
+ * </ul>;
+ *
+ * Handles `React.DOM.x`, `DOM.x` with `DOM` taken from `react` or
+ * `react-dom-factories`, and factories destructured from them
+ * (`const {div} = React.DOM`). Bindings that are no longer used are removed;
+ * calls whose props can't be written as attributes are left alone.
+ */
+module.exports = function(file, api, options) {
+  options = config.getOptions('React-DOM-to-jsx', file, options);
+  const j = parser.withParser(api.jscodeshift, file, options);
+  const ReactUtils = require('./utils/ReactUtils')(j);
+  const JSXUtils = require('./utils/JSXUtils')(j);
+  const {
+    isReference,
+    isRequireOf,
+    removeDeclarator,
+    removeStatement,
+  } = require('./utils/ASTUtils')(j);
+
+  const printOptions = options.printOptions || {
+    quote: 'auto',
+    trailingComma: true,
+  };
+
+  // JSX isn't allowed in `.ts` files.
+  if (/\.ts$/.test(file.path || '')) {
+    return null;
+  }
+
+  const root = j(file.source);
+
+  if (
+    options['explicit-require'] !== false &&
+    !ReactUtils.hasReact(root) &&
+    !ReactUtils.usesModule(root, FACTORIES_MODULE)
+  ) {
+    return null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // AST helpers
+
+  const isModuleScope = (path, name) => {
+    const scope = path.scope && path.scope.lookup(name);
+    return !scope || scope.isGlobal;
+  };
+
+  const isUnused = (name, node) =>
+    root
+      .find(j.Identifier, {name})
+      .filter(p => p.value !== node && isReference(p))
+      .size() === 0;
+
+  const isTopLevelDeclarator = path =>
+    path.parent.value.type === 'VariableDeclaration' &&
+    path.parent.parent.value.type === 'Program';
+
+  // ---------------------------------------------------------------------------
+  // Bindings of `React.DOM`
+
+  // Names bound to `React.DOM`: `import {DOM} from 'react'`,
+  // `const {DOM} = React`, `const DOM = React.DOM` or `react-dom-factories`.
+  const domNames = [];
+  // Factories destructured from it, by name: `const {div} = React.DOM`.
+  const factoryNames = {};
+
+  const isReactDOM = node =>
+    node.type === 'MemberExpression' &&
+    !node.computed &&
+    node.object.type === 'Identifier' &&
+    node.object.name === 'React' &&
+    node.property.name === DOM_MODULE_NAME;
+
+  const isDOM = node =>
+    isReactDOM(node) ||
+    (node.type === 'Identifier' && domNames.indexOf(node.name) !== -1);
+
+  const isReact = node =>
+    (node.type === 'Identifier' && node.name === 'React') ||
+    isRequireOf(node, 'react');
+
+  // `{DOM}` or `{div, span}` patterns, as `[{property, name, key}]`.
+  const getPatternBindings = pattern =>
+    pattern.properties
+      .filter(property =>
+        property.type === 'Property' &&
+        !property.computed &&
+        property.key.type === 'Identifier' &&
+        property.value.type === 'Identifier'
+      )
+      .map(property => ({property, name: property.value.name, key: property.key.name}));
+
+  const findDOMBindings = () => {
+    root.find(j.ImportDeclaration).forEach(path => {
+      const source = path.value.source.value;
+      path.value.specifiers.forEach(specifier => {
+        if (
+          (source === 'react' && specifier.type === 'ImportSpecifier' &&
+            specifier.imported.name === DOM_MODULE_NAME) ||
+          (source === FACTORIES_MODULE && specifier.type !== 'ImportSpecifier')
+        ) {
+          domNames.push(specifier.local.name);
+        }
+      });
+    });
+    root.find(j.VariableDeclarator).filter(isTopLevelDeclarator).forEach(path => {
+      const {id, init} = path.value;
+      if (!init) {
+        return;
+      }
+      if (id.type === 'Identifier' && (isReactDOM(init) || isRequireOf(init, FACTORIES_MODULE))) {
+        domNames.push(id.name);
+      } else if (id.type === 'ObjectPattern' && isReact(init)) {
+        getPatternBindings(id)
+          .filter(binding => binding.key === DOM_MODULE_NAME)
+          .forEach(binding => domNames.push(binding.name));
+      }
+    });
+    // Factories can only be destructured once the names of `DOM` are known.
+    root.find(j.VariableDeclarator).filter(isTopLevelDeclarator).forEach(path => {
+      const {id, init} = path.value;
+      if (id.type === 'ObjectPattern' && init && (isDOM(init) || isRequireOf(init, FACTORIES_MODULE))) {
+        getPatternBindings(id).forEach(binding => {
+          factoryNames[binding.name] = binding.key;
+        });
+      }
+    });
+  };
+
+  // Removes the bindings of `DOM` and of factories that are no longer used.
+  const removeUnusedBindings = () => {
+    const isUnusedProperty = binding =>
+      isUnused(binding.name, binding.property.value);
+
+    root.find(j.VariableDeclarator).filter(isTopLevelDeclarator).forEach(path => {
+      const {id, init} = path.value;
+      if (!init || id.type !== 'ObjectPattern') {
+        return;
+      }
+      const removed = getPatternBindings(id).filter(binding =>
+        (factoryNames.hasOwnProperty(binding.name) || domNames.indexOf(binding.name) !== -1) &&
+        isUnusedProperty(binding)
+      );
+      if (!removed.length) {
+        return;
+      }
+      const properties = removed.map(binding => binding.property);
+      id.properties = id.properties.filter(property => properties.indexOf(property) === -1);
+      if (!id.properties.length) {
+        removeDeclarator(path);
+      }
+    });
+    root.find(j.VariableDeclarator).filter(isTopLevelDeclarator).forEach(path => {
+      const {id} = path.value;
+      if (id.type === 'Identifier' && domNames.indexOf(id.name) !== -1 && isUnused(id.name, id)) {
+        removeDeclarator(path);
+      }
+    });
+    root.find(j.ImportDeclaration).forEach(path => {
+      const specifiers = path.value.specifiers.filter(specifier =>
+        domNames.indexOf(specifier.local.name) === -1 || !isUnused(specifier.local.name, specifier.local)
+      );
+      if (specifiers.length === path.value.specifiers.length) {
+        return;
+      }
+      path.value.specifiers = specifiers;
+      if (!specifiers.length) {
+        removeStatement(path);
+      }
+    });
+  };
+
+  // ---------------------------------------------------------------------------
+  // Conversion
+
+  // The tag a call to a DOM factory creates, or null.
+  const getTag = path => {
+    const {callee} = path.value;
+    if (
+      callee.type === 'MemberExpression' &&
+      !callee.computed &&
+      callee.property.type === 'Identifier' &&
+      /^[a-z]/.test(callee.property.name) &&
+      isDOM(callee.object) &&
+      (!callee.object.name || isModuleScope(path, callee.object.name))
+    ) {
+      return callee.property.name;
+    }
+    if (
+      callee.type === 'Identifier' &&
+      factoryNames.hasOwnProperty(callee.name) &&
+      isModuleScope(path, callee.name)
+    ) {
+      return factoryNames[callee.name];
+    }
+    return null;
+  };
+
+  const convertFactoryCall = path => {
+    const tag = getTag(path);
+    if (!tag || !JSXUtils.canConvertExpressionToJSXAttributes(path.value.arguments[0])) {
+      return null;
+    }
+    return JSXUtils.convertCallToJSX(
+      path,
+      {identifier: j.jsxIdentifier(tag), comments: []},
+      0,
+      convertFactoryCall
+    );
+  };
+
+  // ---------------------------------------------------------------------------
+  // React binding
+
+  // JSX compiles to `React.createElement`, which files that only use
+  // `react-dom-factories` may not have in scope.
+  const hasReactBinding = () =>
+    root.find(j.Program).get().scope.declares('React');
+
+  // import React from 'react'; or const React = require('react'); next to
+  // the binding of the factories.
+  const addReactBinding = () => {
+    const body = root.get().value.program.body;
+    const imports = root.find(j.ImportDeclaration);
+    if (imports.size()) {
+      const first = imports.get().value;
+      body.splice(body.indexOf(first), 0, j.template.statement(['import React from \'react\';']));
+      return;
+    }
+    const requires = root
+      .find(j.VariableDeclarator, {init: {type: 'CallExpression'}})
+      .filter(p => isTopLevelDeclarator(p) && isRequireOf(p.value.init, FACTORIES_MODULE));
+    const declaration = requires.size() ? requires.get().parent.value : body[0];
+    const kind = declaration && declaration.type === 'VariableDeclaration' ? declaration.kind : 'const';
+    body.splice(
+      body.indexOf(declaration),
+      0,
+      j.template.statement([`${kind} React = require('react');`])
+    );
+  };
+
+  findDOMBindings();
+
+  let hasModifications = false;
+  root
+    .find(j.CallExpression)
+    .forEach(path => {
+      const element = convertFactoryCall(path);
+      if (element) {
+        j(path).replaceWith(element);
+        hasModifications = true;
+      }
+    });
+
+  if (!hasModifications) {
+    return null;
+  }
+  if (!hasReactBinding()) {
+    addReactBinding();
+  }
+  removeUnusedBindings();
+  return root.toSource(printOptions);
+};
+
+module.exports.options = [
+  sharedOptions.explicitRequire,
+  sharedOptions.printOptions,
+];
@@ -10,8 +10,10 @@
 
 'use strict';
 
+const parser = require('./utils/parser');
+
 module.exports = function(file, api, options) {
-  const j = api.jscodeshift;
+  const j = parser.withParser(api.jscodeshift, file, options);
   const root = j(file.source);
 
   let hasModifications;
@@ -190,3 +192,5 @@ module.exports = function(file, api, options) {
     ? root.toSource({ quote: 'single' })
     : null;
 };
+
+module.exports.options = [];
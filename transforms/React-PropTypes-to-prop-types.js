@@ -10,8 +10,12 @@
 
 'use strict';
 
+const config = require('./utils/config');
+const parser = require('./utils/parser');
+
 module.exports = function(file, api, options) {
-  const j = api.jscodeshift;
+  options = config.getOptions('React-PropTypes-to-prop-types', file, options);
+  const j = parser.withParser(api.jscodeshift, file, options);
   const root = j(file.source);
 
   const MODULE_NAME = options['module-name'] || 'prop-types';
@@ -293,3 +297,12 @@ module.exports = function(file, api, options) {
     ? root.toSource({ quote: 'single' })
     : null;
 };
+
+module.exports.options = [
+  {
+    name: 'module-name',
+    type: 'string',
+    default: 'prop-types',
+    description: 'Module to import `PropTypes` from.',
+  },
+];
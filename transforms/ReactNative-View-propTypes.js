@@ -10,6 +10,8 @@
 
 'use strict';
 
+const parser = require('./utils/parser');
+
 const isReactNativeImport = path => (
   path.parent.node.source.value === 'react-native'
 );
@@ -71,7 +73,7 @@ const isViewPropTypes = path => (
 // See https://github.com/facebook/jscodeshift/issues/185
 // See https://github.com/benjamn/recast/issues/371
 module.exports = function(file, api, options) {
-  const j = api.jscodeshift;
+  const j = parser.withParser(api.jscodeshift, file, options);
 
   let root = j(file.source);
 
@@ -241,3 +243,5 @@ module.exports = function(file, api, options) {
     ? root.toSource({ quote: 'single' })
     : null;
 };
+
+module.exports.options = [];
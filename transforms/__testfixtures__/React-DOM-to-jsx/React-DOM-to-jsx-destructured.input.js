@@ -0,0 +1,13 @@
+import React, {Component, DOM} from 'react';
+
+const {div, span: Span, input} = DOM;
+
+export default class Field extends Component {
+  render() {
+    return div({className: 'field'},
+      Span(null, this.props.label),
+      input({value: this.props.value, onChange: this.props.onChange}),
+      DOM.small(null, 'Required')
+    );
+  }
+}
@@ -0,0 +1,17 @@
+import React, { Component } from 'react';
+
+export default class Field extends Component {
+  render() {
+    return (
+      <div className="field">
+        <span>
+          {this.props.label}
+        </span>
+        <input value={this.props.value} onChange={this.props.onChange} />
+        <small>
+          Required
+        </small>
+      </div>
+    );
+  }
+}
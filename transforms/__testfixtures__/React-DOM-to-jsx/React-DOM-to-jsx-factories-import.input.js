@@ -0,0 +1,6 @@
+import DOM from 'react-dom-factories';
+import {tone} from './theme';
+
+export default function Hint(props) {
+  return DOM.p({className: tone}, props.text);
+}
@@ -0,0 +1,10 @@
+import React from 'react';
+import {tone} from './theme';
+
+export default function Hint(props) {
+  return (
+    <p className={tone}>
+      {props.text}
+    </p>
+  );
+}
@@ -0,0 +1,7 @@
+'use strict';
+
+var DOM = require('react-dom-factories');
+
+module.exports = function Hint(props) {
+  return DOM.p({className: props.tone}, props.text);
+};
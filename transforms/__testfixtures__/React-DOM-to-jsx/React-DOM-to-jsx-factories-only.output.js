@@ -0,0 +1,11 @@
+'use strict';
+
+var React = require('react');
+
+module.exports = function Hint(props) {
+  return (
+    <p className={props.tone}>
+      {props.text}
+    </p>
+  );
+};
@@ -0,0 +1,6 @@
+import DOM from 'react-dom-factories';
+import {span} from 'react-dom-factories';
+
+export default function Badge(props) {
+  return DOM.strong({className: 'badge'}, span(null, props.count));
+}
@@ -0,0 +1,10 @@
+import React from 'react';
+import {span} from 'react-dom-factories';
+
+export default function Badge(props) {
+  return (
+    <strong className="badge">
+      {span(null, props.count)}
+    </strong>
+  );
+}
@@ -0,0 +1,14 @@
+const React = require('react');
+const DOM = require('react-dom-factories');
+const {Component} = React;
+
+class Hint extends Component {
+  render() {
+    return DOM.p({className: this.props.tone}, this.props.text);
+  }
+}
+
+// Props that can't be attributes keep the factory.
+const Toggle = props => DOM.button(props.on ? {className: 'on'} : null, 'Toggle');
+
+module.exports = {Hint, Toggle};
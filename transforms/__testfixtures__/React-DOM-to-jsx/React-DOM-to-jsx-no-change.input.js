@@ -0,0 +1,8 @@
+const React = require('react');
+const {DOM} = require('some-dom-library');
+
+function render(DOM) {
+  return DOM.div(null);
+}
+
+module.exports = () => DOM.div(null, 'Hello');
@@ -0,0 +1,19 @@
+const React = require('react');
+
+class List extends React.Component {
+  render() {
+    return React.DOM.ul({className: 'list', onClick: this.handleClick},
+      React.DOM.li(null, 'First'),
+      this.props.items.map(item => React.DOM.li({key: item.id}, item.name))
+    );
+  }
+}
+
+function Link(props) {
+  // Opens in a new tab.
+  return React.DOM.a(Object.assign({target: '_blank'}, props), props.children);
+}
+
+const Empty = () => React.DOM.hr();
+
+module.exports = {List, Link, Empty};
@@ -0,0 +1,29 @@
+const React = require('react');
+
+class List extends React.Component {
+  render() {
+    return (
+      <ul className="list" onClick={this.handleClick}>
+        <li>
+          First
+        </li>
+        {this.props.items.map(item => <li key={item.id}>
+          {item.name}
+        </li>)}
+      </ul>
+    );
+  }
+}
+
+function Link(props) {
+  // Opens in a new tab.
+  return (
+    <a target="_blank" {...props}>
+      {props.children}
+    </a>
+  );
+}
+
+const Empty = () => <hr />;
+
+module.exports = {List, Link, Empty};
@@ -0,0 +1,6 @@
+import * as React from 'react';
+
+type Props = {items: Array<string>};
+
+export const List = (props: Props) =>
+  React.DOM.ul(null, props.items.map((item: string) => React.DOM.li({key: item}, item)));
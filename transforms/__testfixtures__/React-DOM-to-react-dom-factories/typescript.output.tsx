@@ -0,0 +1,10 @@
+import * as React from 'react';
+
+type Props = {items: Array<string>};
+
+export const List = (props: Props) =>
+  React.createElement(
+    'ul',
+    null,
+    props.items.map((item: string) => React.createElement('li', {key: item}, item))
+  );
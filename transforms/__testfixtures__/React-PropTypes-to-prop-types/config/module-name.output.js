@@ -0,0 +1,18 @@
+const PropTypes = require('PropTypes');
+const React = require('React');
+
+class ClassComponent extends React.Component {
+  static propTypes = {
+    text: PropTypes.string.isRequired,
+  };
+  render() {
+    return <div>{this.props.text}</div>;
+  }
+}
+
+function FunctionalComponent (props) {
+  return <div>{props.text}</div>;
+}
+FunctionalComponent.propTypes = {
+  text: PropTypes.string.isRequired,
+};
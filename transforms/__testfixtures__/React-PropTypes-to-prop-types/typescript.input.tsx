@@ -0,0 +1,15 @@
+import * as React from 'react';
+
+interface Props {
+  name: string;
+}
+
+export class Greeting extends React.Component<Props> {
+  static propTypes = {
+    name: React.PropTypes.string.isRequired,
+  };
+
+  render() {
+    return <div>{this.props.name}</div>;
+  }
+}
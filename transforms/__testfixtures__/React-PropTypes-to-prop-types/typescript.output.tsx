@@ -0,0 +1,16 @@
+import PropTypes from 'prop-types';
+import * as React from 'react';
+
+interface Props {
+  name: string;
+}
+
+export class Greeting extends React.Component<Props> {
+  static propTypes = {
+    name: PropTypes.string.isRequired,
+  };
+
+  render() {
+    return <div>{this.props.name}</div>;
+  }
+}
@@ -0,0 +1,16 @@
+import * as React from 'react';
+import {View} from 'react-native';
+
+interface Props {
+  style?: object;
+}
+
+export class Card extends React.Component<Props> {
+  static propTypes = {
+    style: View.propTypes.style,
+  };
+
+  render() {
+    return <View style={this.props.style} />;
+  }
+}
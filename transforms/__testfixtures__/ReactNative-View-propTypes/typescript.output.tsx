@@ -0,0 +1,18 @@
+import * as React from 'react';
+import {View} from 'react-native';
+
+import { ViewPropTypes } from 'react-native';
+
+interface Props {
+  style?: object;
+}
+
+export class Card extends React.Component<Props> {
+  static propTypes = {
+    style: ViewPropTypes.style,
+  };
+
+  render() {
+    return <View style={this.props.style} />;
+  }
+}
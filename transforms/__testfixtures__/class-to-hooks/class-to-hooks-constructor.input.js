@@ -0,0 +1,36 @@
+import React, {Component} from 'react';
+import PropTypes from 'prop-types';
+
+/**
+ * Shows a list.
+ */
+export default class List extends Component {
+  static propTypes = {
+    items: PropTypes.array,
+  };
+
+  constructor(props) {
+    super(props);
+    this.state = {
+      selected: props.initial,
+    };
+  }
+
+  select(index) {
+    return this.setState({selected: index});
+  }
+
+  // Renders the items.
+  render() {
+    const {items} = this.props;
+    return (
+      <ul>
+        {items.map((item, index) => (
+          <li key={index} onClick={() => this.select(index)}>
+            {item}
+          </li>
+        ))}
+      </ul>
+    );
+  }
+}
@@ -0,0 +1,29 @@
+import React, { useState, useCallback } from 'react';
+import PropTypes from 'prop-types';
+
+/**
+ * Shows a list.
+ */
+export default function List(props) {
+  const [selected, setSelected] = useState(props.initial);
+
+  const select = useCallback(index => {
+    return setSelected(index);
+  }, []);
+
+  // Renders the items.
+  const {items} = props;
+  return (
+    <ul>
+      {items.map((item, index) => (
+        <li key={index} onClick={() => select(index)}>
+          {item}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+List.propTypes = {
+  items: PropTypes.array,
+};
@@ -0,0 +1,44 @@
+/* @flow */
+const React = require('react');
+
+type Props = {id: string};
+
+export class Profile extends React.Component<Props> {
+  state = {user: null, loading: true};
+
+  componentDidMount() {
+    this.load();
+  }
+
+  componentDidUpdate() {
+    this.load();
+  }
+
+  load = async () => {
+    const user = await fetchUser(this.props.id);
+    this.setState({user, loading: false});
+  };
+
+  render() {
+    if (this.state.loading) {
+      return null;
+    }
+    return <span>{this.state.user.name}</span>;
+  }
+}
+
+class Title extends React.Component {
+  input = React.createRef();
+
+  componentDidMount() {
+    this.input.current.focus();
+  }
+
+  componentDidUpdate() {
+    document.title = 'x';
+  }
+
+  render() {
+    return <input ref={this.input} />;
+  }
+}
@@ -0,0 +1,44 @@
+/* @flow */
+const React = require('react');
+
+type Props = {id: string};
+
+export function Profile(props: Props) {
+  const [user, setUser] = React.useState(null);
+  const [loading, setLoading] = React.useState(true);
+
+  const load = React.useCallback(async () => {
+    const user = await fetchUser(props.id);
+    setUser(user);
+    setLoading(false);
+  }, [props]);
+
+  React.useEffect(() => {
+    load();
+  });
+
+  if (loading) {
+    return null;
+  }
+  return <span>{user.name}</span>;
+}
+
+function Title() {
+  const input = React.useRef(null);
+  const hasMounted = React.useRef(false);
+
+  React.useEffect(() => {
+    input.current.focus();
+  }, []);
+
+  React.useEffect(() => {
+    if (!hasMounted.current) {
+      hasMounted.current = true;
+      return;
+    }
+
+    document.title = 'x';
+  });
+
+  return <input ref={input} />;
+}
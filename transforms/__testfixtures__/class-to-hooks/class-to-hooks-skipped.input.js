@@ -0,0 +1,59 @@
+import React from 'react';
+
+class Derived extends React.Component {
+  static getDerivedStateFromProps(props) {
+    return null;
+  }
+  render() { return null; }
+}
+
+class Boundary extends React.Component {
+  componentDidCatch(error) {}
+  render() { return this.props.children; }
+}
+
+class Focusable extends React.Component {
+  focus() {}
+  render() { return <input />; }
+}
+
+class Prev extends React.Component {
+  componentDidUpdate(prevProps) {
+    if (prevProps.id !== this.props.id) {}
+  }
+  render() { return null; }
+}
+
+class Callback extends React.Component {
+  state = {a: 1};
+  onClick = () => this.setState({a: 2}, () => {});
+  render() { return <b onClick={this.onClick} />; }
+}
+
+class Whole extends React.Component {
+  state = {a: 1};
+  render() { return <Child {...this.state} />; }
+}
+
+class Cycle extends React.Component {
+  a() { this.b(); }
+  b() { this.a(); }
+  render() { return <i onClick={this.a} />; }
+}
+
+class Ticker extends React.Component {
+  state = {count: 0};
+  componentDidMount() { this.timer = setInterval(this.tick, 1000); }
+  componentWillUnmount() { clearInterval(this.timer); }
+  tick = () => this.setState({count: this.state.count + 1});
+  render() { return <span>{this.state.count}</span>; }
+}
+
+class Tracker extends React.Component {
+  componentWillUnmount() { this.props.onLeave(); }
+  render() { return null; }
+}
+
+function App() {
+  return <Focusable ref={r => r.focus()} />;
+}
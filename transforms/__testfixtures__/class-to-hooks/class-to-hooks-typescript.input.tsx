@@ -0,0 +1,17 @@
+import * as React from 'react';
+
+interface Props {
+  label: string;
+}
+
+export default class Button extends React.Component<Props, {pressed: boolean}> {
+  state = {pressed: false};
+
+  handleClick = (event: React.MouseEvent) => {
+    this.setState(prev => ({pressed: !prev.pressed}));
+  };
+
+  render() {
+    return <button onClick={this.handleClick}>{this.props.label}</button>;
+  }
+}
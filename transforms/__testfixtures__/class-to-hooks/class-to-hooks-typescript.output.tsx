@@ -0,0 +1,15 @@
+import * as React from 'react';
+
+interface Props {
+  label: string;
+}
+
+export default function Button(props: Props) {
+  const [pressed, setPressed] = React.useState(false);
+
+  const handleClick = React.useCallback((event: React.MouseEvent) => {
+    setPressed(prevPressed => !prevPressed);
+  }, []);
+
+  return <button onClick={handleClick}>{props.label}</button>;
+}
@@ -0,0 +1,39 @@
+import React, {Component} from 'react';
+
+// A counter.
+class Counter extends Component {
+  constructor(props) {
+    super(props);
+    this.state = {count: 0, open: false};
+    this.increment = this.increment.bind(this);
+    this.timer = null;
+  }
+
+  componentDidMount() {
+    this.timer = setInterval(this.increment, 1000);
+  }
+
+  componentWillUnmount() {
+    clearInterval(this.timer);
+  }
+
+  // Counts a second.
+  increment() {
+    this.setState(state => ({count: state.count + 1}));
+  }
+
+  toggle = () => {
+    this.setState({open: !this.state.open});
+  };
+
+  render() {
+    const {count} = this.state;
+    return (
+      <div onClick={this.toggle}>
+        {count} {this.state.open ? 'open' : 'closed'}
+      </div>
+    );
+  }
+}
+
+export default Counter;
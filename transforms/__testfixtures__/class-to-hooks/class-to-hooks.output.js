@@ -0,0 +1,33 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+
+// A counter.
+function Counter() {
+  const [count, setCount] = useState(0);
+  const [open, setOpen] = useState(false);
+  const timer = useRef(null);
+
+  // Counts a second.
+  const increment = useCallback(() => {
+    setCount(prevCount => prevCount + 1);
+  }, []);
+
+  const toggle = useCallback(() => {
+    setOpen(!open);
+  }, [open]);
+
+  useEffect(() => {
+    timer.current = setInterval(increment, 1000);
+
+    return () => {
+      clearInterval(timer.current);
+    };
+  }, []);
+
+  return (
+    <div onClick={toggle}>
+      {count} {open ? 'open' : 'closed'}
+    </div>
+  );
+}
+
+export default Counter;
@@ -0,0 +1,25 @@
+import * as React from 'react';
+
+interface Props {
+  name: string;
+}
+
+const Greeting = React.createClass({
+  getDefaultProps: function(): Partial<Props> {
+    return {name: 'World'};
+  },
+
+  getInitialState: function() {
+    return {count: 0 as number};
+  },
+
+  handleClick: function(event: React.MouseEvent<HTMLDivElement>) {
+    this.setState({count: this.state.count + 1});
+  },
+
+  render: function() {
+    return <div onClick={this.handleClick}>Hello {this.props.name}</div>;
+  },
+});
+
+export default Greeting;
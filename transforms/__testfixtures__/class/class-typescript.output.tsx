@@ -0,0 +1,20 @@
+import * as React from 'react';
+
+interface Props {
+  name: string;
+}
+
+class Greeting extends React.Component {
+  static defaultProps = {name: 'World'};
+  state = {count: 0 as number};
+
+  handleClick = (event: React.MouseEvent<HTMLDivElement>) => {
+    this.setState({count: this.state.count + 1});
+  };
+
+  render() {
+    return <div onClick={this.handleClick}>Hello {this.props.name}</div>;
+  }
+}
+
+export default Greeting;
@@ -0,0 +1,8 @@
+import * as React from 'react';
+
+type Props = {title: string};
+
+const Title = (props: Props) =>
+  React.createElement('h1', {className: 'title'}, props.title as string);
+
+export default Title;
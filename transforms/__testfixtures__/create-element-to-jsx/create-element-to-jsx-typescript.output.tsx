@@ -0,0 +1,10 @@
+import * as React from 'react';
+
+type Props = {title: string};
+
+const Title = (props: Props) =>
+  <h1 className="title">
+    {props.title as string}
+  </h1>;
+
+export default Title;
@@ -0,0 +1,10 @@
+const React = require('react');
+const Label = require('./Label');
+const makeField = require('./makeField');
+
+const label = React.createFactory(Label);
+const field = React.createFactory(makeField('text'));
+
+module.exports = function Form() {
+  return [label({text: 'Email'}), field({}), field({name: 'email'})];
+};
@@ -0,0 +1,9 @@
+const React = require('react');
+const Label = require('./Label');
+const makeField = require('./makeField');
+
+const field = React.createFactory(makeField('text'));
+
+module.exports = function Form() {
+  return [<Label text="Email" />, field({}), field({name: 'email'})];
+};
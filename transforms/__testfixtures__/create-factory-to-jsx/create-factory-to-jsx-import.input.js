@@ -0,0 +1,13 @@
+import React, {Component, createFactory} from 'react';
+import Item from './Item';
+
+const item = createFactory(Item);
+const option = createFactory('option');
+
+export default class Menu extends Component {
+  render() {
+    return this.props.items.map(props => item(props, option({value: props.id})));
+  }
+}
+
+export const renderItem = item;
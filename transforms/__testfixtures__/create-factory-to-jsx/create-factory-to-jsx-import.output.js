@@ -0,0 +1,14 @@
+import React, {Component, createFactory} from 'react';
+import Item from './Item';
+
+const item = createFactory(Item);
+
+export default class Menu extends Component {
+  render() {
+    return this.props.items.map(props => <Item {...props}>
+      <option value={props.id} />
+    </Item>);
+  }
+}
+
+export const renderItem = item;
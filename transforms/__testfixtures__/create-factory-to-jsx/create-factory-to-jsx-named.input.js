@@ -0,0 +1,7 @@
+import {createFactory} from 'react';
+import Item from './Item';
+
+const item = createFactory(Item);
+
+export const renderItems = (items, getProps) => items.map(data => item(getProps(data) || {}));
+export const renderItem = data => item({data});
@@ -0,0 +1,5 @@
+import React from 'react';
+import Item from './Item';
+
+export const renderItems = (items, getProps) => items.map(data => React.createElement(Item, getProps(data) || {}));
+export const renderItem = data => <Item data={data} />;
@@ -0,0 +1,8 @@
+'use strict';
+
+const {createFactory} = require('react');
+const Row = require('./Row');
+
+const row = createFactory(Row);
+
+module.exports = ({rows}) => rows.map(data => row({data}));
@@ -0,0 +1,6 @@
+'use strict';
+
+const React = require('react');
+const Row = require('./Row');
+
+module.exports = ({rows}) => rows.map(data => <Row data={data} />);
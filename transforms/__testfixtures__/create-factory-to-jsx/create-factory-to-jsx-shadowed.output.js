@@ -0,0 +1,8 @@
+import React, {createFactory} from 'react';
+import Row from './Row';
+
+const row = createFactory(Row);
+
+export const Table = ({Row, rows}) => rows.map(data => row({data}));
+export const List = ({rows}) => rows.map(data => <Row data={data} />);
+export const makeFactory = createFactory;
@@ -0,0 +1,23 @@
+const React = require('react');
+const Button = require('./Button');
+const Icon = require('./Icon');
+const Layout = require('./Layout');
+
+const button = React.createFactory(Button);
+const icon = React.createFactory(Icon);
+const header = React.createFactory(Layout.Header);
+
+class Toolbar extends React.Component {
+  render() {
+    return header({title: this.props.title},
+      button({onClick: this.props.onSave, primary: true},
+        icon({name: 'save'}),
+        'Save'
+      ),
+      button(this.props.cancelProps, 'Cancel'),
+      button(this.props.disabled ? {disabled: true} : null, 'Reset')
+    );
+  }
+}
+
+module.exports = Toolbar;
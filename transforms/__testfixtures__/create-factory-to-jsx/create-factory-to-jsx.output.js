@@ -0,0 +1,23 @@
+const React = require('react');
+const Button = require('./Button');
+const Icon = require('./Icon');
+const Layout = require('./Layout');
+
+class Toolbar extends React.Component {
+  render() {
+    return (
+      <Layout.Header title={this.props.title}>
+        <Button onClick={this.props.onSave} primary={true}>
+          <Icon name="save" />
+          Save
+        </Button>
+        <Button {...this.props.cancelProps}>
+          Cancel
+        </Button>
+        {React.createElement(Button, this.props.disabled ? {disabled: true} : null, 'Reset')}
+      </Layout.Header>
+    );
+  }
+}
+
+module.exports = Toolbar;
@@ -0,0 +1,7 @@
+import React from 'react';
+import {hydrate, render} from 'react-dom';
+import App from './App';
+import Banner from './Banner';
+
+hydrate(<App />, document.getElementById('app'));
+render(<Banner />, document.getElementById('banner'));
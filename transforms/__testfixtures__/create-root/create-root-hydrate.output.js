@@ -0,0 +1,7 @@
+import React from 'react';
+import { createRoot, hydrateRoot } from 'react-dom/client';
+import App from './App';
+import Banner from './Banner';
+
+hydrateRoot(document.getElementById('app'), <App />);
+createRoot(document.getElementById('banner')).render(<Banner />);
@@ -0,0 +1,7 @@
+const React = require('react');
+const {render, findDOMNode} = require('react-dom');
+const App = require('./App');
+
+const container = document.getElementById('root');
+render(<App />, container);
+findDOMNode(container);
@@ -0,0 +1,14 @@
+const React = require('react');
+const {
+  findDOMNode,
+} = require('react-dom');
+
+const {
+  createRoot,
+} = require('react-dom/client');
+
+const App = require('./App');
+
+const container = document.getElementById('root');
+createRoot(container).render(<App />);
+findDOMNode(container);
@@ -0,0 +1,13 @@
+import React from 'react';
+import ReactDOM from 'react-dom';
+import App from './App';
+
+ReactDOM.render(<App />, document.getElementById('root'), () => {
+  console.log('rendered');
+});
+
+const instance = ReactDOM.render(<App />, document.getElementById('other'));
+
+export function unmount(container) {
+  ReactDOM.unmountComponentAtNode(container);
+}
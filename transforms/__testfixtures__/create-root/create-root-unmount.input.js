@@ -0,0 +1,28 @@
+import React from 'react';
+import ReactDOM from 'react-dom';
+import Modal from './Modal';
+
+export function showModal(container, props) {
+  ReactDOM.render(<Modal {...props} />, container);
+  return () => {
+    ReactDOM.unmountComponentAtNode(container);
+  };
+}
+
+export function mount(container) {
+  const root = container.firstChild;
+  ReactDOM.render(<Modal open />, root);
+  ReactDOM.render(<Modal open={false} />, root);
+  ReactDOM.unmountComponentAtNode(root);
+}
+
+export function toggle(container, visible) {
+  ReactDOM.render(<Modal />, container);
+  if (!visible) {
+    ReactDOM.unmountComponentAtNode(container);
+  }
+  function cleanup() {
+    ReactDOM.unmountComponentAtNode(container);
+  }
+  return cleanup;
+}
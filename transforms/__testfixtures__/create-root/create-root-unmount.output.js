@@ -0,0 +1,32 @@
+import React from 'react';
+import ReactDOM from 'react-dom';
+import { createRoot } from 'react-dom/client';
+import Modal from './Modal';
+
+export function showModal(container, props) {
+  const root = createRoot(container);
+  root.render(<Modal {...props} />);
+  return () => {
+    root.unmount();
+  };
+}
+
+export function mount(container) {
+  const root = container.firstChild;
+  const root2 = createRoot(root);
+  root2.render(<Modal open />);
+  root2.render(<Modal open={false} />);
+  root2.unmount();
+}
+
+export function toggle(container, visible) {
+  const root = createRoot(container);
+  root.render(<Modal />);
+  if (!visible) {
+    root.unmount();
+  }
+  function cleanup() {
+    ReactDOM.unmountComponentAtNode(container);
+  }
+  return cleanup;
+}
@@ -0,0 +1,15 @@
+import * as React from 'react';
+
+class Boundary extends React.Component<{}, {error: Error | null}> {
+  state = {error: null};
+
+  unstable_handleError(error: Error): void {
+    this.setState({error});
+  }
+
+  render() {
+    return this.state.error ? <p>Something went wrong.</p> : this.props.children;
+  }
+}
+
+export default Boundary;
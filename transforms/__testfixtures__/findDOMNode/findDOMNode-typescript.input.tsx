@@ -0,0 +1,14 @@
+var React = require('react');
+
+var Input = React.createClass({
+  focus: function(): void {
+    (this.getDOMNode() as HTMLInputElement).focus();
+    this.refs.label.getDOMNode().blur();
+  },
+
+  render: function() {
+    return <input ref="label" />;
+  },
+});
+
+export default Input;
@@ -0,0 +1,14 @@
+var React = require('react');
+
+var Input = React.createClass({
+  focus: function(): void {
+    (React.findDOMNode(this) as HTMLInputElement).focus();
+    React.findDOMNode(this.refs.label).blur();
+  },
+
+  render: function() {
+    return <input ref="label" />;
+  },
+});
+
+export default Input;
@@ -0,0 +1,15 @@
+// @flow
+import * as React from 'react';
+
+type Props = {
+  title: string,
+  count?: number,
+};
+
+export function Counter(props: Props) {
+  return <h1>{props.title}: {props.count}</h1>;
+}
+
+Counter.defaultProps = {
+  count: 0,
+};
@@ -0,0 +1,16 @@
+// @flow
+import * as React from 'react';
+
+type Props = {
+  title: string,
+  count?: number,
+};
+
+export function Counter(
+  {
+    title,
+    count = 0,
+  }: Props,
+) {
+  return <h1>{title}: {count}</h1>;
+}
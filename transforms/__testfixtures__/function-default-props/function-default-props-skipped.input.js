@@ -0,0 +1,45 @@
+import React from 'react';
+
+function Link(props) {
+  return <a {...props} />;
+}
+
+Link.defaultProps = {
+  href: '#',
+};
+
+function Range({min, max}) {
+  return <input type="range" min={min} max={max} />;
+}
+
+Range.defaultProps = {
+  min: 0,
+  max: min + 100,
+};
+
+function Card({title, ...rest}) {
+  return <div {...rest}>{title}</div>;
+}
+
+Card.defaultProps = {
+  elevation: 1,
+};
+
+class Panel extends React.Component {
+  render() {
+    return <div />;
+  }
+}
+
+Panel.defaultProps = {
+  open: false,
+};
+
+function Title(props) {
+  const text = props.text.toUpperCase();
+  return <h1>{text}</h1>;
+}
+
+Title.defaultProps = {
+  text: '',
+};
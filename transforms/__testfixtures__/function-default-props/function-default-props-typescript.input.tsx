@@ -0,0 +1,12 @@
+import * as React from 'react';
+
+interface Props {
+  title: string;
+  count?: number;
+}
+
+export const Counter = ({title, count}: Props) => <h1>{title}: {count}</h1>;
+
+Counter.defaultProps = {
+  count: 0,
+};
@@ -0,0 +1,8 @@
+import * as React from 'react';
+
+interface Props {
+  title: string;
+  count?: number;
+}
+
+export const Counter = ({title, count = 0}: Props) => <h1>{title}: {count}</h1>;
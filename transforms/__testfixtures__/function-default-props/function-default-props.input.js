@@ -0,0 +1,27 @@
+import React from 'react';
+
+function Button(props) {
+  return <button className={props.className}>{props.label}</button>;
+}
+
+Button.defaultProps = {
+  label: 'OK',
+  size: 'medium',
+};
+
+export const Avatar = ({user, size: avatarSize, onClick}) => (
+  <img src={user.avatar} width={avatarSize} onClick={onClick} />
+);
+
+Avatar.defaultProps = {
+  size: 32,
+  shape: 'circle',
+};
+
+export default function List({items, ...rest}) {
+  return <ul {...rest}>{items.map(item => <li>{item}</li>)}</ul>;
+}
+
+List.defaultProps = {
+  items: [],
+};
@@ -0,0 +1,18 @@
+import React from 'react';
+
+function Button(
+  {
+    className,
+    label = 'OK',
+  },
+) {
+  return <button className={className}>{label}</button>;
+}
+
+export const Avatar = ({user, size: avatarSize = 32, onClick}) => (
+  <img src={user.avatar} width={avatarSize} onClick={onClick} />
+);
+
+export default function List({items = [], ...rest}) {
+  return <ul {...rest}>{items.map(item => <li>{item}</li>)}</ul>;
+}
@@ -0,0 +1,14 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+class Button extends React.Component {
+  static contextTypes = {
+    theme: PropTypes.object,
+  };
+
+  render() {
+    return <button style={{color: this.context.theme.color}}>{this.props.label}</button>;
+  }
+}
+
+export default Button;
@@ -0,0 +1,12 @@
+import React from 'react';
+import { ThemeContext } from './contexts';
+
+class Button extends React.Component {
+  static contextType = ThemeContext;
+
+  render() {
+    return <button style={{color: this.context.color}}>{this.props.label}</button>;
+  }
+}
+
+export default Button;
@@ -0,0 +1,10 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+const Label = (props, context) => <span style={context.theme}>{props.text}</span>;
+
+Label.contextTypes = {
+  theme: PropTypes.object,
+};
+
+export default Label;
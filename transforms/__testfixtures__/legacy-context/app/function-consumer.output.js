@@ -0,0 +1,9 @@
+import React, { useContext } from 'react';
+import { ThemeContext } from './contexts';
+
+const Label = props => {
+  const theme = useContext(ThemeContext);
+  return <span style={theme}>{props.text}</span>;
+};
+
+export default Label;
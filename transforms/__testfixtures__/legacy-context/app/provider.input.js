@@ -0,0 +1,20 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+export default class ThemeProvider extends React.Component {
+  static childContextTypes = {
+    theme: PropTypes.object,
+    locale: PropTypes.string,
+  };
+
+  getChildContext() {
+    return {
+      theme: this.props.theme,
+      locale: this.props.locale,
+    };
+  }
+
+  render() {
+    return <div className="app">{this.props.children}</div>;
+  }
+}
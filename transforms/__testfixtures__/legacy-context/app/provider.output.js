@@ -0,0 +1,26 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+import { LocaleContext, ThemeContext } from './contexts';
+
+export default class ThemeProvider extends React.Component {
+  static childContextTypes = {
+    locale: PropTypes.string,
+  };
+
+  getChildContext() {
+    return {
+      locale: this.props.locale,
+    };
+  }
+
+  render() {
+    return (
+      <ThemeContext.Provider value={this.props.theme}>
+        <LocaleContext.Provider value={this.props.locale}>
+          <div className="app">{this.props.children}</div>
+        </LocaleContext.Provider>
+      </ThemeContext.Provider>
+    );
+  }
+}
@@ -0,0 +1,13 @@
+const React = require('react');
+const PropTypes = require('prop-types');
+
+function Greeting(props, context) {
+  return <p lang={context.locale}>{props.name}</p>;
+}
+
+Greeting.contextTypes = {
+  locale: PropTypes.string,
+  router: PropTypes.object,
+};
+
+module.exports = Greeting;
@@ -0,0 +1,17 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+export default class ThemeProvider extends React.Component {
+  static childContextTypes = {
+    theme: PropTypes.object,
+  };
+
+  getChildContext() {
+    const theme = {color: this.props.color};
+    return {theme};
+  }
+
+  render() {
+    return <div className="app">{this.props.children}</div>;
+  }
+}
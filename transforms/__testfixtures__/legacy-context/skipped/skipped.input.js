@@ -0,0 +1,48 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+const contextTypes = {theme: PropTypes.object};
+
+class Toolbar extends React.Component {
+  static contextTypes = {
+    theme: PropTypes.object,
+    locale: PropTypes.string,
+  };
+
+  render() {
+    return <div lang={this.context.locale} style={this.context.theme} />;
+  }
+}
+
+class Debug extends React.Component {
+  static contextTypes = {
+    theme: PropTypes.object,
+  };
+
+  render() {
+    return <pre>{JSON.stringify(this.context)}</pre>;
+  }
+}
+
+class Shared extends React.Component {
+  static contextTypes = contextTypes;
+
+  render() {
+    return null;
+  }
+}
+
+class Provider extends React.Component {
+  static childContextTypes = {
+    theme: PropTypes.object,
+  };
+
+  getChildContext() {
+    const theme = {color: this.props.color};
+    return {theme};
+  }
+
+  render() {
+    return this.props.children;
+  }
+}
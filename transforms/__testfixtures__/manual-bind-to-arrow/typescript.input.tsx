@@ -0,0 +1,18 @@
+import * as React from 'react';
+
+class Button extends React.Component<{label: string}> {
+  constructor(props: {label: string}) {
+    super(props);
+    this.onClick = this.onClick.bind(this);
+  }
+
+  onClick(event: React.MouseEvent<HTMLButtonElement>): void {
+    console.log(event.target as HTMLButtonElement);
+  }
+
+  render() {
+    return <button onClick={this.onClick}>{this.props.label}</button>;
+  }
+}
+
+export default Button;
@@ -0,0 +1,13 @@
+import * as React from 'react';
+
+class Button extends React.Component<{label: string}> {
+  onClick = (event: React.MouseEvent<HTMLButtonElement>): void => {
+    console.log(event.target as HTMLButtonElement);
+  };
+
+  render() {
+    return <button onClick={this.onClick}>{this.props.label}</button>;
+  }
+}
+
+export default Button;
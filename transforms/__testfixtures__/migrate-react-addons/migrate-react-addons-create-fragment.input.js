@@ -0,0 +1,13 @@
+import React from 'react';
+import createFragment from 'react-addons-create-fragment';
+
+export default function Swapper(props) {
+  const children = props.swapped ?
+    createFragment({right: props.rightChildren, left: <Left />}) :
+    createFragment({left: <Left />, right: props.rightChildren});
+  return <div>{children}</div>;
+}
+
+export function dynamic(fragments) {
+  return createFragment(fragments);
+}
@@ -0,0 +1,19 @@
+import React from 'react';
+import createFragment from 'react-addons-create-fragment';
+
+export default function Swapper(props) {
+  const children = props.swapped ?
+    [
+      <React.Fragment key="right">{props.rightChildren}</React.Fragment>,
+      <Left key="left" />,
+    ] :
+    [
+      <Left key="left" />,
+      <React.Fragment key="right">{props.rightChildren}</React.Fragment>,
+    ];
+  return <div>{children}</div>;
+}
+
+export function dynamic(fragments) {
+  return createFragment(fragments);
+}
@@ -0,0 +1,40 @@
+const React = require('react');
+const LinkedStateMixin = require('react-addons-linked-state-mixin');
+const createReactClass = require('create-react-class');
+const DatePicker = require('./DatePicker');
+
+const Form = createReactClass({
+  mixins: [LinkedStateMixin],
+
+  getInitialState() {
+    return {name: '', subscribed: false};
+  },
+
+  render() {
+    return (
+      <form>
+        <input type="text" valueLink={this.linkState('name')} />
+        <input type="checkbox" checkedLink={this.linkState('subscribed')} />
+      </form>
+    );
+  },
+});
+
+const Search = createReactClass({
+  mixins: [LinkedStateMixin],
+
+  render() {
+    const link = this.linkState('query');
+    return <input valueLink={link} />;
+  },
+});
+
+const Booking = createReactClass({
+  mixins: [LinkedStateMixin],
+
+  render() {
+    return <DatePicker valueLink={this.linkState('date')} />;
+  },
+});
+
+module.exports = {Form, Search, Booking};
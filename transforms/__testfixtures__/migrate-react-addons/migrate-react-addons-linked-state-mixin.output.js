@@ -0,0 +1,44 @@
+const React = require('react');
+const LinkedStateMixin = require('react-addons-linked-state-mixin');
+const createReactClass = require('create-react-class');
+const DatePicker = require('./DatePicker');
+
+const Form = createReactClass({
+  getInitialState() {
+    return {name: '', subscribed: false};
+  },
+
+  render() {
+    return (
+      <form>
+        <input
+          type="text"
+          value={this.state.name}
+          onChange={event => this.setState({name: event.target.value})} />
+        <input
+          type="checkbox"
+          checked={this.state.subscribed}
+          onChange={event => this.setState({subscribed: event.target.checked})} />
+      </form>
+    );
+  },
+});
+
+const Search = createReactClass({
+  mixins: [LinkedStateMixin],
+
+  render() {
+    const link = this.linkState('query');
+    return <input valueLink={link} />;
+  },
+});
+
+const Booking = createReactClass({
+  mixins: [LinkedStateMixin],
+
+  render() {
+    return <DatePicker valueLink={this.linkState('date')} />;
+  },
+});
+
+module.exports = {Form, Search, Booking};
@@ -0,0 +1,6 @@
+import React from 'react';
+import update from 'immutability-helper';
+
+export default function reducer(state, action) {
+  return update(state, {items: {$push: [action.item]}});
+}
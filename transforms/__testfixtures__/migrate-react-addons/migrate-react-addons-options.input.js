@@ -0,0 +1,11 @@
+var React = require('react/addons');
+var TransitionGroup = require('react-addons-transition-group');
+
+var cx = React.addons.classSet;
+
+module.exports = {
+  TransitionGroup: TransitionGroup,
+  shallowCompare: React.addons.shallowCompare,
+  update: React.addons.update,
+  cx: cx,
+};
@@ -0,0 +1,13 @@
+var shallowCompare = require('react-addons-shallow-compare');
+var update = require('react-addons-update');
+var React = require('react/addons');
+var TransitionGroup = require('react-addons-transition-group');
+
+var cx = React.addons.classSet;
+
+module.exports = {
+  TransitionGroup: TransitionGroup,
+  shallowCompare: shallowCompare,
+  update: update,
+  cx: cx,
+};
@@ -0,0 +1,22 @@
+/**
+ * @providesModule List
+ */
+import React from 'react';
+import CSSTransitionGroup from 'react-addons-css-transition-group';
+import update from 'react-addons-update';
+
+const TestUtils = require('react-addons-test-utils');
+
+export default class List extends React.Component {
+  remove(index) {
+    this.setState(update(this.state, {items: {$splice: [[index, 1]]}}));
+  }
+
+  render() {
+    return (
+      <CSSTransitionGroup transitionName="list" transitionEnterTimeout={300}>
+        {this.state.items.map(item => <li key={item.id}>{item.text}</li>)}
+      </CSSTransitionGroup>
+    );
+  }
+}
@@ -0,0 +1,12 @@
+import React from 'react/addons';
+import classNames from 'classnames';
+
+const {TestUtils} = React.addons;
+
+export function merge(state, changes) {
+  return React.addons.update(state, {$merge: changes});
+}
+
+export function renderIntoDocument(element) {
+  return TestUtils.renderIntoDocument(element);
+}
@@ -0,0 +1,12 @@
+import update from 'immutability-helper';
+import TestUtils from 'react-dom/test-utils';
+import React from 'react';
+import classNames from 'classnames';
+
+export function merge(state, changes) {
+  return update(state, {$merge: changes});
+}
+
+export function renderIntoDocument(element) {
+  return TestUtils.renderIntoDocument(element);
+}
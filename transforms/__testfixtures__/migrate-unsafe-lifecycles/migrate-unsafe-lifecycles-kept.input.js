@@ -0,0 +1,38 @@
+import React from 'react';
+
+class Form extends React.Component {
+  componentWillReceiveProps(nextProps) {
+    if (nextProps.value !== this.props.value) {
+      this.validate(nextProps.value);
+    }
+  }
+
+  componentWillMount() {
+    if (this.props.autoFocus) {
+      this.focus = true;
+    }
+  }
+
+  // Scroll position
+  componentWillUpdate(nextProps, nextState) {
+    this.scrollTop = this.list.scrollTop;
+  }
+
+  render() {
+    return <form />;
+  }
+}
+
+class Search extends React.Component {
+  componentWillMount() {
+    this.buildIndex();
+  }
+
+  buildIndex() {
+    this.index = new Index(this.props.items);
+  }
+
+  render() {
+    return <List items={this.index.search(this.props.query)} />;
+  }
+}
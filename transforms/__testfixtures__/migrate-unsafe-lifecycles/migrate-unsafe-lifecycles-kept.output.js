@@ -0,0 +1,42 @@
+import React from 'react';
+
+class Form extends React.Component {
+  // TODO: Migrate UNSAFE_componentWillReceiveProps: It does more than calling `setState` when a prop changes.
+  UNSAFE_componentWillReceiveProps(nextProps) {
+    if (nextProps.value !== this.props.value) {
+      this.validate(nextProps.value);
+    }
+  }
+
+  // TODO: Migrate UNSAFE_componentWillMount: It does more than initializing state and fields and starting subscriptions.
+  UNSAFE_componentWillMount() {
+    if (this.props.autoFocus) {
+      this.focus = true;
+    }
+  }
+
+  // Scroll position
+  // TODO: Migrate UNSAFE_componentWillUpdate: Read the DOM in `getSnapshotBeforeUpdate` and start side effects in `componentDidUpdate` instead.
+  UNSAFE_componentWillUpdate(nextProps, nextState) {
+    this.scrollTop = this.list.scrollTop;
+  }
+
+  render() {
+    return <form />;
+  }
+}
+
+class Search extends React.Component {
+  // TODO: Migrate UNSAFE_componentWillMount: It does more than initializing state and fields and starting subscriptions.
+  UNSAFE_componentWillMount() {
+    this.buildIndex();
+  }
+
+  buildIndex() {
+    this.index = new Index(this.props.items);
+  }
+
+  render() {
+    return <List items={this.index.search(this.props.query)} />;
+  }
+}
@@ -0,0 +1,37 @@
+import React from 'react';
+
+class Clock extends React.Component {
+  componentWillMount() {
+    this.setState({time: new Date(), zone: this.props.zone});
+    this.formatter = new Intl.DateTimeFormat();
+    this.timer = setInterval(this.tick, 1000);
+  }
+
+  componentWillUnmount() {
+    clearInterval(this.timer);
+  }
+
+  render() {
+    return <span>{this.formatter.format(this.state.time)}</span>;
+  }
+}
+
+class Feed extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {items: [], loading: false};
+  }
+
+  UNSAFE_componentWillMount() {
+    this.setState({loading: true});
+    this.props.store.subscribe(this.handleChange);
+  }
+
+  componentDidMount() {
+    window.addEventListener('resize', this.handleResize);
+  }
+
+  render() {
+    return <ul>{this.state.items}</ul>;
+  }
+}
@@ -0,0 +1,42 @@
+import React from 'react';
+
+class Clock extends React.Component {
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      time: new Date(),
+      zone: props.zone,
+    };
+
+    this.formatter = new Intl.DateTimeFormat();
+  }
+
+  componentDidMount() {
+    this.timer = setInterval(this.tick, 1000);
+  }
+
+  componentWillUnmount() {
+    clearInterval(this.timer);
+  }
+
+  render() {
+    return <span>{this.formatter.format(this.state.time)}</span>;
+  }
+}
+
+class Feed extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {items: [], loading: true};
+  }
+
+  componentDidMount() {
+    this.props.store.subscribe(this.handleChange);
+    window.addEventListener('resize', this.handleResize);
+  }
+
+  render() {
+    return <ul>{this.state.items}</ul>;
+  }
+}
@@ -0,0 +1,51 @@
+import React from 'react';
+
+class Row extends React.Component {
+  state = {
+    isScrollingDown: false,
+  };
+
+  componentWillReceiveProps(nextProps) {
+    if (nextProps.currentRow !== this.props.currentRow) {
+      this.setState({
+        isScrollingDown: nextProps.currentRow > this.props.currentRow,
+      });
+    }
+  }
+
+  render() {
+    return <div>{this.props.currentRow}</div>;
+  }
+}
+
+class Search extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {query: props.query};
+  }
+
+  UNSAFE_componentWillReceiveProps(nextProps) {
+    if (nextProps.query !== this.props.query) {
+      this.setState({query: nextProps.query});
+    }
+    if (this.props.page !== nextProps.page || nextProps.size !== this.props.size) {
+      this.setState({offset: nextProps.page * nextProps.size});
+    }
+  }
+
+  render() {
+    return <input value={this.state.query} />;
+  }
+}
+
+class Email extends React.Component {
+  componentWillReceiveProps(nextProps) {
+    if (nextProps.userID !== this.props.userID) {
+      this.setState({email: nextProps.defaultEmail});
+    }
+  }
+
+  render() {
+    return <input value={this.state.email} />;
+  }
+}
@@ -0,0 +1,83 @@
+import React from 'react';
+
+class Row extends React.Component {
+  state = {
+    isScrollingDown: false,
+    prevCurrentRow: this.props.currentRow,
+  };
+
+  static getDerivedStateFromProps(nextProps, prevState) {
+    if (nextProps.currentRow !== prevState.prevCurrentRow) {
+      return {
+        prevCurrentRow: nextProps.currentRow,
+        isScrollingDown: nextProps.currentRow > prevState.prevCurrentRow,
+      };
+    }
+
+    return null;
+  }
+
+  render() {
+    return <div>{this.props.currentRow}</div>;
+  }
+}
+
+class Search extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      query: props.query,
+      prevQuery: props.query,
+      prevPage: props.page,
+      prevSize: props.size,
+    };
+  }
+
+  static getDerivedStateFromProps(nextProps, prevState) {
+    let derivedState = null;
+
+    if (nextProps.query !== prevState.prevQuery) {
+      derivedState = {
+        ...derivedState,
+        prevQuery: nextProps.query,
+        query: nextProps.query,
+      };
+    }
+
+    if (nextProps.page !== prevState.prevPage || nextProps.size !== prevState.prevSize) {
+      derivedState = {
+        ...derivedState,
+        prevPage: nextProps.page,
+        prevSize: nextProps.size,
+        offset: nextProps.page * nextProps.size,
+      };
+    }
+
+    return derivedState;
+  }
+
+  render() {
+    return <input value={this.state.query} />;
+  }
+}
+
+class Email extends React.Component {
+  state = {
+    prevUserID: this.props.userID,
+  };
+
+  static getDerivedStateFromProps(nextProps, prevState) {
+    if (nextProps.userID !== prevState.prevUserID) {
+      return {
+        prevUserID: nextProps.userID,
+        email: nextProps.defaultEmail,
+      };
+    }
+
+    return null;
+  }
+
+  render() {
+    return <input value={this.state.email} />;
+  }
+}
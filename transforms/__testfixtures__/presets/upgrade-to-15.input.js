@@ -0,0 +1,14 @@
+var React = require('React');
+
+var Foo = React.createClass({
+  componentDidMount: function() {
+    this.getDOMNode().focus();
+    this.refs.input.getDOMNode().select();
+  },
+
+  render: function() {
+    return <input ref="input" />;
+  },
+});
+
+React.render(<Foo />, document.getElementById('root'));
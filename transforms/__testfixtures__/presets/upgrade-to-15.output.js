@@ -0,0 +1,16 @@
+var React = require('React');
+
+var ReactDOM = require('ReactDOM');
+
+var Foo = React.createClass({
+  componentDidMount: function() {
+    ReactDOM.findDOMNode(this).focus();
+    ReactDOM.findDOMNode(this.refs.input).select();
+  },
+
+  render: function() {
+    return <input ref="input" />;
+  },
+});
+
+ReactDOM.render(<Foo />, document.getElementById('root'));
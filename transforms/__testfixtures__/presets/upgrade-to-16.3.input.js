@@ -0,0 +1,21 @@
+var React = require('react');
+
+var Foo = React.createClass({
+  propTypes: {
+    name: React.PropTypes.string,
+  },
+
+  componentWillReceiveProps: function(nextProps) {
+    this.setState({name: nextProps.name});
+  },
+
+  unstable_handleError: function(error) {
+    this.setState({error: error});
+  },
+
+  render: function() {
+    return React.DOM.span(null, this.props.name);
+  },
+});
+
+module.exports = Foo;
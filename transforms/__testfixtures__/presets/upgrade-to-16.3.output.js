@@ -0,0 +1,22 @@
+var PropTypes = require('prop-types');
+var React = require('react');
+
+class Foo extends React.Component {
+  static propTypes = {
+    name: PropTypes.string,
+  };
+
+  UNSAFE_componentWillReceiveProps(nextProps) {
+    this.setState({name: nextProps.name});
+  }
+
+  componentDidCatch = (error) => {
+    this.setState({error: error});
+  };
+
+  render() {
+    return React.createElement('span', null, this.props.name);
+  }
+}
+
+module.exports = Foo;
@@ -0,0 +1,17 @@
+var React = require('react');
+var PureRenderMixin = require('react-addons-pure-render-mixin');
+
+var Foo = React.createClass({
+  mixins: [PureRenderMixin],
+  propTypes: {
+    name: React.PropTypes.string,
+  },
+  componentWillMount: function() {
+    this.getDOMNode().focus();
+  },
+  render: function() {
+    return React.DOM.div(null, this.props.name);
+  },
+});
+
+React.render(<Foo />, document.body);
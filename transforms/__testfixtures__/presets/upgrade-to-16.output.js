@@ -0,0 +1,23 @@
+var PropTypes = require('prop-types');
+var React = require('react');
+var ReactDOM = require('react-dom');
+
+class Foo extends React.Component {
+  static propTypes = {
+    name: PropTypes.string,
+  };
+
+  componentWillMount() {
+    ReactDOM.findDOMNode(this).focus();
+  }
+
+  shouldComponentUpdate(nextProps, nextState) {
+    return React.addons.shallowCompare(this, nextProps, nextState);
+  }
+
+  render() {
+    return React.createElement('div', null, this.props.name);
+  }
+}
+
+ReactDOM.render(<Foo />, document.body);
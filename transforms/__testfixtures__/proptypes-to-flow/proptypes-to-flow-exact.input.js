@@ -0,0 +1,12 @@
+// @flow
+import React from 'react';
+import PropTypes from 'prop-types';
+
+const Hint = ({text, tone}) => <small className={tone}>{text}</small>;
+
+Hint.propTypes = {
+  text: PropTypes.string.isRequired,
+  tone: PropTypes.oneOf(['info', 'warning']),
+};
+
+export default Hint;
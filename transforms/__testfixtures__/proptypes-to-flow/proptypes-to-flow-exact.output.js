@@ -0,0 +1,14 @@
+// @flow
+import React from 'react';
+
+type Props = {|
+  text: string,
+  tone?: 'info' | 'warning',
+|};
+
+const Hint = ({
+  text,
+  tone,
+}: Props) => <small className={tone}>{text}</small>;
+
+export default Hint;
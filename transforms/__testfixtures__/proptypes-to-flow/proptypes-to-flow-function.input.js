@@ -0,0 +1,31 @@
+// @flow
+import React from 'react';
+import PropTypes from 'prop-types';
+
+function Avatar(props) {
+  return <img src={props.url} alt={props.user.name} />;
+}
+
+Avatar.propTypes = {
+  url: PropTypes.string.isRequired,
+  user: PropTypes.instanceOf(User),
+  tags: PropTypes.arrayOf(PropTypes.string),
+};
+
+const Badge = props => <span>{props.count}</span>;
+
+Badge.propTypes = {
+  count: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+};
+
+class List extends React.Component {
+  render() {
+    return <ul>{this.props.children}</ul>;
+  }
+}
+
+List.propTypes = {
+  children: PropTypes.node,
+};
+
+export {Avatar, Badge, List};
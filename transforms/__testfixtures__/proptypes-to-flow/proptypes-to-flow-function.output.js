@@ -0,0 +1,41 @@
+// @flow
+import React from 'react';
+import PropTypes from 'prop-types';
+
+type AvatarProps = {
+  url: string,
+  user?: User,
+  tags?: Array<string>,
+};
+
+function Avatar(props: AvatarProps) {
+  return <img src={props.url} alt={props.user.name} />;
+}
+
+Avatar.propTypes = {
+  url: PropTypes.string.isRequired,
+  user: PropTypes.instanceOf(User),
+  tags: PropTypes.arrayOf(PropTypes.string),
+};
+
+type BadgeProps = { count?: number | string };
+
+const Badge = (props: BadgeProps) => <span>{props.count}</span>;
+
+Badge.propTypes = {
+  count: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+};
+
+type ListProps = { children?: $FlowFixMe };
+
+class List extends React.Component<ListProps> {
+  render() {
+    return <ul>{this.props.children}</ul>;
+  }
+}
+
+List.propTypes = {
+  children: PropTypes.node,
+};
+
+export {Avatar, Badge, List};
@@ -0,0 +1,8 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+const Hint = props => <small>{props.text}</small>;
+
+Hint.propTypes = {
+  text: PropTypes.string.isRequired,
+};
@@ -0,0 +1,33 @@
+// @flow
+import React from 'react';
+import PropTypes from 'prop-types';
+import {sharedPropTypes} from './shared';
+
+type Props = {title: string};
+
+class Typed extends React.Component<Props> {
+  static propTypes = {
+    title: PropTypes.string,
+  };
+}
+
+class Shared extends React.Component {
+  static propTypes = sharedPropTypes;
+}
+
+function Empty() {
+  return null;
+}
+
+Empty.propTypes = {
+  text: PropTypes.string,
+};
+
+function Card(props) {
+  return <div title={props.title}>{props.children}</div>;
+}
+
+Card.propTypes = {
+  ...Base.propTypes,
+  title: PropTypes.string,
+};
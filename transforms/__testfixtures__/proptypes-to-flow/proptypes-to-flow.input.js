@@ -0,0 +1,21 @@
+/**
+ * @flow
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+
+export default class Button extends React.Component {
+  static propTypes = {
+    label: PropTypes.string.isRequired,
+    onClick: PropTypes.func,
+    size: PropTypes.oneOf(['small', 'large']),
+    icon: PropTypes.exact({
+      name: PropTypes.string.isRequired,
+    }),
+  };
+
+  render() {
+    return <button onClick={this.props.onClick}>{this.props.label}</button>;
+  }
+}
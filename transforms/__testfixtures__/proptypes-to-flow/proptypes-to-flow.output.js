@@ -0,0 +1,28 @@
+/**
+ * @flow
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+
+type Props = {
+  label: string,
+  onClick?: Function,
+  size?: 'small' | 'large',
+  icon?: {| name: string |},
+};
+
+export default class Button extends React.Component<Props> {
+  static propTypes = {
+    label: PropTypes.string.isRequired,
+    onClick: PropTypes.func,
+    size: PropTypes.oneOf(['small', 'large']),
+    icon: PropTypes.exact({
+      name: PropTypes.string.isRequired,
+    }),
+  };
+
+  render() {
+    return <button onClick={this.props.onClick}>{this.props.label}</button>;
+  }
+}
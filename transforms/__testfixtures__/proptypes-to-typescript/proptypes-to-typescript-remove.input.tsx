@@ -0,0 +1,22 @@
+// Fields of a profile form.
+import * as React from 'react';
+import PropTypes from 'prop-types';
+
+class Field extends React.Component {
+  static propTypes = {
+    name: PropTypes.string.isRequired,
+    value: PropTypes.string,
+  };
+
+  render() {
+    return <input name={this.props.name} value={this.props.value} />;
+  }
+}
+
+const Hint = props => <small>{props.children}</small>;
+
+Hint.propTypes = {
+  children: PropTypes.node.isRequired,
+};
+
+export {Field, Hint};
@@ -0,0 +1,21 @@
+// Fields of a profile form.
+import * as React from 'react';
+
+interface FieldProps {
+  name: string;
+  value?: string;
+}
+
+class Field extends React.Component<FieldProps> {
+  render() {
+    return <input name={this.props.name} value={this.props.value} />;
+  }
+}
+
+interface HintProps {
+  children: React.ReactNode;
+}
+
+const Hint = (props: HintProps) => <small>{props.children}</small>;
+
+export {Field, Hint};
@@ -0,0 +1,44 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import {sharedPropTypes} from './shared';
+
+class Typed extends React.Component<{title: string}> {
+  static propTypes = {
+    title: PropTypes.string,
+  };
+}
+
+class Shared extends React.Component {
+  static propTypes = sharedPropTypes;
+}
+
+interface HeaderProps {
+  title: string;
+}
+
+function Header(props: HeaderProps) {
+  return <h1>{props.title}</h1>;
+}
+
+Header.propTypes = {
+  title: PropTypes.string,
+};
+
+function Footer(props) {
+  return <footer>{props.text}</footer>;
+}
+
+Footer.propTypes = {
+  text: PropTypes.string,
+};
+
+type FooterProps = {};
+
+function Card(props) {
+  return <div title={props.title}>{props.children}</div>;
+}
+
+Card.propTypes = {
+  ...Base.propTypes,
+  title: PropTypes.string,
+};
@@ -0,0 +1,49 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+export class Button extends React.Component {
+  static propTypes = {
+    label: PropTypes.string.isRequired,
+    onClick: PropTypes.func,
+    size: PropTypes.oneOf(['small', 'large', null]),
+    children: PropTypes.node,
+  };
+
+  render() {
+    return <button onClick={this.props.onClick}>{this.props.label}</button>;
+  }
+}
+
+class List extends React.Component {
+  render() {
+    return <ul>{this.props.items.map(item => <li key={item.id}>{item.name}</li>)}</ul>;
+  }
+}
+
+List.propTypes = {
+  items: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.number.isRequired,
+    name: PropTypes.string,
+  })).isRequired,
+  lookup: PropTypes.objectOf(PropTypes.bool),
+  'data-id': PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+};
+
+function Avatar(props) {
+  return <img src={props.url} alt={props.user.name} />;
+}
+
+Avatar.propTypes = {
+  url: PropTypes.string.isRequired,
+  user: PropTypes.instanceOf(User),
+  icon: PropTypes.element,
+  address: PropTypes.shape({...Address.shape, zip: PropTypes.string}),
+};
+
+export const Badge = ({count}) => <span>{count}</span>;
+
+Badge.propTypes = {
+  count: PropTypes.any,
+};
+
+export default List;
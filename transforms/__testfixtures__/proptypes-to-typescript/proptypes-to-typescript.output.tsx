@@ -0,0 +1,80 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+interface ButtonProps {
+  label: string;
+  onClick?: (...args: any[]) => any;
+  size?: 'small' | 'large' | null;
+  children?: React.ReactNode;
+}
+
+export class Button extends React.Component<ButtonProps> {
+  static propTypes = {
+    label: PropTypes.string.isRequired,
+    onClick: PropTypes.func,
+    size: PropTypes.oneOf(['small', 'large', null]),
+    children: PropTypes.node,
+  };
+
+  render() {
+    return <button onClick={this.props.onClick}>{this.props.label}</button>;
+  }
+}
+
+interface ListProps {
+  items: Array<{
+    id: number,
+    name?: string
+  }>;
+  lookup?: {
+    [key: string]: boolean
+  };
+  'data-id'?: string | number;
+}
+
+class List extends React.Component<ListProps> {
+  render() {
+    return <ul>{this.props.items.map(item => <li key={item.id}>{item.name}</li>)}</ul>;
+  }
+}
+
+List.propTypes = {
+  items: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.number.isRequired,
+    name: PropTypes.string,
+  })).isRequired,
+  lookup: PropTypes.objectOf(PropTypes.bool),
+  'data-id': PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+};
+
+interface AvatarProps {
+  url: string;
+  user?: User;
+  icon?: React.ReactElement;
+  address?: any;
+}
+
+function Avatar(props: AvatarProps) {
+  return <img src={props.url} alt={props.user.name} />;
+}
+
+Avatar.propTypes = {
+  url: PropTypes.string.isRequired,
+  user: PropTypes.instanceOf(User),
+  icon: PropTypes.element,
+  address: PropTypes.shape({...Address.shape, zip: PropTypes.string}),
+};
+
+interface BadgeProps {
+  count?: any;
+}
+
+export const Badge = ({
+  count,
+}: BadgeProps) => <span>{count}</span>;
+
+Badge.propTypes = {
+  count: PropTypes.any,
+};
+
+export default List;
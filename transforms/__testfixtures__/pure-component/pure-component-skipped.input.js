@@ -0,0 +1,17 @@
+import React from 'react';
+
+class Toggle extends React.Component {
+  toggle() {
+    this.setState({on: !this.state.on});
+  }
+
+  render() {
+    return <button onClick={() => this.toggle()} />;
+  }
+}
+
+class Label extends React.Component {
+  render() {
+    return <span ref="label">{this.props.text}</span>;
+  }
+}
@@ -0,0 +1,12 @@
+import * as React from 'react';
+
+interface Props {
+  first: string;
+  last: string;
+}
+
+export class Name extends React.Component<Props> {
+  render() {
+    return <span>{this.props.first} {this.props.last}</span>;
+  }
+}
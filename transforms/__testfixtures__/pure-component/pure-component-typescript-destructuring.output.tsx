@@ -0,0 +1,15 @@
+import * as React from 'react';
+
+interface Props {
+  first: string;
+  last: string;
+}
+
+export const Name = (
+  {
+    first,
+    last,
+  }: Props,
+) => {
+  return <span>{first} {last}</span>;
+};
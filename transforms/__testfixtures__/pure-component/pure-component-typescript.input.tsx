@@ -0,0 +1,11 @@
+import * as React from 'react';
+
+interface Props {
+  name: string;
+}
+
+export class Greeting extends React.Component<Props> {
+  render() {
+    return <div>Hello {this.props.name as string}</div>;
+  }
+}
@@ -0,0 +1,9 @@
+import * as React from 'react';
+
+interface Props {
+  name: string;
+}
+
+export function Greeting(props: Props) {
+  return <div>Hello {props.name as string}</div>;
+}
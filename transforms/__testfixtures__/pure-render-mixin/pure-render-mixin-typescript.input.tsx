@@ -0,0 +1,12 @@
+var React = require('react');
+var PureRenderMixin = require('react-addons-pure-render-mixin');
+
+var Greeting = React.createClass({
+  mixins: [PureRenderMixin],
+
+  render: function() {
+    return <div>Hello {this.props.name as string}</div>;
+  },
+});
+
+export default Greeting;
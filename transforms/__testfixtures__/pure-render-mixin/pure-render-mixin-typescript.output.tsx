@@ -0,0 +1,13 @@
+var React = require('react');
+
+var Greeting = React.createClass({
+  shouldComponentUpdate: function(nextProps, nextState) {
+    return React.addons.shallowCompare(this, nextProps, nextState);
+  },
+
+  render: function() {
+    return <div>Hello {this.props.name as string}</div>;
+  },
+});
+
+export default Greeting;
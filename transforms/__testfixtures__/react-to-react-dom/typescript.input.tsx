@@ -0,0 +1,11 @@
+var React = require('react');
+
+interface Props {
+  name: string;
+}
+
+function Greeting(props: Props) {
+  return <div>Hello {props.name}</div>;
+}
+
+React.render(<Greeting name="World" />, document.getElementById('root') as HTMLElement);
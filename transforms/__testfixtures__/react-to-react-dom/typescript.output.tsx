@@ -0,0 +1,13 @@
+var React = require('react');
+
+var ReactDOM = require('react-dom');
+
+interface Props {
+  name: string;
+}
+
+function Greeting(props: Props) {
+  return <div>Hello {props.name}</div>;
+}
+
+ReactDOM.render(<Greeting name="World" />, document.getElementById('root') as HTMLElement);
@@ -0,0 +1,12 @@
+// @flow
+import * as React from 'react';
+
+type Props = {|
+  value: string,
+|};
+
+const Input = React.forwardRef<Props, HTMLInputElement>((props, ref) => (
+  <input value={props.value} ref={ref} />
+));
+
+export default Input;
@@ -0,0 +1,10 @@
+// @flow
+import * as React from 'react';
+
+type Props = {|
+  value: string,
+|};
+
+const Input = ({ref, ...props}: {...Props, ref?: React.RefSetter<HTMLInputElement>}) => <input value={props.value} ref={ref} />;
+
+export default Input;
@@ -0,0 +1,7 @@
+import {forwardRef} from 'react';
+
+type Props = {title: string} | {children: string};
+
+export const Heading = forwardRef<HTMLHeadingElement, Props>(function Heading(props, ref) {
+  return <h1 ref={ref}>{'title' in props ? props.title : props.children}</h1>;
+});
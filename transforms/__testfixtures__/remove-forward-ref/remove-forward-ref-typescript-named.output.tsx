@@ -0,0 +1,7 @@
+import {Ref} from 'react';
+
+type Props = {title: string} | {children: string};
+
+export function Heading({ref, ...props}: Props & {ref?: Ref<HTMLHeadingElement>}) {
+  return <h1 ref={ref}>{'title' in props ? props.title : props.children}</h1>;
+}
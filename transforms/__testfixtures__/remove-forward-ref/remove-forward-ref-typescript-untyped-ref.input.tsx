@@ -0,0 +1,5 @@
+import React, {forwardRef, memo} from 'react';
+
+type Props = {label: string};
+
+export const Icon = memo(forwardRef((props: Props, r) => <i ref={r} aria-label={props.label} />));
@@ -0,0 +1,5 @@
+import React, { memo } from 'react';
+
+type Props = {label: string};
+
+export const Icon = memo(({ref: r, ...props}: Props & {ref?: React.Ref<unknown>}) => <i ref={r} aria-label={props.label} />);
@@ -0,0 +1,15 @@
+import * as React from 'react';
+
+interface Props {
+  label: string;
+}
+
+export const Field = React.forwardRef<HTMLInputElement, Props>((props, ref) => (
+  <input aria-label={props.label} ref={ref} />
+));
+
+export const Area = React.forwardRef(
+  ({rows, ...props}: {rows: number}, ref: React.ForwardedRef<HTMLTextAreaElement>) => (
+    <textarea rows={rows} ref={ref} {...props} />
+  )
+);
@@ -0,0 +1,11 @@
+import * as React from 'react';
+
+interface Props {
+  label: string;
+}
+
+export const Field = ({ref, ...props}: Props & {ref?: React.Ref<HTMLInputElement>}) => <input aria-label={props.label} ref={ref} />;
+
+export const Area = (
+  {rows, ref, ...props}: {rows: number} & {ref?: React.Ref<HTMLTextAreaElement>},
+) => <textarea rows={rows} ref={ref} {...props} />;
@@ -0,0 +1,17 @@
+import React, {forwardRef} from 'react';
+
+// A text input that forwards its ref.
+export const TextInput = forwardRef((props, ref) => (
+  <input type="text" ref={ref} {...props} />
+));
+TextInput.displayName = 'TextInput';
+
+const Button = React.forwardRef(function Button({children, ...rest}, forwardedRef) {
+  return <button ref={forwardedRef} {...rest}>{children}</button>;
+});
+
+export default React.memo(forwardRef(function Label(props, ref) {
+  return <label ref={ref}>{props.text}</label>;
+}));
+
+export const Icon = forwardRef(renderIcon);
@@ -0,0 +1,15 @@
+import React, {forwardRef} from 'react';
+
+// A text input that forwards its ref.
+export const TextInput = ({ref, ...props}) => <input type="text" ref={ref} {...props} />;
+TextInput.displayName = 'TextInput';
+
+function Button({children, ref: forwardedRef, ...rest}) {
+  return <button ref={forwardedRef} {...rest}>{children}</button>;
+}
+
+export default React.memo(function Label({ref, ...props}) {
+  return <label ref={ref}>{props.text}</label>;
+});
+
+export const Icon = forwardRef(renderIcon);
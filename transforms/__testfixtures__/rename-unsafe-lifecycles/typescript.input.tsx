@@ -0,0 +1,17 @@
+import * as React from 'react';
+
+interface Props {
+  name: string;
+}
+
+export class Greeting extends React.Component<Props> {
+  componentWillMount(): void {}
+
+  componentWillReceiveProps(nextProps: Props): void {}
+
+  componentWillUpdate(nextProps: Props, nextState: {}): void {}
+
+  render() {
+    return <div>{this.props.name}</div>;
+  }
+}
@@ -0,0 +1,17 @@
+import * as React from 'react';
+
+interface Props {
+  name: string;
+}
+
+export class Greeting extends React.Component<Props> {
+  UNSAFE_componentWillMount(): void {}
+
+  UNSAFE_componentWillReceiveProps(nextProps: Props): void {}
+
+  UNSAFE_componentWillUpdate(nextProps: Props, nextState: {}): void {}
+
+  render() {
+    return <div>{this.props.name}</div>;
+  }
+}
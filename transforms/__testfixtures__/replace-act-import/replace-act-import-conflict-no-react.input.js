@@ -0,0 +1,6 @@
+const TestUtils = require('react-dom/test-utils');
+const {act} = require('./utils');
+
+it('updates', () => {
+  TestUtils.act(() => act());
+});
@@ -0,0 +1,5 @@
+import React from 'react';
+import TestUtils from 'react-dom/test-utils';
+import {act} from './utils';
+
+TestUtils.act(() => act());
@@ -0,0 +1,4 @@
+import React from 'react';
+import {act} from './utils';
+
+React.act(() => act());
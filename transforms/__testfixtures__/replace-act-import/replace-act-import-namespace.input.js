@@ -0,0 +1,15 @@
+/**
+ * @jest-environment jsdom
+ */
+import * as React from 'react';
+import TestUtils from 'react-dom/test-utils';
+import TestRenderer, {act as rendererAct} from 'react-test-renderer';
+
+it('renders', async () => {
+  await TestUtils.act(async () => {
+    TestUtils.renderIntoDocument(<div />);
+  });
+  rendererAct(() => {
+    TestRenderer.create(<div />);
+  });
+});
@@ -0,0 +1,16 @@
+/**
+ * @jest-environment jsdom
+ */
+import * as React from 'react';
+import { act as rendererAct, act } from 'react';
+import TestUtils from 'react-dom/test-utils';
+import TestRenderer from 'react-test-renderer';
+
+it('renders', async () => {
+  await act(async () => {
+    TestUtils.renderIntoDocument(<div />);
+  });
+  rendererAct(() => {
+    TestRenderer.create(<div />);
+  });
+});
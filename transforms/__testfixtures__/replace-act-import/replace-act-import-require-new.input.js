@@ -0,0 +1,6 @@
+const {act} = require('react-dom/test-utils');
+const render = require('./render');
+
+it('updates', () => {
+  act(() => render());
+});
@@ -0,0 +1,6 @@
+const render = require('./render');
+const {act} = require('react');
+
+it('updates', () => {
+  act(() => render());
+});
@@ -0,0 +1,9 @@
+'use strict';
+
+const React = require('react');
+const {act} = require('react-dom/test-utils');
+const render = require('./render');
+
+it('updates', () => {
+  act(() => render(<div />));
+});
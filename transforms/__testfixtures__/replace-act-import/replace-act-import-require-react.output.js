@@ -0,0 +1,8 @@
+'use strict';
+
+const React = require('react');
+const render = require('./render');
+
+it('updates', () => {
+  React.act(() => render(<div />));
+});
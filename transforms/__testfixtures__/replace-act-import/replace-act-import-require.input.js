@@ -0,0 +1,10 @@
+'use strict';
+
+const {useState} = require('react');
+const ReactTestUtils = require('react-dom/test-utils');
+
+it('updates', () => {
+  ReactTestUtils.act(() => {
+    update();
+  });
+});
@@ -0,0 +1,9 @@
+'use strict';
+
+const {useState, act} = require('react');
+
+it('updates', () => {
+  act(() => {
+    update();
+  });
+});
@@ -0,0 +1,14 @@
+import React from 'react';
+import TestUtils from 'react-dom/test-utils';
+import {act} from 'react-dom/test-utils';
+import Counter from '../Counter';
+
+it('increments', () => {
+  const container = document.createElement('div');
+  act(() => {
+    TestUtils.renderIntoDocument(<Counter />);
+  });
+  TestUtils.act(() => {
+    TestUtils.Simulate.click(container.firstChild);
+  });
+});
@@ -0,0 +1,13 @@
+import React, { act } from 'react';
+import TestUtils from 'react-dom/test-utils';
+import Counter from '../Counter';
+
+it('increments', () => {
+  const container = document.createElement('div');
+  act(() => {
+    TestUtils.renderIntoDocument(<Counter />);
+  });
+  act(() => {
+    TestUtils.Simulate.click(container.firstChild);
+  });
+});
@@ -0,0 +1,10 @@
+import React from 'react';
+import {act} from 'react-dom/test-utils';
+import ReactDOM from 'react-dom';
+import Counter from '../Counter';
+
+it('increments', () => {
+  act(() => {
+    ReactDOM.render(<Counter />, container);
+  });
+});
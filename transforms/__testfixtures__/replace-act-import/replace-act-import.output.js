@@ -0,0 +1,9 @@
+import React, { act } from 'react';
+import ReactDOM from 'react-dom';
+import Counter from '../Counter';
+
+it('increments', () => {
+  act(() => {
+    ReactDOM.render(<Counter />, container);
+  });
+});
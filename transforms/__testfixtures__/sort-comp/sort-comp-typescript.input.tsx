@@ -0,0 +1,19 @@
+import * as React from 'react';
+
+interface Props {
+  onSelect(value: string): void;
+}
+
+export class Picker extends React.Component<Props> {
+  render() {
+    return <div onClick={this.onClick} />;
+  }
+
+  onClick = (): void => {
+    this.props.onSelect('value');
+  };
+
+  componentDidMount(): void {}
+
+  static defaultProps: Partial<Props> = {};
+}
@@ -0,0 +1,19 @@
+import * as React from 'react';
+
+interface Props {
+  onSelect(value: string): void;
+}
+
+export class Picker extends React.Component<Props> {
+  static defaultProps: Partial<Props> = {};
+
+  componentDidMount(): void {}
+
+  onClick = (): void => {
+    this.props.onSelect('value');
+  };
+
+  render() {
+    return <div onClick={this.onClick} />;
+  }
+}
@@ -0,0 +1,11 @@
+import React from 'react';
+
+const Legacy = React.createClass({
+  select() {
+    this.refs.field.select();
+  },
+
+  render() {
+    return <input ref="field" onFocus={this.select} />;
+  },
+});
@@ -0,0 +1,15 @@
+import React from 'react';
+
+const Legacy = React.createClass({
+  select() {
+    this.field.select();
+  },
+
+  render() {
+    return (
+      <input ref={ref => {
+        this.field = ref;
+      }} onFocus={this.select} />
+    );
+  },
+});
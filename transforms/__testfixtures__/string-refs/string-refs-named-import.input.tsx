@@ -0,0 +1,20 @@
+import {Component} from 'react';
+
+interface Props {
+  label: string;
+}
+
+export default class Field extends Component<Props> {
+  focus() {
+    this.refs.input.focus();
+  }
+
+  render() {
+    return (
+      <label>
+        {this.props.label}
+        <input ref="input" />
+      </label>
+    );
+  }
+}
@@ -0,0 +1,21 @@
+import { Component, createRef } from 'react';
+
+interface Props {
+  label: string;
+}
+
+export default class Field extends Component<Props> {
+  input = createRef();
+  focus() {
+    this.input.current.focus();
+  }
+
+  render() {
+    return (
+      <label>
+        {this.props.label}
+        <input ref={this.input} />
+      </label>
+    );
+  }
+}
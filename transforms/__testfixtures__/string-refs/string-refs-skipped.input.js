@@ -0,0 +1,58 @@
+import React from 'react';
+
+class Dynamic extends React.Component {
+  render() {
+    return this.props.items.map(item => <li ref={`item-${item.id}`} />);
+  }
+}
+
+class Lookup extends React.Component {
+  focus(name) {
+    this.refs[name].focus();
+  }
+
+  render() {
+    return <input ref="first" />;
+  }
+}
+
+class Whole extends React.Component {
+  componentDidMount() {
+    Object.keys(this.refs).forEach(key => console.log(key));
+  }
+
+  render() {
+    return <input ref="first" />;
+  }
+}
+
+class Nested extends React.Component {
+  render() {
+    return this.props.items.map(function(item) {
+      return <li key={item} ref="item" />;
+    });
+  }
+}
+
+class Taken extends React.Component {
+  input = null;
+
+  render() {
+    return <input ref="input" />;
+  }
+}
+
+class Mixed extends React.Component {
+  focus() {
+    this.refs.input.focus();
+  }
+
+  render() {
+    return (
+      <div>
+        <input ref="input" />
+        <textarea ref={this.props.multiline ? 'body' : 'summary'} />
+      </div>
+    );
+  }
+}
@@ -0,0 +1,24 @@
+import React from 'react';
+
+class SearchBox extends React.Component {
+  static defaultProps = {autoFocus: false};
+
+  componentDidMount() {
+    if (this.props.autoFocus) {
+      this.refs.input.focus();
+    }
+  }
+
+  clear = () => {
+    this.refs['input'].value = '';
+  };
+
+  render() {
+    return (
+      <form ref="form">
+        <input ref="input" />
+        <button onClick={this.clear}>Clear</button>
+      </form>
+    );
+  }
+}
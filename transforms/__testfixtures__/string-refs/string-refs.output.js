@@ -0,0 +1,27 @@
+import React from 'react';
+
+class SearchBox extends React.Component {
+  static defaultProps = {autoFocus: false};
+
+  form = React.createRef();
+  input = React.createRef();
+
+  componentDidMount() {
+    if (this.props.autoFocus) {
+      this.input.current.focus();
+    }
+  }
+
+  clear = () => {
+    this.input.current.value = '';
+  };
+
+  render() {
+    return (
+      <form ref={this.form}>
+        <input ref={this.input} />
+        <button onClick={this.clear}>Clear</button>
+      </form>
+    );
+  }
+}
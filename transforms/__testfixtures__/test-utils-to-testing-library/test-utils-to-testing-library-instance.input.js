@@ -0,0 +1,21 @@
+const React = require('react');
+const {renderIntoDocument, findRenderedComponentWithType, Simulate} = require('react-dom/test-utils');
+const ShallowRenderer = require('react-test-renderer/shallow');
+const Form = require('../Form');
+const Input = require('../Input');
+
+describe('Form', () => {
+  it('validates', () => {
+    const form = renderIntoDocument(<Form />);
+    const input = findRenderedComponentWithType(form, Input);
+    Simulate.blur(input.node);
+    Simulate.submit(form);
+    expect(form.state.valid).toBe(false);
+  });
+
+  it('renders shallowly', () => {
+    const renderer = new ShallowRenderer();
+    renderer.render(<Form />);
+    expect(renderer.getMountedInstance().isValid()).toBe(true);
+  });
+});
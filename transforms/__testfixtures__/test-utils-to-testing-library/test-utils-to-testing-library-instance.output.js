@@ -0,0 +1,27 @@
+const {fireEvent} = require('@testing-library/react');
+const React = require('react');
+const {renderIntoDocument, findRenderedComponentWithType, Simulate} = require('react-dom/test-utils');
+const ShallowRenderer = require('react-test-renderer/shallow');
+const Form = require('../Form');
+const Input = require('../Input');
+
+describe('Form', () => {
+  it('validates', () => {
+    const form = renderIntoDocument(<Form />);
+    // TODO: Migrate to React Testing Library: `findRenderedComponentWithType` needs a component instance.
+    const input = findRenderedComponentWithType(form, Input);
+    fireEvent.blur(input.node);
+    // TODO: Migrate to React Testing Library: `form` is used as a component instance.
+    Simulate.submit(form);
+    // TODO: Migrate to React Testing Library: `form` is used as a component instance.
+    expect(form.state.valid).toBe(false);
+  });
+
+  it('renders shallowly', () => {
+    // TODO: Migrate to React Testing Library: Shallow rendering has no equivalent; render the whole tree instead.
+    const renderer = new ShallowRenderer();
+    renderer.render(<Form />);
+    // TODO: Migrate to React Testing Library: `getMountedInstance` returns a component instance.
+    expect(renderer.getMountedInstance().isValid()).toBe(true);
+  });
+});
@@ -0,0 +1,6 @@
+import React from 'react';
+import {isElement} from 'react-dom/test-utils';
+
+test('is an element', () => {
+  expect(isElement(<div />)).toBe(true);
+});
@@ -0,0 +1,16 @@
+import React from 'react';
+import TestRenderer from 'react-test-renderer';
+import Link from '../Link';
+
+test('Link changes the class when hovered', () => {
+  const component = TestRenderer.create(<Link page="http://www.facebook.com">Facebook</Link>);
+  expect(component.toJSON()).toMatchSnapshot();
+
+  component.update(<Link page="http://www.instagram.com">Instagram</Link>);
+  expect(component.toJSON()).toMatchSnapshot();
+  component.unmount();
+});
+
+test('Link renders', () => {
+  expect(TestRenderer.create(<Link page="/" />).toJSON()).toMatchSnapshot();
+});
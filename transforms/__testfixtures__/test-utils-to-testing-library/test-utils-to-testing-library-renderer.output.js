@@ -0,0 +1,16 @@
+import { render } from '@testing-library/react';
+import React from 'react';
+import Link from '../Link';
+
+test('Link changes the class when hovered', () => {
+  const {container, rerender, unmount} = render(<Link page="http://www.facebook.com">Facebook</Link>);
+  expect(container.firstChild).toMatchSnapshot();
+
+  rerender(<Link page="http://www.instagram.com">Instagram</Link>);
+  expect(container.firstChild).toMatchSnapshot();
+  unmount();
+});
+
+test('Link renders', () => {
+  expect(render(<Link page="/" />).container.firstChild).toMatchSnapshot();
+});
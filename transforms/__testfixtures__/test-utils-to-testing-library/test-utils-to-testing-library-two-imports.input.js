@@ -0,0 +1,8 @@
+import TestUtils from 'react-dom/test-utils';
+import {Simulate} from 'react-dom/test-utils';
+
+it('closes on Escape', () => {
+  const input = document.createElement('input');
+  TestUtils.Simulate.focus(input);
+  Simulate.keyDown(input, {key: 'Escape'});
+});
@@ -0,0 +1,7 @@
+import { fireEvent } from '@testing-library/react';
+
+it('closes on Escape', () => {
+  const input = document.createElement('input');
+  fireEvent.focus(input);
+  fireEvent.keyDown(input, {key: 'Escape'});
+});
@@ -0,0 +1,33 @@
+/**
+ * @emails react-core
+ */
+import React from 'react';
+import ReactDOM from 'react-dom';
+import TestUtils from 'react-dom/test-utils';
+import Form from '../Form';
+
+describe('Form', () => {
+  it('submits', () => {
+    const onSubmit = jest.fn();
+    const tree = TestUtils.renderIntoDocument(<Form onSubmit={onSubmit} />);
+    const comment = TestUtils.findRenderedDOMComponentWithTag(tree, 'textarea');
+    const button = TestUtils.findRenderedDOMComponentWithTag(tree, 'button');
+    TestUtils.Simulate.change(comment, {target: {value: 'Thanks'}});
+    TestUtils.Simulate.click(button);
+    expect(onSubmit).toBeCalled();
+  });
+
+  it('shows errors', () => {
+    const tree = TestUtils.renderIntoDocument(<Form errors={['Required']} />);
+    const errors = TestUtils.scryRenderedDOMComponentsWithClass(tree, 'form-error');
+    expect(errors.length).toBe(1);
+    expect(TestUtils.scryRenderedDOMComponentsWithTag(tree, 'li').length).toBe(1);
+    expect(ReactDOM.findDOMNode(tree).tagName).toBe('FORM');
+    expect(TestUtils.findRenderedDOMComponentWithTag(tree, 'h2').textContent).toBe('Errors');
+  });
+
+  it('renders', () => {
+    TestUtils.renderIntoDocument(<Form />);
+    TestUtils.Simulate.change(document.querySelector('input'), {target: {value: 'a'}});
+  });
+});
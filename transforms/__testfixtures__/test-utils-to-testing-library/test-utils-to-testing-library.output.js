@@ -0,0 +1,33 @@
+/**
+ * @emails react-core
+ */
+import { fireEvent, render, within } from '@testing-library/react';
+
+import React from 'react';
+import Form from '../Form';
+
+describe('Form', () => {
+  it('submits', () => {
+    const onSubmit = jest.fn();
+    const {container} = render(<Form onSubmit={onSubmit} />);
+    const comment = container.querySelector('textarea');
+    const button = container.querySelector('button');
+    fireEvent.change(comment, {target: {value: 'Thanks'}});
+    fireEvent.click(button);
+    expect(onSubmit).toBeCalled();
+  });
+
+  it('shows errors', () => {
+    const {container} = render(<Form errors={['Required']} />);
+    const errors = Array.from(container.querySelectorAll('.form-error'));
+    expect(errors.length).toBe(1);
+    expect(within(container).queryAllByRole('listitem').length).toBe(1);
+    expect(container.firstChild.tagName).toBe('FORM');
+    expect(within(container).getByRole('heading', {level: 2}).textContent).toBe('Errors');
+  });
+
+  it('renders', () => {
+    render(<Form />);
+    fireEvent.change(document.querySelector('input'), {target: {value: 'a'}});
+  });
+});
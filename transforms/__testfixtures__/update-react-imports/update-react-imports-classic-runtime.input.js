@@ -0,0 +1,6 @@
+/** @jsxRuntime classic */
+import React from 'react';
+
+export default function Title({children}) {
+  return <h1>{children}</h1>;
+}
@@ -0,0 +1,7 @@
+import * as React from 'react';
+
+export const Title: React.FC<{text: string}> = ({text}) => <h1>{text}</h1>;
+
+export function List({children}) {
+  return <ul>{React.Children.map(children, child => <li>{child}</li>)}</ul>;
+}
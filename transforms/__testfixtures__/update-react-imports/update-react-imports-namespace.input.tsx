@@ -0,0 +1,6 @@
+import * as R from 'react';
+
+export function Input() {
+  const ref = R.useRef(null);
+  return <input ref={ref} />;
+}
@@ -0,0 +1,6 @@
+import { useRef } from 'react';
+
+export function Input() {
+  const ref = useRef(null);
+  return <input ref={ref} />;
+}
@@ -0,0 +1,9 @@
+const React = require('react');
+const PropTypes = require('prop-types');
+
+function Toggle(props) {
+  const [on, setOn] = React.useState(false);
+  return <button onClick={() => setOn(!on)}>{props.label}</button>;
+}
+
+module.exports = Toggle;
@@ -0,0 +1,11 @@
+const {
+  useState,
+} = require('react');
+const PropTypes = require('prop-types');
+
+function Toggle(props) {
+  const [on, setOn] = useState(false);
+  return <button onClick={() => setOn(!on)}>{props.label}</button>;
+}
+
+module.exports = Toggle;
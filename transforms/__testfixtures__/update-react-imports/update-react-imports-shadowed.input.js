@@ -0,0 +1,8 @@
+import React from 'react';
+
+const useState = initial => [initial, () => {}];
+
+export function Counter() {
+  const [count] = React.useState(0);
+  return <span>{count}</span>;
+}
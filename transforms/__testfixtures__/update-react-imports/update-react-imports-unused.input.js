@@ -0,0 +1,4 @@
+// Copyright header
+import React, {memo} from 'react';
+
+export const Label = memo(({text}) => <span>{text}</span>);
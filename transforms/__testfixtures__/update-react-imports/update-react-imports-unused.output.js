@@ -0,0 +1,4 @@
+// Copyright header
+import { memo } from 'react';
+
+export const Label = memo(({text}) => <span>{text}</span>);
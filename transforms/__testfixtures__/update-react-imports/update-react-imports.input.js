@@ -0,0 +1,20 @@
+/**
+ * @flow
+ */
+
+import React from 'react';
+import {useEffect} from 'react';
+import Header from './Header';
+
+export default function App({title}) {
+  const [count, setCount] = React.useState(0);
+  useEffect(() => {
+    document.title = title;
+  });
+  return (
+    <React.Fragment>
+      <Header title={title} />
+      <button onClick={() => setCount(count + 1)}>{count}</button>
+    </React.Fragment>
+  );
+}
@@ -0,0 +1,19 @@
+/**
+ * @flow
+ */
+
+import { useEffect, Fragment, useState } from 'react';
+import Header from './Header';
+
+export default function App({title}) {
+  const [count, setCount] = useState(0);
+  useEffect(() => {
+    document.title = title;
+  });
+  return (
+    <Fragment>
+      <Header title={title} />
+      <button onClick={() => setCount(count + 1)}>{count}</button>
+    </Fragment>
+  );
+}
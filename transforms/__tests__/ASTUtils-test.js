@@ -0,0 +1,49 @@
+/**
+ * Copyright 2013-2015, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ */
+
+'use strict';
+
+const parser = require('../utils/parser');
+
+describe('ASTUtils', () => {
+  const jscodeshift = require('jscodeshift');
+  const parse = source => {
+    const j = parser.withParser(jscodeshift, {path: 'Foo.js', source}, {});
+    return {j, root: j(source), ASTUtils: require('../utils/ASTUtils')(j)};
+  };
+
+  it('finds the identifiers that read variables', () => {
+    const {j, root, ASTUtils} = parse(
+      'a.b({c: d, [e]: f}); label: g; <h.i j="" />; <k />; <l></l>;'
+    );
+    const names = root
+      .find(j.Identifier)
+      .filter(ASTUtils.isReference)
+      .nodes()
+      .map(node => node.name);
+    expect(names).toEqual(['a', 'd', 'e', 'f', 'g', 'h']);
+  });
+
+  it('matches requires of one module or any of several', () => {
+    const {j, root, ASTUtils} = parse('require(\'react\'); require(name);');
+    const [react, dynamic] = root.find(j.CallExpression).nodes();
+    expect(ASTUtils.isRequireOf(react, 'react')).toBe(true);
+    expect(ASTUtils.isRequireOf(react, ['react-dom', 'react'])).toBe(true);
+    expect(ASTUtils.isRequireOf(react, 'react-dom')).toBe(false);
+    expect(ASTUtils.isRequire(dynamic)).toBe(false);
+  });
+
+  it('keeps the comments of removed statements', () => {
+    const {j, root, ASTUtils} = parse('// Setup\nvar a = 1;\nvar b = 2, c = 3;');
+    ASTUtils.removeStatement(root.find(j.VariableDeclaration).paths()[0]);
+    ASTUtils.removeDeclarator(root.find(j.VariableDeclarator, {id: {name: 'b'}}).paths()[0]);
+    expect(root.toSource()).toBe('// Setup\nvar c = 3;');
+  });
+});
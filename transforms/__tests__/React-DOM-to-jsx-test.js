@@ -0,0 +1,15 @@
+/**
+ * Copyright 2013-2015, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ */
+
+'use strict';
+
+const defineManifestTests = require('../../jest/testUtils').defineManifestTests;
+
+defineManifestTests(__dirname, 'React-DOM-to-jsx');
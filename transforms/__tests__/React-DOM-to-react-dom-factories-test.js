@@ -10,25 +10,6 @@
 
 'use strict';
 
-const tests = [
-  'react-dom-basic-case',
-  'react-dom-deconstructed-import',
-  'react-dom-deconstructed-require',
-  'react-dom-deconstructed-require-part-two',
-  'react-dom-no-change-import',
-  'react-dom-no-change-require',
-  'react-dom-no-change-dom-from-other-libraries',
-];
+const defineManifestTests = require('../../jest/testUtils').defineManifestTests;
 
-const defineTest = require('jscodeshift/dist/testUtils').defineTest;
-
-describe('React-DOM-to-react-dom-factories', () => {
-  tests.forEach(test =>
-    defineTest(
-      __dirname,
-      'React-DOM-to-react-dom-factories',
-      null,
-      `React-DOM-to-react-dom-factories/${ test }`
-    )
-  );
-});
+defineManifestTests(__dirname, 'React-DOM-to-react-dom-factories');
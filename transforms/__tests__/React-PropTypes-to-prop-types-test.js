@@ -10,46 +10,6 @@
 
 'use strict';
 
-const tests = [
-  'already-migrated-import',
-  'already-migrated-require',
-  'assigned-from-react-var',
-  'assigned-to-var-with-different-name',
-  'default-and-named-import',
-  'default-import',
-  'destructured-proptypes-import',
-  'import-alias',
-  'import-flow-type-with-require',
-  'mixed-import-and-require',
-  'mixed-import-and-require-2',
-  'named-parameters',
-  'nested-destructured-proptypes-import',
-  'no-change-import',
-  'no-change-require',
-  'require-alias',
-  'require-destructured-multi',
-  'require-destructured-only',
-  'require-destructured-direct',
-  'require',
-  'with-top-comment',
-];
+const defineManifestTests = require('../../jest/testUtils').defineManifestTests;
 
-const defineTest = require('jscodeshift/dist/testUtils').defineTest;
-
-describe('React-PropTypes-to-prop-types', () => {
-  tests.forEach(test =>
-    defineTest(
-      __dirname,
-      'React-PropTypes-to-prop-types',
-      null,
-      `React-PropTypes-to-prop-types/${ test }`
-    )
-  );
-
-  defineTest(
-    __dirname,
-    'React-PropTypes-to-prop-types',
-    { 'module-name': 'PropTypes' },
-    'React-PropTypes-to-prop-types/module-name'
-  );
-});
+defineManifestTests(__dirname, 'React-PropTypes-to-prop-types');
@@ -10,30 +10,6 @@
 
 'use strict';
 
-const tests = [
-  'default-import-multi-reference',
-  'default-import-only-reference',
-  'default-require-multi-reference',
-  'default-require-only-reference',
-  'destructured-import-multi-reference',
-  'destructured-import-only-reference',
-  'destructured-require-multi-reference',
-  'destructured-require-only-reference',
-  'import-flow-type-with-require',
-  'multiple-replacements',
-  'noop-import',
-  'noop-require',
-];
+const defineManifestTests = require('../../jest/testUtils').defineManifestTests;
 
-const defineTest = require('jscodeshift/dist/testUtils').defineTest;
-
-describe('ReactNative-View-propTypes', () => {
-  tests.forEach(test =>
-    defineTest(
-      __dirname,
-      'ReactNative-View-propTypes',
-      null,
-      `ReactNative-View-propTypes/${ test }`
-    )
-  );
-});
+defineManifestTests(__dirname, 'ReactNative-View-propTypes');
@@ -10,61 +10,62 @@
 
 'use strict';
 
-const defineTest = require('jscodeshift/dist/testUtils').defineTest;
+const defineManifestTests = require('../../jest/testUtils').defineManifestTests;
 
-const pureMixinAlternativeOption = {
-  'mixin-module-name': 'ReactComponentWithPureRenderMixin',
-  'pure-component': true,
-};
+defineManifestTests(__dirname, 'class');
 
-const enableFlowOption = {flow: true};
+describe('class diagnostics', () => {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const jscodeshift = require('jscodeshift');
+  const transform = require('../class');
 
-defineTest(__dirname, 'class', null, 'class/class');
-defineTest(__dirname, 'class', enableFlowOption, 'class/class-anonymous');
-defineTest(__dirname, 'class', enableFlowOption, 'class/class-anonymous2');
-defineTest(__dirname, 'class', pureMixinAlternativeOption, 'class/class-test2');
-defineTest(__dirname, 'class', enableFlowOption, 'class/export-default-class');
-defineTest(__dirname, 'class', pureMixinAlternativeOption, 'class/class-pure-mixin1');
-defineTest(__dirname, 'class', {
-  ...enableFlowOption,
-  'pure-component': true,
-}, 'class/class-pure-mixin2');
-defineTest(__dirname, 'class', null, 'class/class-pure-mixin3');
-defineTest(__dirname, 'class', {
-  ...pureMixinAlternativeOption,
-  ...enableFlowOption,
-}, 'class/class-pure-mixin4');
-defineTest(__dirname, 'class', {
-  ...pureMixinAlternativeOption,
-}, 'class/class-pure-mixin5');
-defineTest(__dirname, 'class', {
-  ...pureMixinAlternativeOption,
-  ...enableFlowOption,
-}, 'class/class-top-comment');
-defineTest(__dirname, 'class', enableFlowOption, 'class/class-initial-state');
-defineTest(__dirname, 'class', enableFlowOption, 'class/class-property-field');
-defineTest(__dirname, 'class', enableFlowOption, 'class/class-flow1');
-defineTest(__dirname, 'class', enableFlowOption, 'class/class-flow2');
-defineTest(__dirname, 'class', enableFlowOption, 'class/class-flow3');
-defineTest(__dirname, 'class', enableFlowOption, 'class/class-flow4');
-defineTest(__dirname, 'class', enableFlowOption, 'class/class-flow5');
-defineTest(__dirname, 'class', enableFlowOption, 'class/class-flow6');
-defineTest(__dirname, 'class', {
-  ...enableFlowOption,
-  'remove-runtime-proptypes': true,
-}, 'class/class-flow7');
-defineTest(__dirname, 'class', null, 'class/class-prune-react');
-defineTest(__dirname, 'class', null, 'class/class-prune-react2');
-defineTest(__dirname, 'class', null, 'class/class-prune-react3');
-defineTest(__dirname, 'class', null, 'class/class-prune-react4');
-defineTest(__dirname, 'class', {
-  'create-class-module-name': 'createReactClass__deprecated',
-  'create-class-variable-name': 'createReactClass__deprecated',
-}, 'class/class-create-class-naming');
-defineTest(__dirname, 'class', null, 'class/class-displayName');
-defineTest(__dirname, 'class', {
-  'conversion': false,
-}, 'class/class-no-conversion');
-defineTest(__dirname, 'class', {
-  'display-name': false,
-}, 'class/class-no-display-name');
+  let diagnosticsFile;
+  let warn;
+
+  beforeEach(() => {
+    diagnosticsFile = path.join(os.tmpdir(), 'class-diagnostics-' + process.pid + '.jsonl');
+    warn = console.warn;
+    console.warn = jest.fn();
+  });
+
+  afterEach(() => {
+    console.warn = warn;
+    if (fs.existsSync(diagnosticsFile)) {
+      fs.unlinkSync(diagnosticsFile);
+    }
+  });
+
+  it('records skipped components in the diagnostics file', () => {
+    const source = [
+      'var React = require(\'React\');',
+      'var Foo = React.createClass({',
+      '  render: function() {',
+      '    return <div>{this.isMounted()}</div>;',
+      '  },',
+      '});',
+    ].join('\n');
+
+    transform(
+      {path: 'Foo.js', source},
+      {jscodeshift, stats: () => {}},
+      {'diagnostics-file': diagnosticsFile}
+    );
+
+    const entries = fs.readFileSync(diagnosticsFile, 'utf8')
+      .trim()
+      .split('\n')
+      .map(line => JSON.parse(line));
+    expect(entries).toEqual([{
+      file: 'Foo.js',
+      line: 2,
+      column: 10,
+      component: 'Foo',
+      rule: 'deprecated-api-calls',
+      severity: 'skip',
+      reason: jasmine.stringMatching(/^Skipped because of deprecated API calls/),
+    }]);
+    expect(console.warn).toBeCalled();
+  });
+});
@@ -10,7 +10,7 @@
 
 'use strict';
 
-const defineTest = require('jscodeshift/dist/testUtils').defineTest;
+const defineManifestTests = require('../../jest/testUtils').defineManifestTests;
 
 // The test fixtures for this are in their own dir so it can customize eslint.
-defineTest(__dirname, 'sort-comp', null, 'custom-sort/custom-sort');
+defineManifestTests(__dirname, 'custom-sort');
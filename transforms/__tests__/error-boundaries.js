@@ -10,10 +10,6 @@
 
 'use strict';
 
-const tests = ['class-component', 'create-class-component'];
+const defineManifestTests = require('../../jest/testUtils').defineManifestTests;
 
-const defineTest = require('jscodeshift/dist/testUtils').defineTest;
-
-tests.forEach(test => {
-  defineTest(__dirname, 'error-boundaries', null, `error-boundaries/${test}`);
-});
+defineManifestTests(__dirname, 'error-boundaries');
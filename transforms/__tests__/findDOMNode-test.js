@@ -10,5 +10,6 @@
 
 'use strict';
 
-const defineTest = require('jscodeshift/dist/testUtils').defineTest;
-defineTest(__dirname, 'findDOMNode');
+const defineManifestTests = require('../../jest/testUtils').defineManifestTests;
+
+defineManifestTests(__dirname, 'findDOMNode');
@@ -0,0 +1,80 @@
+/**
+ * Copyright 2013-2015, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const parser = require('../utils/parser');
+const testUtils = require('../../jest/testUtils');
+
+const FIXTURES_DIR = testUtils.FIXTURES_DIR;
+const FIXTURE = /\.(input|output)\.[jt]sx?$/;
+const FIXTURE_NAME = /^(.*)\.(?:input|output)\.([jt]sx?)$/;
+
+// Fixtures that redeclare a variable on purpose, to check that the transforms
+// leave such code alone. The parser recovers from these errors.
+const REDECLARATIONS = [
+  'React-DOM-to-react-dom-factories/react-dom-no-change-dom-from-other-libraries.input.js',
+  'React-PropTypes-to-prop-types/assigned-from-react-var.input.js',
+];
+
+const findFixtures = dir => fs.readdirSync(dir).reduce((fixtures, name) => {
+  const fixturePath = path.join(dir, name);
+  if (fs.statSync(fixturePath).isDirectory()) {
+    return fixtures.concat(findFixtures(fixturePath));
+  }
+  return FIXTURE.test(name) ? fixtures.concat(fixturePath) : fixtures;
+}, []);
+
+// The directory of the manifest that lists a fixture: the closest one above it.
+const findManifestDir = fixturePath => {
+  let dir = path.dirname(fixturePath);
+  while (dir !== FIXTURES_DIR && !fs.existsSync(path.join(dir, testUtils.MANIFEST_FILE))) {
+    dir = path.dirname(dir);
+  }
+  return path.relative(FIXTURES_DIR, dir);
+};
+
+// Checks every fixture, whichever test uses it: a transform that was tested
+// against code that doesn't parse proves nothing.
+describe('fixtures', () => {
+  findFixtures(FIXTURES_DIR).forEach(fixturePath => {
+    const name = path.relative(FIXTURES_DIR, fixturePath);
+    const other = fixturePath.replace(
+      FIXTURE,
+      (match, kind) => match.replace(kind, kind === 'input' ? 'output' : 'input')
+    );
+
+    it(`${name} parses`, () => {
+      const file = {path: fixturePath, source: fs.readFileSync(fixturePath, 'utf8')};
+      const j = parser.withParser(require('jscodeshift'), file, {});
+      const allowed = REDECLARATIONS.indexOf(name) !== -1 ? ['VarRedeclaration'] : [];
+      const errors = j(file.source).get().value.errors
+        .filter(error => allowed.indexOf(error.reasonCode) === -1)
+        .map(error => error.message);
+      expect(errors).toEqual([]);
+    });
+
+    it(`${name} has a matching ${path.basename(other)}`, () => {
+      expect(fs.existsSync(other)).toBe(true);
+    });
+
+    it(`${name} is listed in a manifest`, () => {
+      const manifestDir = findManifestDir(fixturePath);
+      const match = path.relative(path.join(FIXTURES_DIR, manifestDir), fixturePath)
+        .match(FIXTURE_NAME);
+      const listed = testUtils.readManifest(manifestDir).tests.some(test =>
+        test.name === match[1] && (test.extension || 'js') === match[2]
+      );
+      expect(listed).toBe(true);
+    });
+  });
+});
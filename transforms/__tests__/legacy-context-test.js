@@ -0,0 +1,78 @@
+/**
+ * Copyright 2013-2015, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const defineManifestTests = require('../../jest/testUtils').defineManifestTests;
+
+defineManifestTests(__dirname, 'legacy-context');
+
+describe('legacy-context', () => {
+  const contextIndex = require('../utils/contextIndex');
+
+  it('indexes the providers and consumers of every key', () => {
+    const root = path.join(os.tmpdir(), 'legacy-context-index-' + process.pid);
+    fs.mkdirSync(root);
+    const files = {
+      'Provider.js': 'Provider.childContextTypes = {theme, locale};',
+      'Button.js': 'Button.contextTypes = {theme};',
+      'Greeting.js': 'Greeting.contextTypes = {locale, router};',
+      'Session.js': '// skipped\nSession.childContextTypes = {user};',
+      'Avatar.js': 'Avatar.contextTypes = {user};',
+      'Other.js': 'var a = 1;',
+    };
+    Object.keys(files).forEach(name => fs.writeFileSync(path.join(root, name), files[name]));
+
+    const analyzed = [];
+    const index = contextIndex.getIndex(root, file => {
+      analyzed.push(path.basename(file.path));
+      const keys = file.source.match(/\{(.*)\}/)[1].split(', ');
+      return /childContextTypes/.test(file.source) ?
+        {providers: [{keys, convertible: !/skipped/.test(file.source)}], consumers: []} :
+        {providers: [], consumers: [{keys, convertible: true}]};
+    });
+
+    expect(analyzed.sort()).toEqual([
+      'Avatar.js',
+      'Button.js',
+      'Greeting.js',
+      'Provider.js',
+      'Session.js',
+    ]);
+    expect(index).toEqual({
+      theme: {providers: 1, skippedProviders: 0, consumers: 1, blocked: false},
+      locale: {providers: 1, skippedProviders: 0, consumers: 1, blocked: true},
+      router: {providers: 0, skippedProviders: 0, consumers: 1, blocked: true},
+      user: {providers: 0, skippedProviders: 1, consumers: 1, blocked: true},
+    });
+    Object.keys(files).forEach(name => fs.unlinkSync(path.join(root, name)));
+    fs.rmdirSync(root);
+  });
+
+  it('adds the contexts that are missing from the shared module', () => {
+    const modulePath = path.join(os.tmpdir(), 'legacy-context-' + process.pid, 'contexts.js');
+    contextIndex.writeContextModule(modulePath, ['ThemeContext']);
+    contextIndex.writeContextModule(modulePath, ['LocaleContext', 'ThemeContext']);
+
+    expect(fs.readFileSync(modulePath, 'utf8')).toBe([
+      'import React from \'react\';',
+      '',
+      'export const ThemeContext = React.createContext();',
+      '',
+      'export const LocaleContext = React.createContext();',
+      '',
+    ].join('\n'));
+    fs.unlinkSync(modulePath);
+    fs.rmdirSync(path.dirname(modulePath));
+  });
+});
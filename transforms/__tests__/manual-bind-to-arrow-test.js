@@ -10,24 +10,6 @@
 
 'use strict';
 
-const defineTest = require('jscodeshift/dist/testUtils').defineTest;
+const defineManifestTests = require('../../jest/testUtils').defineManifestTests;
 
-var TESTS = [
-  1,
-  2,
-  3,
-  4,
-  5,
-  6,
-  7,
-  8,
-];
-
-TESTS.forEach(test => {
-  defineTest(
-    __dirname,
-    'manual-bind-to-arrow',
-    {flow: true},
-    'manual-bind-to-arrow/manual-bind-to-arrow' + test
-  );
-});
+defineManifestTests(__dirname, 'manual-bind-to-arrow');
@@ -0,0 +1,56 @@
+/**
+ * Copyright 2013-2015, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ */
+
+'use strict';
+
+const parser = require('../utils/parser');
+
+describe('parser', () => {
+  const getParserName = (path, source, options) =>
+    parser.getParserName({path, source: source || ''}, options);
+
+  it('uses the TypeScript parsers for .ts and .tsx files', () => {
+    expect(getParserName('Foo.ts')).toBe('ts');
+    expect(getParserName('Foo.tsx')).toBe('tsx');
+  });
+
+  it('uses flow for files with an @flow pragma', () => {
+    expect(getParserName('Foo.js', '/**\n * @flow\n */\nvar a = 1;')).toBe('flow');
+    expect(getParserName('Foo.js', '// @flow strict\nvar a = 1;')).toBe('flow');
+    expect(getParserName('Foo.js', 'var a = 1;\n// @flow')).toBe('babylon');
+  });
+
+  it('uses babylon for everything else', () => {
+    expect(getParserName('Foo.js')).toBe('babylon');
+    expect(getParserName(undefined)).toBe('babylon');
+  });
+
+  it('lets the parser option override the detection', () => {
+    expect(getParserName('Foo.tsx', '', {parser: 'flow'})).toBe('flow');
+    expect(getParserName('Foo.tsx', '', {parser: 'babel'})).toBe('tsx');
+  });
+
+  describe('withParser', () => {
+    const jscodeshift = require('jscodeshift');
+    const parse = source => {
+      const file = {path: 'Foo.js', source};
+      return parser.withParser(jscodeshift, file, {})(source).get().value;
+    };
+
+    it('recovers from redeclared variables', () => {
+      const ast = parse('import {DOM} from \'react\';\nvar DOM = {};');
+      expect(ast.errors.map(error => error.reasonCode)).toEqual(['VarRedeclaration']);
+    });
+
+    it('fails on other syntax errors', () => {
+      expect(() => parse('const x;')).toThrow(/Missing initializer/);
+    });
+  });
+});
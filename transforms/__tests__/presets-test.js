@@ -0,0 +1,82 @@
+/**
+ * Copyright 2013-2015, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ */
+
+'use strict';
+
+const defineManifestTests = require('../../jest/testUtils').defineManifestTests;
+
+defineManifestTests(__dirname, 'presets');
+
+describe('pipeline', () => {
+  const jscodeshift = require('jscodeshift');
+  const createPipeline = require('../utils/pipeline');
+
+  // Counts the files parsed by jscodeshift, whichever parser is used.
+  const countParses = counter => {
+    const wrap = core => {
+      const j = function(source, options) {
+        if (typeof source === 'string') {
+          counter.parses++;
+        }
+        return core(source, options);
+      };
+      Object.keys(core).forEach(key => {
+        j[key] = core[key];
+      });
+      j.withParser = parser => wrap(core.withParser(parser));
+      return j;
+    };
+    return wrap(jscodeshift);
+  };
+
+  const source = [
+    'var React = require(\'React\');',
+    'React.render(<div ref={() => this.getDOMNode()} />, document.body);',
+  ].join('\n');
+
+  it('parses every file once', () => {
+    const counter = {parses: 0};
+    const output = createPipeline(['findDOMNode', 'react-to-react-dom', 'error-boundaries'])(
+      {path: 'Foo.js', source},
+      {jscodeshift: countParses(counter), stats: () => {}},
+      {}
+    );
+    expect(counter.parses).toBe(1);
+    expect(output).toContain('ReactDOM.render(');
+  });
+
+  it('returns null when no step changes the file', () => {
+    const output = createPipeline(['sort-comp', 'pure-render-mixin'])(
+      {path: 'Foo.js', source},
+      {jscodeshift, stats: () => {}},
+      {}
+    );
+    expect(output).toBe(null);
+  });
+
+  it('returns null when the steps print an unchanged file', () => {
+    const output = createPipeline(['sort-comp', 'error-boundaries'])(
+      {path: 'Foo.js', source},
+      {jscodeshift, stats: () => {}},
+      {}
+    );
+    expect(output).toBe(null);
+  });
+
+  it('merges the option schemas of its steps', () => {
+    const pipeline = createPipeline(['findDOMNode', 'pure-render-mixin']);
+    expect(pipeline.steps).toEqual(['findDOMNode', 'pure-render-mixin']);
+    expect(pipeline.options.map(option => option.name)).toEqual([
+      'explicit-require',
+      'printOptions',
+      'mixin-name',
+    ]);
+  });
+});
@@ -10,7 +10,6 @@
 
 'use strict';
 
-const defineTest = require('jscodeshift/dist/testUtils').defineTest;
-defineTest(__dirname, 'pure-component');
-defineTest(__dirname, 'pure-component', { useArrows: true }, 'pure-component2');
-defineTest(__dirname, 'pure-component', { destructuring: true }, 'pure-component-destructuring');
+const defineManifestTests = require('../../jest/testUtils').defineManifestTests;
+
+defineManifestTests(__dirname, 'pure-component');
@@ -10,13 +10,6 @@
 
 'use strict';
 
-const defineTest = require('jscodeshift/dist/testUtils').defineTest;
-defineTest(__dirname, 'pure-render-mixin');
-defineTest(__dirname, 'pure-render-mixin', null, 'pure-render-mixin2');
-defineTest(__dirname, 'pure-render-mixin', null, 'pure-render-mixin3');
-defineTest(
-  __dirname,
-  'pure-render-mixin',
-  {'mixin-name': 'ReactComponentWithPureRenderMixin'},
-  'pure-render-mixin4'
-);
+const defineManifestTests = require('../../jest/testUtils').defineManifestTests;
+
+defineManifestTests(__dirname, 'pure-render-mixin');
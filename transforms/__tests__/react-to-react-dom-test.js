@@ -10,27 +10,6 @@
 
 'use strict';
 
-const tests = [
-  'require-dom-base',
-  'require-server-base',
-  'require-keeps-react',
-  'require-indirect',
-  'import-dom-base',
-  'import-server-base',
-  'import-multiple-specifiers',
-  'mixed-with-existing-react-dom',
-  'import-with-existing-react-dom',
-  'import-without-default-specifier',
-];
+const defineManifestTests = require('../../jest/testUtils').defineManifestTests;
 
-const defineTest = require('jscodeshift/dist/testUtils').defineTest;
-describe('react-to-react-dom', () => {
-  tests.forEach(test =>
-    defineTest(
-      __dirname,
-      'react-to-react-dom',
-      null,
-      `react-to-react-dom/${ test }`
-    )
-  );
-});
+defineManifestTests(__dirname, 'react-to-react-dom');
@@ -10,25 +10,6 @@
 
 'use strict';
 
-const tests = [
-  'arrow-functions',
-  'create-react-class',
-  'instance-methods',
-  'manually-calling-lifecycles',
-  'one-lifecycle-calls-another',
-  'standalone-function',
-  'variable-within-class-method',
-];
+const defineManifestTests = require('../../jest/testUtils').defineManifestTests;
 
-const defineTest = require('jscodeshift/dist/testUtils').defineTest;
-
-describe('rename-unsafe-lifecycles', () => {
-  tests.forEach(test =>
-    defineTest(
-      __dirname,
-      'rename-unsafe-lifecycles',
-      null,
-      `rename-unsafe-lifecycles/${test}`
-    )
-  );
-});
+defineManifestTests(__dirname, 'rename-unsafe-lifecycles');
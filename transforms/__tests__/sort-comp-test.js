@@ -10,8 +10,6 @@
 
 'use strict';
 
-const defineTest = require('jscodeshift/dist/testUtils').defineTest;
-defineTest(__dirname, 'sort-comp');
-defineTest(__dirname, 'sort-comp', null, 'sort-comp2');
-defineTest(__dirname, 'sort-comp', null, 'sort-comp3');
-defineTest(__dirname, 'sort-comp', null, 'sort-comp-pure');
+const defineManifestTests = require('../../jest/testUtils').defineManifestTests;
+
+defineManifestTests(__dirname, 'sort-comp');
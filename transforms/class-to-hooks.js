@@ -0,0 +1,1116 @@
+/**
+ * Copyright 2013-2015, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ */
+
+'use strict';
+
+const config = require('./utils/config');
+const parser = require('./utils/parser');
+const sharedOptions = require('./utils/options');
+
+const HOOKS = ['useState', 'useEffect', 'useRef', 'useCallback'];
+
+const LIFECYCLE_METHODS = [
+  'componentDidMount',
+  'componentDidUpdate',
+  'componentWillUnmount',
+];
+
+// Lifecycles that have no hook equivalent.
+const UNSUPPORTED_LIFECYCLES = [
+  'componentWillMount',
+  'UNSAFE_componentWillMount',
+  'componentWillReceiveProps',
+  'UNSAFE_componentWillReceiveProps',
+  'componentWillUpdate',
+  'UNSAFE_componentWillUpdate',
+  'shouldComponentUpdate',
+  'getSnapshotBeforeUpdate',
+];
+
+// Used by the guard that keeps `componentDidUpdate` from running on mount.
+const MOUNTED_REF_NAME = 'hasMounted';
+
+const capitalize = name => name[0].toUpperCase() + name.slice(1);
+
+module.exports = function(file, api, options) {
+  options = config.getOptions('class-to-hooks', file, options);
+  const j = parser.withParser(api.jscodeshift, file, options);
+  const ReactUtils = require('./utils/ReactUtils')(j);
+  const {isReference} = require('./utils/ASTUtils')(j);
+  const diagnostics = require('./utils/diagnostics')(file, options);
+
+  const printOptions = options.printOptions || {
+    quote: 'single',
+    trailingComma: true,
+  };
+
+  const root = j(file.source);
+
+  if (options['explicit-require'] !== false && !ReactUtils.hasReact(root)) {
+    return null;
+  }
+
+  // recast drops the location of exported classes, the export has it.
+  const reportSkipped = (path, rule, reason) =>
+    diagnostics.reportSkipped('Class', {
+      node: path.value,
+      loc: path.value.loc || path.parent.value.loc,
+      component: path.value.id ? path.value.id.name : null,
+      rule,
+      reason,
+    });
+
+  // ---------------------------------------------------------------------------
+  // AST helpers
+
+  const getKeyName = node =>
+    !node.computed && node.key && (
+      node.key.type === 'Identifier' ? node.key.name :
+      typeof node.key.value === 'string' ? node.key.value :
+      null
+    );
+
+  const isFunction = node =>
+    node.type === 'FunctionExpression' ||
+    node.type === 'ArrowFunctionExpression' ||
+    node.type === 'FunctionDeclaration';
+
+  const isThisMember = (node, name) =>
+    node &&
+    node.type === 'MemberExpression' &&
+    node.object.type === 'ThisExpression' &&
+    !node.computed &&
+    (!name || node.property.name === name);
+
+  const isCreateRefCall = node =>
+    node &&
+    node.type === 'CallExpression' &&
+    node.arguments.length === 0 && (
+      (node.callee.type === 'Identifier' && node.callee.name === 'createRef') ||
+      (
+        node.callee.type === 'MemberExpression' &&
+        node.callee.object.name === 'React' &&
+        node.callee.property.name === 'createRef'
+      )
+    );
+
+  // Whether `this` at `path` is the component instance: the closest function
+  // that is not an arrow function has to be a member of `classNode`.
+  const isInstanceThis = (path, classNode) => {
+    for (let p = path.parent; p; p = p.parent) {
+      const node = p.value;
+      if (node.type === 'ClassProperty' || node.type === 'MethodDefinition') {
+        return p.parent.value === classNode.body;
+      }
+      if (
+        (isFunction(node) && node.type !== 'ArrowFunctionExpression') ||
+        node.type === 'ClassDeclaration' ||
+        node.type === 'ClassExpression'
+      ) {
+        if (p.parent.value.type === 'MethodDefinition' || p.parent.value.type === 'ClassProperty') {
+          continue;
+        }
+        return false;
+      }
+    }
+    return false;
+  };
+
+  const isInside = (path, node) => {
+    for (let parent = path.parent; parent; parent = parent.parent) {
+      if (parent.value === node) {
+        return true;
+      }
+    }
+    return false;
+  };
+
+  const isInBinding = (component, path) =>
+    component.bindings.some(statement => isInside(path, statement));
+
+  // Uses of the instance, except in the `this.f = this.f.bind(this)`
+  // statements that are dropped.
+  const findInstanceThis = (component, classPath) =>
+    j(classPath)
+      .find(j.ThisExpression)
+      .filter(p => isInstanceThis(p, classPath.value) && !isInBinding(component, p));
+
+  const findOwnReturns = functionNode =>
+    j(functionNode.body)
+      .find(j.ReturnStatement)
+      .filter(p => {
+        for (let parent = p.parent; parent; parent = parent.parent) {
+          if (parent.value === functionNode.body) {
+            return true;
+          }
+          if (isFunction(parent.value)) {
+            return false;
+          }
+        }
+        return false;
+      });
+
+  const printBody = node => j(node).toSource();
+
+  // Whether `componentDidMount` and `componentDidUpdate` become a single
+  // effect that runs after every render.
+  const hasSameUpdate = component => {
+    const didMount = component.lifecycles.componentDidMount;
+    const didUpdate = component.lifecycles.componentDidUpdate;
+    return Boolean(didMount && didUpdate) &&
+      printBody(didMount.value.body) === printBody(didUpdate.value.body);
+  };
+
+  const usesIdentifier = (node, name) =>
+    j(node)
+      .find(j.Identifier, {name})
+      .filter(isReference)
+      .size() > 0;
+
+  // ---------------------------------------------------------------------------
+  // Analysis: collects what the class is made of, or why it can't be converted
+
+  const readState = (component, stateNode) => {
+    if (stateNode.type !== 'ObjectExpression') {
+      return 'State is not initialized with an object literal.';
+    }
+    for (const property of stateNode.properties) {
+      const name = (property.type === 'Property' || property.type === 'ObjectProperty') &&
+        property.kind === 'init' &&
+        getKeyName(property);
+      if (!name || !/^[A-Za-z_$][\w$]*$/.test(name)) {
+        return 'State has computed, spread or non-identifier keys.';
+      }
+      component.state.push({
+        name,
+        setter: 'set' + capitalize(name),
+        init: property.value,
+      });
+    }
+    return null;
+  };
+
+  const addField = (component, name, init) => {
+    if (!component.fields.some(field => field.name === name)) {
+      component.fields.push({name, init, isRef: isCreateRefCall(init)});
+    }
+  };
+
+  const readConstructor = (component, method) => {
+    const params = method.value.params;
+    if (params.length > 1 || (params.length && params[0].type !== 'Identifier')) {
+      return 'The constructor takes other arguments than `props`.';
+    }
+    if (params.length && params[0].name !== 'props' && usesIdentifier(method.value.body, params[0].name)) {
+      return 'The constructor names its `props` argument differently.';
+    }
+    for (const statement of method.value.body.body) {
+      const expression = statement.type === 'ExpressionStatement' && statement.expression;
+      if (expression && expression.type === 'CallExpression' && expression.callee.type === 'Super') {
+        continue;
+      }
+      if (
+        !expression ||
+        expression.type !== 'AssignmentExpression' ||
+        expression.operator !== '=' ||
+        !isThisMember(expression.left)
+      ) {
+        return 'The constructor does more than initializing state and fields.';
+      }
+      const name = expression.left.property.name;
+      const value = expression.right;
+      if (name === 'state') {
+        const error = readState(component, value);
+        if (error) {
+          return error;
+        }
+      } else if (
+        // this.f = this.f.bind(this);
+        value.type === 'CallExpression' &&
+        value.callee.type === 'MemberExpression' &&
+        isThisMember(value.callee.object, name) &&
+        value.callee.property.name === 'bind'
+      ) {
+        component.bindings.push(statement);
+        continue;
+      } else {
+        addField(component, name, value);
+      }
+    }
+    return null;
+  };
+
+  const readMember = (component, member) => {
+    const name = getKeyName(member);
+    if (!name || member.type === 'ClassPrivateProperty' || member.type === 'ClassMethod') {
+      return {rule: 'unsupported-member', reason: 'Class has computed or private members.'};
+    }
+
+    if (member.static) {
+      if (name === 'getDerivedStateFromProps') {
+        return {rule: 'derived-state', reason: 'Class uses `getDerivedStateFromProps`.'};
+      }
+      if (name === 'getDerivedStateFromError') {
+        return {rule: 'error-boundary', reason: 'Class is an error boundary.'};
+      }
+      if (member.type !== 'ClassProperty') {
+        return {rule: 'static-methods', reason: 'Class has static methods.'};
+      }
+      component.statics.push(member);
+      return null;
+    }
+
+    if (member.type === 'MethodDefinition') {
+      if (member.kind === 'constructor') {
+        const error = readConstructor(component, member);
+        return error && {rule: 'unsupported-constructor', reason: error};
+      }
+      if (member.kind !== 'method') {
+        return {rule: 'accessors', reason: 'Class has getters or setters.'};
+      }
+      if (name === 'componentDidCatch') {
+        return {rule: 'error-boundary', reason: 'Class is an error boundary.'};
+      }
+      if (UNSUPPORTED_LIFECYCLES.indexOf(name) !== -1) {
+        return {rule: 'unsupported-lifecycle', reason: `Class uses \`${name}\`.`};
+      }
+      if (member.value.generator) {
+        return {rule: 'generator-methods', reason: 'Class has generator methods.'};
+      }
+      if (name === 'render') {
+        component.render = member;
+      } else if (LIFECYCLE_METHODS.indexOf(name) !== -1) {
+        component.lifecycles[name] = member;
+      } else {
+        component.methods.push({name, node: member, fn: member.value});
+      }
+      return null;
+    }
+
+    // Class properties
+    if (name === 'props' || (name === 'state' && !member.value)) {
+      // Type annotations
+      return null;
+    }
+    if (name === 'state') {
+      const error = readState(component, member.value);
+      return error && {rule: 'dynamic-state', reason: error};
+    }
+    if (member.value && isFunction(member.value)) {
+      if (member.value.generator) {
+        return {rule: 'generator-methods', reason: 'Class has generator methods.'};
+      }
+      component.methods.push({name, node: member, fn: member.value});
+      return null;
+    }
+    addField(component, name, member.value);
+    return null;
+  };
+
+  const getUpdaterObject = fn => {
+    if (fn.body.type === 'ObjectExpression') {
+      return fn.body;
+    }
+    const body = fn.body.body;
+    if (
+      fn.body.type === 'BlockStatement' &&
+      body.length === 1 &&
+      body[0].type === 'ReturnStatement' &&
+      body[0].argument &&
+      body[0].argument.type === 'ObjectExpression'
+    ) {
+      return body[0].argument;
+    }
+    return null;
+  };
+
+  // Returns `[{name, value, updater}]` for a `setState` argument, or null.
+  // `updater` is set for updater functions: the name of their state argument,
+  // which may only be used as `<updater>.<name>`.
+  const readStateUpdate = arg => {
+    let object = arg;
+    let updater = null;
+    if (arg.type === 'ArrowFunctionExpression' || arg.type === 'FunctionExpression') {
+      object = getUpdaterObject(arg);
+      if (
+        !object ||
+        arg.params.length > 2 ||
+        arg.params.some(param => param.type !== 'Identifier') ||
+        (arg.params.length === 2 && arg.params[1].name !== 'props' && usesIdentifier(object, arg.params[1].name))
+      ) {
+        return null;
+      }
+      updater = arg.params.length ? arg.params[0].name : null;
+    }
+    if (!object || object.type !== 'ObjectExpression') {
+      return null;
+    }
+    const entries = [];
+    for (const property of object.properties) {
+      const name = (property.type === 'Property' || property.type === 'ObjectProperty') &&
+        property.kind === 'init' &&
+        getKeyName(property);
+      if (!name) {
+        return null;
+      }
+      if (updater) {
+        const otherUses = j(property.value)
+          .find(j.Identifier, {name: updater})
+          .filter(isReference)
+          .filter(p => !(
+            p.parent.value.type === 'MemberExpression' &&
+            !p.parent.value.computed &&
+            p.parent.value.property.name === name
+          ));
+        if (otherUses.size() || property.value.type === 'Identifier' && property.value.name === updater) {
+          return null;
+        }
+      }
+      entries.push({name, value: property.value, updater});
+    }
+    return entries;
+  };
+
+  // `this.setState(...)` at `path`: object literals and updater functions that
+  // only read the key they set, without a callback.
+  const checkSetState = (component, path) => {
+    const args = path.value.arguments;
+    const stateNames = component.state.map(state => state.name);
+    if (args.length !== 1) {
+      return {rule: 'set-state-callback', reason: 'Class passes a callback to `this.setState`.'};
+    }
+    const update = readStateUpdate(args[0]);
+    if (!update) {
+      return {
+        rule: 'complex-set-state',
+        reason: 'Class calls `this.setState` with an argument that cannot be split up.',
+      };
+    }
+    if (update.some(entry => stateNames.indexOf(entry.name) === -1)) {
+      return {rule: 'unknown-state', reason: 'Class sets state that it does not initialize.'};
+    }
+    if (update.length !== 1 && path.parent.value.type !== 'ExpressionStatement') {
+      return {rule: 'complex-set-state', reason: 'Class uses the result of `this.setState`.'};
+    }
+    return null;
+  };
+
+  // Checks every use of `this` and records the fields only assigned in methods.
+  const checkInstanceUses = (component, classPath) => {
+    const methodNames = component.methods.map(method => method.name);
+    const stateNames = component.state.map(state => state.name);
+    const fieldNames = () => component.fields.map(field => field.name);
+    let error = null;
+
+    const fail = (rule, reason) => {
+      error = error || {rule, reason};
+    };
+
+    findInstanceThis(component, classPath).forEach(path => {
+      const parent = path.parent.value;
+      if (!isThisMember(parent)) {
+        fail('unsupported-this', 'Class uses `this` other than to access its members.');
+        return;
+      }
+      const name = parent.property.name;
+      const grandParent = path.parent.parent.value;
+
+      if (name === 'props') {
+        return;
+      }
+      if (name === 'state') {
+        if (
+          grandParent.type === 'MemberExpression' &&
+          grandParent.object === parent &&
+          !grandParent.computed &&
+          stateNames.indexOf(grandParent.property.name) !== -1
+        ) {
+          const user = path.parent.parent.parent.value;
+          if (
+            (user.type === 'AssignmentExpression' && user.left === grandParent) ||
+            user.type === 'UpdateExpression'
+          ) {
+            fail('mutates-state', 'Class mutates `this.state`.');
+          }
+          return;
+        }
+        if (
+          grandParent.type === 'VariableDeclarator' &&
+          grandParent.init === parent &&
+          grandParent.id.type === 'ObjectPattern' &&
+          grandParent.id.properties.every(property =>
+            property.shorthand &&
+            property.value.type === 'Identifier' &&
+            stateNames.indexOf(getKeyName(property)) !== -1
+          )
+        ) {
+          return;
+        }
+        if (
+          grandParent.type === 'AssignmentExpression' &&
+          grandParent.left === parent &&
+          path.parent.parent.parent.value.type === 'ExpressionStatement' &&
+          component.constructorStatements.indexOf(path.parent.parent.parent.value) !== -1
+        ) {
+          return;
+        }
+        fail('uses-state-object', 'Class uses `this.state` as a whole.');
+        return;
+      }
+      if (name === 'setState') {
+        if (grandParent.type !== 'CallExpression' || grandParent.callee !== parent) {
+          fail('complex-set-state', 'Class passes `this.setState` around.');
+          return;
+        }
+        const setStateError = checkSetState(component, path.parent.parent);
+        if (setStateError) {
+          fail(setStateError.rule, setStateError.reason);
+        }
+        return;
+      }
+      if (methodNames.indexOf(name) !== -1) {
+        if (grandParent.type === 'AssignmentExpression' && grandParent.left === parent) {
+          const statement = path.parent.parent.parent.value;
+          if (component.constructorStatements.indexOf(statement) === -1) {
+            fail('reassigns-methods', `Class reassigns \`this.${name}\`.`);
+          }
+        }
+        return;
+      }
+      if (fieldNames().indexOf(name) !== -1 || stateNames.indexOf(name) !== -1) {
+        if (stateNames.indexOf(name) !== -1) {
+          fail('name-collision', `\`this.${name}\` has the name of a state variable.`);
+        }
+        return;
+      }
+      if (grandParent.type === 'AssignmentExpression' && grandParent.left === parent) {
+        addField(component, name, null);
+        return;
+      }
+      fail('unsupported-this', `Class uses \`this.${name}\`.`);
+    });
+    return error;
+  };
+
+  // The declarations of `name` that are in scope at `path`, if they are in the
+  // class.
+  const findClassBindings = (path, name, classNode) => {
+    const scope = path.scope && path.scope.lookup(name);
+    if (!scope || !isInside(scope.path, classNode)) {
+      return [];
+    }
+    return scope.getBindings()[name];
+  };
+
+  // Variables destructured from `this.state` become the state variables.
+  const isStateBinding = binding => {
+    for (let parent = binding.parent; parent; parent = parent.parent) {
+      if (parent.value.type === 'VariableDeclarator') {
+        return isThisMember(parent.value.init, 'state');
+      }
+    }
+    return false;
+  };
+
+  // The names `this.<name>` is replaced with at `path`.
+  const getReplacementNames = (component, path) => {
+    const member = path.parent.value;
+    const name = member.property.name;
+    const user = path.parent.parent.value;
+    if (name === 'state') {
+      return user.type === 'MemberExpression' ? [user.property.name] : [];
+    }
+    if (name === 'setState') {
+      return readStateUpdate(user.arguments[0]).map(entry =>
+        component.state.find(state => state.name === entry.name).setter
+      );
+    }
+    return [name];
+  };
+
+  // Names the function component introduces must not be used by the class
+  // for anything else: they can neither refer to something outside of the
+  // class, nor be declared where `this.<name>` is replaced with them.
+  const findNameCollision = (component, classPath, hookNames) => {
+    const classNode = classPath.value;
+    const names = ['props', MOUNTED_REF_NAME]
+      .concat(component.state.map(state => state.name))
+      .concat(component.state.map(state => state.setter))
+      .concat(component.methods.map(method => method.name))
+      .concat(component.fields.map(field => field.name))
+      .concat(hookNames);
+    const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+    if (duplicate) {
+      return duplicate;
+    }
+
+    let collision = null;
+    j(classPath.get('body'))
+      .find(j.Identifier)
+      .filter(isReference)
+      .filter(p => names.indexOf(p.value.name) !== -1)
+      .forEach(p => {
+        if (!collision && !findClassBindings(p, p.value.name, classNode).length) {
+          collision = p.value.name;
+        }
+      });
+
+    findInstanceThis(component, classPath).forEach(p => {
+      getReplacementNames(component, p).forEach(name => {
+        const bindings = findClassBindings(p, name, classNode);
+        const isConstructorProps = name === 'props' &&
+          bindings.every(binding => binding.parent.parent.value.kind === 'constructor');
+        if (!collision && bindings.length && !isConstructorProps && !bindings.every(isStateBinding)) {
+          collision = name;
+        }
+      });
+    });
+    return collision;
+  };
+
+  const findInstanceRefs = name =>
+    root
+      .find(j.JSXOpeningElement, {name: {type: 'JSXIdentifier', name}})
+      .filter(p => p.value.attributes.some(attribute =>
+        attribute.type === 'JSXAttribute' && attribute.name.name === 'ref'
+      ))
+      .size() > 0;
+
+  // Orders methods so that every `useCallback` comes after the ones it
+  // depends on. Returns null if they depend on each other in a cycle.
+  const sortMethods = (component, classPath) => {
+    const names = component.methods.map(method => method.name);
+    const dependencies = {};
+    const instanceUses = findInstanceThis(component, classPath);
+    component.methods.forEach(method => {
+      dependencies[method.name] = [];
+      instanceUses.filter(p => isInside(p, method.fn)).forEach(p => {
+        const name = p.parent.value.property.name;
+        if (names.indexOf(name) !== -1 && name !== method.name && dependencies[method.name].indexOf(name) === -1) {
+          dependencies[method.name].push(name);
+        }
+      });
+    });
+
+    const sorted = [];
+    const visiting = {};
+    const visit = method => {
+      if (sorted.indexOf(method) !== -1) {
+        return true;
+      }
+      if (visiting[method.name]) {
+        return false;
+      }
+      visiting[method.name] = true;
+      const ok = dependencies[method.name].every(name =>
+        visit(component.methods[names.indexOf(name)])
+      );
+      sorted.push(method);
+      return ok;
+    };
+    return component.methods.every(visit) ? sorted : null;
+  };
+
+  const isInNestedFunction = (path, functionNode) => {
+    for (let parent = path.parent; parent && parent.value !== functionNode; parent = parent.parent) {
+      if (isFunction(parent.value)) {
+        return true;
+      }
+    }
+    return false;
+  };
+
+  // Returns the lifecycle that would become a mount-only effect reading props
+  // or state later than the class does, or null. Such an effect keeps the
+  // values of the first render, e.g. in a timer callback or in the cleanup,
+  // where the class reads the current ones. Methods are `useCallback`s that
+  // change with the props or state they read.
+  const findStaleLifecycle = (component, classPath) => {
+    const instanceUses = findInstanceThis(component, classPath);
+    const nameOf = p => p.parent.value.property.name;
+    const changing = ['props', 'state'];
+    component.methods.forEach(method => {
+      if (instanceUses.filter(p => isInside(p, method.fn) && changing.indexOf(nameOf(p)) !== -1).size() > 0) {
+        changing.push(method.name);
+      }
+    });
+
+    const didMount = !hasSameUpdate(component) && component.lifecycles.componentDidMount;
+    const willUnmount = component.lifecycles.componentWillUnmount;
+    const staleUse = instanceUses.filter(p => changing.indexOf(nameOf(p)) !== -1).paths().find(p => {
+      if (willUnmount && isInside(p, willUnmount.value)) {
+        return true;
+      }
+      if (!didMount || !isInside(p, didMount.value)) {
+        return false;
+      }
+      const user = p.parent.parent.value;
+      const isRead = nameOf(p) === 'props' || nameOf(p) === 'state' ||
+        (user.type === 'CallExpression' && user.callee === p.parent.value);
+      return !isRead || isInNestedFunction(p, didMount.value);
+    });
+    if (!staleUse) {
+      return null;
+    }
+    return willUnmount && isInside(staleUse, willUnmount.value) ?
+      'componentWillUnmount' :
+      'componentDidMount';
+  };
+
+  const analyzeClass = (classPath, hookNames) => {
+    const classNode = classPath.value;
+    if (!classNode.id) {
+      return {rule: 'anonymous-class', reason: 'Class has no name.'};
+    }
+    const superClass = classNode.superClass;
+    if (
+      (superClass.type === 'Identifier' && superClass.name === 'PureComponent') ||
+      (superClass.type === 'MemberExpression' && superClass.property.name === 'PureComponent')
+    ) {
+      return {
+        rule: 'pure-component',
+        reason: 'Class extends `PureComponent`; converting it would drop its `shouldComponentUpdate`.',
+      };
+    }
+    if (findInstanceRefs(classNode.id.name)) {
+      return {
+        rule: 'instance-refs',
+        reason: 'Class instances are used through refs; function components have no instances.',
+      };
+    }
+
+    const component = {
+      name: classNode.id.name,
+      state: [],
+      fields: [],
+      methods: [],
+      statics: [],
+      lifecycles: {},
+      render: null,
+      constructorStatements: [],
+      bindings: [],
+    };
+    const constructorNode = classNode.body.body.find(member => member.kind === 'constructor');
+    if (constructorNode) {
+      component.constructorStatements = constructorNode.value.body.body;
+    }
+
+    for (const member of classNode.body.body) {
+      const error = readMember(component, member);
+      if (error) {
+        return error;
+      }
+    }
+    if (!component.render) {
+      return {rule: 'no-render', reason: 'Class has no `render` method.'};
+    }
+
+    const usesArguments = component.methods
+      .concat([{fn: component.render.value}])
+      .some(method => j(method.fn.body).find(j.Identifier, {name: 'arguments'}).filter(isReference).size() > 0);
+    if (usesArguments) {
+      return {rule: 'arguments-usage', reason: 'Class methods use `arguments`.'};
+    }
+
+    const didUpdate = component.lifecycles.componentDidUpdate;
+    if (didUpdate && didUpdate.value.params.some(param =>
+      param.type !== 'Identifier' || usesIdentifier(didUpdate.value.body, param.name)
+    )) {
+      return {
+        rule: 'uses-previous-props',
+        reason: '`componentDidUpdate` compares against previous props or state.',
+      };
+    }
+
+    const error = checkInstanceUses(component, classPath);
+    if (error) {
+      return error;
+    }
+
+    const collision = findNameCollision(component, classPath, hookNames);
+    if (collision) {
+      return {rule: 'name-collision', reason: `Class already uses the name \`${collision}\`.`};
+    }
+
+    const order = sortMethods(component, classPath);
+    if (!order) {
+      return {rule: 'recursive-methods', reason: 'Class methods call each other in a cycle.'};
+    }
+    component.methods = order;
+
+    const staleLifecycle = findStaleLifecycle(component, classPath);
+    if (staleLifecycle) {
+      return {
+        rule: 'stale-closure',
+        reason: `\`${staleLifecycle}\` would only see the props and state of the first render.`,
+      };
+    }
+    return component;
+  };
+
+  // ---------------------------------------------------------------------------
+  // Conversion
+
+  const getHook = (hooks, name) => {
+    hooks.used[name] = true;
+    return hooks.named ?
+      j.identifier(name) :
+      j.memberExpression(j.identifier(hooks.reactName), j.identifier(name));
+  };
+
+  const buildStateUpdates = (component, callPath) => {
+    return readStateUpdate(callPath.value.arguments[0]).map(entry => {
+      const state = component.state.find(item => item.name === entry.name);
+      let value = entry.value;
+      if (entry.updater) {
+        const previous = 'prev' + capitalize(entry.name);
+        j(value)
+          .find(j.MemberExpression, {object: {name: entry.updater}, property: {name: entry.name}})
+          .filter(p => !p.value.computed)
+          .replaceWith(() => j.identifier(previous));
+        if (value.type === 'MemberExpression' && value.object.name === entry.updater) {
+          value = j.identifier(previous);
+        }
+        value = j.arrowFunctionExpression([j.identifier(previous)], value);
+      }
+      return j.callExpression(j.identifier(state.setter), [value]);
+    });
+  };
+
+  const replaceInstanceUses = (component, classPath) => {
+    const fields = {};
+    component.fields.forEach(field => {
+      fields[field.name] = field;
+    });
+    const methodNames = component.methods.map(method => method.name);
+
+    // setState calls first, their arguments may use `this` themselves
+    findInstanceThis(component, classPath)
+      .filter(p => p.parent.value.property.name === 'setState')
+      .forEach(p => {
+        const callPath = p.parent.parent;
+        const calls = buildStateUpdates(component, callPath);
+        const statementPath = callPath.parent;
+        if (statementPath.value.type === 'ExpressionStatement') {
+          j(statementPath).replaceWith(calls.map(call => j.expressionStatement(call)));
+        } else {
+          j(callPath).replaceWith(calls[0]);
+        }
+      });
+
+    findInstanceThis(component, classPath).forEach(p => {
+      const memberPath = p.parent;
+      const name = memberPath.value.property.name;
+      if (name === 'props') {
+        j(memberPath).replaceWith(j.identifier('props'));
+      } else if (name === 'state') {
+        const parent = memberPath.parent.value;
+        if (parent.type === 'MemberExpression') {
+          j(memberPath.parent).replaceWith(j.identifier(parent.property.name));
+        } else if (parent.type === 'VariableDeclarator') {
+          j(memberPath.parent).remove();
+        }
+      } else if (methodNames.indexOf(name) !== -1) {
+        j(memberPath).replaceWith(j.identifier(name));
+      } else if (fields[name]) {
+        j(memberPath).replaceWith(
+          fields[name].isRef ?
+            j.identifier(name) :
+            j.memberExpression(j.identifier(name), j.identifier('current'))
+        );
+      }
+    });
+
+    // `const {} = ...` left over after removing `this.state` declarators
+    j(classPath.value.body)
+      .find(j.VariableDeclaration)
+      .filter(p => p.value.declarations.length === 0)
+      .remove();
+  };
+
+  const findDependencies = (component, fn, self) => {
+    const names = ['props']
+      .concat(component.state.map(state => state.name))
+      .concat(component.methods.map(method => method.name));
+    const dependencies = [];
+    j(fn)
+      .find(j.Identifier)
+      .filter(isReference)
+      .forEach(p => {
+        const name = p.value.name;
+        if (
+          names.indexOf(name) !== -1 &&
+          name !== self &&
+          dependencies.indexOf(name) === -1 &&
+          !p.scope.lookup(name)
+        ) {
+          dependencies.push(name);
+        }
+      });
+    return dependencies;
+  };
+
+  const buildConst = (name, init) =>
+    j.variableDeclaration('const', [j.variableDeclarator(name, init)]);
+
+  const buildCallback = (component, hooks, method) => {
+    const fn = method.fn;
+    const arrow = j.arrowFunctionExpression(fn.params, fn.body);
+    arrow.async = fn.async;
+    const declaration = buildConst(
+      j.identifier(method.name),
+      j.callExpression(getHook(hooks, 'useCallback'), [
+        arrow,
+        j.arrayExpression(findDependencies(component, fn, method.name).map(name => j.identifier(name))),
+      ])
+    );
+    declaration.comments = method.node.comments;
+    return declaration;
+  };
+
+  const buildEffect = (hooks, body, dependencies) =>
+    j.expressionStatement(
+      j.callExpression(
+        getHook(hooks, 'useEffect'),
+        [j.arrowFunctionExpression([], body)].concat(dependencies ? [j.arrayExpression(dependencies)] : [])
+      )
+    );
+
+  // Returns the effects, and the refs they need.
+  const buildEffects = (component, hooks) => {
+    const didMount = component.lifecycles.componentDidMount;
+    const didUpdate = component.lifecycles.componentDidUpdate;
+    const willUnmount = component.lifecycles.componentWillUnmount;
+    const refs = [];
+    const effects = [];
+    const cleanup = willUnmount && j.arrowFunctionExpression([], willUnmount.value.body);
+    const withComments = (statement, member) => {
+      statement.comments = member.comments;
+      return statement;
+    };
+
+    // Same code after mounting and after every update: a single effect
+    if (hasSameUpdate(component)) {
+      effects.push(withComments(buildEffect(hooks, didMount.value.body, null), didMount));
+      if (cleanup) {
+        effects.push(withComments(
+          buildEffect(hooks, cleanup, []),
+          willUnmount
+        ));
+      }
+      return {refs, effects};
+    }
+
+    if (didMount) {
+      const body = didMount.value.body;
+      if (cleanup && findOwnReturns(didMount.value).size() === 0) {
+        body.body.push(j.returnStatement(cleanup));
+        effects.push(withComments(buildEffect(hooks, body, []), didMount));
+      } else {
+        effects.push(withComments(buildEffect(hooks, body, []), didMount));
+        if (cleanup) {
+          effects.push(withComments(buildEffect(hooks, cleanup, []), willUnmount));
+        }
+      }
+    } else if (cleanup) {
+      effects.push(withComments(buildEffect(hooks, cleanup, []), willUnmount));
+    }
+
+    if (didUpdate) {
+      const mounted = j.memberExpression(j.identifier(MOUNTED_REF_NAME), j.identifier('current'));
+      refs.push(buildConst(
+        j.identifier(MOUNTED_REF_NAME),
+        j.callExpression(getHook(hooks, 'useRef'), [j.literal(false)])
+      ));
+      const body = didUpdate.value.body;
+      body.body.unshift(j.ifStatement(
+        j.unaryExpression('!', mounted),
+        j.blockStatement([
+          j.expressionStatement(j.assignmentExpression('=', mounted, j.literal(true))),
+          j.returnStatement(null),
+        ])
+      ));
+      effects.push(withComments(buildEffect(hooks, body, null), didUpdate));
+    }
+    return {refs, effects};
+  };
+
+  // Flow: `props: Props;` in the class body or `React.Component<Props>`.
+  // TypeScript: `React.Component<Props>`.
+  const findPropsTypeAnnotation = classNode => {
+    const property = classNode.body.body.find(member =>
+      member.type === 'ClassProperty' && getKeyName(member) === 'props' && member.typeAnnotation
+    );
+    if (property) {
+      return property.typeAnnotation;
+    }
+    const typeParameters = classNode.superTypeParameters;
+    if (typeParameters && typeParameters.params.length) {
+      const type = typeParameters.params[0];
+      return typeParameters.type === 'TSTypeParameterInstantiation' ?
+        j.tsTypeAnnotation(type) :
+        j.typeAnnotation(type);
+    }
+    return null;
+  };
+
+  const buildFunction = (component, classPath, hooks) => {
+    const classNode = classPath.value;
+    const body = [];
+
+    component.state.forEach(state => {
+      body.push(buildConst(
+        j.arrayPattern([j.identifier(state.name), j.identifier(state.setter)]),
+        j.callExpression(getHook(hooks, 'useState'), [state.init])
+      ));
+    });
+    component.fields.forEach(field => {
+      // `createRef()` fields become refs, other fields refs to their value.
+      const init = field.isRef ? j.literal(null) : field.init;
+      body.push(buildConst(
+        j.identifier(field.name),
+        j.callExpression(getHook(hooks, 'useRef'), init ? [init] : [])
+      ));
+    });
+    const effects = buildEffects(component, hooks);
+    effects.refs.forEach(ref => body.push(ref));
+    component.methods.forEach(method => {
+      body.push(buildCallback(component, hooks, method));
+    });
+    effects.effects.forEach(effect => body.push(effect));
+
+    const renderBody = component.render.value.body.body;
+    if (renderBody.length && component.render.comments) {
+      renderBody[0].comments = component.render.comments.concat(renderBody[0].comments || []);
+    }
+    const functionBody = j.blockStatement(body.concat(renderBody));
+
+    const params = [];
+    if (usesIdentifier(functionBody, 'props')) {
+      const propsParam = j.identifier('props');
+      const typeAnnotation = findPropsTypeAnnotation(classNode);
+      if (typeAnnotation) {
+        propsParam.typeAnnotation = typeAnnotation;
+      }
+      params.push(propsParam);
+    }
+
+    const fn = j.functionDeclaration(j.identifier(component.name), params, functionBody);
+    fn.comments = classNode.comments;
+    return fn;
+  };
+
+  const buildStatics = (name, properties) => properties.map(property => (
+    j.expressionStatement(
+      j.assignmentExpression(
+        '=',
+        j.memberExpression(j.identifier(name), property.key),
+        property.value
+      )
+    )
+  ));
+
+  // Imports the hooks if React is imported, uses `React.useX` otherwise.
+  const findReactImport = () =>
+    root
+      .find(j.ImportDeclaration)
+      .filter(p => p.value.source.value === 'react' || p.value.source.value === 'React');
+
+  // Named imports can't be added next to `import * as React`.
+  const canImportHooks = () =>
+    findReactImport().size() > 0 &&
+    findReactImport().find(j.ImportNamespaceSpecifier).size() === 0;
+
+  const addHookImports = hooks => {
+    const used = HOOKS.filter(name => hooks.used[name]);
+    if (!hooks.named || !used.length) {
+      return;
+    }
+    const declaration = findReactImport().get().value;
+    used.forEach(name => {
+      const isImported = declaration.specifiers.some(specifier =>
+        specifier.type === 'ImportSpecifier' && specifier.imported.name === name
+      );
+      if (!isImported) {
+        declaration.specifiers.push(j.importSpecifier(j.identifier(name)));
+      }
+    });
+  };
+
+  // `Component` is no longer used once every class is converted.
+  const removeUnusedComponentImport = () => {
+    findReactImport().forEach(p => {
+      p.value.specifiers = p.value.specifiers.filter(specifier => {
+        if (specifier.type !== 'ImportSpecifier' || specifier.imported.name !== 'Component') {
+          return true;
+        }
+        return root
+          .find(j.Identifier, {name: specifier.local.name})
+          .filter(isReference)
+          .filter(path => path.parent.value !== specifier)
+          .size() > 0;
+      });
+    });
+  };
+
+  const hooks = {
+    named: canImportHooks(),
+    reactName: ReactUtils.findReactName(root) || 'React',
+    used: {},
+  };
+
+  const hookNames = hooks.named ? HOOKS : [];
+  const components = [];
+  ReactUtils.findReactES6ClassDeclaration(root).forEach(path => {
+    const result = analyzeClass(path, hookNames);
+    if (result.rule) {
+      reportSkipped(path, result.rule, result.reason);
+    } else {
+      components.push({path, component: result});
+    }
+  });
+
+  if (!components.length) {
+    return null;
+  }
+
+  components.forEach(item => {
+    const path = item.path;
+    const component = item.component;
+    replaceInstanceUses(component, path);
+    const fn = buildFunction(component, path, hooks);
+    const statics = buildStatics(component.name, component.statics);
+    const statement = path.parent.value.type === 'ExportNamedDeclaration' ||
+      path.parent.value.type === 'ExportDefaultDeclaration' ?
+      path.parent :
+      path;
+    if (statement !== path && statement.value.comments) {
+      fn.comments = null;
+    }
+    j(path).replaceWith(fn);
+    statics.reverse().forEach(assignment => j(statement).insertAfter(assignment));
+  });
+
+  addHookImports(hooks);
+  removeUnusedComponentImport();
+
+  return root.toSource(printOptions);
+};
+
+module.exports.options = [
+  sharedOptions.explicitRequire,
+  {
+    name: 'silenceWarnings',
+    type: 'boolean',
+    default: false,
+    description: 'Do not warn about classes that cannot be converted.',
+  },
+  sharedOptions.printOptions,
+];
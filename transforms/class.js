@@ -11,12 +11,18 @@
 'use strict';
 
 const { basename, extname, dirname } = require('path');
+const config = require('./utils/config');
+const parser = require('./utils/parser');
+const sharedOptions = require('./utils/options');
 
 module.exports = (file, api, options) => {
-  const j = api.jscodeshift;
+  options = config.getOptions('class', file, options);
+  const j = parser.withParser(api.jscodeshift, file, options);
 
   require('./utils/array-polyfills');
   const ReactUtils = require('./utils/ReactUtils')(j);
+  const PropTypeAnnotations = require('./utils/propTypeAnnotations')(j);
+  const diagnostics = require('./utils/diagnostics')(file, options);
 
   const printOptions =
     options.printOptions || {
@@ -172,6 +178,18 @@ module.exports = (file, api, options) => {
     return hasSingleReturnStatement(getInitialState.value);
   };
 
+  // `message` completes "`Foo` was skipped ..."
+  const reportSkipped = (classPath, rule, message) => {
+    const name = ReactUtils.directlyGetComponentName(classPath);
+    console.warn(file.path + ': `' + name + '` was skipped ' + message);
+    diagnostics.skip({
+      node: classPath.value,
+      component: name,
+      rule,
+      reason: 'Skipped ' + message,
+    });
+  };
+
   // ---------------------------------------------------------------------------
   // Checks if the module uses mixins or accesses deprecated APIs.
   const checkDeprecatedAPICalls = classPath =>
@@ -185,9 +203,10 @@ module.exports = (file, api, options) => {
 
   const hasNoCallsToDeprecatedAPIs = classPath => {
     if (checkDeprecatedAPICalls(classPath)) {
-      console.warn(
-        file.path + ': `' + ReactUtils.directlyGetComponentName(classPath) + '` ' +
-        'was skipped because of deprecated API calls. Remove calls to ' +
+      reportSkipped(
+        classPath,
+        'deprecated-api-calls',
+        'because of deprecated API calls. Remove calls to ' +
         DEPRECATED_APIS.join(', ') + ' in your React component and re-run ' +
         'this script.'
       );
@@ -209,9 +228,10 @@ module.exports = (file, api, options) => {
     );
 
     if (hasInvalidCalls) {
-      console.warn(
-        file.path + ': `' + ReactUtils.directlyGetComponentName(classPath) + '` ' +
-        'was skipped because of API calls that will be removed. Remove calls to `' +
+      reportSkipped(
+        classPath,
+        'removed-api-calls',
+        'because of API calls that will be removed. Remove calls to `' +
         DEFAULT_PROPS_FIELD + '` and/or `' + GET_INITIAL_STATE_FIELD +
         '` in your React component and re-run this script.'
       );
@@ -225,9 +245,10 @@ module.exports = (file, api, options) => {
       j(classPath).find(j.Identifier, {name: 'arguments'}).size() > 0
     );
     if (hasArguments) {
-      console.warn(
-        file.path + ': `' + ReactUtils.directlyGetComponentName(classPath) + '` ' +
-        'was skipped because `arguments` was found in your functions. ' +
+      reportSkipped(
+        classPath,
+        'arguments-usage',
+        'because `arguments` was found in your functions. ' +
         'Arrow functions do not expose an `arguments` object; ' +
         'consider changing to use ES6 spread operator and re-run this script.'
       );
@@ -290,9 +311,10 @@ module.exports = (file, api, options) => {
     }
     const result = isGetInitialStateConstructorSafe(findGetInitialState(specPath));
     if (!result) {
-      console.warn(
-        file.path + ': `' + ReactUtils.directlyGetComponentName(classPath) + '` ' +
-        'was skipped because of potential shadowing issues were found in ' +
+      reportSkipped(
+        classPath,
+        'initial-state-shadowing',
+        'because of potential shadowing issues were found in ' +
         'the React component. Rename variable declarations of `props` and/or `context` ' +
         'in your `getInitialState` and re-run this script.'
       );
@@ -322,9 +344,10 @@ module.exports = (file, api, options) => {
       const invalidText = invalidProperties
         .map(prop => prop.key.name ? prop.key.name : prop.key)
         .join(', ');
-      console.warn(
-        file.path + ': `' + ReactUtils.directlyGetComponentName(classPath) + '` ' +
-        'was skipped because of invalid field(s) `' + invalidText + '` on ' +
+      reportSkipped(
+        classPath,
+        'invalid-fields',
+        'because of invalid field(s) `' + invalidText + '` on ' +
         'the React component. Remove any right-hand-side expressions that ' +
         'are not simple, like: `componentWillUpdate: createWillUpdate()` or ' +
         '`render: foo ? renderA : renderB`.'
@@ -494,15 +517,15 @@ module.exports = (file, api, options) => {
         return (
           mainBodyCollection
             .find(j.ArrowFunctionExpression)
-            .find(j.ReturnStatement, path.value)
+            .find(j.ReturnStatement, node => node === path.value)
             .size() === 0 &&
           mainBodyCollection
             .find(j.FunctionDeclaration)
-            .find(j.ReturnStatement, path.value)
+            .find(j.ReturnStatement, node => node === path.value)
             .size() === 0 &&
           mainBodyCollection
             .find(j.FunctionExpression)
-            .find(j.ReturnStatement, path.value)
+            .find(j.ReturnStatement, node => node === path.value)
             .size() === 0
         );
       })
@@ -536,7 +559,7 @@ module.exports = (file, api, options) => {
     withComments(j.classProperty(
       j.identifier('state'),
       pickReturnValueOrCreateIIFE(getInitialState.value),
-      getInitialState.value.returnType,
+      getInitialState.value.returnType || null,
       false
     ), getInitialState);
 
@@ -640,232 +663,17 @@ module.exports = (file, api, options) => {
   // ---------------------------------------------------------------------------
   // Flow!
 
-  const flowAnyType = j.anyTypeAnnotation();
-  const flowFixMeType = j.genericTypeAnnotation(
-    j.identifier('$FlowFixMe'),
-    null
-  );
-
-  const literalToFlowType = node => {
-    if (node.type === 'Identifier' && node.name === 'undefined') {
-      return j.voidTypeAnnotation();
-    }
-
-    switch (typeof node.value) {
-      case 'string':
-        return j.stringLiteralTypeAnnotation(node.value, node.raw);
-      case 'number':
-        return j.numberLiteralTypeAnnotation(node.value, node.raw);
-      case 'boolean':
-        return j.booleanLiteralTypeAnnotation(node.value, node.raw);
-      case 'object': // we already know it's a NullLiteral here
-        return j.nullLiteralTypeAnnotation();
-      default: // this should never happen
-        return flowFixMeType;
-    }
-  };
-
-  const propTypeToFlowMapping = {
-    // prim types
-    any: flowAnyType,
-    array: j.genericTypeAnnotation(
-      j.identifier('Array'),
-      j.typeParameterInstantiation([flowFixMeType])
-    ),
-    bool: j.booleanTypeAnnotation(),
-    element: flowFixMeType, // flow does the same for `element` type in `propTypes`
-    func: j.genericTypeAnnotation(
-      j.identifier('Function'),
-      null
-    ),
-    node: flowFixMeType, // flow does the same for `node` type in `propTypes`
-    number: j.numberTypeAnnotation(),
-    object: j.genericTypeAnnotation(
-      j.identifier('Object'),
-      null
-    ),
-    string: j.stringTypeAnnotation(),
-
-    // type classes
-    arrayOf: (type) => j.genericTypeAnnotation(
-      j.identifier('Array'),
-      j.typeParameterInstantiation([type])
-    ),
-    instanceOf: (type) => j.genericTypeAnnotation(
-      type,
-      null
-    ),
-    objectOf: (type) => j.objectTypeAnnotation([], [
-      j.objectTypeIndexer(
-        j.identifier('key'),
-        j.stringTypeAnnotation(),
-        type
-      )
-    ]),
-    oneOf: (typeList) => j.unionTypeAnnotation(typeList),
-    oneOfType: (typeList) => j.unionTypeAnnotation(typeList),
-    shape: (propList) => j.objectTypeAnnotation(propList),
-  };
-
-  const propTypeToFlowAnnotation = val => {
-    let cursor = val;
-    let isOptional = true;
-    let typeResult = flowFixMeType;
-
-    if ( // check `.isRequired` first
-      cursor.type === 'MemberExpression' &&
-      cursor.property.type === 'Identifier' &&
-      cursor.property.name === 'isRequired'
-    ) {
-      isOptional = false;
-      cursor = cursor.object;
-    }
-
-    switch (cursor.type) {
-      case 'CallExpression': { // type class
-        const calleeName = cursor.callee.type === 'MemberExpression' ?
-          cursor.callee.property.name :
-          cursor.callee.name;
-
-        const constructor = propTypeToFlowMapping[calleeName];
-        if (!constructor) { // unknown type class
-          // it's not necessary since `typeResult` defaults to `flowFixMeType`,
-          // but it's more explicit this way
-          typeResult = flowFixMeType;
-          break;
-        }
-
-        switch (cursor.callee.property.name) {
-          case 'arrayOf': {
-            const arg = cursor.arguments[0];
-            typeResult = constructor(
-              propTypeToFlowAnnotation(arg)[0]
-            );
-            break;
-          }
-          case 'instanceOf': {
-            const arg = cursor.arguments[0];
-            if (arg.type !== 'Identifier') {
-              typeResult = flowFixMeType;
-              break;
-            }
-
-            typeResult = constructor(arg);
-            break;
-          }
-          case 'objectOf': {
-            const arg = cursor.arguments[0];
-            typeResult = constructor(
-              propTypeToFlowAnnotation(arg)[0]
-            );
-            break;
-          }
-          case 'oneOf': {
-            const argList = cursor.arguments[0].elements;
-            if (
-              !argList ||
-              !argList.every(node =>
-                (node.type === 'Literal') ||
-                (node.type === 'Identifier' && node.name === 'undefined')
-              )
-            ) {
-              typeResult = flowFixMeType;
-            } else {
-              typeResult = constructor(
-                argList.map(literalToFlowType)
-              );
-            }
-            break;
-          }
-          case 'oneOfType': {
-            const argList = cursor.arguments[0].elements;
-            if (!argList) {
-              typeResult = flowFixMeType;
-            } else {
-              typeResult = constructor(
-                argList.map(arg => propTypeToFlowAnnotation(arg)[0])
-              );
-            }
-            break;
-          }
-          case 'shape': {
-            const rawPropList = cursor.arguments[0].properties;
-            if (!rawPropList) {
-              typeResult = flowFixMeType;
-              break;
-            }
-            const flowPropList = [];
-            rawPropList.forEach(typeProp => {
-              const keyIsLiteral = typeProp.key.type === 'Literal';
-              const name = keyIsLiteral ? typeProp.key.value : typeProp.key.name;
-
-              const [valueType, isOptional] = propTypeToFlowAnnotation(typeProp.value);
-              flowPropList.push(j.objectTypeProperty(
-                keyIsLiteral ? j.literal(name) : j.identifier(name),
-                valueType,
-                isOptional
-              ));
-            });
-
-            typeResult = constructor(flowPropList);
-            break;
-          }
-          default: {
-            break;
-          }
-        }
-        break;
-      }
-      case 'MemberExpression': { // prim type
-        if (cursor.property.type !== 'Identifier') { // unrecognizable
-          typeResult = flowFixMeType;
-          break;
-        }
-
-        const maybeType = propTypeToFlowMapping[cursor.property.name];
-        if (maybeType) {
-          typeResult = propTypeToFlowMapping[cursor.property.name];
-        } else { // type not found
-          typeResult = flowFixMeType;
-        }
-
-        break;
-      }
-      default: { // unrecognizable
-        break;
-      }
-    }
-
-    return [typeResult, isOptional];
-  };
-
   const createFlowAnnotationsFromPropTypesProperties = (prop) => {
-    const typePropertyList = [];
-
     if (!prop || prop.value.type !== 'ObjectExpression') {
-      return typePropertyList;
+      return [];
     }
 
-    prop.value.properties.forEach(typeProp => {
-      if (!typeProp.key) { // stuff like SpreadProperty
-        return;
-      }
-
-      const keyIsLiteral = typeProp.key.type === 'Literal';
-      const name = keyIsLiteral ? typeProp.key.value : typeProp.key.name;
-
-      const [valueType, isOptional] = propTypeToFlowAnnotation(typeProp.value);
-      typePropertyList.push(j.objectTypeProperty(
-        keyIsLiteral ? j.literal(name) : j.identifier(name),
-        valueType,
-        isOptional
-      ));
-    });
-
     return j.classProperty(
       j.identifier('props'),
       null,
-      j.typeAnnotation(j.objectTypeAnnotation(typePropertyList)),
+      j.typeAnnotation(j.objectTypeAnnotation(
+        PropTypeAnnotations.propTypesToTypeProperties(prop.value)
+      )),
       false
     );
   };
@@ -1184,9 +992,10 @@ module.exports = (file, api, options) => {
           return true;
         }
       }
-      console.warn(
-        file.path + ': `' + ReactUtils.directlyGetComponentName(classPath) + '` ' +
-        'was skipped because of inconvertible mixins.'
+      reportSkipped(
+        classPath,
+        'inconvertible-mixins',
+        'because of inconvertible mixins.'
       );
 
       return false;
@@ -1204,7 +1013,7 @@ module.exports = (file, api, options) => {
       path.forEach(childPath => {
         fallbackToCreateClassModule(childPath);
       });
-      didFallback = true;
+      didFallback = path.size() > 0;
     } else {
       // the only time that we can't simply replace the createClass call path
       // with a new class is when the parent of that is a variable declaration.
@@ -1315,4 +1124,60 @@ module.exports = (file, api, options) => {
   return root.toSource(printOptions);
 };
 
-module.exports.parser = 'flow';
+
+module.exports.options = [
+  {
+    name: 'flow',
+    type: 'boolean',
+    default: false,
+    description:
+      'Generate Flow annotations from `propTypes` (only in files marked `@flow`).',
+  },
+  {
+    name: 'remove-runtime-proptypes',
+    type: 'boolean',
+    default: false,
+    description:
+      'Remove the runtime `propTypes` once Flow annotations have been generated.',
+  },
+  {
+    name: 'pure-component',
+    type: 'boolean',
+    default: false,
+    description:
+      'Convert components that only use the pure render mixin to `React.PureComponent`.',
+  },
+  {
+    name: 'mixin-module-name',
+    type: 'string',
+    default: 'react-addons-pure-render-mixin',
+    description: 'Module name of the pure render mixin.',
+  },
+  {
+    name: 'create-class-module-name',
+    type: 'string',
+    default: 'create-react-class',
+    description: 'Module to import when falling back to `createClass`.',
+  },
+  {
+    name: 'create-class-variable-name',
+    type: 'string',
+    default: 'createReactClass',
+    description: 'Variable name of the `createClass` fallback.',
+  },
+  {
+    name: 'conversion',
+    type: 'boolean',
+    default: true,
+    description:
+      'Convert to ES2015 classes. Set to false to always fall back to `create-react-class`.',
+  },
+  {
+    name: 'display-name',
+    type: 'boolean',
+    default: true,
+    description: 'Add a `displayName` when falling back to `create-react-class`.',
+  },
+  sharedOptions.explicitRequire,
+  sharedOptions.printOptions,
+];
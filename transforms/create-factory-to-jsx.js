@@ -0,0 +1,365 @@
+/**
+ * Copyright 2013-2015, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ */
+
+'use strict';
+
+const config = require('./utils/config');
+const parser = require('./utils/parser');
+const sharedOptions = require('./utils/options');
+
+/**
+ * const Button = React.createFactory(ButtonComponent);
+ *
+ * Button({primary: true}, 'Save');
+ *
+ * -->
+ *
+ * <ButtonComponent primary={true}>Save</ButtonComponent>;
+ *
+ * Calls whose props can't be written as attributes become
+ * `React.createElement(ButtonComponent, props, ...children)`. Factories that
+ * are only called are removed.
+ */
+module.exports = function(file, api, options) {
+  options = config.getOptions('create-factory-to-jsx', file, options);
+  const j = parser.withParser(api.jscodeshift, file, options);
+  const ReactUtils = require('./utils/ReactUtils')(j);
+  const JSXUtils = require('./utils/JSXUtils')(j);
+  const {isReference, isRequireOf, removeStatement} = require('./utils/ASTUtils')(j);
+  const diagnostics = require('./utils/diagnostics')(file, options);
+
+  const printOptions = options.printOptions || {
+    quote: 'auto',
+    trailingComma: true,
+  };
+
+  // JSX isn't allowed in `.ts` files.
+  if (/\.ts$/.test(file.path || '')) {
+    return null;
+  }
+
+  const root = j(file.source);
+
+  if (options['explicit-require'] !== false && !ReactUtils.hasReact(root)) {
+    return null;
+  }
+
+  const reportSkipped = (name, node, rule, reason) =>
+    diagnostics.reportSkipped('Factory', {node, component: name, rule, reason});
+
+  // ---------------------------------------------------------------------------
+  // AST helpers
+
+  // The references to the variable declared by `id` at `declarationPath`.
+  const findReferences = (declarationPath, id) => {
+    const scope = declarationPath.scope;
+    return root
+      .find(j.Identifier, {name: id.name})
+      .filter(p => p.value !== id && isReference(p))
+      .filter(p => !p.scope || p.scope.lookup(id.name) === scope);
+  };
+
+  // ---------------------------------------------------------------------------
+  // React bindings
+
+  // Local names of `createFactory` imported or destructured from React.
+  const findCreateFactoryNames = reactName => {
+    const names = [];
+    root.find(j.ImportDeclaration, {source: {value: 'react'}}).forEach(p => {
+      p.value.specifiers
+        .filter(specifier => specifier.type === 'ImportSpecifier' && specifier.imported.name === 'createFactory')
+        .forEach(specifier => names.push(specifier.local.name));
+    });
+    root
+      .find(j.VariableDeclarator, {id: {type: 'ObjectPattern'}})
+      .filter(p =>
+        isRequireOf(p.value.init, 'react') ||
+        (reactName && p.value.init && p.value.init.type === 'Identifier' && p.value.init.name === reactName)
+      )
+      .forEach(p => {
+        p.value.id.properties
+          .filter(property =>
+            property.type === 'Property' &&
+            property.key.name === 'createFactory' &&
+            property.value.type === 'Identifier'
+          )
+          .forEach(property => names.push(property.value.name));
+      });
+    return names;
+  };
+
+  // `import React, {createFactory} from 'react';` or
+  // `const React = require('react');` above the first require of React.
+  const addReactBinding = () => {
+    const imports = root.find(j.ImportDeclaration, {source: {value: 'react'}});
+    if (imports.size()) {
+      const declaration = imports.get();
+      const specifiers = declaration.value.specifiers.map(specifier => j(specifier).toSource());
+      const statement = j.template.statement([
+        `import React, {${specifiers.join(', ')}} from 'react';`,
+      ]);
+      statement.comments = declaration.value.comments;
+      j(declaration).replaceWith(statement);
+      return;
+    }
+    const requires = root
+      .find(j.VariableDeclarator)
+      .filter(p => p.parent.parent.value.type === 'Program' && isRequireOf(p.value.init, 'react'));
+    if (requires.size()) {
+      const declaration = requires.get().parent;
+      j(declaration).insertBefore(
+        j.template.statement([`${declaration.value.kind} React = require('react');`])
+      );
+      return;
+    }
+    root.get().value.program.body.unshift(j.template.statement(['const React = require(\'react\');']));
+  };
+
+  const reactName = ReactUtils.findReactName(root);
+  const createFactoryNames = findCreateFactoryNames(reactName);
+  // Files that only import `createFactory` get a `React` binding for the JSX
+  // and `React.createElement` calls, unless `React` is already taken.
+  const addsReact = !reactName && !root.find(j.Program).get().scope.declares('React');
+  const elementReactName = addsReact ? 'React' : reactName;
+
+  const isCreateFactoryCall = node =>
+    node &&
+    node.type === 'CallExpression' &&
+    node.arguments.length === 1 &&
+    (
+      (
+        node.callee.type === 'MemberExpression' &&
+        !node.callee.computed &&
+        node.callee.object.type === 'Identifier' &&
+        node.callee.object.name === reactName &&
+        node.callee.property.name === 'createFactory'
+      ) ||
+      (node.callee.type === 'Identifier' && createFactoryNames.indexOf(node.callee.name) !== -1)
+    );
+
+  // ---------------------------------------------------------------------------
+  // Conversion
+
+  // Whether `type` can be copied to every call of the factory declared at
+  // `path`: a tag name, or a variable (or a member of one) declared at the top
+  // level. Anything else, like `createFactory(makeComponent())`, would be
+  // evaluated again, and make a new component, on every call.
+  const isModuleLevelType = (path, type) => {
+    if (type.type === 'Literal') {
+      return typeof type.value === 'string';
+    }
+    while (type.type === 'MemberExpression' && !type.computed) {
+      type = type.object;
+    }
+    if (type.type !== 'Identifier') {
+      return false;
+    }
+    const scope = path.scope && path.scope.lookup(type.name);
+    return !scope || scope.isGlobal;
+  };
+
+  // `const Foo = React.createFactory(FooComponent)` declarators.
+  const findFactories = () =>
+    root
+      .find(j.VariableDeclarator, {id: {type: 'Identifier'}})
+      .filter(p => isCreateFactoryCall(p.value.init))
+      .paths()
+      .map(path => ({
+        path,
+        name: path.value.id.name,
+        type: path.value.init.arguments[0],
+        isInlinable: isModuleLevelType(path, path.value.init.arguments[0]),
+      }));
+
+  // The factory `path` calls, or null.
+  const factoryOf = (factories, path) => {
+    const {callee} = path.value;
+    if (callee.type !== 'Identifier') {
+      return null;
+    }
+    return factories.find(factory =>
+      factory.name === callee.name &&
+      (!path.scope || path.scope.lookup(callee.name) === factory.path.scope)
+    ) || null;
+  };
+
+  // `Foo` in `Foo` and `Foo.Bar`, null for tag names.
+  const typeName = type => {
+    while (type.type === 'MemberExpression') {
+      type = type.object;
+    }
+    return type.type === 'Identifier' ? type.name : null;
+  };
+
+  // Whether the component type names another variable where `path` calls the
+  // factory, e.g. a `Row` prop in `const Table = ({Row}) => row()`.
+  const isTypeShadowed = (factory, path) => {
+    const name = typeName(factory.type);
+    return Boolean(name && path.scope && factory.path.scope) &&
+      path.scope.lookup(name) !== factory.path.scope.lookup(name);
+  };
+
+  const canUseJSX = type =>
+    JSXUtils.canConvertToJSXIdentifier(type) && !JSXUtils.isCapitalizationInvalid(type);
+
+  const convertFactoryCall = (factories, path) => {
+    const factory = factoryOf(factories, path);
+    if (!factory || !factory.isInlinable || isTypeShadowed(factory, path)) {
+      return null;
+    }
+    const args = path.value.arguments;
+    if (canUseJSX(factory.type) && JSXUtils.canConvertExpressionToJSXAttributes(args[0])) {
+      return JSXUtils.convertCallToJSX(
+        path,
+        JSXUtils.jsxIdentifierFor(factory.type),
+        0,
+        child => convertFactoryCall(factories, child)
+      );
+    }
+    if (!elementReactName) {
+      return null;
+    }
+    const createElement = j.callExpression(
+      j.memberExpression(j.identifier(elementReactName), j.identifier('createElement')),
+      [factory.type].concat(args.length ? args : [j.literal(null)])
+    );
+    createElement.comments = path.value.comments;
+    return createElement;
+  };
+
+  const factories = findFactories();
+  if (!factories.length) {
+    return null;
+  }
+
+  let hasModifications = false;
+  let hasConversions = false;
+  root.find(j.CallExpression).forEach(path => {
+    const factory = factoryOf(factories, path);
+    if (!factory) {
+      return;
+    }
+    if (!factory.isInlinable) {
+      reportSkipped(
+        factory.name,
+        path.value,
+        'dynamic-component',
+        'The component passed to `createFactory` is not a variable declared at the top level.'
+      );
+      return;
+    }
+    if (isTypeShadowed(factory, path)) {
+      reportSkipped(
+        factory.name,
+        path.value,
+        'shadowed-component',
+        `"${typeName(factory.type)}" names another variable where the factory is called.`
+      );
+      return;
+    }
+    const converted = convertFactoryCall(factories, path);
+    if (!converted) {
+      reportSkipped(
+        factory.name,
+        path.value,
+        'no-react-binding',
+        'The props are not an object literal and React is not imported by name.'
+      );
+      return;
+    }
+    j(path).replaceWith(converted);
+    hasModifications = true;
+    hasConversions = true;
+  });
+
+  factories.forEach(factory => {
+    if (findReferences(factory.path, factory.path.value.id).size()) {
+      return;
+    }
+    hasModifications = true;
+    const declaration = factory.path.parent;
+    if (declaration.value.declarations.length === 1) {
+      removeStatement(declaration);
+    } else {
+      j(factory.path).remove();
+    }
+  });
+
+  if (!hasModifications) {
+    return null;
+  }
+
+  // `createFactory` is no longer used once the factories are removed. A
+  // declaration left empty binds `React` instead when the file needs it.
+  let needsReact = hasConversions && addsReact;
+  const isUsed = id =>
+    root.find(j.Identifier, {name: id.name})
+      .filter(path => path.value !== id && isReference(path))
+      .size() > 0;
+
+  root.find(j.ImportDeclaration, {source: {value: 'react'}}).forEach(p => {
+    const specifiers = p.value.specifiers.filter(specifier =>
+      createFactoryNames.indexOf(specifier.local.name) === -1 || isUsed(specifier.local)
+    );
+    if (specifiers.length === p.value.specifiers.length) {
+      return;
+    }
+    if (specifiers.length) {
+      p.value.specifiers = specifiers;
+    } else if (needsReact) {
+      p.value.specifiers = [j.importDefaultSpecifier(j.identifier('React'))];
+      needsReact = false;
+    } else {
+      removeStatement(p);
+    }
+  });
+
+  root
+    .find(j.VariableDeclarator, {id: {type: 'ObjectPattern'}})
+    .filter(p => isRequireOf(p.value.init, 'react'))
+    .forEach(p => {
+      const properties = p.value.id.properties.filter(property =>
+        property.type !== 'Property' ||
+        property.value.type !== 'Identifier' ||
+        createFactoryNames.indexOf(property.value.name) === -1 ||
+        isUsed(property.value)
+      );
+      if (properties.length === p.value.id.properties.length) {
+        return;
+      }
+      if (properties.length) {
+        p.value.id.properties = properties;
+      } else if (needsReact) {
+        p.value.id = j.identifier('React');
+        needsReact = false;
+      } else if (p.parent.value.declarations.length === 1) {
+        removeStatement(p.parent);
+      } else {
+        j(p).remove();
+      }
+    });
+
+  if (needsReact) {
+    addReactBinding();
+  }
+
+  return root.toSource(printOptions);
+};
+
+module.exports.options = [
+  sharedOptions.explicitRequire,
+  {
+    name: 'silenceWarnings',
+    type: 'boolean',
+    default: false,
+    description: 'Do not warn about factory calls that cannot be converted.',
+  },
+  sharedOptions.printOptions,
+];
@@ -0,0 +1,463 @@
+/**
+ * Copyright 2013-2015, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ */
+
+'use strict';
+
+const config = require('./utils/config');
+const parser = require('./utils/parser');
+const sharedOptions = require('./utils/options');
+
+const DOM_MODULE = 'react-dom';
+const CLIENT_MODULE = 'react-dom/client';
+
+// What each `react-dom` method becomes, from `react-dom/client`.
+const ROOT_FACTORIES = {
+  render: 'createRoot',
+  hydrate: 'hydrateRoot',
+};
+
+const METHODS = ['render', 'hydrate', 'unmountComponentAtNode'];
+
+/**
+ * ReactDOM.render(<App />, container);
+ *
+ * -->
+ *
+ * createRoot(container).render(<App />);
+ *
+ * Calls on the same container in the same function share a root:
+ *
+ * ReactDOM.render(<App />, container);
+ * ReactDOM.unmountComponentAtNode(container);
+ *
+ * -->
+ *
+ * const root = createRoot(container);
+ * root.render(<App />);
+ * root.unmount();
+ */
+module.exports = function(file, api, options) {
+  options = config.getOptions('create-root', file, options);
+  const j = parser.withParser(api.jscodeshift, file, options);
+  const {isRequireOf} = require('./utils/ASTUtils')(j);
+  const diagnostics = require('./utils/diagnostics')(file, options);
+
+  const silenceWarnings = options.silenceWarnings || false;
+  const printOptions = options.printOptions || {
+    quote: 'single',
+    trailingComma: true,
+  };
+
+  const root = j(file.source);
+
+  const reportSkipped = (path, rule, reason) => {
+    const callee = j(path.value.callee).toSource();
+    diagnostics.skip({node: path.value, rule, reason});
+    if (silenceWarnings) {
+      return;
+    }
+    if (!path.value.loc) {
+      console.warn(`Call to "${callee}" skipped in ${file.path}: ${reason}`);
+      return;
+    }
+    const {line, column} = path.value.loc.start;
+
+    console.warn(`Call to "${callee}" skipped in ${file.path} on ${line}:${column}: ${reason}`);
+  };
+
+  const findImports = moduleName =>
+    root.find(j.ImportDeclaration, {source: {value: moduleName}});
+
+  const findRequires = moduleName =>
+    root
+      .find(j.VariableDeclarator)
+      .filter(p => isRequireOf(p.value.init, moduleName) && p.parent.parent.value.type === 'Program');
+
+  // ---------------------------------------------------------------------------
+  // The names `react-dom` is bound to: `namespaces` for the module object
+  // (`ReactDOM.render`), `methods` for the methods themselves (`render`).
+
+  const namespaces = [];
+  const methods = {};
+
+  findImports(DOM_MODULE).forEach(p => {
+    p.value.specifiers.forEach(specifier => {
+      if (specifier.type === 'ImportSpecifier') {
+        if (METHODS.indexOf(specifier.imported.name) !== -1) {
+          methods[specifier.local.name] = specifier.imported.name;
+        }
+      } else {
+        namespaces.push(specifier.local.name);
+      }
+    });
+  });
+  findRequires(DOM_MODULE).forEach(p => {
+    const id = p.value.id;
+    if (id.type === 'Identifier') {
+      namespaces.push(id.name);
+    } else if (id.type === 'ObjectPattern') {
+      id.properties.forEach(property => {
+        const key = property.key && property.key.name;
+        if (METHODS.indexOf(key) !== -1 && property.value.type === 'Identifier') {
+          methods[property.value.name] = key;
+        }
+      });
+    }
+  });
+
+  const isModuleBinding = (path, name) => {
+    const scope = path.scope.lookup(name);
+    return scope && scope.isGlobal;
+  };
+
+  // The `react-dom` method a call is made to, or null.
+  const getMethod = path => {
+    const callee = path.value.callee;
+    if (
+      callee.type === 'MemberExpression' &&
+      !callee.computed &&
+      callee.object.type === 'Identifier' &&
+      namespaces.indexOf(callee.object.name) !== -1 &&
+      METHODS.indexOf(callee.property.name) !== -1 &&
+      isModuleBinding(path, callee.object.name)
+    ) {
+      return callee.property.name;
+    }
+    if (
+      callee.type === 'Identifier' &&
+      methods.hasOwnProperty(callee.name) &&
+      isModuleBinding(path, callee.name)
+    ) {
+      return methods[callee.name];
+    }
+    return null;
+  };
+
+  const calls = root
+    .find(j.CallExpression)
+    .filter(p => getMethod(p) !== null)
+    .paths();
+
+  if (!calls.length) {
+    return null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Calls on the same container within the same function share a root, and
+  // so do later calls from functions nested in it, like cleanup callbacks.
+
+  const getScopeNode = path => {
+    for (let p = path.parent; p; p = p.parent) {
+      const type = p.value.type;
+      if (
+        type === 'FunctionDeclaration' ||
+        type === 'FunctionExpression' ||
+        type === 'ArrowFunctionExpression' ||
+        type === 'Program'
+      ) {
+        return p.value;
+      }
+    }
+    return null;
+  };
+
+  // Containers that can be told apart by their source: `container`,
+  // `this.container` or `document.getElementById('root')`.
+  const isStableContainer = node => {
+    switch (node.type) {
+      case 'Identifier':
+      case 'ThisExpression':
+        return true;
+      case 'MemberExpression':
+        return isStableContainer(node.object) && (!node.computed || node.property.type === 'Literal');
+      case 'CallExpression':
+        return (
+          node.callee.type === 'MemberExpression' &&
+          isStableContainer(node.callee.object) &&
+          node.arguments.every(argument => argument.type === 'Literal')
+        );
+      default:
+        return false;
+    }
+  };
+
+  // The scope the variable a container starts with is bound in: calls in a
+  // nested function can only share a root with outer calls if it's the same.
+  const getContainerBinding = (path, container) => {
+    let node = container;
+    while (node.type === 'MemberExpression' || node.type === 'CallExpression') {
+      node = node.type === 'MemberExpression' ? node.object : node.callee;
+    }
+    return node.type === 'Identifier' ? path.scope.lookup(node.name) : null;
+  };
+
+  // Whether `path` is in a statement that comes after the one of `first`, in
+  // the same block; that's where the root declared in place of `first` can
+  // be used.
+  const comesAfter = (path, first) => {
+    const statement = first.path.parent;
+    for (let p = path; p.parent; p = p.parent) {
+      if (p.value.type === 'FunctionDeclaration') {
+        // Hoisted: it could be called before the root is created.
+        return false;
+      }
+      if (p.parent.value === statement.parent.value) {
+        return p.name > statement.name;
+      }
+    }
+    return false;
+  };
+
+  const groups = [];
+  const checkCall = path => {
+    const method = getMethod(path);
+    const args = path.value.arguments;
+    const containerIndex = method === 'unmountComponentAtNode' ? 0 : 1;
+    if (args.length <= containerIndex || args.some(arg => arg.type === 'SpreadElement')) {
+      return {rule: 'unsupported-arguments', reason: 'Unexpected arguments.'};
+    }
+    if (args.length > containerIndex + 1) {
+      return {
+        rule: 'render-callback',
+        reason: 'Roots take no callback; move it to an effect of the rendered component.',
+      };
+    }
+    if (path.parent.value.type !== 'ExpressionStatement') {
+      return method === 'unmountComponentAtNode' ?
+        {rule: 'uses-unmount-result', reason: '`root.unmount()` doesn\'t tell whether something was unmounted.'} :
+        {rule: 'uses-render-result', reason: 'Roots don\'t return the rendered instance; use a ref instead.'};
+    }
+    return null;
+  };
+
+  calls.forEach(path => {
+    const error = checkCall(path);
+    if (error) {
+      reportSkipped(path, error.rule, error.reason);
+      return;
+    }
+    const method = getMethod(path);
+    const container = path.value.arguments[method === 'unmountComponentAtNode' ? 0 : 1];
+    const scope = getScopeNode(path);
+    const key = isStableContainer(container) ? j(container).toSource() : null;
+    const call = {path, method, container};
+    const group = key !== null && groups.find(g => g.key === key && (
+      g.scope === scope ||
+      comesAfter(path, g.calls[0]) &&
+      getContainerBinding(path, container) !== null &&
+      getContainerBinding(path, container) === getContainerBinding(g.calls[0].path, g.calls[0].container)
+    ));
+    if (group) {
+      group.calls.push(call);
+    } else {
+      groups.push({scope, key, calls: [call]});
+    }
+  });
+
+  // ---------------------------------------------------------------------------
+  // Conversion
+
+  const usedFactories = {};
+  const getFactory = method => {
+    usedFactories[ROOT_FACTORIES[method]] = true;
+    return j.identifier(ROOT_FACTORIES[method]);
+  };
+
+  // createRoot(container) or hydrateRoot(container, element)
+  const buildRoot = call => {
+    const args = call.path.value.arguments;
+    return j.callExpression(
+      getFactory(call.method),
+      call.method === 'hydrate' ? [args[1], args[0]] : [args[1]]
+    );
+  };
+
+  const buildRender = (rootNode, element) =>
+    j.callExpression(j.memberExpression(rootNode, j.identifier('render')), [element]);
+
+  const isWithin = (path, node) => {
+    for (let p = path; p; p = p.parent) {
+      if (p.value === node) {
+        return true;
+      }
+    }
+    return false;
+  };
+
+  // A name for the root that nothing in the function uses yet, and that
+  // doesn't shadow the root of an enclosing function or get shadowed by one
+  // of a nested function.
+  const getRootName = group => {
+    const isUsed = name =>
+      j(group.scope).find(j.Identifier, {name}).size() > 0 ||
+      groups.some(other => other.rootName === name && (
+        isWithin(other.calls[0].path, group.scope) ||
+        isWithin(group.calls[0].path, other.scope)
+      ));
+    let name = 'root';
+    for (let i = 2; isUsed(name); i++) {
+      name = 'root' + i;
+    }
+    return name;
+  };
+
+  const replaceCall = (call, node) => {
+    call.path.replace(node);
+  };
+
+  const convertGroup = group => {
+    const first = group.calls[0];
+    if (group.calls.length === 1) {
+      if (first.method === 'unmountComponentAtNode') {
+        reportSkipped(
+          first.path,
+          'unpaired-unmount',
+          'No render call on this container in the same function; unmount its root instead.'
+        );
+        return false;
+      }
+      replaceCall(first, first.method === 'hydrate' ?
+        buildRoot(first) :
+        buildRender(buildRoot(first), first.path.value.arguments[0]));
+      return true;
+    }
+
+    // The root is declared where the first call is, so every other call has
+    // to come after it, and the first one has to create it.
+    const inSameBlock = group.calls.slice(1).every(call => comesAfter(call.path, first));
+    const startsWithRender = first.method !== 'unmountComponentAtNode' &&
+      group.calls.slice(1).every(call => call.method !== 'hydrate');
+    if (!inSameBlock || !startsWithRender) {
+      group.calls.forEach(call => reportSkipped(
+        call.path,
+        'unpaired-calls',
+        'Calls on this container are spread over several blocks; keep its root in a variable manually.'
+      ));
+      return false;
+    }
+
+    group.rootName = getRootName(group);
+    const rootId = () => j.identifier(group.rootName);
+    const declaration = j.variableDeclaration('const', [
+      j.variableDeclarator(rootId(), buildRoot(first)),
+    ]);
+    const statements = [declaration];
+    if (first.method === 'render') {
+      statements.push(j.expressionStatement(buildRender(rootId(), first.path.value.arguments[0])));
+    }
+    group.calls.slice(1).forEach(call => {
+      replaceCall(call, call.method === 'render' ?
+        buildRender(rootId(), call.path.value.arguments[0]) :
+        j.callExpression(j.memberExpression(rootId(), j.identifier('unmount')), []));
+    });
+    first.path.parent.replace.apply(first.path.parent, statements);
+    return true;
+  };
+
+  let changed = false;
+  groups.forEach(group => {
+    changed = convertGroup(group) || changed;
+  });
+  if (!changed) {
+    return null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Imports
+
+  const isStillUsed = name =>
+    root
+      .find(j.Identifier, {name})
+      .filter(p => {
+        const parent = p.parent.value;
+        return !(
+          parent.type === 'ImportSpecifier' ||
+          parent.type === 'ImportDefaultSpecifier' ||
+          parent.type === 'ImportNamespaceSpecifier' ||
+          (parent.type === 'VariableDeclarator' && parent.id === p.value) ||
+          (parent.type === 'Property' && parent.value === p.value && p.parent.parent.value.type === 'ObjectPattern') ||
+          (parent.type === 'Property' && parent.key === p.value && !parent.computed) ||
+          (parent.type === 'MemberExpression' && parent.property === p.value && !parent.computed)
+        );
+      })
+      .size() > 0;
+
+  const factories = Object.keys(usedFactories).sort();
+  const domImports = findImports(DOM_MODULE);
+  const domRequires = findRequires(DOM_MODULE);
+
+  if (domImports.size() || !domRequires.size()) {
+    const clientImports = findImports(CLIENT_MODULE);
+    if (clientImports.size()) {
+      const declaration = clientImports.get().value;
+      factories.forEach(name => {
+        if (!declaration.specifiers.some(s => s.imported && s.imported.name === name)) {
+          declaration.specifiers.push(j.importSpecifier(j.identifier(name)));
+        }
+      });
+    } else {
+      const declaration = j.importDeclaration(
+        factories.map(name => j.importSpecifier(j.identifier(name))),
+        j.literal(CLIENT_MODULE)
+      );
+      if (domImports.size()) {
+        domImports.at(domImports.size() - 1).insertAfter(declaration);
+      } else {
+        root.get().value.program.body.unshift(declaration);
+      }
+    }
+    domImports.forEach(p => {
+      p.value.specifiers = p.value.specifiers.filter(specifier => isStillUsed(specifier.local.name));
+      if (!p.value.specifiers.length) {
+        j(p).remove();
+      }
+    });
+  } else {
+    // const {createRoot} = require('react-dom/client');
+    const pattern = j.objectPattern(factories.map(name => {
+      const property = j.property('init', j.identifier(name), j.identifier(name));
+      property.shorthand = true;
+      return property;
+    }));
+    const statement = domRequires.at(domRequires.size() - 1).closest(j.VariableDeclaration);
+    statement.insertAfter(j.variableDeclaration(statement.get().value.kind, [
+      j.variableDeclarator(pattern, j.callExpression(j.identifier('require'), [j.literal(CLIENT_MODULE)])),
+    ]));
+    domRequires.forEach(p => {
+      const id = p.value.id;
+      if (id.type === 'ObjectPattern') {
+        id.properties = id.properties.filter(property => isStillUsed(property.value.name));
+        if (id.properties.length) {
+          return;
+        }
+      } else if (isStillUsed(id.name)) {
+        return;
+      }
+      const declaration = p.parent.value;
+      if (declaration.declarations.length === 1) {
+        j(p.parent).remove();
+      } else {
+        j(p).remove();
+      }
+    });
+  }
+
+  return root.toSource(printOptions);
+};
+
+module.exports.options = [
+  {
+    name: 'silenceWarnings',
+    type: 'boolean',
+    default: false,
+    description: 'Do not warn about calls that need to be converted manually.',
+  },
+  sharedOptions.printOptions,
+];
@@ -1,5 +1,7 @@
+const parser = require('./utils/parser');
+
 module.exports = function(file, api, options) {
-  const j = api.jscodeshift;
+  const j = parser.withParser(api.jscodeshift, file, options);
 
   return j(file.source)
     .find(j.Identifier)
@@ -10,3 +12,5 @@ module.exports = function(file, api, options) {
     })
     .toSource();
 };
+
+module.exports.options = [];
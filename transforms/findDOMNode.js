@@ -10,8 +10,13 @@
 
 'use strict';
 
+const config = require('./utils/config');
+const parser = require('./utils/parser');
+const sharedOptions = require('./utils/options');
+
 function getDOMNodeToFindDOMNode(file, api, options) {
-  const j = api.jscodeshift;
+  options = config.getOptions('findDOMNode', file, options);
+  const j = parser.withParser(api.jscodeshift, file, options);
 
   require('./utils/array-polyfills');
   const ReactUtils = require('./utils/ReactUtils')(j);
@@ -146,3 +151,8 @@ function getDOMNodeToFindDOMNode(file, api, options) {
 }
 
 module.exports = getDOMNodeToFindDOMNode;
+
+module.exports.options = [
+  sharedOptions.explicitRequire,
+  sharedOptions.printOptions,
+];
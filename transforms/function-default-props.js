@@ -0,0 +1,306 @@
+/**
+ * Copyright 2013-2015, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ */
+
+'use strict';
+
+const config = require('./utils/config');
+const parser = require('./utils/parser');
+const sharedOptions = require('./utils/options');
+
+/**
+ * function Button(props) {
+ *   return <button className={props.className}>{props.label}</button>;
+ * }
+ * Button.defaultProps = {label: 'OK'};
+ *
+ * -->
+ *
+ * function Button({className, label = 'OK'}) {
+ *   return <button className={className}>{label}</button>;
+ * }
+ *
+ * Components whose props are already destructured get the defaults added to
+ * their pattern.
+ */
+module.exports = function(file, api, options) {
+  options = config.getOptions('function-default-props', file, options);
+  const j = parser.withParser(api.jscodeshift, file, options);
+  const ReactUtils = require('./utils/ReactUtils')(j);
+  const {isReference} = require('./utils/ASTUtils')(j);
+  const diagnostics = require('./utils/diagnostics')(file, options);
+
+  const printOptions = options.printOptions || {
+    quote: 'single',
+    trailingComma: true,
+  };
+
+  const root = j(file.source);
+
+  if (options['explicit-require'] !== false && !ReactUtils.hasReact(root)) {
+    return null;
+  }
+
+  const reportSkipped = (name, node, rule, reason) =>
+    diagnostics.reportSkipped('Component', {node, component: name, rule, reason});
+
+  // ---------------------------------------------------------------------------
+  // AST helpers
+
+  const isFunction = node =>
+    node.type === 'FunctionExpression' ||
+    node.type === 'ArrowFunctionExpression' ||
+    node.type === 'FunctionDeclaration';
+
+  const isTopLevel = path => {
+    const parent = path.parent.value;
+    return parent.type === 'Program' ||
+      parent.type === 'ExportNamedDeclaration' ||
+      parent.type === 'ExportDefaultDeclaration';
+  };
+
+  const findReferences = (node, name) =>
+    j(node)
+      .find(j.Identifier, {name})
+      .filter(isReference);
+
+  // `Foo.defaultProps`
+  const isDefaultPropsOf = (node, name) =>
+    node.type === 'MemberExpression' &&
+    !node.computed &&
+    node.object.type === 'Identifier' &&
+    node.object.name === name &&
+    node.property.name === 'defaultProps';
+
+  // The function of a component declared at the top level as
+  // `function Foo() {}` or `const Foo = () => {}`, or null.
+  const findComponentFunction = name => {
+    const declarations = root
+      .find(j.FunctionDeclaration, {id: {name}})
+      .filter(isTopLevel);
+    if (declarations.size()) {
+      return declarations.get().value;
+    }
+    const declarators = root
+      .find(j.VariableDeclarator, {id: {name}})
+      .filter(p => isTopLevel(p.parent) && p.value.init && isFunction(p.value.init));
+    return declarators.size() ? declarators.get().value.init : null;
+  };
+
+  // `Foo.defaultProps = {...};` statements, by component name.
+  const findDefaultPropsAssignments = () => {
+    const assignments = {};
+    root
+      .find(j.ExpressionStatement, {expression: {type: 'AssignmentExpression', operator: '='}})
+      .filter(p => {
+        const left = p.value.expression.left;
+        return isTopLevel(p) && left.type === 'MemberExpression' && isDefaultPropsOf(left, left.object.name);
+      })
+      .forEach(p => {
+        const name = p.value.expression.left.object.name;
+        assignments[name] = (assignments[name] || []).concat(p);
+      });
+    return assignments;
+  };
+
+  // ---------------------------------------------------------------------------
+  // Conversion
+
+  const getKeyName = property =>
+    !property.computed && property.key.type === 'Identifier' ? property.key.name : null;
+
+  // The properties of the `defaultProps` object, or an error.
+  const readDefaults = (object, propNames) => {
+    if (
+      object.type !== 'ObjectExpression' ||
+      object.properties.some(property =>
+        property.type !== 'Property' || property.kind !== 'init' || property.method || !getKeyName(property)
+      )
+    ) {
+      return {
+        rule: 'dynamic-default-props',
+        reason: '`defaultProps` is not an object literal with identifier keys.',
+      };
+    }
+    const names = propNames.concat(object.properties.map(getKeyName));
+    const usesProps = object.properties.some(property =>
+      names.some(prop => findReferences(property.value, prop).size() > 0)
+    );
+    if (usesProps) {
+      return {rule: 'dependent-defaults', reason: 'Default props reference other props.'};
+    }
+    return {properties: object.properties};
+  };
+
+  // recast only prints the key of shorthand properties, so `{a = 1}` has its
+  // default in the key as well.
+  const setShorthand = property => {
+    const value = property.value;
+    if (value.type === 'Identifier' && value.name === property.key.name) {
+      property.shorthand = true;
+    } else if (
+      value.type === 'AssignmentPattern' &&
+      value.left.type === 'Identifier' &&
+      value.left.name === getKeyName(property)
+    ) {
+      property.shorthand = true;
+      property.key = value;
+    }
+    return property;
+  };
+
+  const buildPatternProperty = (name, value) =>
+    setShorthand(j.property('init', j.identifier(name), value));
+
+  const withDefault = (value, defaultValue) => j.assignmentPattern(value, defaultValue);
+
+  // function Foo({a, b}) {} -> function Foo({a, b = 1}) {}
+  // Defaults of props that the component doesn't destructure are dropped:
+  // nothing reads them.
+  const addToPattern = (pattern, defaults) => {
+    const properties = pattern.properties.filter(property => property.type === 'Property');
+    const hasRest = properties.length !== pattern.properties.length;
+    for (const property of defaults) {
+      const existing = properties.find(p => getKeyName(p) === getKeyName(property));
+      if (!existing && hasRest) {
+        return {
+          rule: 'forwards-props',
+          reason: `Props are forwarded with a rest element, which would lose \`${getKeyName(property)}\`.`,
+        };
+      }
+      if (existing && existing.value.type === 'AssignmentPattern') {
+        return {
+          rule: 'has-default',
+          reason: `\`${getKeyName(property)}\` already has a default value.`,
+        };
+      }
+    }
+    defaults.forEach(property => {
+      const existing = properties.find(p => getKeyName(p) === getKeyName(property));
+      if (existing) {
+        existing.value = withDefault(existing.value, property.value);
+        setShorthand(existing);
+      }
+    });
+    return null;
+  };
+
+  // function Foo(props) { props.a } -> function Foo({a}) { a }
+  // Only the props that are read are destructured, with their defaults.
+  const destructureProps = (fn, defaults) => {
+    const param = fn.params[0];
+    const propsName = param ? param.name : null;
+    const uses = propsName ? findReferences(fn.body, propsName) : j([]);
+    const isPropRead = p => {
+      const parent = p.parent.value;
+      return parent.type === 'MemberExpression' &&
+        parent.object === p.value &&
+        !parent.computed &&
+        !(p.parent.parent.value.type === 'AssignmentExpression' && p.parent.parent.value.left === parent) &&
+        !(p.parent.parent.value.type === 'UpdateExpression');
+    };
+    if (uses.filter(p => !isPropRead(p)).size()) {
+      return {rule: 'forwards-props', reason: `\`${propsName}\` is used as a whole.`};
+    }
+    const names = [];
+    uses.forEach(p => {
+      const name = p.parent.value.property.name;
+      if (names.indexOf(name) === -1) {
+        names.push(name);
+      }
+    });
+    const usesProps = defaults.some(property =>
+      names.some(name => findReferences(property.value, name).size() > 0)
+    );
+    if (usesProps) {
+      return {rule: 'dependent-defaults', reason: 'Default props reference other props.'};
+    }
+    const shadowed = names.find(name =>
+      findReferences(fn.body, name).size() > 0
+    );
+    if (shadowed) {
+      return {rule: 'shadowed-props', reason: `The component already uses a variable named \`${shadowed}\`.`};
+    }
+
+    uses.forEach(p => {
+      j(p.parent).replaceWith(j.identifier(p.parent.value.property.name));
+    });
+    const pattern = j.objectPattern(names.map(name => {
+      const property = defaults.find(p => getKeyName(p) === name);
+      const value = j.identifier(name);
+      return buildPatternProperty(name, property ? withDefault(value, property.value) : value);
+    }));
+    if (param && param.typeAnnotation) {
+      pattern.typeAnnotation = param.typeAnnotation;
+    }
+    fn.params = [pattern].concat(fn.params.slice(1));
+    return null;
+  };
+
+  const convert = (name, fn, assignments) => {
+    if (assignments.length > 1) {
+      return {rule: 'several-default-props', reason: '`defaultProps` is assigned more than once.'};
+    }
+    const assignment = assignments[0];
+    const otherUses = root
+      .find(j.MemberExpression)
+      .filter(p => isDefaultPropsOf(p.value, name) && p.parent.value !== assignment.value.expression);
+    if (otherUses.size()) {
+      return {rule: 'reads-default-props', reason: '`defaultProps` is read elsewhere.'};
+    }
+    const param = fn.params[0];
+    if (param && param.type !== 'Identifier' && param.type !== 'ObjectPattern') {
+      return {rule: 'unsupported-props', reason: 'Props are not a plain or destructured argument.'};
+    }
+    const propNames = param && param.type === 'ObjectPattern' ?
+      param.properties.filter(p => p.type === 'Property').map(getKeyName) :
+      [param ? param.name : 'props'];
+    const defaults = readDefaults(assignment.value.expression.right, propNames);
+    if (!defaults.properties) {
+      return defaults;
+    }
+    const error = param && param.type === 'ObjectPattern' ?
+      addToPattern(param, defaults.properties) :
+      destructureProps(fn, defaults.properties);
+    if (error) {
+      return error;
+    }
+    j(assignment).remove();
+    return null;
+  };
+
+  let hasModifications = false;
+  const assignments = findDefaultPropsAssignments();
+  Object.keys(assignments).forEach(name => {
+    const fn = findComponentFunction(name);
+    if (!fn) {
+      // Classes keep their `defaultProps`.
+      return;
+    }
+    const error = convert(name, fn, assignments[name]);
+    if (error) {
+      reportSkipped(name, assignments[name][0].value, error.rule, error.reason);
+    } else {
+      hasModifications = true;
+    }
+  });
+
+  return hasModifications ? root.toSource(printOptions) : null;
+};
+
+module.exports.options = [
+  sharedOptions.explicitRequire,
+  {
+    name: 'silenceWarnings',
+    type: 'boolean',
+    default: false,
+    description: 'Do not warn about components that cannot be converted.',
+  },
+  sharedOptions.printOptions,
+];
@@ -0,0 +1,722 @@
+/**
+ * Copyright 2013-2015, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ */
+
+'use strict';
+
+const path = require('path');
+const config = require('./utils/config');
+const contextIndex = require('./utils/contextIndex');
+const parser = require('./utils/parser');
+const sharedOptions = require('./utils/options');
+
+const capitalize = name => name[0].toUpperCase() + name.slice(1);
+
+const getContextName = key => capitalize(key) + 'Context';
+
+const isFunction = node =>
+  node.type === 'FunctionExpression' ||
+  node.type === 'ArrowFunctionExpression' ||
+  node.type === 'FunctionDeclaration';
+
+const getKeyName = node =>
+  !node.computed && node.key && (
+    node.key.type === 'Identifier' ? node.key.name :
+    typeof node.key.value === 'string' ? node.key.value :
+    null
+  );
+
+const isThisMember = (node, name) =>
+  node &&
+  node.type === 'MemberExpression' &&
+  node.object.type === 'ThisExpression' &&
+  !node.computed &&
+  node.property.name === name;
+
+// Identifiers named `name`, except property names.
+const findReferences = (j, parentPath, name) =>
+  j(parentPath)
+    .find(j.Identifier, {name})
+    .filter(p => {
+      const parent = p.parent.value;
+      return p.value.type === 'Identifier' &&
+        !(parent.type === 'MemberExpression' && parent.property === p.value && !parent.computed) &&
+        !(parent.type === 'Property' && parent.key === p.value && !parent.shorthand);
+    });
+
+// Lifecycles that are given the context as an argument.
+const CONTEXT_ARGUMENTS = {
+  constructor: 1,
+  componentWillReceiveProps: 1,
+  UNSAFE_componentWillReceiveProps: 1,
+  shouldComponentUpdate: 2,
+  componentWillUpdate: 2,
+  UNSAFE_componentWillUpdate: 2,
+};
+
+/**
+ * Finds the legacy context providers and consumers of a file, and whether
+ * they can be converted. Only the part that doesn't depend on other files;
+ * see `utils/contextIndex` for the rest.
+ */
+const analyze = (j, root) => {
+  const ReactUtils = require('./utils/ReactUtils')(j);
+  const providers = [];
+  const consumers = [];
+
+  // The keys of `{a: PropTypes.x, ...}`, or null.
+  const getObjectKeys = node => {
+    if (!node || node.type !== 'ObjectExpression') {
+      return null;
+    }
+    const keys = node.properties.map(property =>
+      (property.type === 'Property' || property.type === 'ObjectProperty') &&
+      property.kind === 'init' &&
+      getKeyName(property)
+    );
+    return keys.every(key => key && /^[A-Za-z_$][\w$]*$/.test(key)) ? keys : null;
+  };
+
+  // `static <name> = {...}` in the class body, or `Foo.<name> = {...};` in
+  // the statements around the component.
+  const findStatic = (componentName, classNode, name) => {
+    const property = classNode && classNode.body.body.find(member =>
+      member.type === 'ClassProperty' && member.static && getKeyName(member) === name
+    );
+    if (property) {
+      return {node: property, value: property.value, remove: () => {
+        classNode.body.body.splice(classNode.body.body.indexOf(property), 1);
+      }};
+    }
+    const statements = root
+      .find(j.ExpressionStatement, {
+        expression: {
+          type: 'AssignmentExpression',
+          operator: '=',
+          left: {
+            type: 'MemberExpression',
+            object: {type: 'Identifier', name: componentName},
+            property: {type: 'Identifier', name},
+          },
+        },
+      })
+      .filter(p => p.parent.value.type === 'Program');
+    if (statements.size() === 1) {
+      const statementPath = statements.get();
+      return {
+        node: statementPath.value,
+        value: statementPath.value.expression.right,
+        path: statementPath,
+        remove: () => j(statementPath).remove(),
+      };
+    }
+    return null;
+  };
+
+  const getMethod = (classNode, name) =>
+    classNode.body.body.find(member =>
+      member.type === 'MethodDefinition' && !member.static && getKeyName(member) === name
+    );
+
+  // The return statements of a function, without those of nested functions.
+  const findOwnReturns = functionPath =>
+    j(functionPath.get('body'))
+      .find(j.ReturnStatement)
+      .filter(p => {
+        for (let parent = p.parent; parent !== functionPath; parent = parent.parent) {
+          if (isFunction(parent.value)) {
+            return false;
+          }
+        }
+        return true;
+      });
+
+  const analyzeProvider = (classPath, childContextTypes) => {
+    const classNode = classPath.value;
+    const provider = {
+      name: classNode.id.name,
+      path: classPath,
+      keys: getObjectKeys(childContextTypes.value) || [],
+      childContextTypes,
+      convertible: false,
+    };
+    const fail = (rule, reason) => {
+      provider.rule = rule;
+      provider.reason = reason;
+      return provider;
+    };
+    if (!getObjectKeys(childContextTypes.value)) {
+      return fail('dynamic-context-types', '`childContextTypes` is not an object literal.');
+    }
+    const getChildContext = getMethod(classNode, 'getChildContext');
+    const body = getChildContext && getChildContext.value.body.body;
+    const returned = body && body.length === 1 && body[0].type === 'ReturnStatement' && body[0].argument;
+    const returnedKeys = getObjectKeys(returned);
+    if (!returnedKeys) {
+      return fail(
+        'complex-child-context',
+        '`getChildContext` does more than returning an object literal.'
+      );
+    }
+    if (provider.keys.some(key => returnedKeys.indexOf(key) === -1)) {
+      return fail('complex-child-context', '`getChildContext` doesn\'t return every key of `childContextTypes`.');
+    }
+    const render = getMethod(classNode, 'render');
+    if (!render) {
+      return fail('no-render', 'Class has no `render` method.');
+    }
+    const renderPath = classPath.get('body', 'body', classNode.body.body.indexOf(render), 'value');
+    const returns = findOwnReturns(renderPath).filter(p =>
+      p.value.argument &&
+      !(p.value.argument.type === 'Literal' && p.value.argument.value === null)
+    );
+    if (returns.size() !== 1) {
+      return fail('multiple-returns', '`render` has more than one return statement that renders something.');
+    }
+    provider.getChildContext = getChildContext;
+    provider.value = returned;
+    provider.renderReturn = returns.get();
+    provider.convertible = true;
+    return provider;
+  };
+
+  // `this.context.key` reads, or `const {key} = this.context;`. Returns the
+  // paths of the `this.context` expressions, or null if it is used otherwise.
+  const findContextReads = (paths, keys) => {
+    const reads = [];
+    let ok = true;
+    paths.forEach(p => {
+      const parent = p.parent.value;
+      if (
+        parent.type === 'MemberExpression' &&
+        parent.object === p.value &&
+        (parent.computed ? typeof parent.property.value === 'string' : true) &&
+        keys.indexOf(parent.computed ? parent.property.value : parent.property.name) !== -1 &&
+        !(p.parent.parent.value.type === 'AssignmentExpression' && p.parent.parent.value.left === parent)
+      ) {
+        reads.push(p);
+        return;
+      }
+      if (
+        parent.type === 'VariableDeclarator' &&
+        parent.init === p.value &&
+        parent.id.type === 'ObjectPattern' &&
+        parent.id.properties.length === 1 &&
+        parent.id.properties[0].shorthand &&
+        keys.indexOf(getKeyName(parent.id.properties[0])) !== -1
+      ) {
+        reads.push(p);
+        return;
+      }
+      ok = false;
+    });
+    return ok ? reads : null;
+  };
+
+  const analyzeClassConsumer = (classPath, contextTypes) => {
+    const classNode = classPath.value;
+    const keys = getObjectKeys(contextTypes.value);
+    const consumer = {
+      kind: 'class',
+      name: classNode.id.name,
+      path: classPath,
+      keys: keys || [],
+      contextTypes,
+      convertible: false,
+    };
+    const fail = (rule, reason) => {
+      consumer.rule = rule;
+      consumer.reason = reason;
+      return consumer;
+    };
+    if (!keys) {
+      return fail('dynamic-context-types', '`contextTypes` is not an object literal.');
+    }
+    if (keys.length !== 1) {
+      return fail(
+        'multiple-contexts',
+        'Class reads several context keys; `static contextType` can only read one context.'
+      );
+    }
+    const usesContextArgument = classNode.body.body.some(member => {
+      const index = CONTEXT_ARGUMENTS[getKeyName(member)];
+      const param = member.type === 'MethodDefinition' && index && member.value.params[index];
+      return param && (param.type !== 'Identifier' || j(member.value.body)
+        .find(j.Identifier, {name: param.name})
+        .size() > 0);
+    });
+    if (usesContextArgument) {
+      return fail('context-arguments', 'Class uses the context its lifecycles are given.');
+    }
+    const uses = j(classPath.get('body'))
+      .find(j.MemberExpression, node => isThisMember(node, 'context'))
+      .paths();
+    const reads = findContextReads(uses, keys);
+    if (!reads) {
+      return fail('uses-context-object', 'Class uses `this.context` other than to read its keys.');
+    }
+    consumer.reads = reads;
+    consumer.convertible = true;
+    return consumer;
+  };
+
+  // function Foo(props, context) {...}, with `Foo.contextTypes = {...};`.
+  const analyzeFunctionConsumer = (name, functionPath, contextTypes) => {
+    const keys = getObjectKeys(contextTypes.value);
+    const fn = functionPath.value;
+    const consumer = {
+      kind: 'function',
+      name,
+      path: functionPath,
+      keys: keys || [],
+      contextTypes,
+      convertible: false,
+    };
+    const fail = (rule, reason) => {
+      consumer.rule = rule;
+      consumer.reason = reason;
+      return consumer;
+    };
+    if (!keys) {
+      return fail('dynamic-context-types', '`contextTypes` is not an object literal.');
+    }
+    const param = fn.params[1];
+    if (fn.params.length > 2 || (param && param.type !== 'Identifier')) {
+      return fail('uses-context-object', 'Component takes its context in an unsupported way.');
+    }
+    consumer.reads = [];
+    if (param) {
+      const uses = findReferences(j, functionPath.get('body'), param.name).paths();
+      const reads = findContextReads(uses, keys);
+      if (!reads || reads.some(p => p.parent.value.type === 'VariableDeclarator')) {
+        return fail('uses-context-object', 'Component uses its context other than to read its keys.');
+      }
+      consumer.reads = reads;
+    }
+    const collision = keys.find(key => findReferences(j, functionPath, key).size() > 0);
+    if (collision) {
+      return fail('name-collision', `Component already uses the name \`${collision}\`.`);
+    }
+    consumer.convertible = true;
+    return consumer;
+  };
+
+  const classes = ReactUtils.findReactES6ClassDeclaration(root)
+    .filter(p => p.value.id);
+  classes.forEach(classPath => {
+    const name = classPath.value.id.name;
+    const childContextTypes = findStatic(name, classPath.value, 'childContextTypes');
+    if (childContextTypes) {
+      providers.push(analyzeProvider(classPath, childContextTypes));
+    }
+    const contextTypes = findStatic(name, classPath.value, 'contextTypes');
+    if (contextTypes) {
+      consumers.push(analyzeClassConsumer(classPath, contextTypes));
+    }
+  });
+
+  const classNames = classes.paths().map(p => p.value.id.name);
+  root
+    .find(j.MemberExpression, {
+      object: {type: 'Identifier'},
+      property: {type: 'Identifier', name: 'contextTypes'},
+    })
+    .filter(p => classNames.indexOf(p.value.object.name) === -1)
+    .forEach(p => {
+      const name = p.value.object.name;
+      const contextTypes = findStatic(name, null, 'contextTypes');
+      if (!contextTypes || contextTypes.node.expression.left !== p.value) {
+        return;
+      }
+      const declaration = root.find(j.FunctionDeclaration, {id: {name}})
+        .filter(fp => fp.parent.value.type === 'Program' || fp.parent.parent.value.type === 'Program');
+      const declarator = root.find(j.VariableDeclarator, {id: {name}})
+        .filter(dp => dp.value.init && isFunction(dp.value.init));
+      if (declaration.size() === 1) {
+        consumers.push(analyzeFunctionConsumer(name, declaration.get(), contextTypes));
+      } else if (declarator.size() === 1) {
+        consumers.push(analyzeFunctionConsumer(name, declarator.get('init'), contextTypes));
+      }
+    });
+
+  return {providers, consumers};
+};
+
+module.exports = function(file, api, options) {
+  options = config.getOptions('legacy-context', file, options);
+  const j = parser.withParser(api.jscodeshift, file, options);
+  const ReactUtils = require('./utils/ReactUtils')(j);
+  const diagnostics = require('./utils/diagnostics')(file, options);
+
+  const silenceWarnings = options.silenceWarnings || false;
+  const printOptions = options.printOptions || {
+    quote: 'single',
+    trailingComma: true,
+  };
+  const rootDir = path.resolve(options.root || '.');
+  const modulePath = path.resolve(rootDir, options['context-module'] || 'src/contexts.js');
+
+  if (file.source.indexOf('contextTypes') === -1 && file.source.indexOf('ContextTypes') === -1) {
+    return null;
+  }
+
+  const root = j(file.source);
+
+  if (options['explicit-require'] !== false && !ReactUtils.hasReact(root)) {
+    return null;
+  }
+
+  const report = (severity, component, rule, reason) => {
+    diagnostics[severity]({node: component.path.value, component: component.name, rule, reason});
+    if (silenceWarnings) {
+      return;
+    }
+    // recast drops the location of exported classes, the export has it.
+    const loc = component.path.value.loc || component.path.parent.value.loc;
+    const position = loc ? ` on ${loc.start.line}:${loc.start.column}` : '';
+    const action = severity === 'skip' ? 'skipped' : 'partly converted';
+    console.warn(`Component "${component.name}" ${action} in ${file.path}${position}: ${reason}`);
+  };
+
+  const index = contextIndex.getIndex(rootDir, other => {
+    const otherJ = parser.withParser(api.jscodeshift, other, options);
+    return analyze(otherJ, otherJ(other.source));
+  });
+  const result = analyze(j, root);
+  const usedContexts = [];
+  const useContext = key => {
+    const name = getContextName(key);
+    if (usedContexts.indexOf(name) === -1) {
+      usedContexts.push(name);
+    }
+    return name;
+  };
+  const isProvided = key => index.hasOwnProperty(key) && index[key].providers > 0;
+
+  // Names a file needs for the contexts must be free.
+  const findCollision = keys => keys
+    .map(getContextName)
+    .find(name =>
+      usedContexts.indexOf(name) === -1 &&
+      root.find(j.Identifier, {name}).size() > 0
+    );
+
+  const findReactImport = () =>
+    root
+      .find(j.ImportDeclaration)
+      .filter(p => p.value.source.value === 'react' || p.value.source.value === 'React');
+
+  // ---------------------------------------------------------------------------
+  // Consumers
+
+  const hooks = {used: false};
+  const getUseContext = () => {
+    hooks.used = true;
+    const imports = findReactImport();
+    const namespace = imports.find(j.ImportNamespaceSpecifier);
+    if (imports.size() && !namespace.size()) {
+      return j.identifier('useContext');
+    }
+    const reactName = ReactUtils.findReactName(root) || 'React';
+    return j.memberExpression(j.identifier(reactName), j.identifier('useContext'));
+  };
+
+  const convertClassConsumer = consumer => {
+    const key = consumer.keys[0];
+    const contextName = useContext(key);
+    consumer.reads.forEach(p => {
+      const parent = p.parent.value;
+      if (parent.type === 'VariableDeclarator') {
+        // const {theme} = this.context; -> const theme = this.context;
+        parent.id = j.identifier(key);
+      } else {
+        j(p.parent).replaceWith(p.value);
+      }
+    });
+    const contextTypes = consumer.contextTypes;
+    if (contextTypes.path) {
+      contextTypes.node.expression.left.property = j.identifier('contextType');
+      contextTypes.node.expression.right = j.identifier(contextName);
+    } else {
+      contextTypes.node.key = j.identifier('contextType');
+      contextTypes.node.value = j.identifier(contextName);
+      contextTypes.node.typeAnnotation = null;
+    }
+  };
+
+  const convertFunctionConsumer = consumer => {
+    const fn = consumer.path.value;
+    consumer.reads.forEach(p => {
+      const parent = p.parent.value;
+      j(p.parent).replaceWith(j.identifier(parent.computed ? parent.property.value : parent.property.name));
+    });
+    fn.params = fn.params.slice(0, 1);
+    if (fn.body.type !== 'BlockStatement') {
+      fn.body = j.blockStatement([j.returnStatement(fn.body)]);
+    }
+    const declarations = consumer.keys.map(key => j.variableDeclaration('const', [
+      j.variableDeclarator(
+        j.identifier(key),
+        j.callExpression(getUseContext(), [j.identifier(useContext(key))])
+      ),
+    ]));
+    fn.body.body = declarations.concat(fn.body.body);
+    consumer.contextTypes.remove();
+  };
+
+  // ---------------------------------------------------------------------------
+  // Providers
+
+  const buildProvider = (contextName, value, child) => {
+    const name = j.jsxMemberExpression(j.jsxIdentifier(contextName), j.jsxIdentifier('Provider'));
+    const isElement = child.type === 'JSXElement' || child.type === 'JSXFragment';
+    return j.jsxElement(
+      j.jsxOpeningElement(name, [j.jsxAttribute(j.jsxIdentifier('value'), j.jsxExpressionContainer(value))]),
+      j.jsxClosingElement(name),
+      [j.jsxText('\n'), isElement ? child : j.jsxExpressionContainer(child), j.jsxText('\n')]
+    );
+  };
+
+  const removeKey = (object, key) => {
+    object.properties = object.properties.filter(property => getKeyName(property) !== key);
+  };
+
+  const convertProvider = provider => {
+    const values = {};
+    provider.value.properties.forEach(property => {
+      values[getKeyName(property)] = property.value;
+    });
+    const returnStatement = provider.renderReturn.value;
+    let element = returnStatement.argument;
+    provider.keys.slice().reverse().forEach(key => {
+      element = buildProvider(useContext(key), values[key], element);
+    });
+    returnStatement.argument = element;
+
+    // Keys that consumers we can't convert still read through legacy context.
+    const kept = provider.keys.filter(key => index[key] && index[key].blocked);
+    provider.keys.filter(key => kept.indexOf(key) === -1).forEach(key => {
+      removeKey(provider.value, key);
+      removeKey(provider.childContextTypes.value, key);
+    });
+    if (!kept.length) {
+      const body = provider.path.value.body.body;
+      body.splice(body.indexOf(provider.getChildContext), 1);
+      provider.childContextTypes.remove();
+    } else {
+      report(
+        'warn',
+        provider,
+        'legacy-context-kept',
+        `Kept legacy context for ${kept.map(key => `"${key}"`).join(', ')}: ` +
+          'some consumers could not be converted.'
+      );
+    }
+  };
+
+  // Providers already wrapped in a previous run have `<XContext.Provider>`.
+  const isWrapped = provider => provider.keys.every(key =>
+    root.find(j.JSXMemberExpression, {
+      object: {name: getContextName(key)},
+      property: {name: 'Provider'},
+    }).size() > 0
+  );
+
+  // ---------------------------------------------------------------------------
+  // Imports
+
+  const getModuleSource = () => {
+    const filePath = path.resolve(file.path || '.');
+    let source = path.relative(path.dirname(filePath), modulePath)
+      .replace(/\.[jt]sx?$/, '')
+      .split(path.sep)
+      .join('/');
+    if (source[0] !== '.') {
+      source = './' + source;
+    }
+    return source;
+  };
+
+  const addImports = () => {
+    const source = getModuleSource();
+    const imports = root.find(j.ImportDeclaration);
+    if (hooks.used) {
+      const reactImport = findReactImport();
+      if (reactImport.size() && !reactImport.find(j.ImportNamespaceSpecifier).size()) {
+        const declaration = reactImport.get().value;
+        if (!declaration.specifiers.some(s => s.imported && s.imported.name === 'useContext')) {
+          declaration.specifiers.push(j.importSpecifier(j.identifier('useContext')));
+        }
+      }
+    }
+    const existing = imports.filter(p => p.value.source.value === source);
+    if (existing.size()) {
+      const declaration = existing.get().value;
+      usedContexts.forEach(name => {
+        if (!declaration.specifiers.some(s => s.local.name === name)) {
+          declaration.specifiers.push(j.importSpecifier(j.identifier(name)));
+        }
+      });
+      return;
+    }
+    const specifiers = usedContexts.map(name => j.importSpecifier(j.identifier(name)));
+    const body = root.get().value.program.body;
+    if (imports.size()) {
+      const last = imports.at(imports.size() - 1).get().value;
+      body.splice(body.indexOf(last) + 1, 0, j.importDeclaration(specifiers, j.literal(source)));
+      return;
+    }
+    // const {ThemeContext} = require('./contexts');
+    const requireDeclaration = j.variableDeclaration('const', [
+      j.variableDeclarator(
+        j.objectPattern(usedContexts.map(name => {
+          const property = j.property('init', j.identifier(name), j.identifier(name));
+          property.shorthand = true;
+          return property;
+        })),
+        j.callExpression(j.identifier('require'), [j.literal(source)])
+      ),
+    ]);
+    const requires = root
+      .find(j.CallExpression, {callee: {name: 'require'}})
+      .closest(j.Statement)
+      .filter(p => p.parent.value.type === 'Program');
+    const last = requires.size() ? requires.at(requires.size() - 1).get().value : null;
+    body.splice(last ? body.indexOf(last) + 1 : 0, 0, requireDeclaration);
+  };
+
+  const isDeclarationOf = (path, name) => {
+    const parent = path.parent.value;
+    return (
+      parent.type === 'ImportDefaultSpecifier' ||
+      parent.type === 'ImportNamespaceSpecifier' ||
+      (parent.type === 'VariableDeclarator' && parent.id === path.value)
+    ) && path.value.name === name;
+  };
+
+  // `import PropTypes from 'prop-types'`, or its `require`, once the context
+  // types it was used for are gone.
+  const removeUnusedPropTypes = () => {
+    const isUnused = name => findReferences(j, root.get(), name)
+      .filter(p => !isDeclarationOf(p, name))
+      .size() === 0;
+    root
+      .find(j.ImportDeclaration, {source: {value: 'prop-types'}})
+      .filter(p =>
+        p.value.specifiers.length === 1 &&
+        p.value.specifiers[0].type !== 'ImportSpecifier' &&
+        isUnused(p.value.specifiers[0].local.name)
+      )
+      .remove();
+    root
+      .find(j.VariableDeclarator, {id: {type: 'Identifier'}})
+      .filter(j.filters.VariableDeclarator.requiresModule('prop-types'))
+      .filter(p =>
+        p.parent.value.declarations.length === 1 &&
+        isUnused(p.value.id.name)
+      )
+      .forEach(p => j(p.parent).remove());
+  };
+
+  // ---------------------------------------------------------------------------
+
+  let changed = false;
+
+  result.consumers.forEach(consumer => {
+    if (!consumer.convertible) {
+      report('skip', consumer, consumer.rule, consumer.reason);
+      return;
+    }
+    const unconverted = consumer.keys.filter(key => index.hasOwnProperty(key) && index[key].skippedProviders > 0);
+    if (unconverted.length) {
+      report(
+        'skip',
+        consumer,
+        'skipped-provider',
+        `A provider of context ${unconverted.map(key => `"${key}"`).join(', ')} can't be converted.`
+      );
+      return;
+    }
+    const unmatched = consumer.keys.filter(key => !isProvided(key));
+    if (unmatched.length) {
+      report(
+        'skip',
+        consumer,
+        'unmatched-context-key',
+        `No provider found for context ${unmatched.map(key => `"${key}"`).join(', ')}.`
+      );
+      return;
+    }
+    const collision = findCollision(consumer.keys);
+    if (collision) {
+      report('skip', consumer, 'name-collision', `The file already uses the name \`${collision}\`.`);
+      return;
+    }
+    if (consumer.kind === 'class') {
+      convertClassConsumer(consumer);
+    } else {
+      convertFunctionConsumer(consumer);
+    }
+    changed = true;
+  });
+
+  result.providers.forEach(provider => {
+    if (!provider.convertible) {
+      report('skip', provider, provider.rule, provider.reason);
+      return;
+    }
+    if (isWrapped(provider)) {
+      return;
+    }
+    const collision = findCollision(provider.keys);
+    if (collision) {
+      report('skip', provider, 'name-collision', `The file already uses the name \`${collision}\`.`);
+      return;
+    }
+    convertProvider(provider);
+    changed = true;
+  });
+
+  if (!changed) {
+    return null;
+  }
+
+  addImports();
+  removeUnusedPropTypes();
+  if (!options.dry) {
+    contextIndex.writeContextModule(
+      modulePath,
+      Object.keys(index).filter(isProvided).sort().map(getContextName)
+    );
+  }
+  return root.toSource(printOptions);
+};
+
+module.exports.options = [
+  {
+    name: 'root',
+    type: 'string',
+    default: '.',
+    description: 'Directory that is scanned for the providers and consumers of each context key.',
+  },
+  {
+    name: 'context-module',
+    type: 'string',
+    default: 'src/contexts.js',
+    description: 'Module the contexts are created in, relative to `root`.',
+  },
+  sharedOptions.explicitRequire,
+  {
+    name: 'silenceWarnings',
+    type: 'boolean',
+    default: false,
+    description: 'Do not warn about components that cannot be converted.',
+  },
+  sharedOptions.printOptions,
+];
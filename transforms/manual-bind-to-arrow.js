@@ -8,6 +8,8 @@
  *
  */
 
+import * as parser from './utils/parser';
+
 /**
  * class Component extends React.Component {
  *   constructor() { this.onClick = this.onClick.bind(this); }
@@ -21,8 +23,8 @@
  * }
  */
 
-export default function transformer(file, api) {
-  const j = api.jscodeshift;
+export default function transformer(file, api, options) {
+  const j = parser.withParser(api.jscodeshift, file, options);
 
   var root = j(file.source);
 
@@ -179,4 +181,4 @@ export default function transformer(file, api) {
   return null;
 }
 
-// module.exports.parser = 'flow';
+export const options = [];
@@ -0,0 +1,593 @@
+/**
+ * Copyright 2013-2015, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ */
+
+'use strict';
+
+const config = require('./utils/config');
+const parser = require('./utils/parser');
+const sharedOptions = require('./utils/options');
+
+// The packages of the add-ons that `React.addons` used to contain.
+const ADDON_MODULES = {
+  CSSTransitionGroup: 'react-addons-css-transition-group',
+  LinkedStateMixin: 'react-addons-linked-state-mixin',
+  Perf: 'react-addons-perf',
+  PureRenderMixin: 'react-addons-pure-render-mixin',
+  TestUtils: 'react-addons-test-utils',
+  TransitionGroup: 'react-addons-transition-group',
+  createFragment: 'react-addons-create-fragment',
+  shallowCompare: 'react-addons-shallow-compare',
+  update: 'react-addons-update',
+};
+
+// Add-on packages that have a drop-in replacement, and the rule that moves
+// them. `react-transition-group` v1 has the same API as the add-ons.
+const REPLACED_MODULES = {
+  'react-addons-update': {module: 'immutability-helper', rule: 'update'},
+  'react-addons-test-utils': {module: 'react-dom/test-utils', rule: 'test-utils'},
+  'react-addons-css-transition-group': {
+    module: 'react-transition-group/CSSTransitionGroup',
+    rule: 'css-transition-group',
+  },
+  'react-addons-transition-group': {
+    module: 'react-transition-group/TransitionGroup',
+    rule: 'css-transition-group',
+  },
+};
+
+const LINKED_STATE_MIXIN_MODULE = 'react-addons-linked-state-mixin';
+const CREATE_FRAGMENT_MODULE = 'react-addons-create-fragment';
+
+// `valueLink` and `checkedLink` attributes, and the props replacing them.
+const LINK_ATTRIBUTES = {
+  valueLink: 'value',
+  checkedLink: 'checked',
+};
+
+// The elements whose `onChange` events have the new value in
+// `event.target`. Components take links to call `requestChange(value)`.
+const LINK_ELEMENTS = {
+  input: true,
+  select: true,
+  textarea: true,
+};
+
+/**
+ * Moves code off the `react-addons-*` packages and `React.addons`, which are
+ * no longer maintained. Each rule can be turned off with its option:
+ *
+ * - `addons-namespace`: `React.addons.update` and the like become imports of
+ *   the add-on packages (`import update from 'react-addons-update'`), and
+ *   `react/addons` becomes `react`;
+ * - `update`: `react-addons-update` becomes `immutability-helper`;
+ * - `test-utils`: `react-addons-test-utils` becomes `react-dom/test-utils`;
+ * - `css-transition-group`: `react-addons-css-transition-group` and
+ *   `react-addons-transition-group` become `react-transition-group` v1;
+ * - `linked-state-mixin`: `valueLink={this.linkState('name')}` becomes
+ *   `value={this.state.name}` with an `onChange` handler, and the mixin is
+ *   removed;
+ * - `create-fragment`: `createFragment({a, b})` becomes a keyed array,
+ *   `[<React.Fragment key="a">{a}</React.Fragment>, ...]`.
+ */
+module.exports = function(file, api, options) {
+  options = config.getOptions('migrate-react-addons', file, options);
+  const j = parser.withParser(api.jscodeshift, file, options);
+  const {
+    isReference,
+    isRequire,
+    isRequireOf,
+    removeDeclarator,
+    removeStatement,
+  } = require('./utils/ASTUtils')(j);
+  const diagnostics = require('./utils/diagnostics')(file, options);
+
+  const printOptions = options.printOptions || {
+    quote: 'single',
+    trailingComma: true,
+  };
+  const isEnabled = rule => options[rule] !== false;
+
+  const root = j(file.source);
+
+  const reportSkipped = (name, node, rule, reason) =>
+    diagnostics.reportSkipped('Add-on', {node, component: name, rule, reason});
+
+  // ---------------------------------------------------------------------------
+  // AST helpers
+
+  // References to `name` other than the identifier declaring it.
+  const findReferences = (name, declaration) =>
+    root
+      .find(j.Identifier, {name})
+      .filter(p => p.value !== declaration && isReference(p));
+
+  // Whether `name` is declared anywhere in the file.
+  const isDeclared = name =>
+    root
+      .find(j.Identifier, {name})
+      .filter(p => {
+        const parent = p.parent.value;
+        return (
+          (parent.type === 'VariableDeclarator' && parent.id === p.value) ||
+          (parent.type === 'FunctionDeclaration' && parent.id === p.value) ||
+          (parent.type === 'ClassDeclaration' && parent.id === p.value) ||
+          (parent.type === 'Property' && parent.value === p.value && p.parent.parent.value.type === 'ObjectPattern') ||
+          parent.type === 'ImportSpecifier' ||
+          parent.type === 'ImportDefaultSpecifier' ||
+          parent.type === 'ImportNamespaceSpecifier' ||
+          (parent.params && parent.params.indexOf(p.value) !== -1)
+        );
+      })
+      .size() > 0;
+
+  // ---------------------------------------------------------------------------
+  // Modules
+
+  const findImports = moduleName =>
+    root.find(j.ImportDeclaration, {source: {value: moduleName}});
+
+  // `const foo = require('module')` declarators at the top level.
+  const findRequires = moduleName =>
+    root
+      .find(j.VariableDeclarator)
+      .filter(p => isRequireOf(p.value.init, moduleName) && p.parent.parent.value.type === 'Program');
+
+  // The local name of the default export of `moduleName`, if imported.
+  const findDefaultName = moduleName => {
+    const specifiers = findImports(moduleName)
+      .find(j.ImportDefaultSpecifier);
+    if (specifiers.size()) {
+      return specifiers.get().value.local.name;
+    }
+    const requires = findRequires(moduleName).filter(p => p.value.id.type === 'Identifier');
+    return requires.size() ? requires.get().value.id.name : null;
+  };
+
+  const useImportSyntax = () =>
+    root.find(j.ImportDeclaration, {importKind: 'value'}).size() > 0;
+
+  const useVar = () =>
+    root.find(j.VariableDeclaration, {kind: 'const'}).size() === 0;
+
+  // Adds `import name from 'module'` (or a `require`) before the first import
+  // of a module that sorts after it, or after the last one.
+  const addDefaultImport = (name, moduleName) => {
+    const program = root.find(j.Program).get();
+    const body = program.value.body;
+    let statement;
+    let statements;
+    if (useImportSyntax()) {
+      statement = j.importDeclaration([j.importDefaultSpecifier(j.identifier(name))], j.literal(moduleName));
+      statements = body.filter(node => node.type === 'ImportDeclaration')
+        .map(node => ({node, source: node.source.value}));
+    } else {
+      statement = j.variableDeclaration(useVar() ? 'var' : 'const', [
+        j.variableDeclarator(j.identifier(name), j.callExpression(j.identifier('require'), [j.literal(moduleName)])),
+      ]);
+      statements = body.filter(node =>
+        node.type === 'VariableDeclaration' &&
+        node.declarations.length === 1 &&
+        isRequire(node.declarations[0].init)
+      ).map(node => ({node, source: node.declarations[0].init.arguments[0].value}));
+    }
+    const next = statements.find(s => s.source.toLowerCase() > moduleName.toLowerCase());
+    if (next) {
+      const index = body.indexOf(next.node);
+      if (index === 0 && next.node.comments) {
+        // Keep the comments at the top of the file there.
+        statement.comments = next.node.comments;
+        next.node.comments = null;
+      }
+      body.splice(index, 0, statement);
+    } else if (statements.length) {
+      body.splice(body.indexOf(statements[statements.length - 1].node) + 1, 0, statement);
+    } else {
+      body.unshift(statement);
+    }
+  };
+
+  // Removes the default import or `require` of `moduleName` when it is unused.
+  const removeUnusedImport = moduleName => {
+    findImports(moduleName).forEach(p => {
+      p.value.specifiers = p.value.specifiers.filter(specifier =>
+        findReferences(specifier.local.name, specifier.local).size() > 0
+      );
+      if (!p.value.specifiers.length) {
+        removeStatement(p);
+      }
+    });
+    findRequires(moduleName)
+      .filter(p => p.value.id.type === 'Identifier' && !findReferences(p.value.id.name, p.value.id).size())
+      .forEach(removeDeclarator);
+  };
+
+  // ---------------------------------------------------------------------------
+  // `React.addons`
+
+  // Names of React as `react/addons` or `react`.
+  const findReactNames = () => {
+    const names = [];
+    ['react', 'react/addons'].forEach(moduleName => {
+      const name = findDefaultName(moduleName);
+      if (name) {
+        names.push(name);
+      }
+    });
+    if (names.indexOf('React') === -1) {
+      names.push('React');
+    }
+    return names;
+  };
+
+  // `React.addons`
+  const isAddons = (node, reactNames) =>
+    node.type === 'MemberExpression' &&
+    !node.computed &&
+    node.object.type === 'Identifier' &&
+    reactNames.indexOf(node.object.name) !== -1 &&
+    node.property.name === 'addons';
+
+  // Imports the add-on `member` as `name`, reusing an existing import of its
+  // package. Returns the local name, or null if `name` is taken.
+  const importAddon = (member, name) => {
+    const moduleName = ADDON_MODULES[member];
+    const replacement = REPLACED_MODULES[moduleName];
+    // Import the replacement right away so that it is sorted by its own name.
+    const importedName = replacement && isEnabled(replacement.rule) ?
+      replacement.module :
+      moduleName;
+    const existing = findDefaultName(moduleName) || findDefaultName(importedName);
+    if (existing) {
+      return existing;
+    }
+    if (isDeclared(name)) {
+      return null;
+    }
+    addDefaultImport(name, importedName);
+    return name;
+  };
+
+  const migrateAddonsNamespace = () => {
+    const reactNames = findReactNames();
+    let hasModifications = false;
+
+    // const {update, TestUtils} = React.addons;
+    root
+      .find(j.VariableDeclarator, {id: {type: 'ObjectPattern'}})
+      .filter(p => p.value.init && isAddons(p.value.init, reactNames) && p.parent.parent.value.type === 'Program')
+      .forEach(p => {
+        const properties = p.value.id.properties;
+        const unsupported = properties.find(property =>
+          property.type !== 'Property' ||
+          property.computed ||
+          property.value.type !== 'Identifier' ||
+          !ADDON_MODULES.hasOwnProperty(property.key.name)
+        );
+        if (unsupported) {
+          const name = unsupported.key ? unsupported.key.name : '...';
+          reportSkipped(name, p.value, 'unsupported-addon', `\`React.addons.${name}\` has no package.`);
+          return;
+        }
+        removeDeclarator(p);
+        properties.forEach(property => importAddon(property.key.name, property.value.name));
+        hasModifications = true;
+      });
+
+    // React.addons.update(...)
+    root
+      .find(j.MemberExpression, {object: {type: 'MemberExpression', property: {name: 'addons'}}})
+      .filter(p => isAddons(p.value.object, reactNames) && !p.value.computed)
+      .forEach(p => {
+        const member = p.value.property.name;
+        if (!ADDON_MODULES.hasOwnProperty(member)) {
+          reportSkipped(member, p.value, 'unsupported-addon', `\`React.addons.${member}\` has no package.`);
+          return;
+        }
+        const name = importAddon(member, member);
+        if (!name) {
+          reportSkipped(member, p.value, 'name-conflict', `\`${member}\` is already defined.`);
+          return;
+        }
+        j(p).replaceWith(j.identifier(name));
+        hasModifications = true;
+      });
+
+    // Without `React.addons`, `react/addons` is only `react`.
+    const usesAddons = root
+      .find(j.MemberExpression)
+      .filter(p => isAddons(p.value, reactNames))
+      .size() > 0;
+    if (!usesAddons) {
+      findImports('react/addons').forEach(p => {
+        p.value.source = j.literal('react');
+        hasModifications = true;
+      });
+      root
+        .find(j.CallExpression)
+        .filter(p => isRequireOf(p.value, 'react/addons'))
+        .forEach(p => {
+          p.value.arguments = [j.literal('react')];
+          hasModifications = true;
+        });
+    }
+
+    return hasModifications;
+  };
+
+  // ---------------------------------------------------------------------------
+  // Packages with a replacement
+
+  const replaceModules = () => {
+    let hasModifications = false;
+    Object.keys(REPLACED_MODULES)
+      .filter(moduleName => isEnabled(REPLACED_MODULES[moduleName].rule))
+      .forEach(moduleName => {
+        const replacement = REPLACED_MODULES[moduleName].module;
+        findImports(moduleName).forEach(p => {
+          p.value.source = j.literal(replacement);
+          hasModifications = true;
+        });
+        root
+          .find(j.CallExpression)
+          .filter(p => isRequireOf(p.value, moduleName))
+          .forEach(p => {
+            p.value.arguments = [j.literal(replacement)];
+            hasModifications = true;
+          });
+      });
+    return hasModifications;
+  };
+
+  // ---------------------------------------------------------------------------
+  // `LinkedStateMixin`
+
+  // `this.linkState('name')`
+  const isLinkStateCall = node =>
+    node.type === 'CallExpression' &&
+    node.callee.type === 'MemberExpression' &&
+    node.callee.object.type === 'ThisExpression' &&
+    !node.callee.computed &&
+    node.callee.property.name === 'linkState';
+
+  const isIdentifierName = name => /^[A-Za-z_$][\w$]*$/.test(name);
+
+  // `this.state.name` or `this.state['some-name']`
+  const buildStateMember = key =>
+    isIdentifierName(key) ?
+      j.memberExpression(j.memberExpression(j.thisExpression(), j.identifier('state')), j.identifier(key)) :
+      j.memberExpression(j.memberExpression(j.thisExpression(), j.identifier('state')), j.literal(key), true);
+
+  // `event => this.setState({name: event.target.value})`
+  const buildOnChange = (key, property) => {
+    const stateKey = isIdentifierName(key) ? key : JSON.stringify(key);
+    return j.template.expression([
+      `event => this.setState({${stateKey}: event.target.${property}})`,
+    ]);
+  };
+
+  // The `valueLink` attribute a `linkState` call is the value of, or null.
+  const getLinkAttribute = path => {
+    const container = path.parent;
+    const attribute = container && container.parent;
+    if (
+      container.value.type !== 'JSXExpressionContainer' ||
+      attribute.value.type !== 'JSXAttribute' ||
+      !LINK_ATTRIBUTES.hasOwnProperty(attribute.value.name.name)
+    ) {
+      return null;
+    }
+    return attribute;
+  };
+
+  const getAttributeNames = attribute =>
+    attribute.parent.value.attributes
+      .filter(node => node.type === 'JSXAttribute')
+      .map(node => node.name.name);
+
+  // Why the `linkState` calls of a component can't be replaced, or null.
+  const checkLinkStateCalls = calls => {
+    for (const path of calls) {
+      const arg = path.value.arguments[0];
+      if (path.value.arguments.length !== 1 || arg.type !== 'Literal' || typeof arg.value !== 'string') {
+        return 'The state key passed to `linkState` is not a string literal.';
+      }
+      const attribute = getLinkAttribute(path);
+      if (!attribute) {
+        return '`linkState` is used other than as a `valueLink` or `checkedLink` attribute.';
+      }
+      const element = attribute.parent.value.name;
+      if (element.type !== 'JSXIdentifier' || !LINK_ELEMENTS.hasOwnProperty(element.name)) {
+        return `\`${attribute.value.name.name}\` is not on an \`input\`, \`select\` or \`textarea\` element.`;
+      }
+      if (getAttributeNames(attribute).indexOf('onChange') !== -1) {
+        return `The element with \`${attribute.value.name.name}\` already has an \`onChange\` handler.`;
+      }
+    }
+    return null;
+  };
+
+  const migrateLinkedStateMixin = () => {
+    const mixinName = findDefaultName(LINKED_STATE_MIXIN_MODULE);
+    if (!mixinName) {
+      return false;
+    }
+    let hasModifications = false;
+
+    // `mixins: [LinkedStateMixin]` of `createClass` specs.
+    root
+      .find(j.Property, {key: {name: 'mixins'}, value: {type: 'ArrayExpression'}})
+      .filter(p => p.value.value.elements.some(element => element && element.name === mixinName))
+      .forEach(p => {
+        const spec = p.parent;
+        const calls = j(spec).find(j.CallExpression).filter(call => isLinkStateCall(call.value)).paths();
+        const error = checkLinkStateCalls(calls);
+        if (error) {
+          reportSkipped('LinkedStateMixin', p.value, 'linked-state', error);
+          return;
+        }
+        calls.forEach(path => {
+          const key = path.value.arguments[0].value;
+          const attribute = getLinkAttribute(path);
+          const linkName = attribute.value.name.name;
+          const valueName = LINK_ATTRIBUTES[linkName];
+          const onChange = j.jsxAttribute(
+            j.jsxIdentifier('onChange'),
+            j.jsxExpressionContainer(buildOnChange(key, valueName))
+          );
+          attribute.parent.value.attributes.splice(
+            attribute.parent.value.attributes.indexOf(attribute.value),
+            1,
+            j.jsxAttribute(j.jsxIdentifier(valueName), j.jsxExpressionContainer(buildStateMember(key))),
+            onChange
+          );
+        });
+        const elements = p.value.value.elements.filter(element => !element || element.name !== mixinName);
+        if (elements.length) {
+          p.value.value.elements = elements;
+        } else {
+          j(p).remove();
+        }
+        hasModifications = true;
+      });
+
+    if (hasModifications) {
+      removeUnusedImport(LINKED_STATE_MIXIN_MODULE);
+    }
+    return hasModifications;
+  };
+
+  // ---------------------------------------------------------------------------
+  // `createFragment`
+
+  const getKeyValue = property => {
+    if (property.type !== 'Property' || property.computed || property.kind !== 'init' || property.method) {
+      return null;
+    }
+    if (property.key.type === 'Identifier') {
+      return property.key.name;
+    }
+    return property.key.type === 'Literal' ? String(property.key.value) : null;
+  };
+
+  const hasKey = element =>
+    element.openingElement.attributes.some(attribute =>
+      attribute.type !== 'JSXAttribute' || attribute.name.name === 'key'
+    );
+
+  // `key="a"`, parsed rather than built so that it keeps JSX double quotes.
+  const buildKeyAttribute = key =>
+    key.indexOf('"') === -1 ?
+      j.template.expression([`<div key="${key}" />`]).openingElement.attributes[0] :
+      j.jsxAttribute(j.jsxIdentifier('key'), j.jsxExpressionContainer(j.literal(key)));
+
+  // `<div />` -> `<div key="a" />`, anything else -> a keyed `React.Fragment`.
+  const withKey = (value, key, reactName) => {
+    const keyAttribute = buildKeyAttribute(key);
+    if (value.type === 'JSXElement' && !hasKey(value)) {
+      value.openingElement.attributes = value.openingElement.attributes.concat(keyAttribute);
+      return value;
+    }
+    const name = j.jsxMemberExpression(j.jsxIdentifier(reactName), j.jsxIdentifier('Fragment'));
+    return j.jsxElement(
+      j.jsxOpeningElement(name, [keyAttribute]),
+      j.jsxClosingElement(name),
+      [j.jsxExpressionContainer(value)]
+    );
+  };
+
+  const migrateCreateFragment = () => {
+    const createFragmentName = findDefaultName(CREATE_FRAGMENT_MODULE);
+    if (!createFragmentName) {
+      return false;
+    }
+    const reactName = findDefaultName('react');
+    let hasModifications = false;
+
+    root
+      .find(j.CallExpression, {callee: {type: 'Identifier', name: createFragmentName}})
+      .forEach(p => {
+        const object = p.value.arguments[0];
+        if (
+          p.value.arguments.length !== 1 ||
+          object.type !== 'ObjectExpression' ||
+          !object.properties.every(getKeyValue)
+        ) {
+          reportSkipped(
+            'createFragment',
+            p.value,
+            'dynamic-fragment',
+            '`createFragment` is not called with an object literal.'
+          );
+          return;
+        }
+        const needsFragment = object.properties.some(property =>
+          property.value.type !== 'JSXElement' || hasKey(property.value)
+        );
+        if (/\.ts$/.test(file.path || '') || (needsFragment && !reactName)) {
+          reportSkipped(
+            'createFragment',
+            p.value,
+            'no-jsx',
+            'The children would need JSX or a `React.Fragment` that is not available here.'
+          );
+          return;
+        }
+        j(p).replaceWith(j.arrayExpression(object.properties.map(property =>
+          withKey(property.value, getKeyValue(property), reactName)
+        )));
+        hasModifications = true;
+      });
+
+    if (hasModifications) {
+      removeUnusedImport(CREATE_FRAGMENT_MODULE);
+    }
+    return hasModifications;
+  };
+
+  let hasModifications = false;
+  if (isEnabled('addons-namespace')) {
+    hasModifications = migrateAddonsNamespace() || hasModifications;
+  }
+  hasModifications = replaceModules() || hasModifications;
+  if (isEnabled('linked-state-mixin')) {
+    hasModifications = migrateLinkedStateMixin() || hasModifications;
+  }
+  if (isEnabled('create-fragment')) {
+    hasModifications = migrateCreateFragment() || hasModifications;
+  }
+
+  return hasModifications ? root.toSource(printOptions) : null;
+};
+
+const rule = (name, description) => ({
+  name,
+  type: 'boolean',
+  default: true,
+  description,
+});
+
+module.exports.options = [
+  rule('addons-namespace', 'Replace `React.addons.*` with imports of the add-on packages.'),
+  rule('update', 'Replace `react-addons-update` with `immutability-helper`.'),
+  rule('test-utils', 'Replace `react-addons-test-utils` with `react-dom/test-utils`.'),
+  rule(
+    'css-transition-group',
+    'Replace `react-addons-css-transition-group` and `react-addons-transition-group` with `react-transition-group`.'
+  ),
+  rule('linked-state-mixin', 'Replace `LinkedStateMixin` with `value` props and `onChange` handlers.'),
+  rule('create-fragment', 'Replace `createFragment` calls with keyed arrays.'),
+  {
+    name: 'silenceWarnings',
+    type: 'boolean',
+    default: false,
+    description: 'Do not warn about add-ons that cannot be migrated.',
+  },
+  sharedOptions.printOptions,
+];
@@ -0,0 +1,633 @@
+/**
+ * Copyright 2013-2015, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ */
+
+'use strict';
+
+const config = require('./utils/config');
+const parser = require('./utils/parser');
+const sharedOptions = require('./utils/options');
+
+const UNSAFE_NAMES = {
+  componentWillMount: 'UNSAFE_componentWillMount',
+  componentWillReceiveProps: 'UNSAFE_componentWillReceiveProps',
+  componentWillUpdate: 'UNSAFE_componentWillUpdate',
+};
+
+// Calls that start something the component has to stop again; they belong
+// in `componentDidMount`, which doesn't run on the server.
+const SUBSCRIPTION_CALLS = [
+  'addEventListener',
+  'addListener',
+  'listen',
+  'observe',
+  'on',
+  'setInterval',
+  'setTimeout',
+  'subscribe',
+  'watch',
+];
+
+// Name of the state that collects the changes of several props.
+const DERIVED_STATE_NAME = 'derivedState';
+
+const capitalize = name => name[0].toUpperCase() + name.slice(1);
+
+/**
+ * class Foo extends React.Component {
+ *   componentWillReceiveProps(nextProps) {
+ *     if (nextProps.value !== this.props.value) {
+ *       this.setState({value: nextProps.value});
+ *     }
+ *   }
+ * }
+ *
+ * -->
+ *
+ * class Foo extends React.Component {
+ *   state = {prevValue: this.props.value};
+ *
+ *   static getDerivedStateFromProps(nextProps, prevState) {
+ *     if (nextProps.value !== prevState.prevValue) {
+ *       return {prevValue: nextProps.value, value: nextProps.value};
+ *     }
+ *     return null;
+ *   }
+ * }
+ *
+ * `componentWillMount` is split between the constructor (`setState` and
+ * fields) and `componentDidMount` (subscriptions and other calls). Lifecycles
+ * that don't follow these patterns get the `UNSAFE_` prefix and a TODO.
+ */
+module.exports = function(file, api, options) {
+  options = config.getOptions('migrate-unsafe-lifecycles', file, options);
+  const j = parser.withParser(api.jscodeshift, file, options);
+  const ReactUtils = require('./utils/ReactUtils')(j);
+  const diagnostics = require('./utils/diagnostics')(file, options);
+
+  const silenceWarnings = options.silenceWarnings || false;
+  const printOptions = options.printOptions || {
+    quote: 'single',
+    trailingComma: true,
+  };
+
+  const root = j(file.source);
+
+  if (options['explicit-require'] !== false && !ReactUtils.hasReact(root)) {
+    return null;
+  }
+
+  const reportKept = (classPath, member, rule, reason) => {
+    const name = classPath.value.id ? classPath.value.id.name : null;
+    const method = member.key.name;
+    diagnostics.warn({node: member, component: name, rule, reason});
+    if (silenceWarnings) {
+      return;
+    }
+    if (!member.loc) {
+      console.warn(`Class "${name}" keeps ${method} in ${file.path}: ${reason}`);
+      return;
+    }
+    const {line, column} = member.loc.start;
+
+    console.warn(`Class "${name}" keeps ${method} in ${file.path} on ${line}:${column}: ${reason}`);
+  };
+
+  // ---------------------------------------------------------------------------
+  // AST helpers
+
+  const getKeyName = node =>
+    !node.computed && node.key && (
+      node.key.type === 'Identifier' ? node.key.name :
+      typeof node.key.value === 'string' ? node.key.value :
+      null
+    );
+
+  const isFunction = node =>
+    node.type === 'FunctionExpression' ||
+    node.type === 'ArrowFunctionExpression' ||
+    node.type === 'FunctionDeclaration';
+
+  const isMember = (node, objectName) =>
+    node &&
+    node.type === 'MemberExpression' &&
+    !node.computed &&
+    node.object.type === 'Identifier' &&
+    node.object.name === objectName;
+
+  const isThisMember = (node, name) =>
+    node &&
+    node.type === 'MemberExpression' &&
+    !node.computed &&
+    node.object.type === 'ThisExpression' &&
+    (!name || node.property.name === name);
+
+  // `this.props.x`
+  const isThisPropsMember = node =>
+    node.type === 'MemberExpression' &&
+    !node.computed &&
+    isThisMember(node.object, 'props');
+
+  const isSetStateCall = node =>
+    node.type === 'CallExpression' &&
+    isThisMember(node.callee, 'setState');
+
+  const getExpression = statement =>
+    statement.type === 'ExpressionStatement' ? statement.expression : null;
+
+  // The properties of a `this.setState({...})` call, or null for any other
+  // argument.
+  const getSetStateProperties = node => {
+    if (!isSetStateCall(node) || node.arguments.length !== 1) {
+      return null;
+    }
+    const object = node.arguments[0];
+    if (
+      object.type !== 'ObjectExpression' ||
+      object.properties.some(property => property.type !== 'Property' || !getKeyName(property))
+    ) {
+      return null;
+    }
+    return object.properties;
+  };
+
+  // Whether `node` uses `this` (not counting nested functions that have their
+  // own) other than to read props.
+  const usesThis = node =>
+    j(node)
+      .find(j.ThisExpression)
+      .filter(p => {
+        if (isThisMember(p.parent.value, 'props')) {
+          return false;
+        }
+        for (let parent = p.parent; parent && parent.value !== node; parent = parent.parent) {
+          if (isFunction(parent.value) && parent.value.type !== 'ArrowFunctionExpression') {
+            return false;
+          }
+        }
+        return true;
+      })
+      .size() > 0;
+
+  const isSubscriptionCall = node => {
+    if (node.type !== 'CallExpression') {
+      return false;
+    }
+    const callee = node.callee;
+    const name = callee.type === 'Identifier' ? callee.name :
+      callee.type === 'MemberExpression' && !callee.computed ? callee.property.name :
+      null;
+    return SUBSCRIPTION_CALLS.indexOf(name) !== -1;
+  };
+
+  // ---------------------------------------------------------------------------
+  // Class members
+
+  const getMembers = classPath => classPath.value.body.body;
+
+  const findMember = (classPath, name, isStatic) =>
+    getMembers(classPath).find(member =>
+      getKeyName(member) === name && !!member.static === !!isStatic
+    );
+
+  const findConstructor = classPath =>
+    getMembers(classPath).find(member => member.type === 'MethodDefinition' && member.kind === 'constructor');
+
+  // `state = {...}` or `this.state = {...}` in the constructor:
+  // `{object, propsName}`, where `propsName` is how the initializer reads
+  // props, `{}` if there is no initial state and null if it isn't an object.
+  const findInitialState = classPath => {
+    const property = findMember(classPath, 'state');
+    if (property && property.type === 'ClassProperty' && property.value) {
+      return property.value.type === 'ObjectExpression' ? {object: property.value, propsName: null} : null;
+    }
+    const constructor = findConstructor(classPath);
+    if (!constructor) {
+      return {};
+    }
+    const assignments = constructor.value.body.body
+      .map(getExpression)
+      .filter(expression =>
+        expression &&
+        expression.type === 'AssignmentExpression' &&
+        isThisMember(expression.left, 'state')
+      );
+    if (!assignments.length) {
+      return {};
+    }
+    if (assignments.length > 1 || assignments[0].right.type !== 'ObjectExpression') {
+      return null;
+    }
+    const param = constructor.value.params[0];
+    return {
+      object: assignments[0].right,
+      propsName: param && param.type === 'Identifier' ? param.name : null,
+    };
+  };
+
+  // Reads props like the initializer of the state does.
+  const readPropsFor = (initialState, node) => {
+    if (initialState.propsName && isThisMember(node, 'props')) {
+      return j.identifier(initialState.propsName);
+    }
+    if (initialState.propsName) {
+      j(node)
+        .find(j.MemberExpression)
+        .filter(p => isThisMember(p.value, 'props'))
+        .replaceWith(() => j.identifier(initialState.propsName));
+    }
+    return node;
+  };
+
+  const setStateProperty = (object, name, value) => {
+    const existing = object.properties.find(property => getKeyName(property) === name);
+    if (existing) {
+      existing.value = value;
+    } else {
+      object.properties.push(j.property('init', j.identifier(name), value));
+    }
+  };
+
+  // Where members the class doesn't have yet are added: after the static and
+  // instance properties.
+  const getInsertIndex = classPath => {
+    const members = getMembers(classPath);
+    const index = members.findIndex(member => member.type === 'MethodDefinition');
+    return index === -1 ? members.length : index;
+  };
+
+  const addConstructor = classPath => {
+    const constructor = j.methodDefinition(
+      'constructor',
+      j.identifier('constructor'),
+      j.functionExpression(null, [j.identifier('props')], j.blockStatement([
+        j.expressionStatement(j.callExpression(j.super(), [j.identifier('props')])),
+      ]))
+    );
+    getMembers(classPath).splice(getInsertIndex(classPath), 0, constructor);
+    return constructor;
+  };
+
+  // Adds `properties` to the initial state, creating it if needed.
+  const addInitialState = (classPath, initialState, properties) => {
+    if (initialState.object) {
+      properties.forEach(property =>
+        setStateProperty(initialState.object, getKeyName(property), readPropsFor(initialState, property.value))
+      );
+      return;
+    }
+    const object = j.objectExpression(properties);
+    const constructor = findConstructor(classPath);
+    if (!constructor) {
+      getMembers(classPath).splice(
+        getInsertIndex(classPath),
+        0,
+        j.classProperty(j.identifier('state'), object, null)
+      );
+      return;
+    }
+    const param = constructor.value.params[0];
+    readPropsFor({propsName: param && param.type === 'Identifier' ? param.name : null}, object);
+    constructor.value.body.body.push(j.expressionStatement(
+      j.assignmentExpression('=', j.memberExpression(j.thisExpression(), j.identifier('state')), object)
+    ));
+  };
+
+  // ---------------------------------------------------------------------------
+  // componentWillReceiveProps -> getDerivedStateFromProps
+
+  // The props compared by `nextProps.a !== this.props.a || ...`, or null.
+  const readPropComparison = (test, nextPropsName) => {
+    if (test.type === 'LogicalExpression' && test.operator === '||') {
+      const left = readPropComparison(test.left, nextPropsName);
+      const right = readPropComparison(test.right, nextPropsName);
+      return left && right && left.concat(right);
+    }
+    if (test.type !== 'BinaryExpression' || (test.operator !== '!==' && test.operator !== '!=')) {
+      return null;
+    }
+    const sides = [test.left, test.right];
+    const next = sides.find(side => isMember(side, nextPropsName));
+    const current = sides.find(side => side !== next && isThisPropsMember(side));
+    if (!next || !current || next.property.name !== current.property.name) {
+      return null;
+    }
+    return [next.property.name];
+  };
+
+  // `this.props.a` for the props compared, which the state mirrors.
+  const findPrevPropReads = (node, props) =>
+    j(node)
+      .find(j.MemberExpression)
+      .filter(p => isThisPropsMember(p.value) && props.indexOf(p.value.property.name) !== -1);
+
+  const countThis = node => j(node).find(j.ThisExpression).size();
+
+  // `if (nextProps.a !== this.props.a) { this.setState({...}); }` statements:
+  // `[{props, properties}]`, or null.
+  const readPropChanges = (fn, nextPropsName) => {
+    const changes = [];
+    for (const statement of fn.body.body) {
+      if (statement.type !== 'IfStatement' || statement.alternate) {
+        return null;
+      }
+      const props = readPropComparison(statement.test, nextPropsName);
+      const body = statement.consequent.type === 'BlockStatement' ?
+        statement.consequent.body :
+        [statement.consequent];
+      const updates = body.map(bodyStatement => {
+        const expression = getExpression(bodyStatement);
+        return expression && getSetStateProperties(expression);
+      });
+      if (!props || !updates.length || updates.some(properties => !properties)) {
+        return null;
+      }
+      const properties = [].concat.apply([], updates);
+      if (properties.some(property => findPrevPropReads(property.value, props).size() !== countThis(property.value))) {
+        return null;
+      }
+      changes.push({props, properties});
+    }
+    return changes.length ? changes : null;
+  };
+
+  const getPrevPropName = name => 'prev' + capitalize(name);
+
+  const buildDerivedState = (nextPropsName, change) => {
+    change.properties.forEach(property => findPrevPropReads(property.value, change.props).replaceWith(p =>
+      j.memberExpression(j.identifier('prevState'), j.identifier(getPrevPropName(p.value.property.name)))
+    ));
+    return j.objectExpression(
+      change.props
+        .filter((name, index) => change.props.indexOf(name) === index)
+        .map(name => j.property(
+          'init',
+          j.identifier(getPrevPropName(name)),
+          j.memberExpression(j.identifier(nextPropsName), j.identifier(name))
+        ))
+        .concat(change.properties)
+    );
+  };
+
+  const buildChangeTest = (nextPropsName, change) => change.props
+    .map(name => j.binaryExpression(
+      '!==',
+      j.memberExpression(j.identifier(nextPropsName), j.identifier(name)),
+      j.memberExpression(j.identifier('prevState'), j.identifier(getPrevPropName(name)))
+    ))
+    .reduce((left, right) => j.logicalExpression('||', left, right));
+
+  // if (nextProps.a !== prevState.prevA) {
+  //   return {prevA: nextProps.a, ...};
+  // }
+  // return null;
+  //
+  // or, for several props that change separately:
+  //
+  // let derivedState = null;
+  // if (nextProps.a !== prevState.prevA) {
+  //   derivedState = {...derivedState, prevA: nextProps.a, ...};
+  // }
+  // ...
+  // return derivedState;
+  const buildGetDerivedStateFromProps = (fn, changes) => {
+    const nextPropsName = fn.params[0].name;
+    let body;
+    if (changes.length === 1) {
+      body = [
+        j.ifStatement(
+          buildChangeTest(nextPropsName, changes[0]),
+          j.blockStatement([j.returnStatement(buildDerivedState(nextPropsName, changes[0]))])
+        ),
+        j.returnStatement(j.literal(null)),
+      ];
+    } else {
+      const derivedState = () => j.identifier(DERIVED_STATE_NAME);
+      body = [j.variableDeclaration('let', [j.variableDeclarator(derivedState(), j.literal(null))])]
+        .concat(changes.map(change => {
+          const object = buildDerivedState(nextPropsName, change);
+          object.properties.unshift(j.spreadElement(derivedState()));
+          return j.ifStatement(
+            buildChangeTest(nextPropsName, change),
+            j.blockStatement([
+              j.expressionStatement(j.assignmentExpression('=', derivedState(), object)),
+            ])
+          );
+        }))
+        .concat(j.returnStatement(derivedState()));
+    }
+    const method = j.methodDefinition(
+      'method',
+      j.identifier('getDerivedStateFromProps'),
+      j.functionExpression(null, [fn.params[0], j.identifier('prevState')], j.blockStatement(body)),
+      true
+    );
+    return method;
+  };
+
+  const migrateReceiveProps = (classPath, member) => {
+    const fn = member.value;
+    if (findMember(classPath, 'getDerivedStateFromProps', true)) {
+      return {rule: 'has-derived-state', reason: 'Class already has `getDerivedStateFromProps`.'};
+    }
+    if (
+      !fn.params.length ||
+      fn.params[0].type !== 'Identifier' ||
+      fn.params.slice(1).some(param =>
+        param.type !== 'Identifier' || j(fn.body).find(j.Identifier, {name: param.name}).size()
+      )
+    ) {
+      return {rule: 'unsupported-arguments', reason: 'It reads its arguments other than through `nextProps`.'};
+    }
+    const changes = fn.body.type === 'BlockStatement' && readPropChanges(fn, fn.params[0].name);
+    if (!changes) {
+      return {
+        rule: 'not-derived-state',
+        reason: 'It does more than calling `setState` when a prop changes.',
+      };
+    }
+    const initialState = findInitialState(classPath);
+    if (!initialState) {
+      return {rule: 'dynamic-state', reason: 'State is not initialized with an object literal.'};
+    }
+    const props = [].concat.apply([], changes.map(change => change.props))
+      .filter((name, index, names) => names.indexOf(name) === index);
+    const taken = initialState.object && props.find(name =>
+      initialState.object.properties.some(property => getKeyName(property) === getPrevPropName(name))
+    );
+    if (taken) {
+      return {rule: 'state-name-taken', reason: `State already has a \`${getPrevPropName(taken)}\` key.`};
+    }
+
+    const members = getMembers(classPath);
+    members.splice(members.indexOf(member), 1, buildGetDerivedStateFromProps(fn, changes));
+    // Mirror the props in state, so that the next call can compare with them.
+    addInitialState(classPath, initialState, props.map(name => j.property(
+      'init',
+      j.identifier(getPrevPropName(name)),
+      j.memberExpression(j.memberExpression(j.thisExpression(), j.identifier('props')), j.identifier(name))
+    )));
+    return null;
+  };
+
+  // ---------------------------------------------------------------------------
+  // componentWillMount -> constructor and componentDidMount
+
+  // Sorts the statements of `componentWillMount` into `{state, fields,
+  // effects}`, or returns null if some statement fits none of these.
+  const readWillMount = fn => {
+    const result = {state: [], fields: [], effects: []};
+    for (const statement of fn.body.body) {
+      const expression = getExpression(statement);
+      if (!expression) {
+        return null;
+      }
+      if (isSetStateCall(expression)) {
+        const properties = getSetStateProperties(expression);
+        if (!properties || properties.some(property => usesThis(property.value))) {
+          return null;
+        }
+        result.state = result.state.concat(properties);
+      } else if (isSubscriptionCall(expression)) {
+        // Other calls may prepare what the first render needs.
+        result.effects.push(statement);
+      } else if (
+        expression.type === 'AssignmentExpression' &&
+        expression.operator === '=' &&
+        isThisMember(expression.left) &&
+        expression.left.property.name !== 'state'
+      ) {
+        if (isSubscriptionCall(expression.right)) {
+          result.effects.push(statement);
+        } else {
+          result.fields.push(statement);
+        }
+      } else {
+        return null;
+      }
+    }
+    return result;
+  };
+
+  const migrateWillMount = (classPath, member) => {
+    const fn = member.value;
+    const parts = fn.body.type === 'BlockStatement' && !fn.params.length && !fn.async && readWillMount(fn);
+    if (!parts) {
+      return {
+        rule: 'not-initialization',
+        reason: 'It does more than initializing state and fields and starting subscriptions.',
+      };
+    }
+    const initialState = findInitialState(classPath);
+    if (parts.state.length && !initialState) {
+      return {rule: 'dynamic-state', reason: 'State is not initialized with an object literal.'};
+    }
+    const didMount = findMember(classPath, 'componentDidMount');
+    if (
+      parts.effects.length &&
+      didMount &&
+      (!didMount.value || !isFunction(didMount.value) || didMount.value.body.type !== 'BlockStatement')
+    ) {
+      return {rule: 'unsupported-did-mount', reason: '`componentDidMount` is not a plain method.'};
+    }
+
+    const members = getMembers(classPath);
+    const index = members.indexOf(member);
+    members.splice(index, 1);
+    if (parts.effects.length && didMount) {
+      didMount.value.body.body = parts.effects.concat(didMount.value.body.body);
+    } else if (parts.effects.length) {
+      members.splice(index, 0, j.methodDefinition(
+        'method',
+        j.identifier('componentDidMount'),
+        j.functionExpression(null, [], j.blockStatement(parts.effects))
+      ));
+    }
+    // Fields need a constructor, where the state is initialized as well.
+    const constructor = parts.fields.length && (findConstructor(classPath) || addConstructor(classPath));
+    if (parts.state.length) {
+      addInitialState(classPath, initialState, parts.state);
+    }
+    if (constructor) {
+      constructor.value.body.body = constructor.value.body.body.concat(parts.fields);
+    }
+    return null;
+  };
+
+  // ---------------------------------------------------------------------------
+  // Everything else keeps the `UNSAFE_` prefix
+
+  const getTodo = name => `TODO: Migrate ${UNSAFE_NAMES[name]}`;
+
+  const keepUnsafe = (classPath, member, name, error) => {
+    const todo = getTodo(name);
+    const comments = member.comments || [];
+    const hasTodo = comments.some(comment => comment.leading && comment.value.indexOf(todo) !== -1);
+    if (member.key.name === UNSAFE_NAMES[name] && hasTodo) {
+      reportKept(classPath, member, error.rule, error.reason);
+      return false;
+    }
+    member.key.name = UNSAFE_NAMES[name];
+    if (!hasTodo) {
+      member.comments = comments.concat(j.commentLine(` ${todo}: ${error.reason}`, true, false));
+    }
+    reportKept(classPath, member, error.rule, error.reason);
+    return true;
+  };
+
+  const MIGRATIONS = {
+    componentWillMount: migrateWillMount,
+    componentWillReceiveProps: migrateReceiveProps,
+    componentWillUpdate: () => ({
+      rule: 'will-update',
+      reason: 'Read the DOM in `getSnapshotBeforeUpdate` and start side effects in `componentDidUpdate` instead.',
+    }),
+  };
+
+  const getLifecycleName = member => {
+    const name = !member.static && getKeyName(member);
+    return Object.keys(UNSAFE_NAMES).find(lifecycle =>
+      name === lifecycle || name === UNSAFE_NAMES[lifecycle]
+    );
+  };
+
+  let hasModifications = false;
+
+  ReactUtils.findReactES6ClassDeclaration(root).forEach(classPath => {
+    getMembers(classPath)
+      .filter(member =>
+        getLifecycleName(member) &&
+        (member.type === 'MethodDefinition' || member.type === 'ClassProperty') &&
+        member.value &&
+        isFunction(member.value)
+      )
+      .forEach(member => {
+        const name = getLifecycleName(member);
+        const error = MIGRATIONS[name](classPath, member);
+        if (!error) {
+          hasModifications = true;
+        } else if (keepUnsafe(classPath, member, name, error)) {
+          hasModifications = true;
+        }
+      });
+  });
+
+  return hasModifications ? root.toSource(printOptions) : null;
+};
+
+module.exports.options = [
+  sharedOptions.explicitRequire,
+  {
+    name: 'silenceWarnings',
+    type: 'boolean',
+    default: false,
+    description: 'Do not warn about lifecycles that need to be migrated manually.',
+  },
+  sharedOptions.printOptions,
+];
@@ -0,0 +1,21 @@
+/**
+ * Copyright 2013-2015, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ */
+
+'use strict';
+
+const createPipeline = require('../utils/pipeline');
+
+// React 15 removes `getDOMNode` and the DOM methods on `React` that were
+// deprecated in 0.14. `findDOMNode` has to run first so that the
+// `React.findDOMNode` calls it creates are moved to `ReactDOM`.
+module.exports = createPipeline([
+  'findDOMNode',
+  'react-to-react-dom',
+]);
@@ -0,0 +1,19 @@
+/**
+ * Copyright 2013-2015, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ */
+
+'use strict';
+
+const createPipeline = require('../utils/pipeline');
+
+// React 16.3 deprecates the `componentWillMount`, `componentWillReceiveProps`
+// and `componentWillUpdate` lifecycles in favor of their "UNSAFE_" aliases.
+module.exports = createPipeline(require('./upgrade-to-16').steps.concat([
+  'rename-unsafe-lifecycles',
+]));
@@ -0,0 +1,24 @@
+/**
+ * Copyright 2013-2015, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ */
+
+'use strict';
+
+const createPipeline = require('../utils/pipeline');
+
+// React 16 removes `React.createClass`, `React.PropTypes` and `React.DOM`,
+// deprecated in 15.5 and 15.6. `pure-render-mixin` has to run before `class`
+// so that the components using it can be converted to classes.
+module.exports = createPipeline(require('./upgrade-to-15').steps.concat([
+  'pure-render-mixin',
+  'class',
+  'React-PropTypes-to-prop-types',
+  'React-DOM-to-react-dom-factories',
+  'error-boundaries',
+]));
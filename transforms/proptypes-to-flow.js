@@ -0,0 +1,154 @@
+/**
+ * Copyright 2013-2015, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ */
+
+'use strict';
+
+const config = require('./utils/config');
+const parser = require('./utils/parser');
+const sharedOptions = require('./utils/options');
+
+/**
+ * // @flow
+ * class Button extends React.Component {
+ *   static propTypes = {
+ *     label: PropTypes.string.isRequired,
+ *     onClick: PropTypes.func,
+ *   };
+ * }
+ *
+ * -->
+ *
+ * // @flow
+ * type Props = {
+ *   label: string,
+ *   onClick?: Function,
+ * };
+ *
+ * class Button extends React.Component<Props> {
+ *   static propTypes = {...};
+ * }
+ *
+ * Function components with `Foo.propTypes = {...}` get their first parameter
+ * annotated instead. With several components in a file, the types are named
+ * after them (`ButtonProps`). Only files marked `@flow` are changed.
+ */
+module.exports = function(file, api, options) {
+  options = config.getOptions('proptypes-to-flow', file, options);
+  const j = parser.withParser(api.jscodeshift, file, options);
+  const ReactUtils = require('./utils/ReactUtils')(j);
+  const diagnostics = require('./utils/diagnostics')(file, options);
+  const PropTypeAnnotations = require('./utils/propTypeAnnotations')(j);
+
+  const printOptions = options.printOptions || {
+    quote: 'single',
+    trailingComma: true,
+    flowObjectCommas: true,
+  };
+
+  const root = j(file.source);
+
+  if (options['explicit-require'] !== false && !ReactUtils.hasReact(root)) {
+    return null;
+  }
+
+  const programBodyNode = root.find(j.Program).get('body', 0).node;
+  const isFlow = !!programBodyNode && (programBodyNode.comments || []).some(
+    node => node.value.indexOf('@flow') !== -1
+  );
+  if (!isFlow) {
+    return null;
+  }
+
+  const PropTypesComponents = require('./utils/propTypesComponents')(j, root);
+
+  const reportSkipped = (name, node, rule, reason) =>
+    diagnostics.reportSkipped('Component', {node, component: name, rule, reason});
+
+  const isNameUsed = name =>
+    root.find(j.Identifier, {name}).size() > 0;
+
+  // ---------------------------------------------------------------------------
+  // Conversion
+
+  const convert = (component, typeName) => {
+    if (component.propTypes.length > 1) {
+      return {rule: 'several-prop-types', reason: '`propTypes` is assigned more than once.'};
+    }
+    const propTypes = component.propTypes[0];
+    if (!propTypes || propTypes.type !== 'ObjectExpression') {
+      return {rule: 'dynamic-prop-types', reason: '`propTypes` is not an object literal.'};
+    }
+    if (PropTypeAnnotations.hasDynamicKeys(propTypes)) {
+      return {rule: 'dynamic-prop-types', reason: '`propTypes` has spread properties or computed keys.'};
+    }
+    if (component.isTyped) {
+      return {rule: 'typed-props', reason: 'The props already have a type.'};
+    }
+    if (!component.hasProps) {
+      return {rule: 'no-props', reason: 'The component does not take props.'};
+    }
+    if (isNameUsed(typeName)) {
+      return {rule: 'name-conflict', reason: `\`${typeName}\` is already defined.`};
+    }
+
+    const objectType = j.objectTypeAnnotation(PropTypeAnnotations.propTypesToTypeProperties(propTypes));
+    objectType.exact = !!options.exact;
+    const type = j.genericTypeAnnotation(j.identifier(typeName), null);
+    component.statement.insertBefore(j.typeAlias(j.identifier(typeName), null, objectType));
+    component.annotate(j.typeParameterInstantiation([type]), j.typeAnnotation(type));
+    if (options['remove-runtime-proptypes']) {
+      component.removePropTypes();
+    }
+    return null;
+  };
+
+  const components = PropTypesComponents.findComponents();
+  let hasModifications = false;
+  components.forEach(component => {
+    const typeName = components.length === 1 ? 'Props' : `${component.name}Props`;
+    const error = convert(component, typeName);
+    if (error) {
+      reportSkipped(component.name, component.node, error.rule, error.reason);
+    } else {
+      hasModifications = true;
+    }
+  });
+
+  if (!hasModifications) {
+    return null;
+  }
+  if (options['remove-runtime-proptypes']) {
+    PropTypesComponents.removeUnusedPropTypesImport();
+  }
+  return root.toSource(printOptions);
+};
+
+module.exports.options = [
+  sharedOptions.explicitRequire,
+  {
+    name: 'exact',
+    type: 'boolean',
+    default: false,
+    description: 'Generate exact object types (`{|...|}`) for the props.',
+  },
+  {
+    name: 'remove-runtime-proptypes',
+    type: 'boolean',
+    default: false,
+    description: 'Remove the runtime `propTypes` once the types have been generated.',
+  },
+  {
+    name: 'silenceWarnings',
+    type: 'boolean',
+    default: false,
+    description: 'Do not warn about components that cannot be converted.',
+  },
+  sharedOptions.printOptions,
+];
@@ -0,0 +1,147 @@
+/**
+ * Copyright 2013-2015, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ */
+
+'use strict';
+
+const config = require('./utils/config');
+const parser = require('./utils/parser');
+const sharedOptions = require('./utils/options');
+
+const TYPESCRIPT_FILE = /\.tsx?$/;
+
+/**
+ * class Button extends React.Component {
+ *   static propTypes = {
+ *     label: PropTypes.string.isRequired,
+ *     onClick: PropTypes.func,
+ *   };
+ * }
+ *
+ * -->
+ *
+ * interface ButtonProps {
+ *   label: string;
+ *   onClick?: (...args: any[]) => any;
+ * }
+ *
+ * class Button extends React.Component<ButtonProps> {
+ *   static propTypes = {...};
+ * }
+ *
+ * Function components with `Foo.propTypes = {...}` get their first parameter
+ * annotated instead. Only `.ts` and `.tsx` files are changed.
+ */
+module.exports = function(file, api, options) {
+  options = config.getOptions('proptypes-to-typescript', file, options);
+  if (!TYPESCRIPT_FILE.test(file.path || '')) {
+    return null;
+  }
+  const j = parser.withParser(api.jscodeshift, file, options);
+  const ReactUtils = require('./utils/ReactUtils')(j);
+  const diagnostics = require('./utils/diagnostics')(file, options);
+
+  const printOptions = options.printOptions || {
+    quote: 'single',
+    trailingComma: true,
+  };
+
+  const root = j(file.source);
+
+  if (options['explicit-require'] !== false && !ReactUtils.hasReact(root)) {
+    return null;
+  }
+
+  const reportSkipped = (name, node, rule, reason) =>
+    diagnostics.reportSkipped('Component', {node, component: name, rule, reason});
+
+  const PropTypeAnnotations = require('./utils/propTypeAnnotations')(j, {
+    typescript: true,
+    // How React is imported, for `React.ReactNode`.
+    reactName: ReactUtils.findReactName(root) || 'React',
+  });
+
+  const PropTypesComponents = require('./utils/propTypesComponents')(j, root);
+
+  const isNameUsed = name =>
+    root.find(j.Identifier, {name}).size() > 0;
+
+  // ---------------------------------------------------------------------------
+  // Conversion
+
+  const convert = component => {
+    const interfaceName = `${component.name}Props`;
+    if (component.propTypes.length > 1) {
+      return {rule: 'several-prop-types', reason: '`propTypes` is assigned more than once.'};
+    }
+    const propTypes = component.propTypes[0];
+    if (!propTypes || propTypes.type !== 'ObjectExpression') {
+      return {rule: 'dynamic-prop-types', reason: '`propTypes` is not an object literal.'};
+    }
+    if (PropTypeAnnotations.hasDynamicKeys(propTypes)) {
+      return {rule: 'dynamic-prop-types', reason: '`propTypes` has spread properties or computed keys.'};
+    }
+    if (component.isTyped) {
+      return {rule: 'typed-props', reason: 'The props already have a type.'};
+    }
+    if (!component.hasProps) {
+      return {rule: 'no-props', reason: 'The component does not take props.'};
+    }
+    if (isNameUsed(interfaceName)) {
+      return {rule: 'name-conflict', reason: `\`${interfaceName}\` is already defined.`};
+    }
+
+    const declaration = j.tsInterfaceDeclaration(
+      j.identifier(interfaceName),
+      j.tsInterfaceBody(PropTypeAnnotations.propTypesToTypeProperties(propTypes))
+    );
+    const type = j.tsTypeReference(j.identifier(interfaceName));
+    component.statement.insertBefore(declaration);
+    component.annotate(j.tsTypeParameterInstantiation([type]), j.tsTypeAnnotation(type));
+    if (options['remove-runtime-proptypes']) {
+      component.removePropTypes();
+    }
+    return null;
+  };
+
+  let hasModifications = false;
+  PropTypesComponents.findComponents().forEach(component => {
+    const error = convert(component);
+    if (error) {
+      reportSkipped(component.name, component.node, error.rule, error.reason);
+    } else {
+      hasModifications = true;
+    }
+  });
+
+  if (!hasModifications) {
+    return null;
+  }
+  if (options['remove-runtime-proptypes']) {
+    PropTypesComponents.removeUnusedPropTypesImport();
+  }
+  return root.toSource(printOptions);
+};
+
+module.exports.options = [
+  sharedOptions.explicitRequire,
+  {
+    name: 'remove-runtime-proptypes',
+    type: 'boolean',
+    default: false,
+    description: 'Remove the runtime `propTypes` once the interfaces have been generated.',
+  },
+  {
+    name: 'silenceWarnings',
+    type: 'boolean',
+    default: false,
+    description: 'Do not warn about components that cannot be converted.',
+  },
+  sharedOptions.printOptions,
+];
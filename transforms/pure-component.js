@@ -10,9 +10,15 @@
 
 'use strict';
 
+const config = require('./utils/config');
+const parser = require('./utils/parser');
+const sharedOptions = require('./utils/options');
+
 module.exports = function(file, api, options) {
-  const j = api.jscodeshift;
+  options = config.getOptions('pure-component', file, options);
+  const j = parser.withParser(api.jscodeshift, file, options);
   const ReactUtils = require('./utils/ReactUtils')(j);
+  const diagnostics = require('./utils/diagnostics')(file, options);
 
   const useArrows = options.useArrows || false;
   const destructuringEnabled = options.destructuring || false;
@@ -78,10 +84,18 @@ module.exports = function(file, api, options) {
       .find(j.MemberExpression, THIS_PROPS)
       .replaceWith(j.identifier('props'));
 
+  const isTSType = typeAnnotation => typeAnnotation.type.indexOf('TS') === 0;
+
+  const wrapTypeAnnotation = typeAnnotation => (
+    isTSType(typeAnnotation) ?
+      j.tsTypeAnnotation(typeAnnotation) :
+      j.typeAnnotation(typeAnnotation)
+  );
+
   const buildIdentifierWithTypeAnnotation = (name, typeAnnotation) => {
     const identifier = j.identifier(name);
     if (typeAnnotation) {
-      identifier.typeAnnotation = j.typeAnnotation(typeAnnotation);
+      identifier.typeAnnotation = wrapTypeAnnotation(typeAnnotation);
     }
     return identifier;
   };
@@ -158,7 +172,7 @@ module.exports = function(file, api, options) {
   const createShorthandProperty = (j, typeAnnotation) => prop => {
     const property = j.property('init', j.identifier(prop), j.identifier(prop));
     property.shorthand = true;
-    if (typeAnnotation) {
+    if (typeAnnotation && typeAnnotation.properties) {
       typeAnnotation.properties.forEach(t => {
         if (t.key.name === prop) {
           property.key.typeAnnotation = j.typeAnnotation(t.value);
@@ -185,16 +199,28 @@ module.exports = function(file, api, options) {
         const assignments = body.find(j.VariableDeclarator);
         const duplicateAssignments = assignments.filter(a => isDuplicateDeclaration(a, false));
         duplicateAssignments.remove();
-        return j.objectExpression(Array.from(propNames).map(createShorthandProperty(j, typeAnnotation)));
+        const pattern = j.objectPattern(Array.from(propNames).map(createShorthandProperty(j, typeAnnotation)));
+        // TypeScript has no per-property annotations, annotate the whole pattern
+        if (typeAnnotation && isTSType(typeAnnotation)) {
+          pattern.typeAnnotation = wrapTypeAnnotation(typeAnnotation);
+        }
+        return pattern;
       }
     }
     return false;
   };
 
-  const findPropsTypeAnnotation = body => {
-    const property = body.find(isPropsProperty);
-
-    return property && property.typeAnnotation.typeAnnotation;
+  // Flow: `props: Props;` in the class body. TypeScript: `React.Component<Props>`.
+  const findPropsTypeAnnotation = classNode => {
+    const property = classNode.body.body.find(isPropsProperty);
+    if (property) {
+      return property.typeAnnotation.typeAnnotation;
+    }
+    const typeParameters = classNode.superTypeParameters;
+    if (typeParameters && typeParameters.type === 'TSTypeParameterInstantiation') {
+      return typeParameters.params[0];
+    }
+    return null;
   };
 
   const build = useArrows => (name, body, typeAnnotation, destructure) => {
@@ -235,9 +261,15 @@ module.exports = function(file, api, options) {
     )
   ));
 
-  const reportSkipped = path => {
+  // Skipped classes are always recorded, `silenceWarnings` only affects the
+  // console output.
+  const reportSkipped = (path, rule, reason) => {
     const name = getClassName(path);
     const fileName = file.path;
+    diagnostics.skip({node: path.value, component: name, rule, reason});
+    if (silenceWarnings) {
+      return;
+    }
     if (!path.value.loc) {
       console.warn(`Class "${name}" skipped in ${fileName}`);
       return;
@@ -251,11 +283,23 @@ module.exports = function(file, api, options) {
 
   const pureClasses = ReactUtils.findReactES6ClassDeclaration(f)
     .filter(path => {
-      const isPure = onlyHasRenderMethod(path) && onlyHasSafeClassProperties(path) && !hasRefs(path);
-      if (!isPure && !silenceWarnings) {
-        reportSkipped(path);
+      if (!onlyHasRenderMethod(path)) {
+        reportSkipped(path, 'has-methods', 'Class has methods other than `render`.');
+        return false;
       }
-      return isPure;
+      if (!onlyHasSafeClassProperties(path)) {
+        reportSkipped(
+          path,
+          'unsafe-class-properties',
+          'Class has instance properties other than a `props` type annotation.'
+        );
+        return false;
+      }
+      if (hasRefs(path)) {
+        reportSkipped(path, 'uses-refs', 'Class uses refs.');
+        return false;
+      }
+      return true;
     });
 
   if (pureClasses.size() === 0) {
@@ -266,12 +310,18 @@ module.exports = function(file, api, options) {
     const name = p.node.id.name;
     const renderMethod = p.value.body.body.filter(isRenderMethod)[0];
     const renderBody = renderMethod.value.body;
-    const propsTypeAnnotation = findPropsTypeAnnotation(p.value.body.body);
+    const propsTypeAnnotation = findPropsTypeAnnotation(p.value);
     const statics = p.value.body.body.filter(isStaticProperty);
     const destructure = destructuringEnabled && canDestructure(j(renderMethod));
 
     if (destructuringEnabled && !destructure) {
       console.warn(`Unable to destructure ${name} props.`);
+      diagnostics.warn({
+        node: p.value,
+        component: name,
+        rule: 'cannot-destructure',
+        reason: 'Props cannot be destructured because `this.props` is used directly or shadowed.',
+      });
     }
 
     replaceThisProps(renderBody);
@@ -291,3 +341,25 @@ module.exports = function(file, api, options) {
 
   return f.toSource(printOptions);
 };
+
+module.exports.options = [
+  {
+    name: 'useArrows',
+    type: 'boolean',
+    default: false,
+    description: 'Convert to arrow functions instead of `function` declarations.',
+  },
+  {
+    name: 'destructuring',
+    type: 'boolean',
+    default: false,
+    description: 'Destructure props in the argument where it is safe to do so.',
+  },
+  {
+    name: 'silenceWarnings',
+    type: 'boolean',
+    default: false,
+    description: 'Do not warn about classes that cannot be converted.',
+  },
+  sharedOptions.printOptions,
+];
@@ -10,8 +10,13 @@
 
 'use strict';
 
+const config = require('./utils/config');
+const parser = require('./utils/parser');
+const sharedOptions = require('./utils/options');
+
 function removePureRenderMixin(file, api, options) {
-  const j = api.jscodeshift;
+  options = config.getOptions('pure-render-mixin', file, options);
+  const j = parser.withParser(api.jscodeshift, file, options);
 
   require('./utils/array-polyfills');
   const ReactUtils = require('./utils/ReactUtils')(j);
@@ -186,3 +191,15 @@ function removePureRenderMixin(file, api, options) {
 }
 
 module.exports = removePureRenderMixin;
+
+module.exports.options = [
+  {
+    name: 'mixin-name',
+    type: 'string',
+    default: 'PureRenderMixin',
+    description:
+      'Name of the mixin to look for. Namespaced names (`React.addons.PureRenderMixin`) are not supported.',
+  },
+  sharedOptions.explicitRequire,
+  sharedOptions.printOptions,
+];
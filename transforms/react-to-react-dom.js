@@ -10,6 +10,8 @@
 
 'use strict';
 
+var parser = require('./utils/parser');
+
 var CORE_PROPERTIES = [
   'Children',
   'Component',
@@ -22,6 +24,9 @@ var CORE_PROPERTIES = [
   'createMixin',
   'DOM',
   '__spread',
+  // Written by the other upgrade transforms; seen when running them again.
+  'addons',
+  'PureComponent',
 ];
 
 var DOM_PROPERTIES = [
@@ -37,7 +42,8 @@ var DOM_SERVER_PROPERTIES = [
   'renderToStaticMarkup',
 ];
 
-function reportError(node, error) {
+function reportError(diagnostics, node, error) {
+  diagnostics.error({node, rule: 'unsupported-react-usage', reason: error});
   throw new Error(
     `At ${node.loc.start.line}:${node.loc.start.column}: ${error}`
   );
@@ -54,8 +60,9 @@ function isRequire(path, moduleName) {
   );
 }
 
-module.exports = function(file, api) {
-  var j = api.jscodeshift;
+module.exports = function(file, api, options) {
+  var j = parser.withParser(api.jscodeshift, file, options);
+  var diagnostics = require('./utils/diagnostics')(file, options);
   var root = j(file.source);
 
   [
@@ -94,12 +101,14 @@ module.exports = function(file, api) {
           }
           if (coreRequireDeclarator) {
             reportError(
+              diagnostics,
               p.value,
               'Multiple declarations of React'
             );
           }
           if (p.parent.value.id.type !== 'Identifier') {
             reportError(
+              diagnostics,
               p.value,
               'Unexpected destructuring in require of ' + coreModuleName
             );
@@ -119,6 +128,7 @@ module.exports = function(file, api) {
         } else if (p.parent.value.type === 'AssignmentExpression') {
           if (p.parent.value.left.type !== 'Identifier') {
             reportError(
+              diagnostics,
               p.value,
               'Unexpected destructuring in require of ' + coreModuleName
             );
@@ -136,6 +146,7 @@ module.exports = function(file, api) {
           if (coreRequireDeclarator.value.init &&
               !isRequire(coreRequireDeclarator.get('init'), coreModuleName)) {
             reportError(
+              diagnostics,
               coreRequireDeclarator.value,
               'Unexpected initialization of ' + coreModuleName
             );
@@ -154,7 +165,7 @@ module.exports = function(file, api) {
       .find(j.ImportDeclaration, { source: { value: coreModuleName } })
       .forEach(p => {
         if (coreImportDeclaration) {
-          reportError(p.value, 'Multiple declarations of React');
+          reportError(diagnostics, p.value, 'Multiple declarations of React');
         }
         coreImportDeclaration = p;
         var defaultSpecifier = p.value.specifiers.find(sp => sp.type === j.ImportDefaultSpecifier.name);
@@ -295,6 +306,7 @@ module.exports = function(file, api) {
               requireAssignments.push(p.parent);
             } else {
               reportError(
+                diagnostics,
                 p.parent.value,
                 'Unexpected assignment to ' + coreModuleName
               );
@@ -305,7 +317,7 @@ module.exports = function(file, api) {
         } else if (p.parent.value.type === 'ImportDefaultSpecifier') {
           // import React from "react";
         } else {
-          reportError(p.value, 'unimplemented ' + p.parent.value.type);
+          reportError(diagnostics, p.value, 'unimplemented ' + p.parent.value.type);
         }
       });
 
@@ -396,3 +408,5 @@ module.exports = function(file, api) {
 
   return root.toSource({quote: 'single'});
 };
+
+module.exports.options = [];
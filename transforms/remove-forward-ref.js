@@ -0,0 +1,386 @@
+/**
+ * Copyright 2013-2015, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ */
+
+'use strict';
+
+const config = require('./utils/config');
+const parser = require('./utils/parser');
+const sharedOptions = require('./utils/options');
+
+const FORWARD_REF = 'forwardRef';
+
+/**
+ * const Input = React.forwardRef<HTMLInputElement, Props>((props, ref) => (
+ *   <input ref={ref} {...props} />
+ * ));
+ *
+ * -->
+ *
+ * const Input = ({ref, ...props}: Props & {ref?: React.Ref<HTMLInputElement>}) =>
+ *   <input ref={ref} {...props} />;
+ *
+ * React 19 passes `ref` to function components as a prop. Render functions
+ * written as named function expressions become function declarations, and
+ * the ref type of TypeScript and Flow components moves to the props type
+ * (`{...Props, ref?: React.RefSetter<Instance>}` in Flow).
+ */
+module.exports = function(file, api, options) {
+  options = config.getOptions('remove-forward-ref', file, options);
+  const j = parser.withParser(api.jscodeshift, file, options);
+  const ReactUtils = require('./utils/ReactUtils')(j);
+  const {isReference, isRequireOf, removeStatement} = require('./utils/ASTUtils')(j);
+  const diagnostics = require('./utils/diagnostics')(file, options);
+
+  const printOptions = options.printOptions || {
+    quote: 'single',
+    trailingComma: true,
+  };
+  const isTypeScript = /\.tsx?$/.test(file.path || '') || /^tsx?$/.test(options.parser || '');
+
+  const root = j(file.source);
+
+  if (options['explicit-require'] !== false && !ReactUtils.hasReact(root)) {
+    return null;
+  }
+
+  const reportSkipped = (name, node, rule, reason) =>
+    diagnostics.reportSkipped('Component', {node, component: name, rule, reason});
+
+  // ---------------------------------------------------------------------------
+  // AST helpers
+
+  const isUsed = node =>
+    root
+      .find(j.Identifier, {name: node.name})
+      .filter(p => p.value !== node && isReference(p))
+      .size() > 0;
+
+  const toSource = node => j(node).toSource(printOptions);
+
+  // ---------------------------------------------------------------------------
+  // React bindings
+
+  const findReactImports = () =>
+    root.find(j.ImportDeclaration, {source: {value: 'react'}});
+
+  // Local names of `forwardRef` imported or destructured from React.
+  const findForwardRefNames = reactName => {
+    const names = [];
+    findReactImports().forEach(p => {
+      p.value.specifiers
+        .filter(specifier => specifier.type === 'ImportSpecifier' && specifier.imported.name === FORWARD_REF)
+        .forEach(specifier => names.push(specifier.local.name));
+    });
+    root
+      .find(j.VariableDeclarator, {id: {type: 'ObjectPattern'}})
+      .filter(p =>
+        isRequireOf(p.value.init, 'react') ||
+        (reactName && p.value.init && p.value.init.type === 'Identifier' && p.value.init.name === reactName)
+      )
+      .forEach(p => {
+        p.value.id.properties
+          .filter(property =>
+            property.type === 'Property' &&
+            property.key.name === FORWARD_REF &&
+            property.value.type === 'Identifier'
+          )
+          .forEach(property => names.push(property.value.name));
+      });
+    return names;
+  };
+
+  const reactName = ReactUtils.findReactName(root);
+  const forwardRefNames = findForwardRefNames(reactName);
+
+  const isForwardRefCall = node =>
+    node.type === 'CallExpression' &&
+    (
+      (
+        node.callee.type === 'MemberExpression' &&
+        !node.callee.computed &&
+        node.callee.object.type === 'Identifier' &&
+        node.callee.object.name === reactName &&
+        node.callee.property.name === FORWARD_REF
+      ) ||
+      (node.callee.type === 'Identifier' && forwardRefNames.indexOf(node.callee.name) !== -1)
+    );
+
+  // Named imports that types now need, e.g. `Ref` when React isn't imported
+  // by name.
+  const typeImports = [];
+
+  // `React.Ref` in TypeScript and `React.RefSetter` in Flow, or null.
+  const getRefTypeName = () => {
+    const name = isTypeScript ? 'Ref' : 'RefSetter';
+    if (reactName) {
+      return `${reactName}.${name}`;
+    }
+    if (isTypeScript && findReactImports().size()) {
+      if (typeImports.indexOf(name) === -1) {
+        typeImports.push(name);
+      }
+      return name;
+    }
+    return null;
+  };
+
+  // ---------------------------------------------------------------------------
+  // Types
+
+  const getAnnotation = param =>
+    param.typeAnnotation ? param.typeAnnotation.typeAnnotation : null;
+
+  // `forwardRef<Instance, Props>` in TypeScript, `forwardRef<Props, Instance>`
+  // in Flow.
+  const getTypeArguments = call => {
+    // Babel keeps the type arguments of Flow calls in `typeArguments`.
+    const typeArguments = call.typeParameters || call.typeArguments;
+    const params = typeArguments ? typeArguments.params : [];
+    if (params.length !== 2) {
+      return {propsType: null, instanceType: null};
+    }
+    return isTypeScript ?
+      {instanceType: params[0], propsType: params[1]} :
+      {propsType: params[0], instanceType: params[1]};
+  };
+
+  // `ForwardedRef<T>` is the type of the ref argument, `Ref<T>` of the prop.
+  const getRefParamTypeSource = type => {
+    const source = toSource(type);
+    return type.type === 'TSTypeReference' ?
+      source.replace(/^((?:\w+\.)?)ForwardedRef\b/, '$1Ref') :
+      source;
+  };
+
+  // `: Props & {ref?: React.Ref<T>}`, or null when the ref type isn't known.
+  const buildAnnotationSource = (propsType, refTypeSource) => {
+    if (!refTypeSource) {
+      return propsType ? `: ${toSource(propsType)}` : '';
+    }
+    const refMember = `ref?: ${refTypeSource}`;
+    if (!propsType) {
+      return `: {${refMember}}`;
+    }
+    if (!isTypeScript) {
+      return `: {...${toSource(propsType)}, ${refMember}}`;
+    }
+    const needsParens = ['TSUnionType', 'TSFunctionType', 'TSConditionalType'].indexOf(propsType.type) !== -1;
+    const propsSource = needsParens ? `(${toSource(propsType)})` : toSource(propsType);
+    return `: ${propsSource} & {${refMember}}`;
+  };
+
+  // ---------------------------------------------------------------------------
+  // Conversion
+
+  const isInlineFunction = node =>
+    node && (node.type === 'ArrowFunctionExpression' || node.type === 'FunctionExpression');
+
+  // Why the `forwardRef` call can't be unwrapped, or null.
+  const checkCall = call => {
+    const render = call.arguments[0];
+    if (call.arguments.length !== 1 || !isInlineFunction(render)) {
+      return {rule: 'not-inline', reason: 'The render function is not written inline.'};
+    }
+    const [props, ref] = render.params;
+    if (
+      render.params.length > 2 ||
+      (props && props.type !== 'Identifier' && props.type !== 'ObjectPattern') ||
+      (ref && ref.type !== 'Identifier')
+    ) {
+      return {
+        rule: 'unsupported-params',
+        reason: 'The props or ref parameter is not a plain identifier or object pattern.',
+      };
+    }
+    return null;
+  };
+
+  // `{ref, ...props}`, `{a, b, ref: forwardedRef}`
+  const buildPatternSource = (props, ref) => {
+    const refProperty = ref.name === 'ref' ? 'ref' : `ref: ${ref.name}`;
+    if (!props) {
+      return `{${refProperty}}`;
+    }
+    if (props.type === 'Identifier') {
+      return `{${refProperty}, ...${props.name}}`;
+    }
+    const properties = props.properties.filter(property =>
+      property.type !== 'RestElement' && property.type !== 'RestProperty'
+    );
+    const rest = props.properties.filter(property => properties.indexOf(property) === -1);
+    return `{${properties.map(toSource).concat(refProperty, rest.map(toSource)).join(', ')}}`;
+  };
+
+  /**
+   * Replaces the `(props, ref)` parameters of the render function of `call`
+   * with `{ref, ...props}`, and returns the new render function. Returns null
+   * if the ref type is needed but can't be written.
+   */
+  const convertParams = call => {
+    const render = call.arguments[0];
+    const [props, ref] = render.params;
+    if (!ref) {
+      return render;
+    }
+    const typeArguments = getTypeArguments(call);
+    const propsType = (props && getAnnotation(props)) || typeArguments.propsType;
+    let refTypeSource = null;
+    if (getAnnotation(ref)) {
+      refTypeSource = getRefParamTypeSource(getAnnotation(ref));
+    } else if (typeArguments.instanceType || propsType) {
+      // Typed props without a ref type still need a `ref` prop, of any
+      // instance.
+      const refTypeName = getRefTypeName();
+      if (!refTypeName) {
+        return null;
+      }
+      const instanceSource = typeArguments.instanceType ?
+        toSource(typeArguments.instanceType) :
+        isTypeScript ? 'unknown' : 'mixed';
+      refTypeSource = `${refTypeName}<${instanceSource}>`;
+    }
+    // Parsed rather than built so that the pattern is printed on one line.
+    const source = `(${buildPatternSource(props, ref)}${buildAnnotationSource(propsType, refTypeSource)}) => {}`;
+    render.params = [j.template.expression([source]).params[0]];
+    return render;
+  };
+
+  const getComponentName = path => {
+    const parent = path.parent.value;
+    if (parent.type === 'VariableDeclarator' && parent.id.type === 'Identifier') {
+      return parent.id.name;
+    }
+    const render = path.value.arguments[0];
+    return render && render.id ? render.id.name : FORWARD_REF;
+  };
+
+  // `const Foo = forwardRef(function Foo(props, ref) {...})` can become a
+  // function declaration.
+  const getDeclarationToReplace = (path, render) => {
+    const declarator = path.parent;
+    const declaration = declarator && declarator.parent;
+    if (
+      render.type !== 'FunctionExpression' ||
+      declarator.value.type !== 'VariableDeclarator' ||
+      declarator.value.id.type !== 'Identifier' ||
+      declarator.value.id.typeAnnotation ||
+      (render.id && render.id.name !== declarator.value.id.name) ||
+      declaration.value.declarations.length !== 1 ||
+      ['Program', 'ExportNamedDeclaration'].indexOf(declaration.parent.value.type) === -1
+    ) {
+      return null;
+    }
+    return declaration;
+  };
+
+  const unwrap = (path, render) => {
+    const call = path.value;
+    const declaration = getDeclarationToReplace(path, render);
+    if (declaration) {
+      const {id} = path.parent.value;
+      const functionDeclaration = j.functionDeclaration(j.identifier(id.name), render.params, render.body);
+      functionDeclaration.async = render.async;
+      functionDeclaration.generator = render.generator;
+      functionDeclaration.typeParameters = render.typeParameters;
+      functionDeclaration.returnType = render.returnType;
+      functionDeclaration.comments = (declaration.value.comments || []).concat(render.comments || []);
+      j(declaration).replaceWith(functionDeclaration);
+      return;
+    }
+    render.comments = (call.comments || []).concat(render.comments || []);
+    j(path).replaceWith(render);
+  };
+
+  let hasModifications = false;
+  root
+    .find(j.CallExpression)
+    .filter(path => isForwardRefCall(path.value))
+    .paths()
+    // Innermost calls first, in case render functions are nested.
+    .reverse()
+    .forEach(path => {
+      const name = getComponentName(path);
+      const error = checkCall(path.value);
+      if (error) {
+        reportSkipped(name, path.value, error.rule, error.reason);
+        return;
+      }
+      const render = convertParams(path.value);
+      if (!render) {
+        reportSkipped(
+          name,
+          path.value,
+          'no-react-binding',
+          'The ref type needs React to be imported by name.'
+        );
+        return;
+      }
+      unwrap(path, render);
+      hasModifications = true;
+    });
+
+  if (!hasModifications) {
+    return null;
+  }
+
+  // `import {forwardRef, Ref} from 'react'`
+  findReactImports().forEach((p, index) => {
+    const imported = p.value.specifiers.map(specifier => specifier.local.name);
+    const added = index === 0 ? typeImports.filter(name => imported.indexOf(name) === -1) : [];
+    const specifiers = p.value.specifiers.filter(specifier =>
+      forwardRefNames.indexOf(specifier.local.name) === -1 || isUsed(specifier.local)
+    );
+    if (specifiers.length === p.value.specifiers.length && !added.length) {
+      return;
+    }
+    p.value.specifiers = specifiers.concat(added.map(name => j.importSpecifier(j.identifier(name))));
+    if (!p.value.specifiers.length) {
+      removeStatement(p);
+    }
+  });
+  // `const {forwardRef} = React`
+  root
+    .find(j.VariableDeclarator, {id: {type: 'ObjectPattern'}})
+    .forEach(p => {
+      const properties = p.value.id.properties.filter(property =>
+        property.type !== 'Property' ||
+        property.value.type !== 'Identifier' ||
+        forwardRefNames.indexOf(property.value.name) === -1 ||
+        isUsed(property.value)
+      );
+      if (properties.length === p.value.id.properties.length) {
+        return;
+      }
+      if (properties.length) {
+        // Parsed rather than built so that the pattern stays on one line.
+        const source = `const {${properties.map(toSource).join(', ')}} = x;`;
+        p.value.id = j.template.statement([source]).declarations[0].id;
+        return;
+      }
+      if (p.parent.value.declarations.length === 1) {
+        removeStatement(p.parent);
+      } else {
+        j(p).remove();
+      }
+    });
+
+  return root.toSource(printOptions);
+};
+
+module.exports.options = [
+  sharedOptions.explicitRequire,
+  {
+    name: 'silenceWarnings',
+    type: 'boolean',
+    default: false,
+    description: 'Do not warn about `forwardRef` calls that cannot be unwrapped.',
+  },
+  sharedOptions.printOptions,
+];
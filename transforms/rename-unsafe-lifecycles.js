@@ -10,13 +10,18 @@
 
 'use strict';
 
+import * as config from './utils/config';
+import * as parser from './utils/parser';
+import * as sharedOptions from './utils/options';
+
 const DEPRECATED_APIS = Object.create(null);
 DEPRECATED_APIS.componentWillMount = 'UNSAFE_componentWillMount';
 DEPRECATED_APIS.componentWillReceiveProps = 'UNSAFE_componentWillReceiveProps';
 DEPRECATED_APIS.componentWillUpdate = 'UNSAFE_componentWillUpdate';
 
 export default (file, api, options) => {
-  const j = api.jscodeshift;
+  options = config.getOptions('rename-unsafe-lifecycles', file, options);
+  const j = parser.withParser(api.jscodeshift, file, options);
 
   const printOptions = options.printOptions || {
     quote: 'single',
@@ -73,3 +78,7 @@ export default (file, api, options) => {
     ? root.toSource(printOptions)
     : null;
 };
+
+export const options = [
+  sharedOptions.printOptions,
+];
@@ -0,0 +1,386 @@
+/**
+ * Copyright 2013-2015, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ */
+
+'use strict';
+
+const config = require('./utils/config');
+const parser = require('./utils/parser');
+const sharedOptions = require('./utils/options');
+
+const MODULE_NAME = 'react';
+const OLD_MODULES = ['react-dom/test-utils', 'react-test-renderer'];
+const ACT = 'act';
+
+/**
+ * import React from 'react';
+ * import {act} from 'react-dom/test-utils';
+ * import TestRenderer from 'react-test-renderer';
+ *
+ * TestRenderer.act(() => {...});
+ *
+ * -->
+ *
+ * import React, {act} from 'react';
+ * import TestRenderer from 'react-test-renderer';
+ *
+ * act(() => {...});
+ *
+ * `act` is added to the existing import (or destructured `require`) of
+ * `react` when there is one, and files with `const React = require('react')`
+ * call `React.act`. Imports left empty are removed.
+ */
+module.exports = function(file, api, options) {
+  options = config.getOptions('replace-act-import', file, options);
+  const j = parser.withParser(api.jscodeshift, file, options);
+  const ReactUtils = require('./utils/ReactUtils')(j);
+  const {
+    isReference,
+    isRequire,
+    isRequireOf,
+    removeDeclarator,
+    removeStatement,
+  } = require('./utils/ASTUtils')(j);
+  const diagnostics = require('./utils/diagnostics')(file, options);
+
+  const printOptions = options.printOptions || {
+    quote: 'single',
+    trailingComma: true,
+  };
+
+  const root = j(file.source);
+
+  if (!OLD_MODULES.some(moduleName => ReactUtils.usesModule(root, moduleName))) {
+    return null;
+  }
+
+  const reportSkipped = (name, node, rule, reason) =>
+    diagnostics.reportSkipped('Call', {node, component: name, rule, reason});
+
+  // ---------------------------------------------------------------------------
+  // AST helpers
+
+  const isUsed = node =>
+    root
+      .find(j.Identifier, {name: node.name})
+      .filter(p => p.value !== node && isReference(p))
+      .size() > 0;
+
+  // ---------------------------------------------------------------------------
+  // Bindings of `act`
+
+  const findImports = moduleNames =>
+    root
+      .find(j.ImportDeclaration)
+      .filter(path => moduleNames.indexOf(path.value.source.value) !== -1);
+
+  // `const {act} = require('react-dom/test-utils')` declarators.
+  const findDestructuredRequires = moduleNames =>
+    root
+      .find(j.VariableDeclarator, {id: {type: 'ObjectPattern'}})
+      .filter(path => isRequireOf(path.value.init, moduleNames));
+
+  const isActProperty = property =>
+    property.type === 'Property' &&
+    !property.computed &&
+    property.key.type === 'Identifier' &&
+    property.key.name === ACT &&
+    property.value.type === 'Identifier';
+
+  // Local names of `act` imported or destructured from the old modules.
+  const findActNames = () => {
+    const names = [];
+    findImports(OLD_MODULES).forEach(path => {
+      path.value.specifiers
+        .filter(specifier => specifier.type === 'ImportSpecifier' && specifier.imported.name === ACT)
+        .forEach(specifier => names.push(specifier.local.name));
+    });
+    findDestructuredRequires(OLD_MODULES).forEach(path => {
+      path.value.id.properties
+        .filter(isActProperty)
+        .forEach(property => names.push(property.value.name));
+    });
+    return names;
+  };
+
+  // Names of the old modules as a whole, e.g. `TestUtils`.
+  const findNamespaceNames = () => {
+    const names = [];
+    findImports(OLD_MODULES).forEach(path => {
+      path.value.specifiers
+        .filter(specifier => specifier.type !== 'ImportSpecifier')
+        .forEach(specifier => names.push(specifier.local.name));
+    });
+    root
+      .find(j.VariableDeclarator, {id: {type: 'Identifier'}})
+      .filter(path => isRequireOf(path.value.init, OLD_MODULES))
+      .forEach(path => names.push(path.value.id.name));
+    return names;
+  };
+
+  // Whether `act` is declared other than by the old modules or `react`.
+  const isActTaken = () =>
+    root
+      .find(j.Identifier, {name: ACT})
+      .filter(p => {
+        const parent = p.parent.value;
+        if (parent.type === 'ImportSpecifier') {
+          return OLD_MODULES.concat(MODULE_NAME).indexOf(p.parent.parent.value.source.value) === -1;
+        }
+        if (parent.type === 'Property' && p.parent.parent.value.type === 'ObjectPattern') {
+          const init = p.parent.parent.parent.value.init;
+          return parent.value === p.value && !isRequireOf(init, OLD_MODULES.concat(MODULE_NAME));
+        }
+        return (
+          (parent.type === 'VariableDeclarator' && parent.id === p.value) ||
+          (parent.type === 'FunctionDeclaration' && parent.id === p.value) ||
+          (parent.type === 'ClassDeclaration' && parent.id === p.value) ||
+          parent.type === 'ImportDefaultSpecifier' ||
+          parent.type === 'ImportNamespaceSpecifier' ||
+          (parent.params && parent.params.indexOf(p.value) !== -1)
+        );
+      })
+      .size() > 0;
+
+  // `act()` -> `React.act()` for the `act` bound by the old imports.
+  const replaceWithMember = (names, reactName) => {
+    const scope = root.find(j.Program).get().scope;
+    root
+      .find(j.Identifier)
+      .filter(p =>
+        names.indexOf(p.value.name) !== -1 &&
+        isReference(p) &&
+        p.parent.value.type !== 'ImportSpecifier' &&
+        !(p.parent.value.type === 'Property' && p.parent.parent.value.type === 'ObjectPattern') &&
+        (!p.scope || p.scope.lookup(p.value.name) === scope)
+      )
+      .forEach(p => {
+        j(p).replaceWith(j.memberExpression(j.identifier(reactName), j.identifier(ACT)));
+      });
+  };
+
+  // ---------------------------------------------------------------------------
+  // Imports
+
+  // Removes `act` from the imports and requires of the old modules.
+  const removeActImports = () => {
+    findImports(OLD_MODULES).forEach(path => {
+      const specifiers = path.value.specifiers.filter(specifier =>
+        specifier.type !== 'ImportSpecifier' || specifier.imported.name !== ACT
+      );
+      if (specifiers.length !== path.value.specifiers.length) {
+        path.value.specifiers = specifiers;
+        if (!specifiers.length) {
+          removeStatement(path);
+        }
+      }
+    });
+    findDestructuredRequires(OLD_MODULES).forEach(path => {
+      const properties = path.value.id.properties.filter(property => !isActProperty(property));
+      if (properties.length !== path.value.id.properties.length) {
+        path.value.id.properties = properties;
+        if (!properties.length) {
+          removeDeclarator(path);
+        }
+      }
+    });
+  };
+
+  // Removes `import TestUtils from 'react-dom/test-utils'` and the like once
+  // `TestUtils.act` was their only use.
+  const removeUnusedNamespaces = () => {
+    findImports(OLD_MODULES).forEach(path => {
+      const specifiers = path.value.specifiers.filter(specifier =>
+        specifier.type === 'ImportSpecifier' || isUsed(specifier.local)
+      );
+      if (specifiers.length !== path.value.specifiers.length) {
+        path.value.specifiers = specifiers;
+        if (!specifiers.length) {
+          removeStatement(path);
+        }
+      }
+    });
+    root
+      .find(j.VariableDeclarator, {id: {type: 'Identifier'}})
+      .filter(path => isRequireOf(path.value.init, OLD_MODULES) && !isUsed(path.value.id))
+      .forEach(removeDeclarator);
+  };
+
+  // Program uses ES import syntax
+  const useImportSyntax = () =>
+    root.find(j.ImportDeclaration, {importKind: 'value'}).size() > 0;
+
+  // Program uses var keywords
+  const useVar = () =>
+    root.find(j.VariableDeclaration, {kind: 'const'}).size() === 0;
+
+  // Inserts `statement` before the first import (or require) of a module that
+  // sorts after `react`, or after the last one.
+  const insertSorted = (statement, statements) => {
+    const body = root.find(j.Program).get().value.body;
+    const next = statements.find(s => s.source.toLowerCase() > MODULE_NAME);
+    if (next) {
+      const index = body.indexOf(next.node);
+      // If there is a leading comment, retain it
+      if (index === 0 && next.node.comments) {
+        statement.comments = next.node.comments;
+        next.node.comments = null;
+      }
+      body.splice(index, 0, statement);
+    } else if (statements.length) {
+      body.splice(body.indexOf(statements[statements.length - 1].node) + 1, 0, statement);
+    } else {
+      body.unshift(statement);
+    }
+  };
+
+  const buildSpecifier = name =>
+    j.importSpecifier(j.identifier(ACT), j.identifier(name));
+
+  const addImport = names => {
+    const body = root.find(j.Program).get().value.body;
+    // `import * as React from 'react'` can't take named imports.
+    const existing = findImports([MODULE_NAME]).filter(path =>
+      path.value.importKind === 'value' &&
+      path.value.specifiers.every(specifier => specifier.type !== 'ImportNamespaceSpecifier')
+    );
+    if (existing.size()) {
+      const declaration = existing.get().value;
+      const imported = declaration.specifiers.map(specifier => specifier.local.name);
+      declaration.specifiers = declaration.specifiers.concat(
+        names.filter(name => imported.indexOf(name) === -1).map(buildSpecifier)
+      );
+      return;
+    }
+    insertSorted(
+      j.importDeclaration(names.map(buildSpecifier), j.literal(MODULE_NAME)),
+      body
+        .filter(node => node.type === 'ImportDeclaration')
+        .map(node => ({node, source: node.source.value}))
+    );
+  };
+
+  // `act` or `act: name`
+  const getPropertySource = name => (name === ACT ? name : `${ACT}: ${name}`);
+
+  const addRequire = names => {
+    const kind = useVar() ? 'var' : 'const';
+    const body = root.find(j.Program).get().value.body;
+    const existing = findDestructuredRequires([MODULE_NAME]);
+    if (existing.size()) {
+      // Parsed rather than built so that the pattern stays on one line.
+      const declarator = existing.get().value;
+      const destructured = declarator.id.properties
+        .filter(property => property.type === 'Property' && property.value.type === 'Identifier')
+        .map(property => property.value.name);
+      const properties = declarator.id.properties
+        .map(property => j(property).toSource(printOptions))
+        .concat(names.filter(name => destructured.indexOf(name) === -1).map(getPropertySource));
+      declarator.id = j.template.statement([`${kind} {${properties.join(', ')}} = x;`]).declarations[0].id;
+      return;
+    }
+    insertSorted(
+      j.template.statement([`${kind} {${names.map(getPropertySource).join(', ')}} = require('${MODULE_NAME}');\n`]),
+      body
+        .filter(node =>
+          node.type === 'VariableDeclaration' &&
+          node.declarations.length === 1 &&
+          isRequire(node.declarations[0].init)
+        )
+        .map(node => ({node, source: node.declarations[0].init.arguments[0].value}))
+    );
+  };
+
+  // ---------------------------------------------------------------------------
+  // Migration
+
+  const actNames = findActNames();
+  const namespaceNames = findNamespaceNames();
+
+  // TestUtils.act(...)
+  const memberCalls = root
+    .find(j.MemberExpression, {
+      computed: false,
+      object: {type: 'Identifier'},
+      property: {name: ACT},
+    })
+    .filter(path => namespaceNames.indexOf(path.value.object.name) !== -1);
+
+  if (!actNames.length && !memberCalls.size()) {
+    return null;
+  }
+
+  // Removing the old import can leave the file without any.
+  const importSyntax = useImportSyntax();
+  // Files that require React as a whole use `React.act`, unless `act` can join
+  // a destructured require of `react` instead.
+  const reactRequireName =
+    !importSyntax &&
+    !findDestructuredRequires([MODULE_NAME]).size() &&
+    ReactUtils.findReactName(root);
+  const names = reactRequireName ? [] : actNames.slice();
+  let hasModifications = false;
+
+  if (reactRequireName && actNames.length) {
+    replaceWithMember(actNames, reactRequireName);
+    removeActImports();
+    hasModifications = true;
+  }
+
+  if (memberCalls.size()) {
+    const actTaken = isActTaken();
+    const reactName = reactRequireName || (actTaken && ReactUtils.findReactName(root));
+    memberCalls.forEach(path => {
+      if (!actTaken && !reactRequireName) {
+        j(path).replaceWith(j.identifier(ACT));
+      } else if (reactName) {
+        path.value.object = j.identifier(reactName);
+      } else {
+        reportSkipped(
+          `${path.value.object.name}.${ACT}`,
+          path.value,
+          'name-conflict',
+          '`act` is already defined and React is not imported by name.'
+        );
+        return;
+      }
+      hasModifications = true;
+    });
+    if (!actTaken && !reactRequireName && hasModifications && names.indexOf(ACT) === -1) {
+      names.push(ACT);
+    }
+  }
+
+  if (names.length) {
+    removeActImports();
+    if (importSyntax) {
+      addImport(names);
+    } else {
+      addRequire(names);
+    }
+    hasModifications = true;
+  }
+
+  if (!hasModifications) {
+    return null;
+  }
+
+  removeUnusedNamespaces();
+  return root.toSource(printOptions);
+};
+
+module.exports.options = [
+  {
+    name: 'silenceWarnings',
+    type: 'boolean',
+    default: false,
+    description: 'Do not warn about `act` calls that cannot be migrated.',
+  },
+  sharedOptions.printOptions,
+];
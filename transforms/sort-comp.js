@@ -30,8 +30,13 @@
  *  }],
  */
 
+const config = require('./utils/config');
+const parser = require('./utils/parser');
+const sharedOptions = require('./utils/options');
+
 module.exports = function(fileInfo, api, options) {
-  const j = api.jscodeshift;
+  options = config.getOptions('sort-comp', fileInfo, options);
+  const j = parser.withParser(api.jscodeshift, fileInfo, options);
 
   const ReactUtils = require('./utils/ReactUtils')(j);
 
@@ -197,3 +202,14 @@ function getMethodsOrder(fileInfo, options) {
     || getMethodsOrderFromEslint(fileInfo.path)
     || defaultMethodsOrder;
 }
+
+module.exports.options = [
+  {
+    name: 'methodsOrder',
+    type: 'array',
+    description:
+      'Method order to use instead of the `react/sort-comp` ESLint config or the Airbnb defaults.',
+  },
+  sharedOptions.explicitRequire,
+  sharedOptions.printOptions,
+];
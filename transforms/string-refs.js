@@ -0,0 +1,336 @@
+/**
+ * Copyright 2013-2015, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ */
+
+'use strict';
+
+const config = require('./utils/config');
+const parser = require('./utils/parser');
+const sharedOptions = require('./utils/options');
+
+/**
+ * class Foo extends React.Component {
+ *   render() { return <input ref="input" onFocus={() => this.refs.input.select()} />; }
+ * }
+ *
+ * -->
+ *
+ * class Foo extends React.Component {
+ *   input = React.createRef();
+ *   render() { return <input ref={this.input} onFocus={() => this.input.current.select()} />; }
+ * }
+ *
+ * `React.createClass` components get callback refs that set `this.input`.
+ */
+module.exports = function(file, api, options) {
+  options = config.getOptions('string-refs', file, options);
+  const j = parser.withParser(api.jscodeshift, file, options);
+  const ReactUtils = require('./utils/ReactUtils')(j);
+  const diagnostics = require('./utils/diagnostics')(file, options);
+
+  const printOptions = options.printOptions || {
+    quote: 'single',
+    trailingComma: true,
+  };
+
+  const root = j(file.source);
+
+  if (options['explicit-require'] !== false && !ReactUtils.hasReact(root)) {
+    return null;
+  }
+
+  // recast drops the location of exported classes, the export has it.
+  const reportSkipped = (path, name, rule, reason) =>
+    diagnostics.reportSkipped('Component', {
+      node: path.value,
+      loc: path.value.loc || path.parent.value.loc,
+      component: name,
+      rule,
+      reason,
+    });
+
+  const isFunction = node =>
+    node.type === 'FunctionExpression' ||
+    node.type === 'ArrowFunctionExpression' ||
+    node.type === 'FunctionDeclaration';
+
+  const getStaticString = node => {
+    if (node.type === 'Literal' && typeof node.value === 'string') {
+      return node.value;
+    }
+    if (node.type === 'TemplateLiteral' && node.expressions.length === 0) {
+      return node.quasis[0].value.cooked;
+    }
+    return null;
+  };
+
+  const isIdentifierName = name => /^[A-Za-z_$][\w$]*$/.test(name);
+
+  // Whether `this` is the component where `path` is: true when the closest
+  // function that is not an arrow function is a method of the component.
+  const hasComponentThis = (path, members) => {
+    for (let p = path.parent; p; p = p.parent) {
+      if (members.indexOf(p.value) !== -1) {
+        return true;
+      }
+      if (isFunction(p.value) && p.value.type !== 'ArrowFunctionExpression') {
+        return members.indexOf(p.parent.value) !== -1;
+      }
+    }
+    return false;
+  };
+
+  // Whether a ref value that is not a string literal may still be a string:
+  // anything but functions, `null` and object refs kept on the instance.
+  const mayBeString = node =>
+    !isFunction(node) &&
+    !(node.type === 'Literal' && node.value === null) &&
+    !(
+      node.type === 'MemberExpression' &&
+      node.object.type === 'ThisExpression' &&
+      !node.computed
+    );
+
+  const isRefs = node =>
+    node.type === 'MemberExpression' &&
+    node.object.type === 'ThisExpression' &&
+    !node.computed &&
+    node.property.name === 'refs';
+
+  /**
+   * Collects the string refs of a component: `ref` attributes and reads of
+   * `this.refs`, with the name of the ref. Returns `{error}` when they can't
+   * all be converted.
+   */
+  const collectRefs = (bodyPath, members) => {
+    const attributes = [];
+    const reads = [];
+    const unknownValues = [];
+    let error = null;
+    const fail = (rule, reason) => {
+      error = error || {rule, reason};
+    };
+
+    j(bodyPath)
+      .find(j.JSXAttribute, {name: {type: 'JSXIdentifier', name: 'ref'}})
+      .forEach(path => {
+        let value = path.value.value;
+        if (value && value.type === 'JSXExpressionContainer') {
+          value = value.expression;
+        }
+        const name = value && getStaticString(value);
+        if (name === null) {
+          // Callback and object refs are left alone, built strings aren't.
+          if (value && (value.type === 'TemplateLiteral' || value.type === 'BinaryExpression')) {
+            fail('dynamic-refs', 'Refs are named dynamically.');
+          } else if (value && mayBeString(value)) {
+            unknownValues.push(value);
+          }
+          return;
+        }
+        if (!isIdentifierName(name)) {
+          fail('dynamic-refs', `Ref "${name}" is not a valid property name.`);
+          return;
+        }
+        if (!hasComponentThis(path, members)) {
+          fail('nested-refs', `Ref "${name}" is set in a function that has its own \`this\`.`);
+          return;
+        }
+        attributes.push({path, name});
+      });
+
+    j(bodyPath)
+      .find(j.MemberExpression, isRefs)
+      .forEach(path => {
+        const parent = path.parent.value;
+        if (parent.type !== 'MemberExpression' || parent.object !== path.value) {
+          fail('refs-object', '`this.refs` is used as a whole.');
+          return;
+        }
+        const name = parent.computed ? getStaticString(parent.property) : parent.property.name;
+        if (name === null) {
+          fail('dynamic-refs', 'Refs are read dynamically.');
+          return;
+        }
+        const user = path.parent.parent.value;
+        if (user.type === 'AssignmentExpression' && user.left === parent) {
+          fail('refs-object', '`this.refs` is written to.');
+          return;
+        }
+        reads.push({path: path.parent, name});
+      });
+
+    // Values such as `ref={cond ? 'a' : 'b'}` or `ref={name}` may be string
+    // refs too; converting the others would leave the component half done.
+    if (unknownValues.length && (attributes.length || reads.length)) {
+      fail('dynamic-refs', 'Refs may be named dynamically.');
+    }
+    if (error) {
+      return {error};
+    }
+
+    const names = [];
+    attributes.forEach(attribute => {
+      if (names.indexOf(attribute.name) === -1) {
+        names.push(attribute.name);
+      }
+    });
+    const unknown = reads.find(read => names.indexOf(read.name) === -1);
+    if (unknown) {
+      return {error: {rule: 'unknown-refs', reason: `Ref "${unknown.name}" is not set by the component.`}};
+    }
+    return {names, attributes, reads};
+  };
+
+  // Names the component already uses for its members or `this.<name>`.
+  const findUsedNames = (bodyPath, memberNames) => {
+    const used = memberNames.slice();
+    j(bodyPath)
+      .find(j.MemberExpression, {object: {type: 'ThisExpression'}})
+      .filter(path => !path.value.computed)
+      .forEach(path => used.push(path.value.property.name));
+    return used;
+  };
+
+  const getKeyName = node =>
+    node.key && !node.computed && (node.key.name || node.key.value);
+
+  // `React.createRef()`, or `createRef()` when React is only imported by name.
+  const getCreateRef = () => {
+    const declarations = root
+      .find(j.ImportDeclaration)
+      .filter(p => p.value.source.value === 'react' || p.value.source.value === 'React');
+    if (!declarations.size()) {
+      return j.memberExpression(j.identifier(ReactUtils.findReactName(root) || 'React'), j.identifier('createRef'));
+    }
+    const declaration = declarations.get().value;
+    const reactSpecifier = declaration.specifiers.find(specifier =>
+      specifier.type === 'ImportDefaultSpecifier' || specifier.type === 'ImportNamespaceSpecifier'
+    );
+    if (reactSpecifier) {
+      return j.memberExpression(j.identifier(reactSpecifier.local.name), j.identifier('createRef'));
+    }
+    const specifier = declaration.specifiers.find(specifier =>
+      specifier.type === 'ImportSpecifier' && specifier.imported.name === 'createRef'
+    );
+    if (specifier) {
+      return j.identifier(specifier.local.name);
+    }
+    declaration.specifiers.push(j.importSpecifier(j.identifier('createRef')));
+    return j.identifier('createRef');
+  };
+
+  const replaceReads = (refs, getRef) => {
+    refs.reads.forEach(read => j(read.path).replaceWith(getRef(read.name)));
+  };
+
+  const convertClass = path => {
+    const name = path.value.id ? path.value.id.name : null;
+    const body = path.value.body.body;
+    const members = body
+      .filter(member => member.type === 'MethodDefinition' || member.type === 'ClassProperty')
+      .map(member => member.type === 'MethodDefinition' ? member.value : member);
+    const refs = collectRefs(path.get('body'), members);
+    if (refs.error) {
+      reportSkipped(path, name, refs.error.rule, refs.error.reason);
+      return false;
+    }
+    if (!refs.names.length) {
+      return false;
+    }
+    const used = findUsedNames(path.get('body'), body.map(getKeyName));
+    const collision = refs.names.find(ref => used.indexOf(ref) !== -1);
+    if (collision) {
+      reportSkipped(path, name, 'name-collision', `Class already has a member named \`${collision}\`.`);
+      return false;
+    }
+
+    const thisRef = ref => j.memberExpression(j.thisExpression(), j.identifier(ref));
+    refs.attributes.forEach(attribute => {
+      attribute.path.value.value = j.jsxExpressionContainer(thisRef(attribute.name));
+    });
+    replaceReads(refs, ref => j.memberExpression(thisRef(ref), j.identifier('current')));
+
+    // After the other class properties, before the methods.
+    let index = 0;
+    while (index < body.length && body[index].type === 'ClassProperty') {
+      index++;
+    }
+    const createRef = getCreateRef();
+    const properties = refs.names.map(ref =>
+      j.classProperty(j.identifier(ref), j.callExpression(createRef, []), null, false)
+    );
+    body.splice.apply(body, [index, 0].concat(properties));
+    return true;
+  };
+
+  const convertCreateClass = path => {
+    const spec = ReactUtils.directlyGetCreateClassSpec(path);
+    const name = ReactUtils.directlyGetComponentName(path) || null;
+    if (!spec) {
+      return false;
+    }
+    const members = spec.properties
+      .filter(property => property.value && isFunction(property.value))
+      .map(property => property.value);
+    const specPath = path.get('arguments', 0);
+    const refs = collectRefs(specPath, members);
+    if (refs.error) {
+      reportSkipped(path, name, refs.error.rule, refs.error.reason);
+      return false;
+    }
+    if (!refs.names.length) {
+      return false;
+    }
+    const used = findUsedNames(specPath, spec.properties.map(getKeyName));
+    const collision = refs.names.find(ref => used.indexOf(ref) !== -1);
+    if (collision) {
+      reportSkipped(path, name, 'name-collision', `Component already has a member named \`${collision}\`.`);
+      return false;
+    }
+
+    const thisRef = ref => j.memberExpression(j.thisExpression(), j.identifier(ref));
+    refs.attributes.forEach(attribute => {
+      // ref={ref => { this.input = ref; }}
+      const callback = j.arrowFunctionExpression(
+        [j.identifier('ref')],
+        j.blockStatement([
+          j.expressionStatement(
+            j.assignmentExpression('=', thisRef(attribute.name), j.identifier('ref'))
+          ),
+        ])
+      );
+      attribute.path.value.value = j.jsxExpressionContainer(callback);
+    });
+    replaceReads(refs, thisRef);
+    return true;
+  };
+
+  const convertedClasses = ReactUtils.findReactES6ClassDeclaration(root)
+    .filter(convertClass)
+    .size();
+  const convertedCreateClasses = ReactUtils.findAllReactCreateClassCalls(root)
+    .filter(convertCreateClass)
+    .size();
+
+  return convertedClasses + convertedCreateClasses > 0 ?
+    root.toSource(printOptions) :
+    null;
+};
+
+module.exports.options = [
+  sharedOptions.explicitRequire,
+  {
+    name: 'silenceWarnings',
+    type: 'boolean',
+    default: false,
+    description: 'Do not warn about components whose refs cannot be converted.',
+  },
+  sharedOptions.printOptions,
+];
@@ -0,0 +1,698 @@
+/**
+ * Copyright 2013-2015, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ */
+
+'use strict';
+
+const config = require('./utils/config');
+const parser = require('./utils/parser');
+const sharedOptions = require('./utils/options');
+
+const MODULE_NAME = '@testing-library/react';
+const TEST_UTILS_MODULES = ['react-dom/test-utils', 'react-addons-test-utils'];
+const TEST_RENDERER_MODULE = 'react-test-renderer';
+const SHALLOW_RENDERER_MODULE = 'react-test-renderer/shallow';
+const MODULES = TEST_UTILS_MODULES.concat(TEST_RENDERER_MODULE, SHALLOW_RENDERER_MODULE);
+
+// Test utils that query the DOM nodes of a rendered tree.
+const DOM_QUERIES = {
+  findRenderedDOMComponentWithClass: {byClass: true, all: false},
+  findRenderedDOMComponentWithTag: {byClass: false, all: false},
+  scryRenderedDOMComponentsWithClass: {byClass: true, all: true},
+  scryRenderedDOMComponentsWithTag: {byClass: false, all: true},
+};
+
+// Implicit ARIA roles that no other tag has, so that a query by role finds
+// the same nodes as the query by tag. Headings are queried by level too.
+const TAG_ROLES = {
+  li: 'listitem',
+  table: 'table',
+};
+
+const TODO = 'TODO: Migrate to React Testing Library';
+
+/**
+ * const tree = TestUtils.renderIntoDocument(<Form />);
+ * const table = TestUtils.findRenderedDOMComponentWithTag(tree, 'table');
+ * const button = TestUtils.findRenderedDOMComponentWithTag(tree, 'button');
+ * const errors = TestUtils.scryRenderedDOMComponentsWithClass(tree, 'error');
+ * TestUtils.Simulate.click(button);
+ *
+ * -->
+ *
+ * const {container} = render(<Form />);
+ * const table = within(container).getByRole('table');
+ * const button = container.querySelector('button');
+ * const errors = Array.from(container.querySelectorAll('.error'));
+ * fireEvent.click(button);
+ *
+ * `react-test-renderer` trees become `render` results too: `toJSON()` is the
+ * first node of the container, `update` is `rerender` and `unmount` is
+ * `unmount`. Trees used as component instances (`tree.state`,
+ * `findRenderedComponentWithType`...) and shallow renderers have no
+ * equivalent; they are left alone with a TODO comment.
+ */
+module.exports = function(file, api, options) {
+  options = config.getOptions('test-utils-to-testing-library', file, options);
+  const j = parser.withParser(api.jscodeshift, file, options);
+  const ReactUtils = require('./utils/ReactUtils')(j);
+  const {
+    isReference,
+    isRequire,
+    isRequireOf,
+    removeDeclarator,
+    removeStatement,
+  } = require('./utils/ASTUtils')(j);
+  const diagnostics = require('./utils/diagnostics')(file, options);
+
+  const printOptions = options.printOptions || {
+    quote: 'single',
+    trailingComma: true,
+  };
+
+  const root = j(file.source);
+
+  if (!MODULES.some(moduleName => ReactUtils.usesModule(root, moduleName))) {
+    return null;
+  }
+
+  const reportSkipped = (name, node, rule, reason) =>
+    diagnostics.reportSkipped('Render', {node, component: name, rule, reason});
+
+  // ---------------------------------------------------------------------------
+  // AST helpers
+
+  const isStringLiteral = node =>
+    node && node.type === 'Literal' && typeof node.value === 'string';
+
+  const findReferences = (name, declaration) =>
+    root
+      .find(j.Identifier, {name})
+      .filter(p => p.value !== declaration && isReference(p));
+
+  // Whether `name` is declared anywhere in the file, other than by an import
+  // of `moduleName`.
+  const isDeclared = (name, moduleName) =>
+    root
+      .find(j.Identifier, {name})
+      .filter(p => {
+        const parent = p.parent.value;
+        if (parent.type === 'ImportSpecifier' || parent.type === 'ImportDefaultSpecifier') {
+          return p.parent.parent.value.source.value !== moduleName;
+        }
+        return (
+          (parent.type === 'VariableDeclarator' && parent.id === p.value) ||
+          (parent.type === 'FunctionDeclaration' && parent.id === p.value) ||
+          (parent.type === 'ClassDeclaration' && parent.id === p.value) ||
+          (parent.type === 'Property' && parent.value === p.value && p.parent.parent.value.type === 'ObjectPattern') ||
+          parent.type === 'ImportNamespaceSpecifier' ||
+          (parent.params && parent.params.indexOf(p.value) !== -1)
+        );
+      })
+      .size() > 0;
+
+  const getStatement = path => {
+    let current = path;
+    while (current && !j.Statement.check(current.value)) {
+      current = current.parent;
+    }
+    return current;
+  };
+
+  // Adds `// TODO: Migrate to React Testing Library: <reason>` above the
+  // statement of `path`, once.
+  const addTodo = (path, reason) => {
+    const statement = getStatement(path).value;
+    const text = ` ${TODO}: ${reason}`;
+    const comments = statement.comments || [];
+    if (!comments.some(comment => comment.leading && comment.value === text)) {
+      statement.comments = comments.concat(j.commentLine(text, true, false));
+    }
+  };
+
+  // ---------------------------------------------------------------------------
+  // Bindings of the test utils
+
+  // Names of the modules as a whole (`TestUtils`, `TestRenderer`...), and of
+  // their members imported or destructured by name, by module.
+  const namespaceNames = {};
+  const memberNames = {};
+
+  const findBindings = () => {
+    MODULES.forEach(moduleName => {
+      namespaceNames[moduleName] = [];
+      memberNames[moduleName] = {};
+    });
+    root.find(j.ImportDeclaration).forEach(path => {
+      const moduleName = path.value.source.value;
+      if (MODULES.indexOf(moduleName) === -1) {
+        return;
+      }
+      path.value.specifiers.forEach(specifier => {
+        if (specifier.type === 'ImportSpecifier') {
+          memberNames[moduleName][specifier.local.name] = specifier.imported.name;
+        } else {
+          namespaceNames[moduleName].push(specifier.local.name);
+        }
+      });
+    });
+    root
+      .find(j.VariableDeclarator)
+      .filter(path => path.value.init && MODULES.some(moduleName => isRequireOf(path.value.init, moduleName)))
+      .forEach(path => {
+        const moduleName = path.value.init.arguments[0].value;
+        if (path.value.id.type === 'Identifier') {
+          namespaceNames[moduleName].push(path.value.id.name);
+        }
+      });
+    // const {Simulate} = require('react-dom/test-utils'), or = TestUtils.
+    root
+      .find(j.VariableDeclarator, {id: {type: 'ObjectPattern'}})
+      .filter(path => path.value.init)
+      .forEach(path => {
+        const {init} = path.value;
+        const moduleName = MODULES.find(name =>
+          isRequireOf(init, name) ||
+          (init.type === 'Identifier' && namespaceNames[name].indexOf(init.name) !== -1)
+        );
+        if (!moduleName) {
+          return;
+        }
+        path.value.id.properties
+          .filter(property =>
+            property.type === 'Property' &&
+            !property.computed &&
+            property.key.type === 'Identifier' &&
+            property.value.type === 'Identifier'
+          )
+          .forEach(property => {
+            memberNames[moduleName][property.value.name] = property.key.name;
+          });
+      });
+  };
+
+  // The member of one of `moduleNames` that `node` refers to (`renderIntoDocument`
+  // for `TestUtils.renderIntoDocument` or an imported `renderIntoDocument`).
+  const memberOf = (node, moduleNames) => {
+    for (const moduleName of moduleNames) {
+      if (
+        node.type === 'MemberExpression' &&
+        !node.computed &&
+        node.object.type === 'Identifier' &&
+        namespaceNames[moduleName].indexOf(node.object.name) !== -1
+      ) {
+        return node.property.name;
+      }
+      if (node.type === 'Identifier' && memberNames[moduleName].hasOwnProperty(node.name)) {
+        return memberNames[moduleName][node.name];
+      }
+    }
+    return null;
+  };
+
+  const testUtilOf = node => memberOf(node, TEST_UTILS_MODULES);
+
+  // ---------------------------------------------------------------------------
+  // Names from React Testing Library
+
+  // Names used from React Testing Library, to be imported.
+  const usedNames = [];
+  const use = name => {
+    if (usedNames.indexOf(name) === -1) {
+      usedNames.push(name);
+    }
+    return j.identifier(name);
+  };
+
+  // `render`, `fireEvent` and `within` can be used unless something else in
+  // the file already has their name.
+  const canUse = name => !isDeclared(name, MODULE_NAME);
+
+  // Names bound by the `render` results we destructure, by scope.
+  const boundNames = new Map();
+
+  const isBound = (scope, name) =>
+    (scope && scope.lookup(name)) ||
+    (boundNames.get(scope) || []).indexOf(name) !== -1;
+
+  const bind = (scope, names) => {
+    boundNames.set(scope, (boundNames.get(scope) || []).concat(names));
+  };
+
+  const addImport = () => {
+    const names = usedNames.slice().sort();
+    const existing = root.find(j.ImportDeclaration, {source: {value: MODULE_NAME}});
+    if (existing.size()) {
+      const declaration = existing.get().value;
+      const imported = declaration.specifiers.map(specifier => specifier.local.name);
+      declaration.specifiers = declaration.specifiers.concat(
+        names
+          .filter(name => imported.indexOf(name) === -1)
+          .map(name => j.importSpecifier(j.identifier(name)))
+      );
+      return;
+    }
+
+    const program = root.find(j.Program).get();
+    const body = program.value.body;
+    let statement;
+    let statements;
+    if (root.find(j.ImportDeclaration, {importKind: 'value'}).size()) {
+      statement = j.importDeclaration(
+        names.map(name => j.importSpecifier(j.identifier(name))),
+        j.literal(MODULE_NAME)
+      );
+      statements = body
+        .filter(node => node.type === 'ImportDeclaration')
+        .map(node => ({node, source: node.source.value}));
+    } else {
+      const kind = root.find(j.VariableDeclaration, {kind: 'const'}).size() ? 'const' : 'var';
+      statement = j.template.statement([`${kind} {${names.join(', ')}} = require('${MODULE_NAME}');\n`]);
+      statements = body
+        .filter(node =>
+          node.type === 'VariableDeclaration' &&
+          node.declarations.length === 1 &&
+          isRequire(node.declarations[0].init)
+        )
+        .map(node => ({node, source: node.declarations[0].init.arguments[0].value}));
+    }
+
+    // Before the first module that sorts after it, or after the last one.
+    const next = statements.find(s => s.source.toLowerCase() > MODULE_NAME);
+    if (next) {
+      const index = body.indexOf(next.node);
+      // If there is a leading comment, retain it
+      if (index === 0 && next.node.comments) {
+        statement.comments = next.node.comments;
+        next.node.comments = null;
+      }
+      body.splice(index, 0, statement);
+    } else if (statements.length) {
+      body.splice(body.indexOf(statements[statements.length - 1].node) + 1, 0, statement);
+    } else {
+      body.unshift(statement);
+    }
+  };
+
+  // Removes the imports and requires of `moduleNames` that are no longer used.
+  const removeUnusedImports = moduleNames => {
+    const isUsed = node => findReferences(node.name, node).size() > 0;
+
+    root
+      .find(j.ImportDeclaration)
+      .filter(path => moduleNames.indexOf(path.value.source.value) !== -1)
+      .forEach(path => {
+        const specifiers = path.value.specifiers.filter(specifier => isUsed(specifier.local));
+        if (specifiers.length !== path.value.specifiers.length) {
+          path.value.specifiers = specifiers;
+          if (!specifiers.length) {
+            removeStatement(path);
+          }
+        }
+      });
+    root
+      .find(j.VariableDeclarator, {id: {type: 'ObjectPattern'}})
+      .filter(path => moduleNames.some(moduleName => isRequireOf(path.value.init, moduleName)))
+      .forEach(path => {
+        const properties = path.value.id.properties.filter(property =>
+          property.type !== 'Property' || property.value.type !== 'Identifier' || isUsed(property.value)
+        );
+        if (properties.length !== path.value.id.properties.length) {
+          path.value.id.properties = properties;
+          if (!properties.length) {
+            removeDeclarator(path);
+          }
+        }
+      });
+    root
+      .find(j.VariableDeclarator, {id: {type: 'Identifier'}})
+      .filter(path =>
+        moduleNames.some(moduleName => isRequireOf(path.value.init, moduleName)) &&
+        !isUsed(path.value.id)
+      )
+      .forEach(removeDeclarator);
+  };
+
+  // ---------------------------------------------------------------------------
+  // Rendered trees
+
+  const isFindDOMNode = node =>
+    (node.type === 'Identifier' && node.name === 'findDOMNode') ||
+    (node.type === 'MemberExpression' && !node.computed && node.property.name === 'findDOMNode');
+
+  // `renderIntoDocument(element)` or `TestRenderer.create(element)`.
+  const isRenderCall = node =>
+    node.type === 'CallExpression' &&
+    node.arguments.length === 1 &&
+    (
+      testUtilOf(node.callee) === 'renderIntoDocument' ||
+      memberOf(node.callee, [TEST_RENDERER_MODULE]) === 'create'
+    );
+
+  // `'table'` -> `within(container).getByRole('table')`, `'error'` ->
+  // `container.querySelector('.error')`...
+  const buildQuery = (query, value, resultOf) => {
+    const tag = !query.byClass && value.trim();
+    const isHeading = /^h[1-6]$/.test(tag);
+    if (tag && (TAG_ROLES.hasOwnProperty(tag) || isHeading) && canUse('within')) {
+      const args = isHeading ?
+        [j.literal('heading'), j.template.expression([`({level: ${tag[1]}})`])] :
+        [j.literal(TAG_ROLES[tag])];
+      return j.callExpression(
+        j.memberExpression(
+          j.callExpression(use('within'), [resultOf('container')]),
+          j.identifier(query.all ? 'queryAllByRole' : 'getByRole')
+        ),
+        args
+      );
+    }
+    const selector = query.byClass ?
+      value.trim().split(/\s+/).map(className => `.${className}`).join('') :
+      tag;
+    const nodes = j.callExpression(
+      j.memberExpression(resultOf('container'), j.identifier(query.all ? 'querySelectorAll' : 'querySelector')),
+      [j.literal(selector)]
+    );
+    return query.all ?
+      j.callExpression(j.memberExpression(j.identifier('Array'), j.identifier('from')), [nodes]) :
+      nodes;
+  };
+
+  const containerFirstChild = resultOf =>
+    j.memberExpression(resultOf('container'), j.identifier('firstChild'));
+
+  /**
+   * How the rendered tree at `path` is used, as `{path, names, build}`: `build`
+   * returns what replaces the node at `path`, given a function that returns
+   * one of the `names` of the `render` result. Returns null when the tree is
+   * used in a way that has no equivalent.
+   */
+  const getTreeUse = path => {
+    const parent = path.parent.value;
+    const node = path.value;
+    if (parent.type === 'CallExpression' && parent.arguments[0] === node) {
+      const query = DOM_QUERIES[testUtilOf(parent.callee)];
+      const value = parent.arguments[1];
+      if (
+        query &&
+        parent.arguments.length === 2 &&
+        isStringLiteral(value) &&
+        /^[\w-]+(\s+[\w-]+)*$/.test(value.value.trim())
+      ) {
+        return {
+          path: path.parent,
+          names: ['container'],
+          build: resultOf => buildQuery(query, value.value, resultOf),
+        };
+      }
+      if (isFindDOMNode(parent.callee) && parent.arguments.length === 1) {
+        return {path: path.parent, names: ['container'], build: containerFirstChild};
+      }
+      return null;
+    }
+    const call = path.parent.parent.value;
+    if (
+      parent.type !== 'MemberExpression' ||
+      parent.object !== node ||
+      parent.computed ||
+      call.type !== 'CallExpression' ||
+      call.callee !== parent
+    ) {
+      return null;
+    }
+    switch (parent.property.name) {
+      case 'toJSON':
+        return call.arguments.length ?
+          null :
+          {path: path.parent.parent, names: ['container'], build: containerFirstChild};
+      case 'unmount':
+        return {
+          path: path.parent.parent,
+          names: ['unmount'],
+          build: resultOf => j.callExpression(resultOf('unmount'), call.arguments),
+        };
+      case 'update':
+        return {
+          path: path.parent.parent,
+          names: ['rerender'],
+          build: resultOf => j.callExpression(resultOf('rerender'), call.arguments),
+        };
+      default:
+        return null;
+    }
+  };
+
+  const getUnsupportedReason = (name, path) => {
+    const parent = path.parent.value;
+    if (parent.type === 'CallExpression' && parent.arguments[0] === path.value) {
+      const util = testUtilOf(parent.callee);
+      if (DOM_QUERIES.hasOwnProperty(util)) {
+        return `\`${util}\` is called with a class or tag that is not a string literal.`;
+      }
+      if (util) {
+        return `\`${util}\` needs a component instance.`;
+      }
+    }
+    return `\`${name}\` is used as a component instance.`;
+  };
+
+  // Builds `{container, unmount}`, parsed rather than built so that it is
+  // printed on one line.
+  const buildPattern = names =>
+    j.template.statement([`const {${names.join(', ')}} = render();`]).declarations[0].id;
+
+  const migrateRenderCall = path => {
+    const parent = path.parent.value;
+    const call = path.value;
+    const name = parent.type === 'VariableDeclarator' && parent.id.type === 'Identifier' ?
+      parent.id.name :
+      'render';
+
+    if (!canUse('render')) {
+      reportSkipped(name, call, 'name-conflict', '`render` is already defined.');
+      return false;
+    }
+
+    // render(<Foo />);
+    if (parent.type === 'ExpressionStatement') {
+      call.callee = use('render');
+      return true;
+    }
+
+    // render(<Foo />).container.firstChild
+    if (parent.type !== 'VariableDeclarator') {
+      const treeUse = getTreeUse(path);
+      if (!treeUse) {
+        const reason = getUnsupportedReason('render', path);
+        reportSkipped(name, call, 'instance-access', reason);
+        addTodo(path, reason);
+        return true;
+      }
+      call.callee = use('render');
+      j(treeUse.path).replaceWith(treeUse.build(result => j.memberExpression(call, j.identifier(result))));
+      return true;
+    }
+
+    // const {container} = render(<Foo />);
+    if (parent.id.type !== 'Identifier') {
+      return false;
+    }
+    const scope = path.parent.scope;
+    const references = findReferences(name, parent.id)
+      .filter(p => !p.scope || p.scope.lookup(name) === scope)
+      .paths();
+    const uses = references.map(getTreeUse);
+    const unsupported = references.filter((reference, index) => !uses[index]);
+    if (unsupported.length) {
+      unsupported.forEach(reference => {
+        const reason = getUnsupportedReason(name, reference);
+        reportSkipped(name, reference.value, 'instance-access', reason);
+        addTodo(reference, reason);
+      });
+      return true;
+    }
+
+    const names = [];
+    uses.forEach(treeUse => treeUse.names.forEach(result => {
+      if (names.indexOf(result) === -1) {
+        names.push(result);
+      }
+    }));
+    const conflict = names.find(result => isBound(scope, result));
+    if (conflict) {
+      reportSkipped(name, call, 'name-conflict', `\`${conflict}\` is already defined.`);
+      return false;
+    }
+
+    call.callee = use('render');
+    uses.forEach(treeUse => j(treeUse.path).replaceWith(treeUse.build(result => j.identifier(result))));
+    const declaration = path.parent.parent;
+    if (names.length) {
+      parent.id = buildPattern(names);
+      bind(scope, names);
+    } else if (declaration.value.declarations.length === 1) {
+      const statement = j.expressionStatement(call);
+      statement.comments = declaration.value.comments;
+      j(declaration).replaceWith(statement);
+    }
+    return true;
+  };
+
+  const migrateRenderCalls = () => {
+    let hasModifications = false;
+    // Innermost calls first, so that the trees used by outer calls are already
+    // `render` results.
+    root
+      .find(j.CallExpression)
+      .filter(path => isRenderCall(path.value))
+      .paths()
+      .reverse()
+      .forEach(path => {
+        hasModifications = migrateRenderCall(path) || hasModifications;
+      });
+    return hasModifications;
+  };
+
+  // ---------------------------------------------------------------------------
+  // `Simulate`
+
+  // `renderIntoDocument(<Form />)` and `findRenderedComponentWithType(tree,
+  // Input)` return component instances rather than DOM nodes.
+  const isInstanceCall = node =>
+    node.type === 'CallExpression' &&
+    (isRenderCall(node) || testUtilOf(node.callee) === 'findRenderedComponentWithType');
+
+  // Whether the variable `path` reads is set to a component instance, like
+  // `form` in `const form = renderIntoDocument(<Form />)`.
+  const isInstance = path => {
+    const name = path.value.name;
+    const scope = path.scope && path.scope.lookup(name);
+    if (path.value.type !== 'Identifier' || !scope) {
+      return false;
+    }
+    const isSameVariable = p => p.scope && p.scope.lookup(name) === scope;
+    return root
+      .find(j.VariableDeclarator, {id: {name}, init: isInstanceCall})
+      .filter(isSameVariable)
+      .size() > 0 ||
+      root
+        .find(j.AssignmentExpression, {left: {type: 'Identifier', name}, right: isInstanceCall})
+        .filter(isSameVariable)
+        .size() > 0;
+  };
+
+  // TestUtils.Simulate.click(node) -> fireEvent.click(node)
+  const migrateSimulate = () => {
+    const calls = root
+      .find(j.CallExpression, {callee: {type: 'MemberExpression', computed: false}})
+      .filter(path => testUtilOf(path.value.callee.object) === 'Simulate')
+      .filter(path => {
+        if (!path.value.arguments.length || !isInstance(path.get('arguments', 0))) {
+          return true;
+        }
+        reportSkipped(
+          path.value.arguments[0].name,
+          path.value,
+          'instance-access',
+          `\`${path.value.arguments[0].name}\` is a component instance, not a DOM node.`
+        );
+        return false;
+      });
+    if (!calls.size()) {
+      return false;
+    }
+    if (!canUse('fireEvent')) {
+      calls.forEach(path => reportSkipped(
+        'Simulate',
+        path.value,
+        'name-conflict',
+        '`fireEvent` is already defined.'
+      ));
+      return false;
+    }
+    calls.forEach(path => {
+      path.value.callee.object = use('fireEvent');
+    });
+    return true;
+  };
+
+  // ---------------------------------------------------------------------------
+  // Shallow renderers
+
+  const SHALLOW_REASON = 'Shallow rendering has no equivalent; render the whole tree instead.';
+  const INSTANCE_REASON = '`getMountedInstance` returns a component instance.';
+
+  const isShallowRenderer = node =>
+    (
+      node.type === 'CallExpression' &&
+      (
+        testUtilOf(node.callee) === 'createRenderer' ||
+        memberOf(node.callee, [SHALLOW_RENDERER_MODULE]) === 'createRenderer'
+      )
+    ) ||
+    (
+      node.type === 'NewExpression' &&
+      node.callee.type === 'Identifier' &&
+      namespaceNames[SHALLOW_RENDERER_MODULE].indexOf(node.callee.name) !== -1
+    );
+
+  const isGetMountedInstance = node =>
+    node.type === 'CallExpression' &&
+    node.callee.type === 'MemberExpression' &&
+    !node.callee.computed &&
+    node.callee.property.name === 'getMountedInstance';
+
+  const markShallowRenderers = () => {
+    let hasModifications = false;
+    root
+      .find(j.Node, node => isShallowRenderer(node) || isGetMountedInstance(node))
+      .forEach(path => {
+        const isInstance = isGetMountedInstance(path.value);
+        const reason = isInstance ? INSTANCE_REASON : SHALLOW_REASON;
+        const {callee} = path.value;
+        let name = 'shallow';
+        if (isInstance && callee.object.type === 'Identifier') {
+          name = callee.object.name;
+        } else if (path.parent.value.type === 'VariableDeclarator' && path.parent.value.id.type === 'Identifier') {
+          name = path.parent.value.id.name;
+        }
+        reportSkipped(name, path.value, isInstance ? 'instance-access' : 'shallow-renderer', reason);
+        addTodo(path, reason);
+        hasModifications = true;
+      });
+    return hasModifications;
+  };
+
+  findBindings();
+
+  let hasModifications = migrateSimulate();
+  hasModifications = migrateRenderCalls() || hasModifications;
+  hasModifications = markShallowRenderers() || hasModifications;
+
+  if (!hasModifications) {
+    return null;
+  }
+
+  if (usedNames.length) {
+    addImport();
+    removeUnusedImports(MODULES.concat('react-dom'));
+  }
+
+  return root.toSource(printOptions);
+};
+
+module.exports.options = [
+  {
+    name: 'silenceWarnings',
+    type: 'boolean',
+    default: false,
+    description: 'Do not warn about code that cannot be migrated.',
+  },
+  sharedOptions.printOptions,
+];
@@ -0,0 +1,234 @@
+/**
+ * Copyright 2013-2015, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ */
+
+'use strict';
+
+const config = require('./utils/config');
+const parser = require('./utils/parser');
+const sharedOptions = require('./utils/options');
+
+const REACT_MODULE = 'react';
+
+// A custom pragma (`@jsx`, `@jsxFrag`) may need `React` in scope, and the new
+// JSX runtime doesn't apply to these files, nor to `@jsxRuntime classic` ones.
+const JSX_PRAGMA = /@jsx(Runtime\s+classic|Frag)?\b/;
+
+/**
+ * With the automatic JSX runtime, JSX no longer needs `React` in scope:
+ *
+ * import React from 'react';
+ *
+ * const App = () => {
+ *   const [count, setCount] = React.useState(0);
+ *   return <React.Fragment>{count}</React.Fragment>;
+ * };
+ *
+ * -->
+ *
+ * import {Fragment, useState} from 'react';
+ *
+ * const App = () => {
+ *   const [count, setCount] = useState(0);
+ *   return <Fragment>{count}</Fragment>;
+ * };
+ *
+ * Works for `import React`, `import * as React` and `require('react')`,
+ * under any name. Bindings that are used other than to read members of React
+ * (`React.Children` passed around, `React.Node` types...) are left alone.
+ */
+module.exports = function(file, api, options) {
+  options = config.getOptions('update-react-imports', file, options);
+  const j = parser.withParser(api.jscodeshift, file, options);
+  const {isReference, isRequireOf, removeStatement} = require('./utils/ASTUtils')(j);
+
+  const printOptions = options.printOptions || {
+    quote: 'single',
+    trailingComma: true,
+  };
+
+  if (JSX_PRAGMA.test(file.source)) {
+    return null;
+  }
+
+  const root = j(file.source);
+
+  // ---------------------------------------------------------------------------
+  // AST helpers
+
+  const isModuleScope = (path, name) => {
+    const scope = path.scope && path.scope.lookup(name);
+    return !scope || scope.isGlobal;
+  };
+
+  // ---------------------------------------------------------------------------
+  // Bindings of `react`
+
+  const findImports = () =>
+    root.find(j.ImportDeclaration, {source: {value: REACT_MODULE}})
+      .filter(p => p.value.importKind !== 'type' && p.value.importKind !== 'typeof');
+
+  const findRequires = () =>
+    root
+      .find(j.VariableDeclarator)
+      .filter(p => isRequireOf(p.value.init, REACT_MODULE) && p.parent.parent.value.type === 'Program');
+
+  // `React` in `import React`, `import * as React` or `const React = require()`.
+  const findModuleBindings = () => {
+    const bindings = [];
+    findImports().forEach(p => {
+      p.value.specifiers.forEach(specifier => {
+        if (specifier.type !== 'ImportSpecifier') {
+          bindings.push({name: specifier.local.name, node: specifier.local, path: p});
+        }
+      });
+    });
+    findRequires().forEach(p => {
+      if (p.value.id.type === 'Identifier') {
+        bindings.push({name: p.value.id.name, node: p.value.id, path: p});
+      }
+    });
+    return bindings;
+  };
+
+  // The local names of members that are already imported, by member name.
+  const findNamedImports = () => {
+    const names = {};
+    findImports().forEach(p => {
+      p.value.specifiers
+        .filter(specifier => specifier.type === 'ImportSpecifier')
+        .forEach(specifier => {
+          names[specifier.imported.name] = specifier.local.name;
+        });
+    });
+    findRequires().forEach(p => {
+      if (p.value.id.type === 'ObjectPattern') {
+        p.value.id.properties
+          .filter(property =>
+            property.type === 'Property' && !property.computed && property.value.type === 'Identifier'
+          )
+          .forEach(property => {
+            names[property.key.name] = property.value.name;
+          });
+      }
+    });
+    return names;
+  };
+
+  // The members of React read through `binding` (`React.useState`,
+  // `<React.Fragment>`), as `[{path, member}]`, or null if it is used in any
+  // other way.
+  const findMemberReads = binding => {
+    const uses = root
+      .find(j.Identifier, {name: binding.name})
+      .filter(p => p.value !== binding.node && isReference(p) && isModuleScope(p, binding.name))
+      .paths();
+    const reads = [];
+    for (const path of uses) {
+      const parent = path.parent.value;
+      const grandparent = path.parent.parent.value;
+      const isRead = (
+        parent.type === 'MemberExpression' &&
+        !parent.computed &&
+        !(grandparent.type === 'AssignmentExpression' && grandparent.left === parent) &&
+        grandparent.type !== 'UpdateExpression' &&
+        !(grandparent.type === 'UnaryExpression' && grandparent.operator === 'delete')
+      ) || parent.type === 'JSXMemberExpression';
+      if (!isRead) {
+        return null;
+      }
+      reads.push({path: path.parent, member: parent.property.name});
+    }
+    return reads;
+  };
+
+  // Whether `name` can be used for a named import without shadowing or being
+  // shadowed by anything in the file.
+  const isFree = name =>
+    root
+      .find(j.Identifier, {name})
+      .filter(isReference)
+      .size() === 0;
+
+  // ---------------------------------------------------------------------------
+  // Conversion
+
+  const addNamedImports = (binding, members) => {
+    const path = binding.path;
+    if (path.value.type === 'VariableDeclarator') {
+      if (!members.length) {
+        const declaration = path.parent;
+        if (declaration.value.declarations.length === 1) {
+          removeStatement(declaration);
+        } else {
+          j(path).remove();
+        }
+        return;
+      }
+      // const {useState} = require('react');
+      path.value.id = j.objectPattern(members.map(member => {
+        const property = j.property('init', j.identifier(member), j.identifier(member));
+        property.shorthand = true;
+        return property;
+      }));
+      return;
+    }
+
+    const specifiers = path.value.specifiers.filter(specifier => specifier.type === 'ImportSpecifier');
+    const others = findImports().filter(p => p.value !== path.value && p.value.specifiers.every(
+      specifier => specifier.type === 'ImportSpecifier'
+    ));
+    const added = members.map(member => j.importSpecifier(j.identifier(member)));
+    if (others.size() && (added.length || !specifiers.length)) {
+      // Keep them together with the other named imports.
+      others.get().value.specifiers = others.get().value.specifiers.concat(specifiers, added);
+      removeStatement(path);
+    } else if (specifiers.length || added.length) {
+      path.value.specifiers = specifiers.concat(added);
+    } else {
+      removeStatement(path);
+    }
+  };
+
+  const convertBinding = binding => {
+    const reads = findMemberReads(binding);
+    if (!reads) {
+      return false;
+    }
+    const namedImports = findNamedImports();
+    const members = reads
+      .map(read => read.member)
+      .filter((member, index, all) => all.indexOf(member) === index)
+      .sort();
+    const added = members.filter(member => !namedImports.hasOwnProperty(member));
+    if (added.some(member => !isFree(member))) {
+      return false;
+    }
+
+    reads.forEach(read => {
+      const name = namedImports[read.member] || read.member;
+      j(read.path).replaceWith(
+        read.path.value.type === 'JSXMemberExpression' ? j.jsxIdentifier(name) : j.identifier(name)
+      );
+    });
+    addNamedImports(binding, added);
+    return true;
+  };
+
+  let hasModifications = false;
+  findModuleBindings().forEach(binding => {
+    hasModifications = convertBinding(binding) || hasModifications;
+  });
+
+  return hasModifications ? root.toSource(printOptions) : null;
+};
+
+module.exports.options = [
+  sharedOptions.printOptions,
+];
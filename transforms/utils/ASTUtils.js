@@ -0,0 +1,95 @@
+/**
+ * Copyright 2013-2015, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ */
+
+'use strict';
+
+/**
+ * Helpers to find the uses of variables and to remove the statements that
+ * declare them.
+ */
+module.exports = function(j) {
+  // `require('some-module')`
+  const isRequire = node =>
+    node &&
+    node.type === 'CallExpression' &&
+    node.callee.type === 'Identifier' &&
+    node.callee.name === 'require' &&
+    node.arguments.length === 1 &&
+    node.arguments[0].type === 'Literal' &&
+    typeof node.arguments[0].value === 'string';
+
+  // `require('react')` for `'react'` or `['react', 'react-dom']`.
+  const isRequireOf = (node, moduleNames) =>
+    isRequire(node) && [].concat(moduleNames).indexOf(node.arguments[0].value) !== -1;
+
+  // `<Foo />` and `<Foo.Bar />` read `Foo`, `<div foo="" />` doesn't.
+  const isJSXReference = path => {
+    const parent = path.parent.value;
+    return parent.type === 'JSXMemberExpression' ?
+      parent.object === path.value :
+      (parent.type === 'JSXOpeningElement' || parent.type === 'JSXClosingElement') &&
+        !/^[a-z]/.test(path.value.name);
+  };
+
+  // Whether an identifier is a variable (and not a property name, a label...).
+  const isReference = path => {
+    const parent = path.parent.value;
+    const node = path.value;
+    if (node.type === 'JSXIdentifier') {
+      return isJSXReference(path);
+    }
+    switch (parent.type) {
+      case 'MemberExpression':
+        return parent.object === node || parent.computed;
+      case 'Property':
+        return parent.value === node || parent.computed;
+      case 'MethodDefinition':
+      case 'ClassProperty':
+        return parent.value === node || parent.computed;
+      case 'ImportSpecifier':
+        return parent.local === node;
+      case 'LabeledStatement':
+      case 'BreakStatement':
+      case 'ContinueStatement':
+        return false;
+      default:
+        return true;
+    }
+  };
+
+  // Removes a statement, keeping the comments above it.
+  const removeStatement = path => {
+    const comments = (path.value.comments || []).filter(comment => comment.leading);
+    const body = path.parent.value.body;
+    const next = body[body.indexOf(path.value) + 1];
+    if (comments.length && next) {
+      next.comments = comments.concat(next.comments || []);
+    }
+    j(path).remove();
+  };
+
+  // Removes a declarator, and its declaration if it was the only one.
+  const removeDeclarator = path => {
+    if (path.parent.value.declarations.length === 1) {
+      removeStatement(path.parent);
+    } else {
+      j(path).remove();
+    }
+  };
+
+  return {
+    isJSXReference,
+    isReference,
+    isRequire,
+    isRequireOf,
+    removeDeclarator,
+    removeStatement,
+  };
+};
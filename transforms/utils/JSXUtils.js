@@ -0,0 +1,255 @@
+/**
+ * Copyright 2013-2015, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ */
+
+'use strict';
+
+/**
+ * Turns calls that create elements (`React.createElement(type, props,
+ * ...children)`, `React.DOM.div(props, ...children)`...) into JSX.
+ */
+module.exports = function(j) {
+  const encodeJSXTextValue = value =>
+    value
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+
+  const canLiteralBePropString = node =>
+    node.raw.indexOf('\\') === -1 &&
+    node.value.indexOf('"') === -1;
+
+  const isReactSpread = expression =>
+    expression.type === 'CallExpression' &&
+    expression.callee.type === 'MemberExpression' &&
+    expression.callee.object.name === 'React' &&
+    expression.callee.property.name === '__spread';
+
+  const isObjectAssign = expression =>
+    expression.type === 'CallExpression' &&
+    expression.callee.type === 'MemberExpression' &&
+    expression.callee.object.name === 'Object' &&
+    expression.callee.property.name === 'assign';
+
+  const validSpreadTypes = [
+    'Identifier',
+    'MemberExpression',
+    'CallExpression',
+  ];
+
+  const convertExpressionToJSXAttributes = (expression) => {
+    if (!expression) {
+      return {
+        attributes: [],
+        extraComments: [],
+      };
+    }
+
+    if (isReactSpread(expression) || isObjectAssign(expression)) {
+      const resultAttributes = [];
+      const resultExtraComments = expression.comments || [];
+      const {callee} = expression;
+      for (const node of [callee, callee.object, callee.property]) {
+        resultExtraComments.push(...(node.comments || []));
+      }
+      expression.arguments.forEach((expression) => {
+        const {attributes, extraComments} = convertExpressionToJSXAttributes(expression);
+        resultAttributes.push(...attributes);
+        resultExtraComments.push(...extraComments);
+      });
+
+      return {
+        attributes: resultAttributes,
+        extraComments: resultExtraComments,
+      };
+    } else if (validSpreadTypes.indexOf(expression.type) != -1) {
+      return {
+        attributes: [j.jsxSpreadAttribute(expression)],
+        extraComments: [],
+      };
+    } else if (expression.type === 'ObjectExpression') {
+      const attributes = expression.properties.map((property) => {
+        // `SpreadElement` in newer ESTree versions
+        if (property.type === 'SpreadProperty' || property.type === 'SpreadElement') {
+          const spreadAttribute = j.jsxSpreadAttribute(property.argument);
+          spreadAttribute.comments = property.comments;
+          return spreadAttribute;
+        } else if (property.type === 'Property') {
+          const propertyValueType = property.value.type;
+
+          let value;
+          if (propertyValueType === 'Literal' &&
+              typeof property.value.value === 'string' &&
+              canLiteralBePropString(property.value)) {
+            value = j.literal(property.value.value);
+            value.comments = property.value.comments;
+          } else {
+            value = j.jsxExpressionContainer(property.value);
+          }
+
+          let jsxIdentifier;
+          if (property.key.type === 'Literal') {
+            jsxIdentifier = j.jsxIdentifier(property.key.value);
+          } else {
+            jsxIdentifier = j.jsxIdentifier(property.key.name);
+          }
+          jsxIdentifier.comments = property.key.comments;
+
+          const jsxAttribute = j.jsxAttribute(
+            jsxIdentifier,
+            value
+          );
+          jsxAttribute.comments = property.comments;
+          return jsxAttribute;
+        }
+        return null;
+      });
+
+      return {
+        attributes,
+        extraComments: expression.comments || [],
+      };
+    } else if (expression.type === 'Literal' && expression.value === null) {
+      return {
+        attributes: [],
+        extraComments: expression.comments || [],
+      };
+    } else {
+      throw new Error(`Unexpected attribute of type "${expression.type}"`);
+    }
+  };
+
+  const canConvertToJSXIdentifier = node =>
+    (node.type === 'Literal' && typeof node.value === 'string') ||
+    node.type === 'Identifier' ||
+    (node.type === 'MemberExpression' && !node.computed &&
+      canConvertToJSXIdentifier(node.object) && canConvertToJSXIdentifier(node.property));
+
+  const jsxIdentifierFor = node => {
+    let identifier;
+    let comments = node.comments || [];
+    if (node.type === 'Literal') {
+      identifier = j.jsxIdentifier(node.value);
+    } else if (node.type === 'MemberExpression') {
+      let {
+        identifier: objectIdentifier,
+        comments: objectComments
+      } = jsxIdentifierFor(node.object);
+      let {
+        identifier: propertyIdentifier,
+        comments: propertyComments
+      } = jsxIdentifierFor(node.property);
+      identifier = j.jsxMemberExpression(objectIdentifier, propertyIdentifier);
+      comments.push(...objectComments, ...propertyComments);
+    } else {
+      identifier = j.jsxIdentifier(node.name);
+    }
+    return {identifier, comments};
+  };
+
+  const isCapitalizationInvalid = (node) =>
+    (node.type === 'Literal' && !/^[a-z]/.test(node.value)) ||
+    (node.type === 'Identifier' && /^[a-z]/.test(node.name));
+
+  // Whether `convertExpressionToJSXAttributes` can turn `expression` into
+  // attributes, rather than throwing.
+  const canConvertExpressionToJSXAttributes = expression =>
+    !expression ||
+    (expression.type === 'Literal' && expression.value === null) ||
+    expression.type === 'ObjectExpression' ||
+    (
+      (isReactSpread(expression) || isObjectAssign(expression)) ?
+        expression.arguments.every(canConvertExpressionToJSXAttributes) :
+        validSpreadTypes.indexOf(expression.type) !== -1
+    );
+
+  /**
+   * Builds the JSX element for the call at `path`, whose props are its argument
+   * at `propsIndex` and children the arguments after it. `name` is the
+   * `{identifier, comments}` of the element, and `convertChild` turns a child
+   * argument path into JSX when it is itself an element call, or returns null.
+   */
+  const convertCallToJSX = (path, name, propsIndex, convertChild) => {
+    const comments = path.value.comments || [];
+    const {callee} = path.value;
+    for (const calleeNode of [callee, callee.object, callee.property]) {
+      for (const comment of (calleeNode && calleeNode.comments) || []) {
+        comment.leading = true;
+        comment.trailing = false;
+        comments.push(comment);
+      }
+    }
+
+    const args = path.value.arguments;
+    const props = args[propsIndex];
+
+    const {attributes, extraComments} = convertExpressionToJSXAttributes(props);
+
+    for (const comment of [...name.comments, ...extraComments]) {
+      comment.leading = false;
+      comment.trailing = true;
+      comments.push(comment);
+    }
+
+    const children = args.slice(propsIndex + 1).map((child, index) => {
+      const jsxChild = child.type === 'CallExpression' ?
+        convertChild(path.get('arguments', index + propsIndex + 1)) :
+        null;
+      if (child.type === 'Literal' &&
+          typeof child.value === 'string' &&
+          !child.comments &&
+          child.value !== '' &&
+          child.value.trim() === child.value) {
+        return j.jsxText(encodeJSXTextValue(child.value));
+      } else if (jsxChild) {
+        if (jsxChild.type !== 'JSXElement' || (jsxChild.comments || []).length > 0) {
+          return j.jsxExpressionContainer(jsxChild);
+        } else {
+          return jsxChild;
+        }
+      } else if (child.type === 'SpreadElement') {
+        return j.jsxExpressionContainer(child.argument);
+      } else {
+        return j.jsxExpressionContainer(child);
+      }
+    });
+
+    const openingElement = j.jsxOpeningElement(name.identifier, attributes);
+
+    if (children.length) {
+      const endIdentifier = Object.assign({}, name.identifier, {comments: []});
+      // Add text newline nodes between elements so recast formats one child per
+      // line instead of all children on one line.
+      const paddedChildren = [j.jsxText('\n')];
+      for (const child of children) {
+        paddedChildren.push(child, j.jsxText('\n'));
+      }
+      const element = j.jsxElement(
+        openingElement,
+        j.jsxClosingElement(endIdentifier),
+        paddedChildren
+      );
+      element.comments = comments;
+      return element;
+    } else {
+      openingElement.selfClosing = true;
+      const element = j.jsxElement(openingElement);
+      element.comments = comments;
+      return element;
+    }
+  };
+
+  return {
+    canConvertExpressionToJSXAttributes,
+    canConvertToJSXIdentifier,
+    convertCallToJSX,
+    convertExpressionToJSXAttributes,
+    isCapitalizationInvalid,
+    jsxIdentifierFor,
+  };
+};
@@ -38,6 +38,18 @@ module.exports = function(j) {
       .filter(declarator => declarator.value.source.value === module)
       .size() === 1;
 
+  // Checks if the file imports or requires a module at all, however many
+  // times.
+  const usesModule = (path, module) =>
+    path
+      .findVariableDeclarators()
+      .filter(j.filters.VariableDeclarator.requiresModule(module))
+      .size() > 0 ||
+    path
+      .find(j.ImportDeclaration)
+      .filter(declaration => declaration.value.source.value === module)
+      .size() > 0;
+
   const hasReact = path => (
     hasModule(path, 'React') ||
     hasModule(path, 'react') ||
@@ -45,6 +57,26 @@ module.exports = function(j) {
     hasModule(path, 'react-native')
   );
 
+  // The name React is bound to by `import React from 'react'`,
+  // `import * as React from 'react'` or `const React = require('react')`,
+  // or null.
+  const findReactName = path => {
+    const specifiers = path
+      .find(j.ImportDeclaration)
+      .filter(p => p.value.source.value === 'react' || p.value.source.value === 'React')
+      .find(j.Node, node =>
+        node.type === 'ImportDefaultSpecifier' || node.type === 'ImportNamespaceSpecifier'
+      );
+    if (specifiers.size()) {
+      return specifiers.get().value.local.name;
+    }
+    const declarators = path
+      .findVariableDeclarators()
+      .filter(j.filters.VariableDeclarator.requiresModule(['react', 'React']))
+      .filter(p => p.value.id.type === 'Identifier');
+    return declarators.size() ? declarators.get().value.id.name : null;
+  };
+
   // ---------------------------------------------------------------------------
   // Finds all variable declarations that call React.createClass
   const findReactCreateClassCallExpression = path =>
@@ -281,9 +313,11 @@ module.exports = function(j) {
     getReactCreateClassSpec,
     getClassExtendReactSpec,
     hasMixins,
+    findReactName,
     hasModule,
     hasReact,
     isMixinProperty,
+    usesModule,
 
     // "direct" methods
     findAllReactCreateClassCalls,
@@ -0,0 +1,132 @@
+/**
+ * Copyright 2013-2015, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const coerceValue = require('./options').coerceValue;
+
+// Project config files, looked up from the directory of each transformed file
+// upwards. The first one found wins.
+const CONFIG_FILES = ['.reactcodemodrc', '.reactcodemodrc.json', '.reactcodemodrc.js'];
+
+/*
+ * A config file looks like
+ *
+ *   {
+ *     "parser": "flow",
+ *     "ignore": ["vendor/", "*.min.js"],
+ *     "options": {"printOptions": {"quote": "double"}},
+ *     "transforms": {
+ *       "class": {"create-class-variable-name": "createReactClass"},
+ *       "React-PropTypes-to-prop-types": {"module-name": "prop-types"}
+ *     }
+ *   }
+ *
+ * `options` apply to every transform that understands them, `transforms` to a
+ * single one. Options passed on the command line take precedence over both.
+ * `parser` and `ignore` are read by the `react-codemod` CLI.
+ */
+
+const configs = {};
+const configPaths = {};
+
+const loadConfig = configPath => {
+  if (!configs.hasOwnProperty(configPath)) {
+    let config;
+    try {
+      config = path.extname(configPath) === '.js' ?
+        require(configPath) :
+        JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (e) {
+      throw new Error('Unable to read ' + configPath + ': ' + e.message);
+    }
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error(configPath + ' must contain an object.');
+    }
+    configs[configPath] = config;
+  }
+  return configs[configPath];
+};
+
+/**
+ * Returns the path of the config file that applies to files in `directory`,
+ * or null if there is none.
+ */
+const findConfig = directory => {
+  if (!configPaths.hasOwnProperty(directory)) {
+    const configPath = CONFIG_FILES
+      .map(name => path.join(directory, name))
+      .find(file => fs.existsSync(file));
+    const parent = path.dirname(directory);
+    configPaths[directory] = configPath || (parent !== directory ? findConfig(parent) : null);
+  }
+  return configPaths[directory];
+};
+
+/**
+ * Returns the defaults a config sets for the given transform.
+ */
+const getTransformDefaults = (config, transformName) => Object.assign(
+  {},
+  config.options,
+  config.transforms && config.transforms[transformName]
+);
+
+/**
+ * Coerces config values to the types declared in the option schema of the
+ * transform, the way the CLI coerces command line values (e.g. `"false"` to
+ * `false`). Values that do not fit the schema are left as they are; the CLI
+ * reports them before running.
+ */
+const coerceDefaults = (transformName, defaults) => {
+  const transform = require(path.join(__dirname, '..', transformName));
+  const result = Object.assign({}, defaults);
+  (transform.options || []).forEach(option => {
+    if (result.hasOwnProperty(option.name)) {
+      const coerced = coerceValue(option, result[option.name]);
+      if (!coerced.error) {
+        result[option.name] = coerced.value;
+      }
+    }
+  });
+  return result;
+};
+
+/**
+ * Returns the options a transform should use for `file`: the ones it was
+ * given, on top of the defaults of the nearest config file. The `config`
+ * option points to a config file to use instead of looking one up.
+ */
+const getOptions = (transformName, file, options) => {
+  options = options || {};
+  const configPath = options.config ?
+    path.resolve(options.config) :
+    findConfig(path.dirname(path.resolve(file.path || '.')));
+  if (!configPath) {
+    return options;
+  }
+  return Object.assign(
+    coerceDefaults(
+      transformName,
+      getTransformDefaults(loadConfig(configPath), transformName)
+    ),
+    options
+  );
+};
+
+module.exports = {
+  CONFIG_FILES,
+  findConfig,
+  getOptions,
+  getTransformDefaults,
+  loadConfig,
+};
@@ -0,0 +1,154 @@
+/**
+ * Copyright 2013-2015, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// Files that are scanned for legacy context providers and consumers.
+const EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx'];
+
+/*
+ * jscodeshift transforms one file at a time, but converting legacy context
+ * needs to know about every provider and consumer of a context key. The index
+ * is built by scanning the whole project once per worker process:
+ *
+ *   {
+ *     theme: {providers: 1, skippedProviders: 0, consumers: 2, blocked: false},
+ *     ...
+ *   }
+ *
+ * `providers` only counts the providers that can be converted; the consumers
+ * of a key that also has `skippedProviders` are left alone, as they may be
+ * rendered below a provider that keeps using legacy context. `blocked` is set
+ * when a consumer of the key can't be converted, in which case the providers
+ * of the key keep providing it through legacy context too.
+ */
+
+const indexes = {};
+
+const findSourceFiles = dir => {
+  let files = [];
+  fs.readdirSync(dir).forEach(name => {
+    if (name === 'node_modules' || name[0] === '.') {
+      return;
+    }
+    const filePath = path.join(dir, name);
+    if (fs.statSync(filePath).isDirectory()) {
+      files = files.concat(findSourceFiles(filePath));
+    } else if (EXTENSIONS.indexOf(path.extname(name)) !== -1) {
+      files.push(filePath);
+    }
+  });
+  return files;
+};
+
+/**
+ * Returns the index of the legacy context keys used in `rootDir`.
+ * `analyzeFile(file)` is given `{path, source}` and returns the providers and
+ * consumers of the file as `{keys, convertible}` objects.
+ */
+const getIndex = (rootDir, analyzeFile) => {
+  if (indexes.hasOwnProperty(rootDir)) {
+    return indexes[rootDir];
+  }
+
+  const providers = [];
+  const consumers = [];
+  findSourceFiles(rootDir).forEach(filePath => {
+    const source = fs.readFileSync(filePath, 'utf8');
+    if (source.indexOf('contextTypes') === -1 && source.indexOf('ContextTypes') === -1) {
+      return;
+    }
+    let result;
+    try {
+      result = analyzeFile({path: filePath, source});
+    } catch (e) {
+      // Files that don't parse are reported when they are transformed.
+      return;
+    }
+    providers.push.apply(providers, result.providers);
+    consumers.push.apply(consumers, result.consumers);
+  });
+
+  const index = {};
+  const getEntry = key => {
+    if (!index.hasOwnProperty(key)) {
+      index[key] = {providers: 0, skippedProviders: 0, consumers: 0, blocked: false};
+    }
+    return index[key];
+  };
+  providers.forEach(provider => {
+    provider.keys.forEach(key => {
+      getEntry(key)[provider.convertible ? 'providers' : 'skippedProviders']++;
+    });
+  });
+  consumers.forEach(consumer => {
+    // A consumer is left alone if one of its keys has no provider, or one
+    // that can't be converted.
+    const isConverted = consumer.convertible && consumer.keys.every(key =>
+      index.hasOwnProperty(key) && index[key].providers > 0 && !index[key].skippedProviders
+    );
+    consumer.keys.forEach(key => {
+      const entry = getEntry(key);
+      entry.consumers++;
+      entry.blocked = entry.blocked || !isConverted;
+    });
+  });
+
+  indexes[rootDir] = index;
+  return index;
+};
+
+const mkdirp = dir => {
+  if (!fs.existsSync(dir)) {
+    mkdirp(path.dirname(dir));
+    fs.mkdirSync(dir);
+  }
+};
+
+/**
+ * Returns the source of the shared context module, with a `createContext`
+ * export for each of `names` that `source` (the current content of the
+ * module, if any) doesn't export yet.
+ */
+const getContextModuleSource = (names, source) => {
+  source = source || 'import React from \'react\';\n';
+  const missing = names.filter(name =>
+    !new RegExp('export const ' + name + '\\b').test(source)
+  );
+  if (!missing.length) {
+    return source;
+  }
+  return source.replace(/\n*$/, '\n\n') + missing.map(name =>
+    'export const ' + name + ' = React.createContext();\n'
+  ).join('');
+};
+
+/**
+ * Adds the contexts to the shared module at `modulePath`, creating it if
+ * needed.
+ */
+const writeContextModule = (modulePath, names) => {
+  const current = fs.existsSync(modulePath) ? fs.readFileSync(modulePath, 'utf8') : null;
+  const source = getContextModuleSource(names, current);
+  if (source !== current) {
+    mkdirp(path.dirname(modulePath));
+    fs.writeFileSync(modulePath, source);
+  }
+};
+
+module.exports = {
+  findSourceFiles,
+  getContextModuleSource,
+  getIndex,
+  writeContextModule,
+};
@@ -0,0 +1,77 @@
+/**
+ * Copyright 2013-2015, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ */
+
+'use strict';
+
+const fs = require('fs');
+
+/**
+ * Records why a transform skipped or could not fully convert something, so
+ * that a run over a big codebase can be summarized afterwards.
+ *
+ * Each entry looks like
+ *
+ *   {file, line, column, component, rule, severity, reason}
+ *
+ * where `rule` is a stable identifier (e.g. `inconvertible-mixins`) and
+ * `severity` is one of `skip`, `warning` or `error`.
+ *
+ * Transforms run in separate worker processes, so entries are appended as JSON
+ * lines to the file given by the `diagnostics-file` option, if any. The
+ * `react-codemod` CLI sets it when `--report` is used; with plain jscodeshift
+ * pass `--diagnostics-file=<path>`.
+ */
+module.exports = function(file, options) {
+  const diagnosticsFile = options && options['diagnostics-file'];
+  const entries = [];
+
+  // `entry.loc` stands in for nodes recast dropped the location of.
+  const locationOf = entry =>
+    entry.loc || (entry.node && entry.node.loc) || null;
+
+  const record = (severity, entry) => {
+    const loc = locationOf(entry);
+    const result = {
+      file: file.path || null,
+      line: loc ? loc.start.line : null,
+      column: loc ? loc.start.column : null,
+      component: entry.component || null,
+      rule: entry.rule,
+      severity,
+      reason: entry.reason,
+    };
+
+    entries.push(result);
+    if (diagnosticsFile) {
+      fs.appendFileSync(diagnosticsFile, JSON.stringify(result) + '\n');
+    }
+    return result;
+  };
+
+  // Records a skipped `entry` and, unless `silenceWarnings` is set, warns:
+  // `Component "Button" skipped in src/Button.js on 4:0: <reason>`.
+  const reportSkipped = (kind, entry) => {
+    record('skip', entry);
+    if (options && options.silenceWarnings) {
+      return;
+    }
+    const loc = locationOf(entry);
+    const where = loc ? ` on ${loc.start.line}:${loc.start.column}` : '';
+    console.warn(`${kind} "${entry.component}" skipped in ${file.path}${where}: ${entry.reason}`);
+  };
+
+  return {
+    entries,
+    reportSkipped,
+    skip: entry => record('skip', entry),
+    warn: entry => record('warning', entry),
+    error: entry => record('error', entry),
+  };
+};
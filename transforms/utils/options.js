@@ -0,0 +1,108 @@
+/**
+ * Copyright 2013-2015, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ */
+
+'use strict';
+
+// Option definitions shared by several transforms. Every transform exports
+// the list of options it reads as `options`, e.g.
+//
+//   module.exports.options = [
+//     {name: 'flow', type: 'boolean', default: false, description: '...'},
+//     ...
+//   ];
+//
+// The CLI uses these to validate and coerce command line options before any
+// file is touched, and to generate its prompts and `--help` output. Transforms
+// that take no options export an empty list.
+
+const printOptions = {
+  name: 'printOptions',
+  type: 'object',
+  description: 'Options passed to recast\'s printer, e.g. `{"quote":"double"}`.',
+};
+
+const explicitRequire = {
+  name: 'explicit-require',
+  type: 'boolean',
+  default: true,
+  description:
+    'Only transform files that require or import React. ' +
+    'Set to false to transform every file.',
+};
+
+const parseJSON = value => {
+  try {
+    return {value: JSON.parse(value)};
+  } catch (e) {
+    return {error: 'is not valid JSON'};
+  }
+};
+
+// Coerces a command line or config file value to the type declared in the
+// schema. Returns `{value}` on success and `{error}` otherwise.
+const coerceValue = (option, value) => {
+  switch (option.type) {
+    case 'boolean':
+      if (value === true || value === 'true') {
+        return {value: true};
+      }
+      if (value === false || value === 'false') {
+        return {value: false};
+      }
+      return {error: 'expects true or false'};
+    case 'string':
+      if (typeof value === 'string' || typeof value === 'number') {
+        return {value: String(value)};
+      }
+      return {error: 'expects a string value'};
+    case 'number':
+      if (value !== '' && typeof value !== 'boolean' && !isNaN(Number(value))) {
+        return {value: Number(value)};
+      }
+      return {error: 'expects a number'};
+    case 'array': {
+      if (Array.isArray(value)) {
+        return {value};
+      }
+      if (typeof value !== 'string') {
+        return {error: 'expects a comma-separated list or a JSON array'};
+      }
+      if (value.trim()[0] !== '[') {
+        return {value: value.split(',').map(item => item.trim()).filter(item => item)};
+      }
+      const parsed = parseJSON(value);
+      if (parsed.error || Array.isArray(parsed.value)) {
+        return parsed;
+      }
+      return {error: 'expects a comma-separated list or a JSON array'};
+    }
+    case 'object': {
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        return {value};
+      }
+      if (typeof value !== 'string') {
+        return {error: 'expects a JSON object'};
+      }
+      const parsed = parseJSON(value);
+      if (parsed.error || (parsed.value && typeof parsed.value === 'object' && !Array.isArray(parsed.value))) {
+        return parsed;
+      }
+      return {error: 'expects a JSON object'};
+    }
+    default:
+      return {error: 'has an unknown type "' + option.type + '" in the transform\'s schema'};
+  }
+};
+
+module.exports = {
+  coerceValue,
+  explicitRequire,
+  printOptions,
+};
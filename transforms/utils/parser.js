@@ -0,0 +1,125 @@
+/**
+ * Copyright 2013-2015, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ */
+
+'use strict';
+
+const babylon = require('@babel/parser');
+
+// Syntax understood in every file, on top of the language specific plugins
+// below. `estree` keeps the node types the transforms are written against
+// (`Literal`, `Property`, `MethodDefinition`, ...) whatever the language.
+const COMMON_PLUGINS = [
+  'estree',
+  'asyncGenerators',
+  'classProperties',
+  'decorators-legacy',
+  'doExpressions',
+  'dynamicImport',
+  'exportDefaultFrom',
+  'exportNamespaceFrom',
+  'functionBind',
+  'functionSent',
+  'nullishCoalescingOperator',
+  'objectRestSpread',
+  'optionalCatchBinding',
+  'optionalChaining',
+];
+
+const COMMENT_TYPES = {CommentBlock: true, CommentLine: true};
+
+// Scope errors Babel can recover from, which the parsers this repo used to
+// rely on did not report. Any other error is a real syntax error.
+const RECOVERABLE_ERRORS = {ModuleExportUndefined: true, VarRedeclaration: true};
+
+const createBabylonParser = plugins => {
+  const options = {
+    sourceType: 'module',
+    allowHashBang: true,
+    allowImportExportEverywhere: true,
+    allowReturnOutsideFunction: true,
+    startLine: 1,
+    tokens: true,
+    // Needed to get past the recoverable errors, see `parse` below.
+    errorRecovery: true,
+    plugins: COMMON_PLUGINS.concat(plugins),
+  };
+  return {
+    parse(code) {
+      const ast = babylon.parse(code, options);
+      // Like the parsers this repo used to rely on, don't fail on scope errors
+      // such as redeclared variables. They stay listed in `ast.errors`.
+      const error = ast.errors.find(
+        recovered => !RECOVERABLE_ERRORS.hasOwnProperty(recovered.reasonCode)
+      );
+      if (error) {
+        throw error;
+      }
+      // Babel lists comments among the tokens, like no other parser recast
+      // supports. recast attaches the token list to every comment it sees,
+      // which would make comments reference themselves.
+      ast.tokens = ast.tokens.filter(token => !COMMENT_TYPES.hasOwnProperty(token.type));
+      return ast;
+    },
+  };
+};
+
+const PARSERS = {
+  // Flow annotations are accepted without `@flow`, as in most React code.
+  babylon: createBabylonParser(['jsx', 'flow']),
+  // `all` parses `f<T>(x)` as a call with type arguments, as Flow itself does.
+  flow: createBabylonParser(['jsx', ['flow', {all: true}]]),
+  ts: createBabylonParser(['typescript']),
+  tsx: createBabylonParser(['jsx', 'typescript']),
+};
+
+// Comments and whitespace before the first statement, where the `@flow`
+// pragma has to be.
+const LEADING_COMMENTS = /^(?:\s|\/\/[^\n]*|\/\*[\s\S]*?\*\/)*/;
+
+const hasFlowPragma = source => /@flow\b/.test(source.match(LEADING_COMMENTS)[0]);
+
+/**
+ * Returns the name of the parser to use for a file: `ts` or `tsx` for
+ * TypeScript files, `flow` for files with an `@flow` pragma and `babylon`
+ * (with JSX and Flow annotations) for everything else.
+ *
+ * A `parser` option other than jscodeshift's default (`babel`) overrides the
+ * detection.
+ */
+const getParserName = (file, options) => {
+  if (options && options.parser && options.parser !== 'babel') {
+    return options.parser;
+  }
+  const filePath = file.path || '';
+  if (/\.tsx$/.test(filePath)) {
+    return 'tsx';
+  }
+  if (/\.ts$/.test(filePath)) {
+    return 'ts';
+  }
+  if (hasFlowPragma(file.source)) {
+    return 'flow';
+  }
+  return 'babylon';
+};
+
+/**
+ * Returns `api.jscodeshift` bound to the parser that suits `file`, see
+ * `getParserName`.
+ */
+const withParser = (j, file, options) => {
+  const name = getParserName(file, options);
+  return j.withParser(PARSERS.hasOwnProperty(name) ? PARSERS[name] : name);
+};
+
+module.exports = {
+  getParserName,
+  withParser,
+};
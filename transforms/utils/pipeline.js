@@ -0,0 +1,132 @@
+/**
+ * Copyright 2013-2015, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ */
+
+'use strict';
+
+const path = require('path');
+const parser = require('./parser');
+
+// Returned by `toSource` inside a step; the real printing happens once, after
+// the last step.
+const DEFERRED_OUTPUT = '/* react-codemod: deferred output */';
+
+const loadStep = name => {
+  const module = require(path.join(__dirname, '..', name));
+  return {
+    name,
+    transform: module.default || module,
+    options: module.options || [],
+  };
+};
+
+// Options of all steps, without duplicates (e.g. `printOptions`).
+const mergeOptions = steps => {
+  const seen = {};
+  const result = [];
+  steps.forEach(step => {
+    step.options.forEach(option => {
+      if (!seen[option.name]) {
+        seen[option.name] = true;
+        result.push(option);
+      }
+    });
+  });
+  return result;
+};
+
+/**
+ * Wraps `api.jscodeshift` so that parsing the current source returns the AST
+ * shared by all steps instead of parsing it again, and printing it only
+ * records the print options. The AST is already parsed, so the parser the
+ * step asks for is ignored.
+ */
+const createStepAPI = (j, api, state) => {
+  const stepJ = function(source, options) {
+    if (source !== state.source) {
+      return j(source, options);
+    }
+    const root = j(state.ast);
+    root.toSource = printOptions => {
+      state.printOptions.push(printOptions || {});
+      return DEFERRED_OUTPUT;
+    };
+    return root;
+  };
+  Object.keys(j).forEach(key => {
+    stepJ[key] = j[key];
+  });
+  stepJ.withParser = () => stepJ;
+  return Object.assign({}, api, {jscodeshift: stepJ});
+};
+
+/**
+ * Creates a transform that runs the given transforms, in order, on a single
+ * AST: every file is parsed once before the first step and printed once after
+ * the last one.
+ *
+ * Steps must follow the convention of the transforms in this repository: parse
+ * `file.source` once, and either return `root.toSource(...)` or return null
+ * without having touched the AST. A step that returns any other string is
+ * still supported; the steps after it work on a fresh parse of that string.
+ *
+ * The options passed to the pipeline are forwarded to every step. The final
+ * print uses the print options of all steps that made changes, later steps
+ * taking precedence. The pipeline returns null when the printed file is the
+ * same as its source.
+ */
+const createPipeline = stepNames => {
+  const steps = stepNames.map(loadStep);
+
+  const pipeline = function(file, api, options) {
+    const j = parser.withParser(api.jscodeshift, file, options);
+    const state = {
+      source: file.source,
+      ast: j(file.source).get().value,
+      printOptions: [],
+    };
+    let changed = false;
+
+    steps.forEach(step => {
+      const printed = state.printOptions.length;
+      const output = step.transform(
+        {path: file.path, source: state.source},
+        createStepAPI(j, api, state),
+        options
+      );
+
+      if (output === DEFERRED_OUTPUT) {
+        changed = true;
+        return;
+      }
+      // The step did not use its result; drop the print options it recorded.
+      state.printOptions.length = printed;
+      if (output && output !== state.source) {
+        changed = true;
+        state.source = output;
+        state.ast = j(output).get().value;
+      }
+    });
+
+    if (!changed) {
+      return null;
+    }
+    const printOptions = Object.assign.apply(Object, [{}].concat(state.printOptions));
+    const output = j(state.ast).toSource(printOptions);
+    // Some steps (e.g. `error-boundaries`) always print, even when they left
+    // the AST untouched; only report the file as changed if it really is.
+    return output === file.source ? null : output;
+  };
+
+  pipeline.steps = stepNames;
+  pipeline.options = mergeOptions(steps);
+  return pipeline;
+};
+
+module.exports = createPipeline;
@@ -0,0 +1,219 @@
+/**
+ * Copyright 2013-2015, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ */
+
+'use strict';
+
+// Builders for the types `propTypes` map to, in Flow.
+const flowTypes = j => {
+  const fixMe = () => j.genericTypeAnnotation(j.identifier('$FlowFixMe'), null);
+  return {
+    fixMe,
+    any: () => j.anyTypeAnnotation(),
+    array: type => j.genericTypeAnnotation(j.identifier('Array'), j.typeParameterInstantiation([type])),
+    bool: () => j.booleanTypeAnnotation(),
+    element: fixMe, // flow does the same for `element` type in `propTypes`
+    func: () => j.genericTypeAnnotation(j.identifier('Function'), null),
+    node: fixMe, // flow does the same for `node` type in `propTypes`
+    number: () => j.numberTypeAnnotation(),
+    object: () => j.genericTypeAnnotation(j.identifier('Object'), null),
+    string: () => j.stringTypeAnnotation(),
+    instance: id => j.genericTypeAnnotation(id, null),
+    map: type => j.objectTypeAnnotation([], [
+      j.objectTypeIndexer(j.identifier('key'), j.stringTypeAnnotation(), type),
+    ]),
+    literal: node => {
+      if (node.type === 'Identifier' && node.name === 'undefined') {
+        return j.voidTypeAnnotation();
+      }
+      switch (typeof node.value) {
+        case 'string':
+          return j.stringLiteralTypeAnnotation(node.value, node.raw);
+        case 'number':
+          return j.numberLiteralTypeAnnotation(node.value, node.raw);
+        case 'boolean':
+          return j.booleanLiteralTypeAnnotation(node.value, node.raw);
+        case 'object': // we already know it's a NullLiteral here
+          return j.nullLiteralTypeAnnotation();
+        default: // this should never happen
+          return fixMe();
+      }
+    },
+    union: types => j.unionTypeAnnotation(types),
+    shape: (properties, exact) => Object.assign(j.objectTypeAnnotation(properties), {exact}),
+    property: (key, type, optional) => j.objectTypeProperty(key, type, optional),
+  };
+};
+
+// Builders for the types `propTypes` map to, in TypeScript. What Flow leaves
+// as `$FlowFixMe` is `any`, except for `element` and `node` which React types.
+const typeScriptTypes = (j, reactName) => {
+  const withType = (node, type) => {
+    node.typeAnnotation = j.tsTypeAnnotation(type);
+    return node;
+  };
+  const reactType = name => j.tsTypeReference(j.tsQualifiedName(j.identifier(reactName), j.identifier(name)));
+  return {
+    fixMe: () => j.tsAnyKeyword(),
+    any: () => j.tsAnyKeyword(),
+    array: type => j.tsTypeReference(j.identifier('Array'), j.tsTypeParameterInstantiation([type])),
+    bool: () => j.tsBooleanKeyword(),
+    element: () => reactType('ReactElement'),
+    // (...args: any[]) => any
+    func: () => withType(
+      j.tsFunctionType([withType(j.restElement(j.identifier('args')), j.tsArrayType(j.tsAnyKeyword()))]),
+      j.tsAnyKeyword()
+    ),
+    node: () => reactType('ReactNode'),
+    number: () => j.tsNumberKeyword(),
+    object: () => j.tsObjectKeyword(),
+    string: () => j.tsStringKeyword(),
+    instance: id => j.tsTypeReference(id),
+    map: type => j.tsTypeLiteral([
+      withType(j.tsIndexSignature([withType(j.identifier('key'), j.tsStringKeyword())]), type),
+    ]),
+    literal: node => {
+      if (node.type === 'Identifier' && node.name === 'undefined') {
+        return j.tsUndefinedKeyword();
+      }
+      switch (typeof node.value) {
+        case 'string':
+          return j.tsLiteralType(j.stringLiteral(node.value));
+        case 'number':
+          return j.tsLiteralType(j.numericLiteral(node.value));
+        case 'boolean':
+          return j.tsLiteralType(j.booleanLiteral(node.value));
+        case 'object':
+          return j.tsNullKeyword();
+        default:
+          return j.tsAnyKeyword();
+      }
+    },
+    union: types => j.tsUnionType(types),
+    shape: properties => j.tsTypeLiteral(properties),
+    property: (key, type, optional) => {
+      const property = withType(j.tsPropertySignature(key), type);
+      property.optional = optional;
+      return property;
+    },
+  };
+};
+
+/**
+ * Maps `propTypes` to Flow (the default) or TypeScript types, the way Flow
+ * itself reads the `propTypes` of `createClass` components. Types that
+ * can't be recognized become `$FlowFixMe` (`any` in TypeScript), and
+ * `PropTypes.exact` is an exact object type in Flow.
+ *
+ * Options:
+ * - `typescript`: build TypeScript types;
+ * - `reactName`: how React is imported, for `React.ReactNode` and
+ *   `React.ReactElement` in TypeScript (`React` by default).
+ */
+module.exports = function(j, options) {
+  options = options || {};
+  const types = options.typescript ?
+    typeScriptTypes(j, options.reactName || 'React') :
+    flowTypes(j);
+
+  const PRIMITIVES = ['any', 'array', 'bool', 'element', 'func', 'node', 'number', 'object', 'string'];
+
+  const getKey = keyNode => keyNode.type === 'Literal' ?
+    j.literal(keyNode.value) :
+    j.identifier(keyNode.name);
+
+  // Whether an object of prop types has spread properties or computed keys,
+  // whose props can't be typed: the type would lack them.
+  const hasDynamicKeys = object =>
+    object.properties.some(typeProp => !typeProp.key || typeProp.computed);
+
+  // The typed properties of an object of prop types, skipping spread
+  // properties and computed keys; see `hasDynamicKeys`.
+  const toTypeProperties = (object, toType) =>
+    object.properties
+      .filter(typeProp => typeProp.key && !typeProp.computed)
+      .map(typeProp => {
+        const [valueType, isOptional] = toType(typeProp.value);
+        return types.property(getKey(typeProp.key), valueType, isOptional);
+      });
+
+  // Returns `[type, isOptional]` for a prop type.
+  const propTypeToType = val => {
+    let cursor = val;
+    let isOptional = true;
+
+    if ( // check `.isRequired` first
+      cursor.type === 'MemberExpression' &&
+      cursor.property.type === 'Identifier' &&
+      cursor.property.name === 'isRequired'
+    ) {
+      isOptional = false;
+      cursor = cursor.object;
+    }
+
+    const withType = type => [type || types.fixMe(), isOptional];
+
+    if (cursor.type === 'MemberExpression') { // prim type
+      const name = cursor.property.type === 'Identifier' && cursor.property.name;
+      if (name === 'array') {
+        return withType(types.array(types.fixMe()));
+      }
+      return withType(PRIMITIVES.indexOf(name) !== -1 ? types[name]() : null);
+    }
+    if (cursor.type !== 'CallExpression' || !cursor.arguments.length) { // unrecognizable
+      return withType(null);
+    }
+
+    // type class
+    const calleeName = cursor.callee.type === 'MemberExpression' ?
+      cursor.callee.property.name :
+      cursor.callee.name;
+    const arg = cursor.arguments[0];
+    switch (calleeName) {
+      case 'arrayOf':
+        return withType(types.array(propTypeToType(arg)[0]));
+      case 'instanceOf':
+        return withType(arg.type === 'Identifier' ? types.instance(j.identifier(arg.name)) : null);
+      case 'objectOf':
+        return withType(types.map(propTypeToType(arg)[0]));
+      case 'oneOf': {
+        const argList = arg.elements;
+        if (
+          !argList ||
+          !argList.every(node =>
+            (node.type === 'Literal') ||
+            (node.type === 'Identifier' && node.name === 'undefined')
+          )
+        ) {
+          return withType(null);
+        }
+        return withType(types.union(argList.map(types.literal)));
+      }
+      case 'oneOfType':
+        return withType(arg.elements ?
+          types.union(arg.elements.map(element => propTypeToType(element)[0])) :
+          null);
+      case 'shape':
+      case 'exact':
+        return withType(arg.properties && !hasDynamicKeys(arg) ?
+          types.shape(toTypeProperties(arg, propTypeToType), calleeName === 'exact') :
+          null);
+      default: // unknown type class
+        return withType(null);
+    }
+  };
+
+  const propTypesToTypeProperties = object => toTypeProperties(object, propTypeToType);
+
+  return {
+    hasDynamicKeys,
+    propTypeToType,
+    propTypesToTypeProperties,
+  };
+};
@@ -0,0 +1,211 @@
+/**
+ * Copyright 2013-2015, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ */
+
+'use strict';
+
+const PROP_TYPES_MODULE = 'prop-types';
+
+/**
+ * Finds the components of a file that declare `propTypes`, for the transforms
+ * that turn them into types: ES2015 classes with `static propTypes` or
+ * `Foo.propTypes`, and top-level function components with `Foo.propTypes`.
+ *
+ * Each component is
+ *
+ *   {name, node, statement, isTyped, hasProps, propTypes, annotate, removePropTypes}
+ *
+ * where `statement` is the path of the top-level statement declaring it,
+ * `propTypes` the list of values assigned to `propTypes`, and
+ * `annotate(typeParameters, typeAnnotation)` sets the type arguments of the
+ * class or the annotation of the props parameter of the function.
+ */
+module.exports = function(j, root) {
+  const ReactUtils = require('./ReactUtils')(j);
+  const {isReference, removeStatement} = require('./ASTUtils')(j);
+
+  const isFunction = node =>
+    node.type === 'FunctionExpression' ||
+    node.type === 'ArrowFunctionExpression' ||
+    node.type === 'FunctionDeclaration';
+
+  const isTopLevel = path => {
+    const parent = path.parent.value;
+    return parent.type === 'Program' ||
+      parent.type === 'ExportNamedDeclaration' ||
+      parent.type === 'ExportDefaultDeclaration';
+  };
+
+  // The statement of the program a top-level declaration belongs to.
+  const getStatement = path => {
+    while (path.parent.value.type !== 'Program') {
+      path = path.parent;
+    }
+    return path;
+  };
+
+  // `Foo.propTypes`
+  const isPropTypesOf = (node, name) =>
+    node.type === 'MemberExpression' &&
+    !node.computed &&
+    node.object.type === 'Identifier' &&
+    node.object.name === name &&
+    node.property.name === 'propTypes';
+
+  // `Foo.propTypes = {...};` statements, by component name.
+  const findPropTypesAssignments = () => {
+    const assignments = {};
+    root
+      .find(j.ExpressionStatement, {expression: {type: 'AssignmentExpression', operator: '='}})
+      .filter(p => {
+        const left = p.value.expression.left;
+        return isTopLevel(p) && left.type === 'MemberExpression' && isPropTypesOf(left, left.object.name);
+      })
+      .forEach(p => {
+        const name = p.value.expression.left.object.name;
+        assignments[name] = (assignments[name] || []).concat(p);
+      });
+    return assignments;
+  };
+
+  const findClassProperty = (classPath, name, isStatic) =>
+    classPath.value.body.body.find(member =>
+      member.type === 'ClassProperty' &&
+      !!member.static === isStatic &&
+      !member.computed &&
+      member.key.name === name
+    );
+
+  // The function of a component declared at the top level as
+  // `function Foo() {}` or `const Foo = () => {}`, or null.
+  const findComponentFunction = name => {
+    const declarations = root
+      .find(j.FunctionDeclaration, {id: {name}})
+      .filter(isTopLevel);
+    if (declarations.size()) {
+      return {fn: declarations.get().value, statement: getStatement(declarations.get()), declarator: null};
+    }
+    const declarators = root
+      .find(j.VariableDeclarator, {id: {name}})
+      .filter(p => isTopLevel(p.parent) && p.value.init && isFunction(p.value.init));
+    if (!declarators.size()) {
+      return null;
+    }
+    const declarator = declarators.get();
+    return {fn: declarator.value.init, statement: getStatement(declarator), declarator: declarator.value};
+  };
+
+  const findClassComponents = assignments => {
+    const components = [];
+    ReactUtils.findReactES6ClassDeclaration(root).forEach(path => {
+      if (!path.value.id) {
+        return;
+      }
+      const name = path.value.id.name;
+      const property = findClassProperty(path, 'propTypes', true);
+      const statements = assignments[name] || [];
+      delete assignments[name];
+      if (!property && !statements.length) {
+        return;
+      }
+      const propsProperty = findClassProperty(path, 'props', false);
+      components.push({
+        name,
+        node: path.value,
+        statement: getStatement(path),
+        isTyped: !!path.value.superTypeParameters || !!(propsProperty && propsProperty.typeAnnotation),
+        hasProps: true,
+        propTypes: (property ? [property.value] : []).concat(statements.map(p => p.value.expression.right)),
+        annotate: typeParameters => {
+          path.value.superTypeParameters = typeParameters;
+        },
+        removePropTypes: () => {
+          path.value.body.body = path.value.body.body.filter(member => member !== property);
+          statements.forEach(removeStatement);
+        },
+      });
+    });
+    return components;
+  };
+
+  const findFunctionComponents = assignments =>
+    Object.keys(assignments)
+      .map(name => {
+        const found = findComponentFunction(name);
+        if (!found) {
+          return null;
+        }
+        const fn = found.fn;
+        const param = fn.params[0];
+        return {
+          name,
+          node: fn,
+          statement: found.statement,
+          isTyped: !!(param && param.typeAnnotation) || !!(found.declarator && found.declarator.id.typeAnnotation),
+          hasProps: !!param,
+          propTypes: assignments[name].map(p => p.value.expression.right),
+          annotate: (typeParameters, typeAnnotation) => {
+            param.typeAnnotation = typeAnnotation;
+            if (fn.type === 'ArrowFunctionExpression' && param.type === 'Identifier' && found.declarator) {
+              // recast keeps `props =>` without the parentheses the annotation
+              // needs unless the whole function is printed again.
+              found.declarator.init = Object.assign(
+                j.arrowFunctionExpression(fn.params, fn.body, fn.expression),
+                {async: fn.async, typeParameters: fn.typeParameters, returnType: fn.returnType}
+              );
+            }
+          },
+          removePropTypes: () => assignments[name].forEach(removeStatement),
+        };
+      })
+      .filter(Boolean);
+
+  const findComponents = () => {
+    const assignments = findPropTypesAssignments();
+    const classes = findClassComponents(assignments);
+    return classes.concat(findFunctionComponents(assignments));
+  };
+
+  // `PropTypes` is no longer used once the runtime `propTypes` are removed.
+  const removeUnusedPropTypesImport = () => {
+    const isUnused = (name, node) =>
+      root
+        .find(j.Identifier, {name})
+        .filter(isReference)
+        .filter(path => path.value !== node)
+        .size() === 0;
+
+    root.find(j.ImportDeclaration, {source: {value: PROP_TYPES_MODULE}}).forEach(p => {
+      p.value.specifiers = p.value.specifiers.filter(specifier =>
+        !isUnused(specifier.local.name, specifier.local)
+      );
+      if (!p.value.specifiers.length) {
+        removeStatement(p);
+      }
+    });
+    root
+      .find(j.VariableDeclarator, {
+        id: {type: 'Identifier'},
+        init: {type: 'CallExpression', callee: {name: 'require'}, arguments: [{value: PROP_TYPES_MODULE}]},
+      })
+      .filter(p => p.parent.parent.value.type === 'Program' && isUnused(p.value.id.name, p.value.id))
+      .forEach(p => {
+        if (p.parent.value.declarations.length === 1) {
+          removeStatement(p.parent);
+        } else {
+          j(p).remove();
+        }
+      });
+  };
+
+  return {
+    findComponents,
+    removeUnusedPropTypesImport,
+  };
+};